@@ -6,9 +6,9 @@
  * Uses modern component architecture with clear separation of concerns
  * 
  * Component Loading Order:
- * 1. Core utilities (EventBus, FontManager, ASCIIRenderer)
+ * 1. Core utilities (EventBus, GlyphResolver, FontFitter, BannerTransform, BannerEffect, GlyphFill, CellGrid, Composition, Flipbook, FlipbookPlayer, BoxDrawing, PaintBuffer, ResultHistory, HistoryStore, OutputStyle, PNGExporter, SVGExporter, HTMLExporter, GIFEncoder, GIFDecoder, APNGEncoder, TextAnimator, AnimationExporter, FontRegistry + fonts/builtin-fonts.js, CustomFontStore, CanvasSampler + FontRasterizer, VideoSampler, FontManager, ASCIIRenderer)
  * 2. Services (GenerationService, PerformanceManager)
- * 3. UI Components (UIController, DisplayManager, OutputPanel)
+ * 3. UI Components (UIController, DisplayManager, OutputPanel, OutputEditor, HistoryGallery, ExportDialog)
  * 4. Utilities (FontSwitcher, DiagnosticHelper)
  */
 
@@ -33,6 +33,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         const asciiRenderer = new ASCIIRenderer();
         const inputValidator = new InputValidator(window.AppConfig.validation || {});
 
+        // Fonts registered anywhere (bundled FIGlet fonts, imports) are announced on the bus
+        fontManager.registry.subscribe(change => {
+            eventBus.emit(EventBus.Events.FONTS_REGISTERED, { names: [change.name] });
+        });
+
+        // Fonts saved from the glyph editor
+        new CustomFontStore(window.AppConfig.storage.keys.customFonts).registerAll(fontManager.registry);
+
+        // Bundled FIGlet fonts load in the background
+        const figletConfig = window.AppConfig.ascii.figlet || {};
+        fontManager.loadBundledFigletFonts(figletConfig.bundledPath, figletConfig.manifest);
+
         console.log('✅ Core utilities ready\n');
 
         // ============================================================
@@ -77,8 +89,24 @@ document.addEventListener('DOMContentLoaded', async () => {
             fontSelect: document.getElementById('font-select'),
             colorSelect: document.getElementById('color-select'),
             animationSelect: document.getElementById('animation-select'),
+            layoutSelect: document.getElementById('layout-select'),
+            unknownCharsSelect: document.getElementById('unknown-chars-select'),
+            maxWidthInput: document.getElementById('max-width-input'),
+            lineSpacingInput: document.getElementById('line-spacing-input'),
+            fitFontCheckbox: document.getElementById('fit-font-checkbox'),
+            fitFontsInput: document.getElementById('fit-fonts-input'),
+            fillSelect: document.getElementById('fill-select'),
+            fillCharsInput: document.getElementById('fill-chars-input'),
+            transformSelect: document.getElementById('transform-select'),
+            effectSelect: document.getElementById('effect-select'),
+            effectOffsetXInput: document.getElementById('effect-offset-x'),
+            effectOffsetYInput: document.getElementById('effect-offset-y'),
+            effectDepthInput: document.getElementById('effect-depth'),
+            effectCharInput: document.getElementById('effect-char'),
             imageWidthSlider: document.getElementById('image-width'),
             imageCharsSelect: document.getElementById('image-chars'),
+            imageColorCheckbox: document.getElementById('image-color'),
+            imageFpsInput: document.getElementById('image-fps'),
             poetryLayoutSelect: document.getElementById('poetry-layout'),
             poetryDecorationSelect: document.getElementById('poetry-decoration')
         };
@@ -87,7 +115,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('✅ Input system ready');
         
         // Main UI controller (clean, single-responsibility design)
-        const uiController = new UIController(eventBus, window.AppConfig, inputReader, inputValidator, outputPanel);
+        const uiController = new UIController(eventBus, window.AppConfig, inputReader, inputValidator, outputPanel, asciiRenderer);
         
         // Button interactions
         const buttonController = new ButtonController(eventBus);
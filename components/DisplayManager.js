@@ -30,6 +30,10 @@ class DisplayManager {
             this.panel.setLoadingState('Generating poetry art...');
             this.currentState = 'generating';
         });
+        this.eventBus.on(EventBus.Events.COMPOSITION_GENERATION_START, () => {
+            this.panel.setLoadingState('Flattening layers...');
+            this.currentState = 'generating';
+        });
 
         // Subscribe to generation completion events
         this.eventBus.on(EventBus.Events.TEXT_GENERATION_COMPLETE, (result) => {
@@ -41,6 +45,9 @@ class DisplayManager {
         this.eventBus.on(EventBus.Events.POETRY_GENERATION_COMPLETE, (result) => {
             this.handleGenerationComplete(result);
         });
+        this.eventBus.on(EventBus.Events.COMPOSITION_GENERATION_COMPLETE, (result) => {
+            this.handleGenerationComplete(result);
+        });
 
         // Subscribe to generation errors
         this.eventBus.on(EventBus.Events.TEXT_GENERATION_ERROR, (error) => {
@@ -53,6 +60,20 @@ class DisplayManager {
             this.handleGenerationError(error);
         });
 
+        // Undo/redo: show a copy, so later edits don't reach back into history
+        this.eventBus.on(EventBus.Events.HISTORY_RESTORE, (entry) => {
+            this.handleGenerationComplete(ResultHistory.snapshot(entry));
+        });
+
+        // Hand edits in the output editor
+        this.eventBus.on(EventBus.Events.OUTPUT_EDITED, ({ cells }) => this.handleOutputEdited(cells));
+        this.eventBus.on(EventBus.Events.OUTPUT_EDIT_END, () => {
+            if (this.currentOutput) this.handleGenerationComplete(this.currentOutput);
+        });
+        this.eventBus.on(EventBus.Events.COMPOSITION_GENERATION_ERROR, (error) => {
+            this.handleGenerationError(error);
+        });
+
         console.log('✅ DisplayManager initialized with enhanced state management');
     }
 
@@ -84,7 +105,9 @@ class DisplayManager {
             // Display the ASCII art using OutputPanel with error handling
             const displayed = this.panel.display(result.ascii, {
                 color: result.metadata?.color || 'none',
-                animation: result.metadata?.animation || 'none'
+                animation: result.metadata?.animation || 'none',
+                cells: result.cells || null,
+                flipbook: result.flipbook || null
             });
 
             if (displayed) {
@@ -100,6 +123,20 @@ class DisplayManager {
         }
     }
 
+    /**
+     * Store an edited output in the current result, so copy, download and
+     * composition layers use the edited version
+     * @param {CellGrid} cells - Edited output
+     */
+    handleOutputEdited(cells) {
+        if (!this.currentOutput) return;
+        this.currentOutput.ascii = cells.toText();
+        this.currentOutput.cells = cells;
+        this.currentOutput.metadata = { ...this.currentOutput.metadata, edited: true };
+        delete this.currentOutput.flipbook;
+        this.panel.updateCells(cells);
+    }
+
     /**
      * Handle generation errors
      */
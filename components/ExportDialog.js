@@ -0,0 +1,385 @@
+/**
+ * ExportDialog Component
+ * Dialog that saves the current output as a file in one of several formats.
+ *
+ * Responsibilities:
+ * - Show the options of the chosen format
+ * - Reproduce the output panel's colors (OutputStyle) and theme in the file
+ * - Download the file, or copy it as text (an HTML snippet for the HTML format)
+ * - Preview ANSI output the way a terminal shows it
+ * - Record the output's animation as an animated GIF or APNG
+ * - Save flipbook frames (or the output as one frame) as flipbook JSON
+ */
+
+class ExportDialog {
+    /**
+     * Formats offered, in menu order
+     * @returns {Object} Format to { label, extension }
+     */
+    static get FORMATS() {
+        return {
+            txt: { label: 'Plain text', extension: 'txt' },
+            png: { label: 'PNG image', extension: 'png' },
+            svg: { label: 'SVG vector image', extension: 'svg' },
+            html: { label: 'HTML page', extension: 'html' },
+            ans: { label: 'ANSI terminal text', extension: 'ans' },
+            gif: { label: 'Animated GIF', extension: 'gif' },
+            apng: { label: 'Animated PNG', extension: 'png' },
+            frames: { label: 'Flipbook frames', extension: 'json' }
+        };
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.getOutput - () => { cells, color, animation, animationSpeed, fontFamily, flipbook }
+     *   of the displayed output, or null; flipbook is the Flipbook whose frame is showing, if any
+     * @param {Function} [options.measure] - (text) => { width, height }, the renderer's getDimensions
+     * @param {Function} [options.notify] - (message, type) => void
+     */
+    constructor(options = {}) {
+        this.getOutput = options.getOutput || (() => null);
+        this.measure = options.measure || null;
+        this.notify = options.notify || ((message) => console.log(message));
+
+        this.dom = {};
+        this.state = {
+            busy: false
+        };
+
+        this.initialize();
+    }
+
+    /**
+     * Initialize dialog
+     */
+    initialize() {
+        this.cacheElements();
+        if (!this.dom.modal) {
+            console.warn('⚠️ ExportDialog: Dialog markup not found');
+            return;
+        }
+        this.attachEventListeners();
+        this.updateFormatControls();
+        console.log('💾 ExportDialog initialized');
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.dom = {
+            modal: document.getElementById('export-modal'),
+            closeBtn: document.getElementById('close-export-btn'),
+            formatSelect: document.getElementById('export-format'),
+            imageOptions: document.getElementById('export-image-options'),
+            scaleGroup: document.getElementById('export-scale-group'),
+            scaleInput: document.getElementById('export-scale'),
+            paddingGroup: document.getElementById('export-padding-group'),
+            transparentGroup: document.getElementById('export-transparent-group'),
+            paddingInput: document.getElementById('export-padding'),
+            themeSelect: document.getElementById('export-theme'),
+            transparentCheckbox: document.getElementById('export-transparent'),
+            outlineGroup: document.getElementById('export-outline-group'),
+            outlineCheckbox: document.getElementById('export-outline'),
+            ansiOptions: document.getElementById('export-ansi-options'),
+            ansiDepthSelect: document.getElementById('export-ansi-depth'),
+            ansiEscapedCheckbox: document.getElementById('export-ansi-escaped'),
+            ansiPreview: document.getElementById('export-ansi-preview'),
+            animationOptions: document.getElementById('export-animation-options'),
+            fpsInput: document.getElementById('export-fps'),
+            durationInput: document.getElementById('export-duration'),
+            loopInput: document.getElementById('export-loop'),
+            downloadBtn: document.getElementById('export-download-btn'),
+            copyBtn: document.getElementById('export-copy-btn')
+        };
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        const { dom } = this;
+        dom.closeBtn?.addEventListener('click', () => this.close());
+        dom.formatSelect?.addEventListener('change', () => this.updateFormatControls());
+        dom.ansiDepthSelect?.addEventListener('change', () => this.updatePreview());
+        dom.ansiEscapedCheckbox?.addEventListener('change', () => this.updatePreview());
+        dom.downloadBtn?.addEventListener('click', () => this.download());
+        dom.copyBtn?.addEventListener('click', () => this.copy());
+    }
+
+    /**
+     * Open the dialog
+     */
+    open() {
+        if (!this.dom.modal) return;
+        if (!this.getOutput()) {
+            this.notify('⚠️ Generate something first', 'warning');
+            return;
+        }
+        this.dom.modal.style.display = 'flex';
+        this.updatePreview();
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (this.dom.modal) this.dom.modal.style.display = 'none';
+    }
+
+    /**
+     * @returns {string} Chosen format
+     */
+    getFormat() {
+        const format = this.dom.formatSelect?.value;
+        return ExportDialog.FORMATS[format] ? format : 'txt';
+    }
+
+    /**
+     * Only the chosen format's options are shown
+     */
+    updateFormatControls() {
+        const { dom } = this;
+        const format = this.getFormat();
+        const animated = ExportDialog.isAnimated(format);
+        if (dom.imageOptions) dom.imageOptions.hidden = ['txt', 'ans', 'frames'].includes(format);
+        if (dom.ansiOptions) dom.ansiOptions.hidden = format !== 'ans';
+        if (dom.animationOptions) dom.animationOptions.hidden = !animated;
+        if (dom.scaleGroup) dom.scaleGroup.hidden = format !== 'png' && !animated;
+        if (dom.paddingGroup) dom.paddingGroup.hidden = format === 'html';
+        if (dom.transparentGroup) dom.transparentGroup.hidden = format === 'html';
+        if (dom.outlineGroup) dom.outlineGroup.hidden = format !== 'svg';
+        if (dom.copyBtn) {
+            dom.copyBtn.hidden = format === 'png' || animated;
+            dom.copyBtn.textContent = { html: '📋 Copy snippet', ans: '📋 Copy for terminal' }[format] || '📋 Copy';
+        }
+        this.updatePreview();
+    }
+
+    /**
+     * Show the ANSI text as a terminal would, read back from the escapes
+     */
+    updatePreview() {
+        const { ansiPreview } = this.dom;
+        if (!ansiPreview) return;
+        const output = this.getFormat() === 'ans' ? this.getOutput() : null;
+        ansiPreview.hidden = !output;
+        ansiPreview.innerHTML = output ? CellGrid.fromANSI(this.createText('ans', output)).toHTML() : '';
+    }
+
+    /**
+     * ANSI options from the controls
+     * @returns {Object} CellGrid.toANSI options
+     */
+    getANSIOptions() {
+        const depth = this.dom.ansiDepthSelect?.value;
+        return {
+            depth: CellGrid.ANSI_DEPTHS.includes(depth) ? depth : 'truecolor',
+            escaped: !!this.dom.ansiEscapedCheckbox?.checked
+        };
+    }
+
+    /**
+     * Image options from the controls
+     * @returns {Object} PNGExporter and SVGExporter options
+     */
+    getImageOptions() {
+        const { dom } = this;
+        const number = (input, fallback) => {
+            const value = parseFloat(input?.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const theme = dom.themeSelect?.value;
+
+        return {
+            scale: Math.min(Math.max(number(dom.scaleInput, 2), 0.5), 8),
+            padding: Math.min(Math.max(number(dom.paddingInput, 20), 0), 200),
+            theme: theme && theme !== 'current' ? theme : OutputStyle.currentTheme(),
+            transparent: !!dom.transparentCheckbox?.checked,
+            outline: !!dom.outlineCheckbox?.checked
+        };
+    }
+
+    /**
+     * Animation options from the controls; an empty duration means one full cycle
+     * @returns {Object} AnimationExporter options
+     */
+    getAnimationOptions() {
+        const { dom } = this;
+        const fps = parseFloat(dom.fpsInput?.value);
+        const duration = parseFloat(dom.durationInput?.value);
+        const loop = parseInt(dom.loopInput?.value, 10);
+        return {
+            fps: Number.isFinite(fps) ? Math.min(Math.max(fps, 1), 50) : 12,
+            duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+            loop: Number.isFinite(loop) ? Math.min(Math.max(loop, 0), 65535) : 0
+        };
+    }
+
+    /**
+     * Build the file for the current output
+     * @param {string} format - One of FORMATS
+     * @param {Object} output - { cells, color, animation, fontFamily }
+     * @returns {Promise<Blob>}
+     */
+    async createFile(format, output) {
+        switch (format) {
+            case 'png': {
+                const cells = OutputStyle.apply(output.cells, output.color);
+                return PNGExporter.toBlob(cells, { ...this.getImageOptions(), fontFamily: ExportDialog.fontFamily(output) });
+            }
+            case 'gif':
+            case 'apng':
+                return AnimationExporter.toBlob(output.cells, {
+                    ...this.getImageOptions(),
+                    ...this.getAnimationOptions(),
+                    format,
+                    color: output.color,
+                    animation: output.animation,
+                    animationSpeed: output.animationSpeed || 1,
+                    flipbook: output.flipbook || null,
+                    fontFamily: ExportDialog.fontFamily(output)
+                });
+            case 'svg':
+                return new Blob([this.createText(format, output)], { type: 'image/svg+xml' });
+            case 'html':
+                return new Blob([this.createText(format, output)], { type: 'text/html' });
+            case 'frames':
+                return new Blob([this.createText(format, output)], { type: 'application/json' });
+            case 'ans':
+                // Files always hold real escapes; the escaped form is only for pasting into scripts
+                return new Blob([OutputStyle.apply(output.cells, output.color).toANSI({ ...this.getANSIOptions(), escaped: false }) + '\n'], { type: 'text/plain' });
+            default:
+                return new Blob([this.createText(format, output)], { type: 'text/plain' });
+        }
+    }
+
+    /**
+     * Text of a text-based format; HTML gives the page, or a snippet to paste,
+     * and ANSI uses the chosen color depth
+     * @param {string} format - One of FORMATS except png
+     * @param {Object} output - { cells, color, animation, fontFamily }
+     * @param {boolean} [snippet=false] - HTML snippet instead of a whole page
+     * @returns {string}
+     */
+    createText(format, output, snippet = false) {
+        const fontFamily = ExportDialog.fontFamily(output);
+        switch (format) {
+            case 'svg': {
+                const cells = OutputStyle.apply(output.cells, output.color);
+                const dimensions = this.measure ? this.measure(cells.toText()) : null;
+                return SVGExporter.toSVG(cells, { ...this.getImageOptions(), fontFamily, dimensions });
+            }
+            case 'html': {
+                const options = {
+                    color: output.color,
+                    animation: output.animation,
+                    theme: this.getImageOptions().theme,
+                    fontFamily
+                };
+                return snippet ? HTMLExporter.toSnippet(output.cells, options) : HTMLExporter.toPage(output.cells, options);
+            }
+            case 'ans':
+                return OutputStyle.apply(output.cells, output.color).toANSI(this.getANSIOptions());
+            case 'frames':
+                return JSON.stringify(ExportDialog.flipbook(output).toJSON(), null, 2);
+            default:
+                return output.cells.toText();
+        }
+    }
+
+    /**
+     * Copy the chosen text-based format to the clipboard
+     */
+    async copy() {
+        const output = this.getOutput();
+        const format = this.getFormat();
+        if (!output || format === 'png' || ExportDialog.isAnimated(format)) return;
+
+        try {
+            await navigator.clipboard.writeText(this.createText(format, output, true));
+            const copied = { html: '📋 HTML snippet copied', ans: '📋 Copied for terminal' }[format];
+            this.notify(copied || '📋 Copied to clipboard', 'success');
+        } catch (error) {
+            console.error('❌ ExportDialog: Copy failed:', error);
+            this.notify('❌ Copy failed', 'error');
+        }
+    }
+
+    /**
+     * Export the current output and save it
+     */
+    async download() {
+        const output = this.getOutput();
+        if (!output) {
+            this.notify('⚠️ Nothing to export', 'warning');
+            return;
+        }
+        if (this.state.busy) return;
+
+        const format = this.getFormat();
+        this.state.busy = true;
+        if (this.dom.downloadBtn) this.dom.downloadBtn.disabled = true;
+        if (ExportDialog.isAnimated(format)) this.notify('🎞️ Rendering frames…', 'info');
+        try {
+            const blob = await this.createFile(format, output);
+            ExportDialog.save(blob, `ascii-art-${Date.now()}.${ExportDialog.FORMATS[format].extension}`);
+            this.notify('✅ Exported successfully', 'success');
+            this.close();
+        } catch (error) {
+            console.error('❌ ExportDialog: Export failed:', error);
+            this.notify(`❌ Export failed: ${error.message}`, 'error');
+        } finally {
+            this.state.busy = false;
+            if (this.dom.downloadBtn) this.dom.downloadBtn.disabled = false;
+        }
+    }
+
+    /**
+     * @param {string} format - One of FORMATS
+     * @returns {boolean} Whether the format records the animation
+     */
+    static isAnimated(format) {
+        return format === 'gif' || format === 'apng';
+    }
+
+    /**
+     * @param {Object} output - { cells, color, flipbook }
+     * @returns {Flipbook} The output's flipbook, or the output as a one-frame flipbook in its colors
+     */
+    static flipbook(output) {
+        if (output.flipbook) return output.flipbook;
+        const flipbook = new Flipbook();
+        flipbook.addFrame(OutputStyle.apply(output.cells, output.color));
+        return flipbook;
+    }
+
+    /**
+     * @param {Object} output - { fontFamily }
+     * @returns {string} The output's font stack, the panel's by default
+     */
+    static fontFamily(output) {
+        return output.fontFamily || OutputStyle.FONT_FAMILY;
+    }
+
+    /**
+     * Download a file
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - Suggested name
+     */
+    static save(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportDialog;
+}
@@ -0,0 +1,205 @@
+/**
+ * FontRasterizerDialog Component
+ * Dialog that draws a CSS font (or an uploaded .ttf/.otf/.woff file) into an
+ * ASCII font with FontRasterizer and adds it to the font list.
+ *
+ * Responsibilities:
+ * - Collect the family, cell height, fill and threshold
+ * - Load dropped-in font files through FontFace
+ * - Preview the rasterized font before adding it
+ * - Register the result through the FontManager
+ */
+
+class FontRasterizerDialog {
+    /**
+     * @param {Object} options
+     * @param {Object} options.fontManager - FontManager (either app) with rasterizeFont()
+     * @param {Function} [options.render] - (text, font) => ASCII preview
+     * @param {Function} [options.onAdd] - Called with the registered font name
+     * @param {Function} [options.notify] - (message, type) => void
+     */
+    constructor(options = {}) {
+        this.fontManager = options.fontManager;
+        this.render = options.render || null;
+        this.onAdd = options.onAdd || (() => {});
+        this.notify = options.notify || ((message) => console.log(message));
+
+        this.previewText = 'Abc 123';
+        this.dom = {};
+        this.state = {
+            busy: false
+        };
+
+        this.initialize();
+    }
+
+    /**
+     * Initialize dialog
+     */
+    initialize() {
+        this.cacheElements();
+        if (!this.dom.modal) {
+            console.warn('⚠️ FontRasterizerDialog: Dialog markup not found');
+            return;
+        }
+        this.attachEventListeners();
+        this.updateFillControls();
+        console.log('🖋️ FontRasterizerDialog initialized');
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.dom = {
+            modal: document.getElementById('rasterize-modal'),
+            closeBtn: document.getElementById('close-rasterize-btn'),
+            familyInput: document.getElementById('rasterize-family'),
+            fileInput: document.getElementById('rasterize-file'),
+            heightInput: document.getElementById('rasterize-height'),
+            fillSelect: document.getElementById('rasterize-fill'),
+            charsGroup: document.getElementById('rasterize-chars-group'),
+            charsInput: document.getElementById('rasterize-chars'),
+            thresholdGroup: document.getElementById('rasterize-threshold-group'),
+            thresholdInput: document.getElementById('rasterize-threshold'),
+            preview: document.getElementById('rasterize-preview'),
+            errors: document.getElementById('rasterize-errors'),
+            previewBtn: document.getElementById('rasterize-preview-btn'),
+            addBtn: document.getElementById('rasterize-add-btn')
+        };
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        const { dom } = this;
+        dom.closeBtn?.addEventListener('click', () => this.close());
+        dom.fileInput?.addEventListener('change', () => this.loadFile());
+        dom.fillSelect?.addEventListener('change', () => this.updateFillControls());
+        dom.charsInput?.addEventListener('input', () => this.updateFillControls());
+        dom.previewBtn?.addEventListener('click', () => this.preview());
+        dom.addBtn?.addEventListener('click', () => this.add());
+    }
+
+    /**
+     * Open the dialog
+     */
+    open() {
+        if (!this.dom.modal) return;
+        this.showError(null);
+        this.dom.modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (this.dom.modal) this.dom.modal.style.display = 'none';
+    }
+
+    /**
+     * Custom characters only apply to the custom fill; the threshold only to one-character fills
+     */
+    updateFillControls() {
+        const fill = this.dom.fillSelect?.value || 'block';
+        const customChars = Array.from((this.dom.charsInput?.value || '').trim());
+        if (this.dom.charsGroup) this.dom.charsGroup.hidden = fill !== 'custom';
+        if (this.dom.thresholdGroup) {
+            this.dom.thresholdGroup.hidden = !(fill === 'block' || (fill === 'custom' && customChars.length <= 1));
+        }
+    }
+
+    /**
+     * Load the chosen font file and use its family
+     */
+    async loadFile() {
+        const file = this.dom.fileInput?.files?.[0];
+        if (!file) return;
+
+        try {
+            const family = await FontRasterizer.loadFontFile(file);
+            if (this.dom.familyInput) this.dom.familyInput.value = family;
+            this.notify(`🖋️ Loaded ${file.name}`, 'info');
+            await this.preview();
+        } catch (error) {
+            console.error('❌ FontRasterizerDialog: Font file failed to load:', error);
+            this.showError(`Could not load ${file.name}: ${error.message}`);
+        } finally {
+            this.dom.fileInput.value = '';
+        }
+    }
+
+    /**
+     * Options for FontRasterizer from the form
+     * @returns {Object}
+     */
+    getOptions() {
+        const { dom } = this;
+        return {
+            height: parseInt(dom.heightInput?.value, 10) || 8,
+            fill: dom.fillSelect?.value || 'block',
+            chars: dom.charsInput?.value || '',
+            threshold: parseFloat(dom.thresholdInput?.value) || 0.4
+        };
+    }
+
+    /**
+     * Rasterize without registering and show the result
+     */
+    async preview() {
+        const family = this.dom.familyInput?.value.trim();
+        if (this.state.busy) return;
+
+        this.state.busy = true;
+        try {
+            const font = await FontRasterizer.rasterize(family, this.getOptions());
+            this.showError(null);
+            if (this.dom.preview) {
+                this.dom.preview.textContent = this.render
+                    ? this.render(this.previewText, font)
+                    : font.glyphs.A.join('\n');
+            }
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.state.busy = false;
+        }
+    }
+
+    /**
+     * Rasterize, register and hand the new font to the app
+     */
+    async add() {
+        const family = this.dom.familyInput?.value.trim();
+        if (this.state.busy) return;
+
+        this.state.busy = true;
+        try {
+            const name = await this.fontManager.rasterizeFont(family, this.getOptions());
+            this.notify(`🖋️ Added font "${name}"`, 'success');
+            this.close();
+            this.onAdd(name);
+        } catch (error) {
+            console.error('❌ FontRasterizerDialog: Rasterizing failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.state.busy = false;
+        }
+    }
+
+    /**
+     * Show an error under the preview (null clears it)
+     * @param {string|null} message - Error to show
+     */
+    showError(message) {
+        if (!this.dom.errors) return;
+        this.dom.errors.textContent = message || '';
+        this.dom.errors.hidden = !message;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FontRasterizerDialog;
+}
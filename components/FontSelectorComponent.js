@@ -38,6 +38,9 @@ class FontSelectorComponent {
             this.handleFontChange();
         });
 
+        // Re-populate when new fonts are registered
+        this.eventBus.on(EventBus.Events.FONTS_REGISTERED, () => this.refreshFonts());
+
         console.log(' FontSelectorComponent: Event listeners attached');
     }
 
@@ -53,17 +56,23 @@ class FontSelectorComponent {
 
             // Get available fonts from AppConfig or FontManager
             if (window.AppConfig?.ascii?.fonts?.text) {
-                this.state.availableFonts = window.AppConfig.ascii.fonts.text;
+                this.state.availableFonts = [...window.AppConfig.ascii.fonts.text];
             } else {
-                // Fallback to FontManager's font loaders
-                this.state.availableFonts = Object.keys(this.fontManager.fontLoaders || {});
+                this.state.availableFonts = [];
+            }
+
+            // Append every other font in the shared registry (live-app fonts, FIGlet imports)
+            for (const fontName of this.fontManager.getAvailableFonts()) {
+                if (!this.state.availableFonts.includes(fontName)) {
+                    this.state.availableFonts.push(fontName);
+                }
             }
 
             // Populate the dropdown
             this.populateFontOptions();
 
-            // Set default font
-            this.setFont('standard');
+            // Keep the current selection (defaults to standard)
+            this.setFont(this.state.currentFont);
 
             this.state.isLoading = false;
             this.updateLoadingState();
@@ -59,7 +59,8 @@ class FontSwitcher {
                     text: result.metadata.text,
                     fontName: result.metadata.fontName,
                     color: result.metadata.color,
-                    animation: result.metadata.animation
+                    animation: result.metadata.animation,
+                    layout: result.metadata.layout
                 });
             }
         });
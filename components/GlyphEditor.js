@@ -0,0 +1,387 @@
+/**
+ * GlyphEditor Component
+ * Font editor panel: loads any registered font into a grid per glyph,
+ * toggles cells with a chosen fill character and saves the result as a custom font.
+ *
+ * Responsibilities:
+ * - Load a font's own glyphs, hardblanks included, into an editable copy
+ * - Edit one glyph at a time on a cell grid; add glyphs, columns and rows
+ * - Validate row counts and widths before saving
+ * - Save through CustomFontStore and register with the shared FontRegistry
+ */
+
+class GlyphEditor {
+    /**
+     * @param {Object} options
+     * @param {Object} options.fontManager - FontManager (either app)
+     * @param {CustomFontStore} options.store - Where custom fonts are saved
+     * @param {Function} [options.render] - (text, font) => ASCII preview
+     * @param {Function} [options.onSave] - Called with the saved font name
+     * @param {Function} [options.notify] - (message, type) => void
+     */
+    constructor(options = {}) {
+        this.fontManager = options.fontManager;
+        this.store = options.store;
+        this.registry = options.registry || FontRegistry.shared;
+        this.render = options.render || null;
+        this.onSave = options.onSave || (() => {});
+        this.notify = options.notify || ((message) => console.log(message));
+
+        this.maxHeight = 32;
+        this.dom = {};
+        this.state = {
+            sourceFont: null,
+            name: '',
+            height: 0,
+            glyphs: {},
+            currentChar: 'A',
+            fillChar: '#'
+        };
+
+        this.initialize();
+    }
+
+    /**
+     * Initialize editor
+     */
+    initialize() {
+        this.cacheElements();
+        if (!this.dom.modal) {
+            console.warn('⚠️ GlyphEditor: Editor markup not found');
+            return;
+        }
+        this.attachEventListeners();
+        console.log('✏️ GlyphEditor initialized');
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.dom = {
+            modal: document.getElementById('glyph-editor-modal'),
+            closeBtn: document.getElementById('close-glyph-editor-btn'),
+            fontSelect: document.getElementById('editor-font-select'),
+            nameInput: document.getElementById('editor-font-name'),
+            glyphSelect: document.getElementById('editor-glyph-select'),
+            newGlyphInput: document.getElementById('editor-new-glyph'),
+            addGlyphBtn: document.getElementById('editor-add-glyph-btn'),
+            fillInput: document.getElementById('editor-fill-char'),
+            grid: document.getElementById('editor-grid'),
+            addColumnBtn: document.getElementById('editor-add-column-btn'),
+            removeColumnBtn: document.getElementById('editor-remove-column-btn'),
+            addRowBtn: document.getElementById('editor-add-row-btn'),
+            removeRowBtn: document.getElementById('editor-remove-row-btn'),
+            preview: document.getElementById('editor-preview'),
+            errors: document.getElementById('editor-errors'),
+            saveBtn: document.getElementById('editor-save-btn'),
+            deleteBtn: document.getElementById('editor-delete-btn')
+        };
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        const { dom } = this;
+        dom.closeBtn?.addEventListener('click', () => this.close());
+        dom.fontSelect?.addEventListener('change', () => this.loadFont(dom.fontSelect.value));
+        dom.glyphSelect?.addEventListener('change', () => this.selectGlyph(dom.glyphSelect.value));
+        dom.addGlyphBtn?.addEventListener('click', () => this.addGlyph(dom.newGlyphInput?.value || ''));
+        dom.fillInput?.addEventListener('input', () => {
+            this.state.fillChar = dom.fillInput.value.charAt(0) || '#';
+        });
+        dom.addColumnBtn?.addEventListener('click', () => this.resizeGlyph(1));
+        dom.removeColumnBtn?.addEventListener('click', () => this.resizeGlyph(-1));
+        dom.addRowBtn?.addEventListener('click', () => this.resizeFont(1));
+        dom.removeRowBtn?.addEventListener('click', () => this.resizeFont(-1));
+        dom.saveBtn?.addEventListener('click', () => this.save());
+        dom.deleteBtn?.addEventListener('click', () => this.deleteFont());
+
+        // Cells are rebuilt on every change, so listen on the grid itself
+        dom.grid?.addEventListener('click', (event) => {
+            const cell = event.target.closest('[data-row]');
+            if (cell) {
+                this.toggleCell(Number(cell.dataset.row), Number(cell.dataset.col));
+            }
+        });
+    }
+
+    /**
+     * Open the editor on a font
+     * @param {string} fontName - Font to load
+     */
+    open(fontName = 'standard') {
+        if (!this.dom.modal) return;
+        this.populateFontSelect(fontName);
+        this.loadFont(fontName);
+        this.dom.modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the editor
+     */
+    close() {
+        if (this.dom.modal) this.dom.modal.style.display = 'none';
+    }
+
+    populateFontSelect(selected) {
+        const select = this.dom.fontSelect;
+        if (!select) return;
+        select.innerHTML = '';
+        for (const name of this.fontManager.getAvailableFonts()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+        select.value = selected;
+    }
+
+    /**
+     * Load an editable copy of a font
+     * @param {string} fontName - Font to load
+     */
+    loadFont(fontName) {
+        // The registry's copy, not getFont()'s: glyphs synthesized for missing
+        // characters must not end up saved as part of the font
+        const font = this.registry.get(fontName) || this.fontManager.getFont(fontName);
+
+        const glyphs = {};
+        for (const [char, rows] of Object.entries(font.glyphs)) {
+            if (char === '\u0000') continue;
+            const width = Math.max(1, ...rows.map(row => row.length));
+            glyphs[char] = rows.map(row => row.padEnd(width));
+        }
+
+        const isCustom = this.registry.getSource(font.name) === 'custom';
+        this.state.sourceFont = font;
+        this.state.name = isCustom ? font.name : `${font.name}-custom`;
+        this.state.height = font.height;
+        this.state.glyphs = glyphs;
+        this.state.currentChar = glyphs.A ? 'A' : Object.keys(glyphs)[0];
+
+        if (this.dom.nameInput) this.dom.nameInput.value = this.state.name;
+        if (this.dom.deleteBtn) this.dom.deleteBtn.disabled = !isCustom;
+        this.populateGlyphSelect();
+        this.refresh();
+    }
+
+    populateGlyphSelect() {
+        const select = this.dom.glyphSelect;
+        if (!select) return;
+        select.innerHTML = '';
+        for (const char of Object.keys(this.state.glyphs).sort()) {
+            const option = document.createElement('option');
+            option.value = char;
+            option.textContent = char === ' ' ? '(space)' : char;
+            select.appendChild(option);
+        }
+        select.value = this.state.currentChar;
+    }
+
+    /**
+     * Switch the grid to another glyph
+     * @param {string} char - Glyph to edit
+     */
+    selectGlyph(char) {
+        if (!this.state.glyphs[char]) return;
+        this.state.currentChar = char;
+        this.refresh();
+    }
+
+    /**
+     * Add a blank glyph (or select it if it exists)
+     * @param {string} char - Character to add
+     */
+    addGlyph(char) {
+        const glyph = Array.from(char)[0];
+        if (!glyph) return;
+        if (!this.state.glyphs[glyph]) {
+            const width = this.state.glyphs.A ? this.state.glyphs.A[0].length : 5;
+            this.state.glyphs[glyph] = Array.from({ length: this.state.height }, () => ' '.repeat(width));
+            this.populateGlyphSelect();
+        }
+        if (this.dom.newGlyphInput) this.dom.newGlyphInput.value = '';
+        this.selectGlyph(glyph);
+        if (this.dom.glyphSelect) this.dom.glyphSelect.value = glyph;
+    }
+
+    /**
+     * Toggle a cell between blank and the fill character; hardblanks count as blank
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    toggleCell(row, col) {
+        const rows = this.state.glyphs[this.state.currentChar];
+        if (!rows || !rows[row]) return;
+        const current = rows[row].charAt(col);
+        const blank = current === ' ' || current === this.state.sourceFont?.hardblank;
+        const next = blank ? this.state.fillChar : ' ';
+        rows[row] = rows[row].slice(0, col) + next + rows[row].slice(col + 1);
+        this.refresh();
+    }
+
+    /**
+     * Add or remove a column on the right of the current glyph
+     * @param {number} delta - +1 or -1
+     */
+    resizeGlyph(delta) {
+        const rows = this.state.glyphs[this.state.currentChar];
+        if (!rows) return;
+        const width = rows[0].length + delta;
+        if (width < 1) return;
+        this.state.glyphs[this.state.currentChar] = rows.map(row => (delta > 0 ? row + ' ' : row.slice(0, width)));
+        this.refresh();
+    }
+
+    /**
+     * Add or remove a row at the bottom of every glyph
+     * @param {number} delta - +1 or -1
+     */
+    resizeFont(delta) {
+        const height = this.state.height + delta;
+        if (height < 1 || height > this.maxHeight) return;
+        for (const [char, rows] of Object.entries(this.state.glyphs)) {
+            this.state.glyphs[char] = delta > 0
+                ? [...rows, ' '.repeat(rows[0].length)]
+                : rows.slice(0, height);
+        }
+        this.state.height = height;
+        this.refresh();
+    }
+
+    /**
+     * Redraw the grid, the preview and the validation messages
+     */
+    refresh() {
+        this.renderGrid();
+        this.renderPreview();
+        this.showErrors(this.validate().errors);
+    }
+
+    renderGrid() {
+        const grid = this.dom.grid;
+        const rows = this.state.glyphs[this.state.currentChar];
+        if (!grid || !rows) return;
+
+        grid.innerHTML = '';
+        grid.style.gridTemplateColumns = `repeat(${rows[0].length}, 1.6em)`;
+        rows.forEach((row, r) => {
+            for (let c = 0; c < row.length; c++) {
+                const cell = document.createElement('button');
+                cell.type = 'button';
+                cell.className = 'glyph-cell';
+                cell.dataset.row = r;
+                cell.dataset.col = c;
+                cell.textContent = row.charAt(c);
+                grid.appendChild(cell);
+            }
+        });
+    }
+
+    renderPreview() {
+        if (!this.dom.preview || !this.render) return;
+        try {
+            const sample = this.state.currentChar === ' ' ? 'A B' : `${this.state.currentChar}A${this.state.currentChar}`;
+            this.dom.preview.textContent = this.render(sample, this.buildFont());
+        } catch (error) {
+            this.dom.preview.textContent = '';
+        }
+    }
+
+    /**
+     * Font object for the current editor state
+     * @returns {Object} Font in FontModel schema shape
+     */
+    buildFont() {
+        const source = this.state.sourceFont || {};
+        const name = (this.dom.nameInput?.value || this.state.name).trim().toLowerCase();
+        return FontModel.create({
+            name,
+            height: this.state.height,
+            baseline: Math.min(source.baseline || this.state.height, this.state.height),
+            glyphs: this.state.glyphs,
+            hardblank: source.hardblank,
+            layout: source.layout,
+            metadata: {
+                author: source.metadata?.author,
+                license: source.metadata?.license,
+                tags: (source.metadata?.tags || []).filter(tag => tag !== 'figlet')
+            }
+        });
+    }
+
+    /**
+     * Check the edited font: row counts, widths and name
+     * @returns {{valid: boolean, errors: string[]}}
+     */
+    validate() {
+        const font = this.buildFont();
+        const { errors } = FontModel.validate(font, { maxHeight: this.maxHeight });
+
+        for (const [char, rows] of Object.entries(font.glyphs)) {
+            if (new Set(rows.map(row => row.length)).size > 1) {
+                errors.push(`Glyph '${char}' has rows of different widths`);
+            }
+        }
+
+        if (!/^[a-z0-9][a-z0-9 _-]*$/.test(font.name)) {
+            errors.push('Name may only use letters, digits, spaces, "-" and "_"');
+        } else if (this.registry.has(font.name) && this.registry.getSource(font.name) !== 'custom') {
+            errors.push(`"${font.name}" is a ${this.registry.getSource(font.name)} font; choose another name`);
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    showErrors(errors) {
+        if (!this.dom.errors) return;
+        this.dom.errors.textContent = errors.slice(0, 5).join('\n');
+        this.dom.errors.hidden = errors.length === 0;
+        if (this.dom.saveBtn) this.dom.saveBtn.disabled = errors.length > 0;
+    }
+
+    /**
+     * Save the edited font and make it selectable
+     */
+    save() {
+        const { valid, errors } = this.validate();
+        if (!valid) {
+            this.showErrors(errors);
+            return;
+        }
+
+        try {
+            const font = this.store.save(this.buildFont());
+            this.registry.register(font.name, font, { source: 'custom' });
+            this.state.name = font.name;
+            this.state.sourceFont = font;
+            if (this.dom.deleteBtn) this.dom.deleteBtn.disabled = false;
+            this.notify(`💾 Saved font "${font.name}"`, 'success');
+            this.onSave(font.name);
+        } catch (error) {
+            console.error('❌ GlyphEditor: Save failed:', error);
+            this.notify(`❌ Could not save font: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Delete the loaded custom font
+     */
+    deleteFont() {
+        const name = this.state.sourceFont?.name;
+        if (!name || this.registry.getSource(name) !== 'custom') return;
+
+        this.store.remove(name);
+        this.registry.unregister(name);
+        this.notify(`🗑️ Deleted font "${name}"`, 'info');
+        this.populateFontSelect('standard');
+        this.loadFont('standard');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GlyphEditor;
+}
@@ -0,0 +1,225 @@
+/**
+ * HistoryGallery Component
+ * Dialog listing saved generations from a HistoryStore as thumbnails.
+ *
+ * Responsibilities:
+ * - Filter by text, mode, font, date range and favorites
+ * - Restore an entry into the app, duplicate it, (un)favorite it or delete it
+ * - Refresh whenever it opens, so new generations show up
+ */
+
+class HistoryGallery {
+    /**
+     * @param {Object} options
+     * @param {HistoryStore} options.store - Saved generations
+     * @param {Function} [options.onRestore] - (entry) => void, with entry.result ready to display
+     * @param {Function} [options.notify] - (message, type) => void
+     */
+    constructor(options = {}) {
+        this.store = options.store;
+        this.onRestore = options.onRestore || (() => {});
+        this.notify = options.notify || ((message) => console.log(message));
+
+        this.dom = {};
+        this.entries = [];
+
+        this.initialize();
+    }
+
+    /**
+     * Initialize gallery
+     */
+    initialize() {
+        this.cacheElements();
+        if (!this.dom.modal) {
+            console.warn('⚠️ HistoryGallery: Gallery markup not found');
+            return;
+        }
+        this.attachEventListeners();
+        console.log('🗂️ HistoryGallery initialized');
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.dom = {
+            modal: document.getElementById('gallery-modal'),
+            closeBtn: document.getElementById('close-gallery-btn'),
+            searchInput: document.getElementById('gallery-search'),
+            modeSelect: document.getElementById('gallery-mode'),
+            fontInput: document.getElementById('gallery-font'),
+            fromInput: document.getElementById('gallery-from'),
+            toInput: document.getElementById('gallery-to'),
+            favoritesCheckbox: document.getElementById('gallery-favorites'),
+            list: document.getElementById('gallery-list'),
+            empty: document.getElementById('gallery-empty')
+        };
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        const { dom } = this;
+        dom.closeBtn?.addEventListener('click', () => this.close());
+        dom.modal.addEventListener('click', (event) => {
+            if (event.target === dom.modal) this.close();
+        });
+
+        [dom.searchInput, dom.fontInput].forEach(input => input?.addEventListener('input', () => this.refresh()));
+        [dom.modeSelect, dom.fromInput, dom.toInput, dom.favoritesCheckbox].forEach(input => (
+            input?.addEventListener('change', () => this.refresh())
+        ));
+
+        // One listener for every card's buttons
+        dom.list?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            const card = event.target.closest('[data-id]');
+            if (button && card) this.act(button.dataset.action, Number(card.dataset.id));
+        });
+    }
+
+    /**
+     * Open the gallery
+     */
+    async open() {
+        if (!this.dom.modal) return;
+        this.dom.modal.style.display = 'flex';
+        await this.refresh();
+    }
+
+    /**
+     * Close the gallery
+     */
+    close() {
+        if (this.dom.modal) this.dom.modal.style.display = 'none';
+    }
+
+    /**
+     * Filter from the controls; dates cover whole local days
+     * @returns {Object} HistoryStore filter
+     */
+    getFilter() {
+        const { dom } = this;
+        const day = (value, end) => {
+            if (!value) return null;
+            const date = new Date(`${value}T00:00:00`);
+            if (end) date.setDate(date.getDate() + 1);
+            return end ? date.getTime() - 1 : date.getTime();
+        };
+
+        return {
+            query: dom.searchInput?.value || '',
+            mode: dom.modeSelect?.value || '',
+            font: (dom.fontInput?.value || '').trim(),
+            from: day(dom.fromInput?.value, false),
+            to: day(dom.toInput?.value, true),
+            favorites: !!dom.favoritesCheckbox?.checked
+        };
+    }
+
+    /**
+     * Reload and redraw the matching entries
+     */
+    async refresh() {
+        if (!this.store || !this.dom.list) return;
+        try {
+            this.entries = await this.store.list(this.getFilter());
+            this.render();
+        } catch (error) {
+            console.error('❌ HistoryGallery: Could not read history:', error);
+            this.notify('❌ Could not read the history', 'error');
+        }
+    }
+
+    /**
+     * Draw one card per entry
+     */
+    render() {
+        const { list, empty } = this.dom;
+        list.innerHTML = '';
+        if (empty) empty.hidden = this.entries.length > 0;
+
+        this.entries.forEach(entry => {
+            const card = document.createElement('li');
+            card.className = 'gallery-item';
+            card.dataset.id = entry.id;
+
+            const thumb = document.createElement('pre');
+            thumb.className = 'gallery-thumb';
+            thumb.textContent = entry.thumbnail;
+            thumb.title = 'Restore';
+            thumb.dataset.action = 'restore';
+
+            const meta = document.createElement('div');
+            meta.className = 'gallery-meta';
+            meta.textContent = [entry.mode, entry.font, new Date(entry.createdAt).toLocaleString()]
+                .filter(Boolean)
+                .join(' · ');
+
+            const text = document.createElement('div');
+            text.className = 'gallery-text';
+            text.textContent = entry.text.split('\n')[0] || '(no text)';
+            text.title = entry.text;
+
+            const actions = document.createElement('div');
+            actions.className = 'gallery-actions';
+            [
+                ['restore', '↩', 'Restore'],
+                ['duplicate', '⧉', 'Duplicate'],
+                ['favorite', entry.favorite ? '★' : '☆', entry.favorite ? 'Unfavorite' : 'Favorite (kept past the history limit)'],
+                ['delete', '✕', 'Delete']
+            ].forEach(([action, label, title]) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.title = title;
+                button.dataset.action = action;
+                if (action === 'favorite') button.classList.toggle('active', entry.favorite);
+                actions.appendChild(button);
+            });
+
+            card.append(thumb, meta, text, actions);
+            list.appendChild(card);
+        });
+    }
+
+    /**
+     * Run a card action
+     * @param {string} action - restore, duplicate, favorite or delete
+     * @param {number} id - Entry id
+     */
+    async act(action, id) {
+        try {
+            switch (action) {
+                case 'restore':
+                    this.onRestore(await this.store.get(id));
+                    this.close();
+                    return;
+                case 'duplicate':
+                    await this.store.duplicate(id);
+                    this.notify('⧉ Entry duplicated', 'success');
+                    break;
+                case 'favorite': {
+                    const entry = this.entries.find(e => e.id === id);
+                    await this.store.setFavorite(id, !entry?.favorite);
+                    break;
+                }
+                case 'delete':
+                    await this.store.remove(id);
+                    break;
+                default:
+                    return;
+            }
+            await this.refresh();
+        } catch (error) {
+            console.error(`❌ HistoryGallery: ${action} failed:`, error);
+            this.notify(`❌ ${error.message}`, 'error');
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryGallery;
+}
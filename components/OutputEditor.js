@@ -0,0 +1,325 @@
+/**
+ * OutputEditor Component
+ * Edit mode for the output <pre>: touch up generated art in place instead of
+ * copying it into another tool. Editing state lives in a PaintBuffer.
+ *
+ * Responsibilities:
+ * - Draw the cursor and selection over the output while editing
+ * - Keyboard: arrows move, typing overwrites, Shift+arrows select, Alt+arrows move the
+ *   selection, Ctrl+C/V copy and paste, Ctrl+Z/Ctrl+Shift+Z (or Ctrl+Y) undo and redo
+ * - Mouse: click to place the cursor, drag to select, drag a selection to move it,
+ *   or drag a line or rectangle with the box-drawing tools
+ * - Report every edit through onChange so the app can store it in the current result
+ */
+
+class OutputEditor {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.output - The output <pre>
+     * @param {Function} [options.onChange] - (cells: CellGrid) => void, after every edit
+     * @param {Function} [options.onClose] - Called when edit mode ends
+     * @param {Function} [options.notify] - (message, type) => void
+     */
+    constructor(options = {}) {
+        this.output = options.output || null;
+        this.onChange = options.onChange || (() => {});
+        this.onClose = options.onClose || (() => {});
+        this.notify = options.notify || ((message) => console.log(message));
+
+        this.buffer = null;
+        this.drag = null;
+        this.anchor = null;
+        this.dom = {};
+
+        this.initialize();
+    }
+
+    /**
+     * Initialize editor
+     */
+    initialize() {
+        this.cacheElements();
+        if (!this.output || !this.dom.toolbar) {
+            console.warn('⚠️ OutputEditor: Output or toolbar markup not found');
+            return;
+        }
+        this.attachEventListeners();
+        console.log('✏️ OutputEditor initialized');
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.dom = {
+            toolbar: document.getElementById('edit-toolbar'),
+            toolSelect: document.getElementById('edit-tool'),
+            boxStyleSelect: document.getElementById('edit-box-style'),
+            fillInput: document.getElementById('edit-fill-char'),
+            fillBtn: document.getElementById('edit-fill-btn'),
+            copyBtn: document.getElementById('edit-copy-btn'),
+            pasteBtn: document.getElementById('edit-paste-btn'),
+            undoBtn: document.getElementById('edit-undo-btn'),
+            redoBtn: document.getElementById('edit-redo-btn'),
+            doneBtn: document.getElementById('edit-done-btn')
+        };
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        const { dom } = this;
+        dom.fillBtn?.addEventListener('click', () => this.run(() => this.buffer.fill(this.fillChar())));
+        dom.copyBtn?.addEventListener('click', () => this.copy());
+        dom.pasteBtn?.addEventListener('click', () => this.run(() => this.buffer.paste()));
+        dom.undoBtn?.addEventListener('click', () => this.run(() => this.buffer.undo()));
+        dom.redoBtn?.addEventListener('click', () => this.run(() => this.buffer.redo()));
+        dom.doneBtn?.addEventListener('click', () => this.close());
+
+        this.output.addEventListener('keydown', (event) => this.handleKey(event));
+        this.output.addEventListener('mousedown', (event) => this.handleMouseDown(event));
+        this.output.addEventListener('mousemove', (event) => this.handleMouseMove(event));
+        // Releasing outside the output still ends the drag
+        document.addEventListener('mouseup', (event) => this.handleMouseUp(event));
+    }
+
+    get isOpen() {
+        return !!this.buffer;
+    }
+
+    /**
+     * Start editing
+     * @param {CellGrid} cells - Output to edit
+     */
+    open(cells) {
+        if (!this.output || !this.dom.toolbar) return;
+
+        this.buffer = new PaintBuffer(cells);
+        this.drag = null;
+        this.anchor = null;
+        this.dom.toolbar.hidden = false;
+        this.output.classList.add('editing');
+        this.output.tabIndex = 0;
+        this.output.focus();
+        this.render();
+    }
+
+    /**
+     * Stop editing; the app redraws the output from its result
+     */
+    close() {
+        if (!this.buffer) return;
+
+        this.buffer = null;
+        this.drag = null;
+        this.dom.toolbar.hidden = true;
+        this.output.classList.remove('editing');
+        this.output.removeAttribute('tabindex');
+        this.onClose();
+    }
+
+    /**
+     * Run an action and report it if it changed the cells
+     * @param {Function} action - Uses this.buffer
+     */
+    run(action) {
+        if (!this.buffer) return;
+
+        const version = this.buffer.version;
+        action();
+        if (this.buffer.version !== version) {
+            this.onChange(this.buffer.cells.clone().trimEnd());
+        }
+        this.render();
+    }
+
+    /**
+     * Draw the cells with the cursor and selection highlighted
+     */
+    render() {
+        const { buffer } = this;
+        if (!buffer) return;
+
+        const view = buffer.cells.clone();
+        const mark = (x, y, style) => {
+            if (!view.get(x, y)) view.set(x, y, ' ');
+            view.paint(x, y, style);
+        };
+
+        const s = buffer.selection;
+        if (s) {
+            for (let y = s.y; y < s.y + s.height; y++) {
+                for (let x = s.x; x < s.x + s.width; x++) mark(x, y, { bg: '#264f78' });
+            }
+        }
+        mark(buffer.cursor.x, buffer.cursor.y, { bg: '#2196F3', fg: '#ffffff' });
+        this.output.innerHTML = view.toHTML();
+
+        const { dom } = this;
+        if (dom.undoBtn) dom.undoBtn.disabled = !buffer.undoStack.length;
+        if (dom.redoBtn) dom.redoBtn.disabled = !buffer.redoStack.length;
+        if (dom.pasteBtn) dom.pasteBtn.disabled = !buffer.clipboard;
+        if (dom.copyBtn) dom.copyBtn.disabled = !s;
+        if (dom.fillBtn) dom.fillBtn.disabled = !s;
+    }
+
+    /**
+     * Copy the selection to the editor clipboard and, when allowed, the system one
+     */
+    copy() {
+        if (!this.buffer?.selection) return;
+        const text = this.buffer.copy();
+        navigator.clipboard?.writeText(text).catch(() => {});
+        this.notify('📋 Selection copied', 'success');
+        this.render();
+    }
+
+    fillChar() {
+        return Array.from(this.dom.fillInput?.value || '')[0] || '#';
+    }
+
+    /**
+     * Keyboard editing
+     * @param {KeyboardEvent} event
+     */
+    handleKey(event) {
+        const { buffer } = this;
+        if (!buffer) return;
+
+        const mod = event.ctrlKey || event.metaKey;
+        const key = event.key;
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        let handled = true;
+
+        if (mod && key.toLowerCase() === 'z') {
+            this.run(() => (event.shiftKey ? buffer.redo() : buffer.undo()));
+        } else if (mod && key.toLowerCase() === 'y') {
+            this.run(() => buffer.redo());
+        } else if (mod && key.toLowerCase() === 'c') {
+            this.copy();
+        } else if (mod && key.toLowerCase() === 'v') {
+            this.run(() => buffer.paste());
+        } else if (arrows[key]) {
+            const [dx, dy] = arrows[key];
+            if (event.altKey) {
+                this.run(() => buffer.moveSelection(dx, dy));
+            } else if (event.shiftKey) {
+                // Extend from where the selection started
+                if (!buffer.selection || !this.anchor) this.anchor = { ...buffer.cursor };
+                buffer.moveCursor(dx, dy);
+                buffer.select(this.anchor.x, this.anchor.y, buffer.cursor.x, buffer.cursor.y);
+                this.render();
+            } else {
+                buffer.moveCursor(dx, dy);
+                buffer.clearSelection();
+                this.render();
+            }
+        } else if (key === 'Backspace') {
+            this.run(() => buffer.backspace());
+        } else if (key === 'Delete') {
+            this.run(() => buffer.erase());
+        } else if (key === 'Enter') {
+            buffer.newline();
+            this.render();
+        } else if (key === 'Escape') {
+            if (buffer.selection) {
+                buffer.clearSelection();
+                this.render();
+            } else {
+                this.close();
+            }
+        } else if (!mod && !event.altKey && Array.from(key).length === 1) {
+            this.run(() => buffer.type(key));
+        } else {
+            handled = false;
+        }
+
+        if (handled) {
+            // Keep app-wide shortcuts (and page scrolling) out of the editor
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+
+    /**
+     * Output cell under the mouse
+     * @param {MouseEvent} event
+     * @returns {{x: number, y: number}}
+     */
+    cellAt(event) {
+        const rect = this.output.getBoundingClientRect();
+        const style = window.getComputedStyle(this.output);
+
+        // One character's box in the output's font
+        const probe = document.createElement('span');
+        probe.textContent = 'M';
+        this.output.appendChild(probe);
+        const box = probe.getBoundingClientRect();
+        probe.remove();
+        const lineHeight = parseFloat(style.lineHeight) || box.height;
+
+        const left = event.clientX - rect.left - this.output.clientLeft - parseFloat(style.paddingLeft) + this.output.scrollLeft;
+        const top = event.clientY - rect.top - this.output.clientTop - parseFloat(style.paddingTop) + this.output.scrollTop;
+        return {
+            x: Math.max(0, Math.floor(left / (box.width || 1))),
+            y: Math.max(0, Math.floor(top / (lineHeight || 1)))
+        };
+    }
+
+    handleMouseDown(event) {
+        if (!this.buffer || event.button !== 0) return;
+        event.preventDefault();
+        this.output.focus();
+
+        const point = this.cellAt(event);
+        const tool = this.dom.toolSelect?.value || 'select';
+
+        if (tool === 'select' && this.buffer.isSelected(point.x, point.y)) {
+            this.drag = { mode: 'move', start: point };
+            return;
+        }
+
+        this.drag = { mode: tool, start: point };
+        this.buffer.setCursor(point.x, point.y);
+        this.buffer.clearSelection();
+        this.anchor = null;
+        this.render();
+    }
+
+    handleMouseMove(event) {
+        if (!this.buffer || !this.drag || this.drag.mode === 'move') return;
+
+        // The selection outlines the area while selecting or drawing
+        const { start } = this.drag;
+        const point = this.cellAt(event);
+        this.buffer.select(start.x, start.y, point.x, point.y);
+        this.render();
+    }
+
+    handleMouseUp(event) {
+        if (!this.buffer || !this.drag) return;
+
+        const { mode, start } = this.drag;
+        const point = this.cellAt(event);
+        const style = this.dom.boxStyleSelect?.value || 'single';
+        this.drag = null;
+
+        if (mode === 'move') {
+            this.run(() => this.buffer.moveSelection(point.x - start.x, point.y - start.y));
+        } else if (mode === 'line' || mode === 'rect') {
+            this.buffer.clearSelection();
+            this.run(() => (mode === 'line'
+                ? this.buffer.drawLine(start.x, start.y, point.x, point.y, style)
+                : this.buffer.drawRect(start.x, start.y, point.x, point.y, style)));
+        } else if (point.x === start.x && point.y === start.y) {
+            this.buffer.clearSelection();
+            this.render();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutputEditor;
+}
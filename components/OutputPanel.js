@@ -7,6 +7,8 @@
  * - Manage output visibility and styling
  * - Show placeholder/default state
  * - Update output statistics
+ * - Run the output's animation (CSS classes, or TextAnimator)
+ * - Play the frames of animated input (GIFs and videos) with FlipbookPlayer
  * - Clear output
  */
 
@@ -14,6 +16,13 @@ class OutputPanel {
     constructor() {
         this.outputElement = null;
         this.statsElement = null;
+        this.currentCells = null;
+        this.currentColor = 'none';
+        this.animation = 'none';
+        this.animationSpeed = 1;
+        this.animator = null;
+        this.flipbook = null;
+        this.player = null;
         this.initialize();
     }
 
@@ -43,6 +52,12 @@ class OutputPanel {
             console.error('❌ OutputPanel: Output element not found');
             return;
         }
+        if (typeof TextAnimator !== 'undefined') {
+            this.animator = new TextAnimator(this.outputElement);
+        }
+        if (typeof FlipbookPlayer !== 'undefined') {
+            this.player = new FlipbookPlayer(this.outputElement);
+        }
 
         console.log('📦 OutputPanel: DOM elements cached');
     }
@@ -52,6 +67,7 @@ class OutputPanel {
      */
     setDefaultState() {
         if (!this.outputElement) return;
+        this.stopAnimation();
 
         // Clear content - use textContent only to preserve CSS ::after placeholder
         this.outputElement.textContent = '';
@@ -59,6 +75,8 @@ class OutputPanel {
         this.outputElement.setAttribute('data-state', 'empty');
         this.outputElement.removeAttribute('data-font');
         this.outputElement.removeAttribute('data-color');
+        this.currentCells = null;
+        this.flipbook = null;
 
         if (this.statsElement) {
             this.statsElement.textContent = '';
@@ -72,9 +90,12 @@ class OutputPanel {
      */
     setLoadingState(message = 'Generating ASCII art...') {
         if (!this.outputElement) return;
+        this.stopAnimation();
 
         this.outputElement.textContent = message;
         this.outputElement.className = 'ascii-output loading';
+        this.currentCells = null;
+        this.flipbook = null;
         this.outputElement.setAttribute('data-state', 'loading');
 
         console.log('⏳ OutputPanel: Set to loading state');
@@ -85,9 +106,12 @@ class OutputPanel {
      */
     setErrorState(message = 'Generation failed') {
         if (!this.outputElement) return;
+        this.stopAnimation();
 
         this.outputElement.textContent = `❌ ${message}`;
         this.outputElement.className = 'ascii-output error';
+        this.currentCells = null;
+        this.flipbook = null;
         this.outputElement.setAttribute('data-state', 'error');
 
         console.log('❌ OutputPanel: Set to error state');
@@ -95,6 +119,10 @@ class OutputPanel {
 
     /**
      * Display ASCII art
+     * @param {string} ascii - Plain text
+     * @param {Object} [options] - { color, animation, cells, flipbook }; styled cells (a CellGrid)
+     *   are shown with their own colors when no whole-output color is chosen; a Flipbook
+     *   of more than one frame plays in the output, ascii being its first frame
      */
     display(ascii, options = {}) {
         if (!this.outputElement) {
@@ -109,14 +137,23 @@ class OutputPanel {
         }
 
         try {
+            // The old output's animation must not draw over the new one
+            this.stopAnimation();
+
             // Set new content (clearing happens automatically)
             this.outputElement.textContent = ascii;
             this.outputElement.className = 'ascii-output';
             this.outputElement.setAttribute('data-state', 'filled');
 
             // Apply styling
-            const { color = 'none', animation = 'none' } = options;
+            const { color = 'none', animation = 'none', cells = null, flipbook = null } = options;
+            this.currentCells = cells || CellGrid.fromText(ascii);
+            this.flipbook = flipbook?.frames.length > 1 ? flipbook : null;
+            this.currentColor = color;
             this.applyColor(color, ascii);
+            if (color === 'none' && cells?.isStyled()) {
+                this.outputElement.innerHTML = cells.toHTML();
+            }
             this.applyAnimation(animation);
 
             // Update statistics
@@ -147,24 +184,16 @@ class OutputPanel {
         this.outputElement.style.webkitBackgroundClip = '';
         this.outputElement.style.webkitTextFillColor = '';
         this.outputElement.style.backgroundClip = '';
+        this.outputElement.classList.remove('color-rainbow');
 
-        const colorMap = {
-            red: '#ff6b6b',
-            green: '#51cf66',
-            blue: '#4dabf7',
-            yellow: '#ffd43b',
-            purple: '#cc5de8',
-            cyan: '#22b8cf',
-            magenta: '#ff6b9d',
-            gold: '#ffd700',
-            silver: '#c0c0c0'
-        };
+        // Same values as styles.css and the exporters
+        const colorMap = CellGrid.PALETTE;
 
         if (colorMap[color]) {
             this.outputElement.style.color = colorMap[color];
             console.log(`🎨 Color applied: ${color}`);
         } else if (color === 'rainbow') {
-            this.applyRainbow(ascii);
+            this.applyRainbow();
         } else if (color === 'gradient') {
             this.applyGradient();
         } else {
@@ -174,26 +203,12 @@ class OutputPanel {
     }
 
     /**
-     * Apply rainbow effect
+     * Apply rainbow effect: the .color-rainbow animation, as the main app shows it
      */
-    applyRainbow(text) {
-        const colors = ['#ff6b6b', '#ff8c00', '#ffd43b', '#51cf66', '#4dabf7', '#cc5de8'];
-        let html = '';
-
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            const color = colors[i % colors.length];
-
-            if (char === '\n') {
-                html += '\n';
-            } else if (char === ' ') {
-                html += ' ';
-            } else {
-                html += `<span style="color: ${color}">${this.escapeHtml(char)}</span>`;
-            }
-        }
-
-        this.outputElement.innerHTML = html;
+    applyRainbow() {
+        // Restart the cycle for the new output
+        void this.outputElement.offsetWidth;
+        this.outputElement.classList.add('color-rainbow');
         console.log('🌈 Rainbow effect applied');
     }
 
@@ -209,14 +224,72 @@ class OutputPanel {
     }
 
     /**
-     * Apply animation
+     * Apply animation: TextAnimator draws the ones that move characters,
+     * CSS classes do the rest. Replaces the running animation.
+     * Animated input plays its frames instead of a TextAnimator animation;
+     * CSS animations run on top of the frames.
+     * @param {string} animation - One of AppConfig.ascii.animations
      */
     applyAnimation(animation) {
-        if (!this.outputElement || !animation || animation === 'none') return;
+        if (!this.outputElement) return;
 
+        this.stopAnimation();
         this.outputElement.classList.remove('animation-glow', 'animation-wave', 'animation-fade', 'animation-blink');
-        this.outputElement.classList.add(`animation-${animation}`);
-        console.log(`✨ Animation applied: ${animation}`);
+        this.animation = animation || 'none';
+        if (!this.currentCells) return;
+
+        const playingFrames = !!this.flipbook && !!this.player?.play(this.flipbook);
+        if (this.animation === 'none') return;
+
+        if (this.animator && TextAnimator.has(this.animation)) {
+            if (!playingFrames) this.animator.start(this.animation, this.animationCells(), { speed: this.animationSpeed });
+        } else {
+            this.outputElement.classList.add(`animation-${this.animation}`);
+        }
+        console.log(`✨ Animation applied: ${this.animation}`);
+    }
+
+    /**
+     * Cells for TextAnimator, colored the way applyColor shows them
+     * @returns {CellGrid}
+     */
+    animationCells() {
+        const color = this.currentColor;
+        if (!color || color === 'none') return this.currentCells;
+        // Whole-output colors are on the <pre>; the frames stay unstyled under them
+        return CellGrid.fromText(this.currentCells.toText());
+    }
+
+    /**
+     * Speed of TextAnimator animations; takes effect straight away
+     * @param {number} speed - Multiplier (TextAnimator.SPEED_RANGE)
+     */
+    setAnimationSpeed(speed) {
+        this.animationSpeed = typeof TextAnimator !== 'undefined' ? TextAnimator.clampSpeed(speed) : 1;
+        this.animator?.setSpeed(this.animationSpeed);
+    }
+
+    /**
+     * @returns {string} The animation last applied
+     */
+    getAnimation() {
+        return this.animation;
+    }
+
+    /**
+     * @returns {Flipbook|null} Frames of the displayed animated input
+     */
+    getFlipbook() {
+        return this.flipbook;
+    }
+
+    /**
+     * Stop a running TextAnimator animation or playing frames, leaving the full output
+     * (the first frame) showing
+     */
+    stopAnimation() {
+        this.animator?.stop();
+        this.player?.stop();
     }
 
     /**
@@ -246,9 +319,29 @@ class OutputPanel {
      * Get current output
      */
     getOutput() {
+        // The cells stay clean while the editor draws its cursor over the <pre>
+        if (this.currentCells) return this.currentCells.toText();
         return this.outputElement?.textContent || '';
     }
 
+    /**
+     * Cells of the displayed output (plain text as unstyled cells)
+     * @returns {CellGrid|null}
+     */
+    getCells() {
+        return this.currentCells;
+    }
+
+    /**
+     * Replace the cells behind the displayed output (after hand edits) without redrawing
+     * @param {CellGrid} cells - Edited output
+     */
+    updateCells(cells) {
+        this.currentCells = cells;
+        // An edited frame is a still
+        this.flipbook = null;
+    }
+
     /**
      * Check if output has content
      */
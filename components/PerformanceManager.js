@@ -21,22 +21,24 @@ class PerformanceManager {
     /**
      * Generate cache key for text rendering
      * Uses JSON.stringify to safely handle all input combinations
+     * @param {Object} [extra] - Additional rendering options that change the output (layout, ...)
      */
-    generateCacheKey(text, fontName, color, animation) {
+    generateCacheKey(text, fontName, color, animation, extra = {}) {
         // Use JSON.stringify to ensure no collisions between different parameter combinations
         return JSON.stringify({
             text: (text || '').toLowerCase(),
             font: (fontName || '').toLowerCase(),
             color: (color || '').toLowerCase(),
-            animation: (animation || '').toLowerCase()
+            animation: (animation || '').toLowerCase(),
+            extra
         });
     }
 
     /**
      * Check if result is cached
      */
-    getCachedResult(text, fontName, color, animation) {
-        const key = this.generateCacheKey(text, fontName, color, animation);
+    getCachedResult(text, fontName, color, animation, extra = {}) {
+        const key = this.generateCacheKey(text, fontName, color, animation, extra);
         this.stats.totalRequests++;
         
         if (this.renderCache.has(key)) {
@@ -52,8 +54,8 @@ class PerformanceManager {
     /**
      * Cache rendering result with proper LRU eviction
      */
-    cacheResult(text, fontName, color, animation, result) {
-        const key = this.generateCacheKey(text, fontName, color, animation);
+    cacheResult(text, fontName, color, animation, result, extra = {}) {
+        const key = this.generateCacheKey(text, fontName, color, animation, extra);
         
         // If key already exists, delete it to move to end (most recently used)
         if (this.renderCache.has(key)) {
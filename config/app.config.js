@@ -67,31 +67,68 @@ const AppConfig = {
                 'lean', 'slant', 'script', 'big', 'elegant',
                 'romantic', 'classic', 'modern', 'calligraphy',
                 'gothic', 'serif', 'sans', 'decorative',
-                'artistic', '3d', 'star', 'dot', 'wavy', 'pixel'
+                'artistic', '3d', 'star', 'dot', 'wavy', 'pixel',
+                'standard-modular', 'block-modular', 'mini-modular',
+                'small-modular', 'bubble-modular', 'gothic-modular', '3d-classic'
             ],
             poetry: [
                 'mini', 'small', 'elegant', 'romantic',
                 'calligraphy', 'script', 'artistic', 'decorative'
             ]
         },
+        figlet: {
+            bundledPath: 'fonts/figlet/',
+            manifest: 'index.json'
+        },
+        // What to draw for characters a font has no glyph for (after lowercase and accent fallbacks)
+        unknownChars: {
+            policies: ['placeholder', 'skip', 'raw'],
+            default: 'placeholder'
+        },
+        // Text mode word wrap, in output columns (0 = no wrapping)
+        wrap: {
+            defaultWidth: 0,
+            minWidth: 10,
+            maxWidth: 500,
+            lineSpacing: 0,
+            maxLineSpacing: 5
+        },
+        // Reshaping applied after rendering (see BannerTransform)
+        transforms: ['none', 'vertical', 'mirror', 'flip', 'rotate-cw', 'rotate-ccw'],
+        // Effects drawn on the rendered grid (see BannerEffect)
+        effects: ['none', 'shadow', 'outline', 'extrude'],
+        // Glyph ink redrawn with other characters (see GlyphFill)
+        fills: ['none', 'char', 'pattern', 'text', 'gradient'],
         colors: {
             solid: ['red', 'green', 'blue', 'yellow', 'purple', 'cyan', 'magenta', 'gold', 'silver'],
             special: ['rainbow', 'gradient', 'romantic', 'mystical']
         },
-        animations: ['none', 'blink', 'scroll', 'wave', 'glow', 'fade', 'typewriter', 'floating'],
+        // glow, wave, fade and blink are CSS classes; scroll, typewriter, floating and wipe are drawn by TextAnimator
+        animations: ['none', 'blink', 'scroll', 'wave', 'glow', 'fade', 'typewriter', 'floating', 'wipe'],
         decorations: ['none', 'borders', 'flowers', 'stars', 'hearts', 'ornate', 'minimal']
     },
 
     // Image processing settings
     image: {
+        // Ramps from darkest to lightest; the space keeps light areas blank
         characterSets: {
-            standard: '@#%&*+=~-:,.`',
-            blocks: '█▓▒░',
-            dots: '●○◯',
-            simple: '#*+.',
-            detailed: '@#$%&*+=~-:,.`'
+            standard: '@#%&*+=~-:,.` ',
+            blocks: '█▓▒░ ',
+            dots: '●○◯ ',
+            simple: '#*+. ',
+            detailed: '@#$%&*+=~-:,.` '
         },
-        colorModes: ['none', 'grayscale', 'color', 'invert']
+        colorModes: ['none', 'grayscale', 'color', 'invert'],
+        // GIF and video input: video frames taken per second, the most frames kept,
+        // and the largest GIF accepted (whole file, and picture in pixels)
+        frames: {
+            defaultFps: 10,
+            minFps: 1,
+            maxFps: 30,
+            maxFrames: 300,
+            maxGifBytes: 20 * 1024 * 1024,
+            maxGifPixels: 2048 * 2048
+        }
     },
 
     // Poetry settings
@@ -122,7 +159,8 @@ const AppConfig = {
         keys: {
             theme: 'ascii-art-theme',
             preferences: 'ascii-art-prefs',
-            history: 'ascii-art-history'
+            history: 'ascii-art-history',
+            customFonts: 'ascii-art-custom-fonts'
         },
         historyLimit: 50
     },
@@ -147,6 +185,7 @@ const AppConfig = {
         textToAscii: true,
         imageToAscii: true,
         poetryArt: true,
+        composition: true,
         downloadFeature: true,
         copyFeature: true,
         themeToggle: true,
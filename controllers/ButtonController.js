@@ -148,6 +148,42 @@ class ButtonController {
             this.eventBus.emit('ui:theme:toggle');
             return;
         }
+
+        if (target.closest('#gallery-btn')) {
+            console.log('🖱️ [Delegated] Gallery button clicked');
+            this.eventBus.emit('ui:gallery:click');
+            return;
+        }
+
+        if (target.closest('#history-undo-btn')) {
+            console.log('🖱️ [Delegated] Undo button clicked');
+            this.eventBus.emit('ui:history:undo');
+            return;
+        }
+
+        if (target.closest('#history-redo-btn')) {
+            console.log('🖱️ [Delegated] Redo button clicked');
+            this.eventBus.emit('ui:history:redo');
+            return;
+        }
+
+        if (target.closest('#edit-output-btn')) {
+            console.log('🖱️ [Delegated] Edit button clicked');
+            this.eventBus.emit('ui:edit:click');
+            return;
+        }
+
+        if (target.closest('#export-btn')) {
+            console.log('🖱️ [Delegated] Export button clicked');
+            this.eventBus.emit('ui:export:click');
+            return;
+        }
+
+        if (target.closest('#add-layer-btn')) {
+            console.log('🖱️ [Delegated] Add layer button clicked');
+            this.eventBus.emit('ui:layer:add:click');
+            return;
+        }
     }
 
     // Test method to verify button connections
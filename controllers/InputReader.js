@@ -61,6 +61,17 @@ class InputReader {
 		const fontName = this.dom.fontSelect.value ?? 'standard';
 		const color = this.dom.colorSelect.value ?? 'none';
 		const animation = this.dom?.animationSelect?.value ?? 'none';
+		const layout = this.dom?.layoutSelect?.value ?? 'default';
+		const unknownChars = this.dom?.unknownCharsSelect?.value; // GenerationService falls back to AppConfig
+		const maxWidth = parseInt(this.dom?.maxWidthInput?.value, 10) || 0;
+		const lineSpacing = parseInt(this.dom?.lineSpacingInput?.value, 10) || 0;
+		const fitWidth = this.dom?.fitFontCheckbox?.checked ? (maxWidth || 80) : 0;
+		const fitFonts = (this.dom?.fitFontsInput?.value ?? '').split(',').map(name => name.trim()).filter(Boolean);
+		const fill = this.dom?.fillSelect?.value ?? 'none';
+		const fillChars = this.dom?.fillCharsInput?.value.trim() || undefined;
+		const transform = this.dom?.transformSelect?.value ?? 'none';
+		const effect = this.dom?.effectSelect?.value ?? 'none';
+		const effectOptions = this.readEffectOptions(effect);
 
 		if (!text || !text.trim()) {
 			return { ok: false, options: null, error: 'Please enter some text to generate.' };
@@ -68,10 +79,30 @@ class InputReader {
 
 		return {
 			ok: true,
-			options: { text, fontName, color, animation }
+			options: { text, fontName, color, animation, layout, unknownChars, maxWidth, lineSpacing, fitWidth, fitFonts, fill, fillChars, transform, effect, effectOptions }
 		};
 	}
 
+	/**
+	 * Read the settings of the chosen text effect. Blank inputs are left out so
+	 * BannerEffect uses its defaults.
+	 */
+	readEffectOptions(effect) {
+		const number = (input) => (input && input.value !== '' ? parseInt(input.value, 10) : undefined);
+		const char = this.dom?.effectCharInput?.value.trim() || undefined;
+
+		switch (effect) {
+			case 'shadow':
+				return { offsetX: number(this.dom?.effectOffsetXInput), offsetY: number(this.dom?.effectOffsetYInput), char };
+			case 'extrude':
+				return { depth: number(this.dom?.effectDepthInput), char };
+			case 'outline':
+				return { char };
+			default:
+				return {};
+		}
+	}
+
 	/**
 	 * Read options for Image → ASCII generation.
 	 */
@@ -88,12 +119,15 @@ class InputReader {
 		const file = this.dom.imageInput.files?.[0] ?? null;
 		const width = parseInt(this.dom?.imageWidthSlider?.value ?? '80', 10);
 		const charSet = this.dom?.imageCharsSelect?.value ?? 'standard';
+		const colored = !!this.dom?.imageColorCheckbox?.checked;
+		// Only used for video files; GIFs keep their own frame timing
+		const fps = parseInt(this.dom?.imageFpsInput?.value ?? '10', 10) || 10;
 
 		if (!file) {
 			return { ok: false, options: null, error: 'Please select an image first.' };
 		}
 
-		return { ok: true, options: { file, width, charSet } };
+		return { ok: true, options: { file, width, charSet, colored, fps } };
 	}
 
 	/**
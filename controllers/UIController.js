@@ -15,17 +15,21 @@
  */
 
 class UIController {
-    constructor(eventBus, config, inputReader, inputValidator, outputPanel) {
+    constructor(eventBus, config, inputReader, inputValidator, outputPanel, asciiRenderer = null) {
         this.eventBus = eventBus;
         this.config = config;
         this.inputReader = inputReader;
         this.validator = inputValidator;
         this.outputPanel = outputPanel;
+        this.asciiRenderer = asciiRenderer;
         this.dom = {};
         this.state = {
             currentMode: 'text',
-            isGenerating: false
+            isGenerating: false,
+            layerCount: 0
         };
+        this.history = new ResultHistory();
+        this.editedEntry = null;
         
         this.initialize();
     }
@@ -38,6 +42,9 @@ class UIController {
         
         try {
             this.cacheDOM();
+            this.setupOutputEditor();
+            this.setupGallery();
+            this.setupExport();
             this.attachEventListeners();
             this.subscribeToEvents();
             this.setInitialMode('text');
@@ -74,6 +81,7 @@ class UIController {
             fontSelect: document.getElementById('font-select'),
             colorSelect: document.getElementById('color-select'),
             animationSelect: document.getElementById('animation-select'),
+            animationSpeed: document.getElementById('animation-speed'),
             imageWidthSlider: document.getElementById('image-width'),
             imageCharsSelect: document.getElementById('image-chars'),
             poetryLayoutSelect: document.getElementById('poetry-layout'),
@@ -93,6 +101,61 @@ class UIController {
         console.log('📦 UIController: DOM cached');
     }
 
+    /**
+     * Edit mode for the output; edits travel on the bus to DisplayManager
+     */
+    setupOutputEditor() {
+        if (typeof OutputEditor === 'undefined' || !this.outputPanel) return;
+        this.outputEditor = new OutputEditor({
+            output: this.outputPanel.outputElement,
+            notify: (message, type) => this.showNotification(message, type),
+            onChange: (cells) => this.eventBus.emit(EventBus.Events.OUTPUT_EDITED, { cells }),
+            onClose: () => this.eventBus.emit(EventBus.Events.OUTPUT_EDIT_END)
+        });
+    }
+
+    /**
+     * Saved generations, kept in IndexedDB under the configured history key
+     */
+    setupGallery() {
+        const storage = this.config?.storage;
+        if (typeof HistoryStore === 'undefined' || !storage?.enabled) return;
+
+        this.historyStore = new HistoryStore({ name: storage.keys.history, limit: storage.historyLimit });
+        if (typeof HistoryGallery === 'undefined') return;
+        this.gallery = new HistoryGallery({
+            store: this.historyStore,
+            notify: (message, type) => this.showNotification(message, type),
+            onRestore: (entry) => {
+                this.history.push(entry.result);
+                this.restoreEntry(this.history.current);
+            }
+        });
+    }
+
+    /**
+     * Export dialog; exports the displayed cells in the current result's color
+     */
+    setupExport() {
+        if (typeof ExportDialog === 'undefined' || !this.outputPanel) return;
+        this.exportDialog = new ExportDialog({
+            notify: (message, type) => this.showNotification(message, type),
+            measure: this.asciiRenderer ? (text) => this.asciiRenderer.getDimensions(text) : null,
+            getOutput: () => {
+                const cells = this.outputPanel.getCells();
+                if (!cells) return null;
+                return {
+                    cells,
+                    color: this.history.current?.metadata?.color || 'none',
+                    animation: this.outputPanel.getAnimation(),
+                    animationSpeed: this.outputPanel.animationSpeed,
+                    flipbook: this.outputPanel.getFlipbook(),
+                    fontFamily: window.getComputedStyle(this.outputPanel.outputElement).fontFamily
+                };
+            }
+        });
+    }
+
     /**
      * Validate that critical DOM elements exist
      */
@@ -134,6 +197,32 @@ class UIController {
         this.dom.imageInput?.addEventListener('change', () => this.updateGenerateButtonState());
         this.dom.poemInput?.addEventListener('input', () => this.updateGenerateButtonState());
 
+        // Animation is how the output is shown, so changing it needs no new generation
+        this.dom.animationSelect?.addEventListener('change', () => {
+            this.outputPanel?.applyAnimation(this.dom.animationSelect.value);
+        });
+        if (this.dom.animationSpeed) {
+            this.outputPanel?.setAnimationSpeed(this.dom.animationSpeed.value);
+            this.dom.animationSpeed.addEventListener('input', () => {
+                this.outputPanel?.setAnimationSpeed(this.dom.animationSpeed.value);
+            });
+        }
+
+        // History shortcuts; text fields keep their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName) || e.target?.isContentEditable) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
         // Keyword input (not a button)
         if (this.dom.keywordsInput) {
             this.dom.keywordsInput.addEventListener('keypress', (e) => {
@@ -156,22 +245,44 @@ class UIController {
         this.eventBus.on('ui:copy:click', () => this.onCopyClick());
         this.eventBus.on('ui:download:click', () => this.onDownloadClick());
         this.eventBus.on('ui:clear:click', () => this.onClearClick());
+        this.eventBus.on('ui:layer:add:click', () => this.onAddLayerClick());
+        this.eventBus.on('ui:edit:click', () => this.onEditClick());
+        this.eventBus.on('ui:export:click', () => this.exportDialog?.open());
+        this.eventBus.on('ui:history:undo', () => this.undo());
+        this.eventBus.on('ui:history:redo', () => this.redo());
+        this.eventBus.on('ui:gallery:click', () => this.gallery?.open());
+
+        // Edited output becomes its own history entry
+        this.eventBus.on(EventBus.Events.OUTPUT_EDITED, ({ cells }) => this.onOutputEdited(cells));
+        this.eventBus.on(EventBus.Events.OUTPUT_EDIT_END, () => {
+            this.editedEntry = null;
+        });
         this.eventBus.on('ui:mode:switch', (data) => this.switchMode(data.mode));
 
         // Generation start
         this.eventBus.on(EventBus.Events.TEXT_GENERATION_START, () => this.onGenerationStart('text'));
         this.eventBus.on(EventBus.Events.IMAGE_GENERATION_START, () => this.onGenerationStart('image'));
         this.eventBus.on(EventBus.Events.POETRY_GENERATION_START, () => this.onGenerationStart('poetry'));
+        this.eventBus.on(EventBus.Events.COMPOSITION_GENERATION_START, () => this.onGenerationStart('compose'));
 
         // Generation complete
         this.eventBus.on(EventBus.Events.TEXT_GENERATION_COMPLETE, (result) => this.onGenerationComplete(result));
         this.eventBus.on(EventBus.Events.IMAGE_GENERATION_COMPLETE, (result) => this.onGenerationComplete(result));
         this.eventBus.on(EventBus.Events.POETRY_GENERATION_COMPLETE, (result) => this.onGenerationComplete(result));
+        this.eventBus.on(EventBus.Events.COMPOSITION_GENERATION_COMPLETE, (result) => this.onGenerationComplete(result));
+
+        // Banners and poems are saved to the gallery
+        this.eventBus.on(EventBus.Events.TEXT_GENERATION_COMPLETE, (result) => this.saveToGallery(result, 'text'));
+        this.eventBus.on(EventBus.Events.POETRY_GENERATION_COMPLETE, (result) => this.saveToGallery(result, 'poetry'));
 
         // Generation errors
         this.eventBus.on(EventBus.Events.TEXT_GENERATION_ERROR, (error) => this.onGenerationError(error));
         this.eventBus.on(EventBus.Events.IMAGE_GENERATION_ERROR, (error) => this.onGenerationError(error));
         this.eventBus.on(EventBus.Events.POETRY_GENERATION_ERROR, (error) => this.onGenerationError(error));
+        this.eventBus.on(EventBus.Events.COMPOSITION_GENERATION_ERROR, (error) => this.onGenerationError(error));
+
+        // Composition layers
+        this.eventBus.on(EventBus.Events.COMPOSITION_LAYERS_CHANGED, ({ layers }) => this.onLayersChanged(layers));
 
         // UI notifications (for warnings, status updates)
         this.eventBus.on('ui:notification', (notification) => this.showNotification(notification.message, notification.type));
@@ -191,6 +302,16 @@ class UIController {
             return;
         }
 
+        // A new result replaces the one being edited
+        this.outputEditor?.close();
+
+        // Compose mode flattens the layers instead of reading an input
+        if (this.state.currentMode === 'compose') {
+            this.disableGenerateButton();
+            this.eventBus.emit(EventBus.Events.REQUEST_COMPOSITION);
+            return;
+        }
+
         try {
             const { ok, options, error } = this.inputReader.readTextOptions();
             
@@ -243,8 +364,38 @@ class UIController {
         this.showNotification('✅ Downloaded successfully', 'success');
     }
 
+    onEditClick() {
+        console.log('✏️ UIController: Edit clicked');
+        if (!this.outputEditor) return;
+
+        if (this.outputEditor.isOpen) {
+            this.outputEditor.close();
+        } else if (this.outputPanel?.getCells()) {
+            this.outputPanel.stopAnimation();
+            this.outputEditor.open(this.outputPanel.getCells());
+        } else {
+            this.showNotification('⚠️ Nothing to edit', 'warning');
+        }
+    }
+
+    onAddLayerClick() {
+        console.log('🧩 UIController: Add layer clicked');
+        this.eventBus.emit(EventBus.Events.REQUEST_COMPOSITION_LAYER, {});
+    }
+
+    onLayersChanged(layers) {
+        this.state.layerCount = layers.length;
+        this.updateGenerateButtonState();
+
+        // The output follows the layers while composing
+        if (this.state.currentMode === 'compose' && layers.length) {
+            this.eventBus.emit(EventBus.Events.REQUEST_COMPOSITION);
+        }
+    }
+
     onClearClick() {
         console.log('🗑️ UIController: Clear clicked');
+        this.outputEditor?.close();
         if (this.outputPanel) {
             this.outputPanel.clear();
             this.showNotification('🗑️ Cleared', 'info');
@@ -294,6 +445,9 @@ class UIController {
             return;
         }
 
+        this.history.push(result);
+        this.updateHistoryButtons();
+
         // Update stats if available
         if (result.ascii && this.dom.outputStats) {
             const lines = result.ascii.split('\n');
@@ -316,13 +470,85 @@ class UIController {
         this.showNotification(`❌ ${message}`, 'error');
     }
 
+    /**
+     * HISTORY
+     */
+
+    undo() {
+        if (this.state.isGenerating) return;
+        const entry = this.history.undo();
+        if (entry) this.restoreEntry(entry);
+    }
+
+    redo() {
+        if (this.state.isGenerating) return;
+        const entry = this.history.redo();
+        if (entry) this.restoreEntry(entry);
+    }
+
+    /**
+     * Show a history entry and put the inputs back the way they produced it
+     * @param {Object} entry - Result snapshot
+     */
+    restoreEntry(entry) {
+        this.outputEditor?.close();
+
+        const meta = entry.metadata || {};
+        const set = (input, value) => {
+            if (input && value !== undefined && value !== null) input.value = value;
+        };
+        const mode = meta.layers ? 'compose' : meta.poem !== undefined ? 'poetry' : meta.fileName ? 'image' : 'text';
+        this.switchMode(mode);
+
+        set(this.dom.textInput, meta.text);
+        set(this.dom.poemInput, meta.poem);
+        set(this.dom.fontSelect, meta.fit?.requestedFont || meta.fontName);
+        set(this.dom.colorSelect, meta.color);
+        set(this.dom.animationSelect, meta.animation);
+
+        this.eventBus.emit(EventBus.Events.HISTORY_RESTORE, entry);
+        this.updateHistoryButtons();
+        this.updateGenerateButtonState();
+    }
+
+    onOutputEdited(cells) {
+        if (!this.history.current) return;
+        if (!this.editedEntry) {
+            this.editedEntry = this.history.push(this.history.current);
+            this.updateHistoryButtons();
+        }
+        this.editedEntry.ascii = cells.toText();
+        this.editedEntry.cells = cells.clone();
+        this.editedEntry.metadata = { ...this.editedEntry.metadata, edited: true };
+        // An edited frame of animated input is a still; undo gets the animation back
+        delete this.editedEntry.flipbook;
+    }
+
+    saveToGallery(result, mode) {
+        if (!this.historyStore || !result?.success || !result.ascii) return;
+
+        const meta = result.metadata || {};
+        this.historyStore.add(result, {
+            mode,
+            text: mode === 'poetry' ? meta.poem : meta.text,
+            font: meta.fit?.requestedFont || meta.fontName
+        }).catch(error => console.error('❌ UIController: Could not save to history:', error));
+    }
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('history-undo-btn');
+        const redoBtn = document.getElementById('history-redo-btn');
+        if (undoBtn) undoBtn.disabled = !this.history.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.history.canRedo();
+    }
+
     /**
      * MODE MANAGEMENT
      */
 
     switchMode(mode) {
         // Validate mode
-        const validModes = ['text', 'image', 'poetry'];
+        const validModes = ['text', 'image', 'poetry', 'compose'];
         
         if (!validModes.includes(mode)) {
             console.error(`❌ UIController: Invalid mode "${mode}". Valid modes: ${validModes.join(', ')}`);
@@ -377,6 +603,9 @@ class UIController {
             case 'poetry':
                 canGenerate = !!(this.dom.poemInput?.value?.trim());
                 break;
+            case 'compose':
+                canGenerate = this.state.layerCount > 0;
+                break;
         }
 
         this.dom.generateBtn.disabled = !canGenerate;
@@ -491,8 +720,10 @@ class UIController {
             this.showLoading(false);
             this.enableGenerateButton();
             
-            // Reset output
-            if (this.outputPanel) {
+            // Back to the current history entry, or an empty output without one
+            if (this.history.current) {
+                this.eventBus.emit(EventBus.Events.HISTORY_RESTORE, this.history.current);
+            } else if (this.outputPanel) {
                 this.outputPanel.setDefaultState();
             }
             
@@ -522,7 +753,8 @@ class UIController {
             // Reset state
             this.state = {
                 currentMode: 'text',
-                isGenerating: false
+                isGenerating: false,
+                layerCount: 0
             };
             
             // Re-cache DOM
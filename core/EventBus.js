@@ -193,10 +193,15 @@ EventBus.Events = {
     // Notifications
     NOTIFICATION_SHOW: 'notification:show',
 
+    // Fonts
+    FONTS_REGISTERED: 'fonts:registered',
+
     // UI Requests to Services
     REQUEST_TEXT_GENERATION: 'request:text:gen',
     REQUEST_IMAGE_GENERATION: 'request:image:gen',
     REQUEST_POETRY_GENERATION: 'request:poetry:gen',
+    REQUEST_COMPOSITION_LAYER: 'request:compose:layer',
+    REQUEST_COMPOSITION: 'request:compose:gen',
 
     // Text Generation Cycle
     TEXT_GENERATION_START: 'text:gen:start',
@@ -212,6 +217,19 @@ EventBus.Events = {
     POETRY_GENERATION_START: 'poetry:gen:start',
     POETRY_GENERATION_COMPLETE: 'poetry:gen:complete',
     POETRY_GENERATION_ERROR: 'poetry:gen:error',
+
+    // History
+    HISTORY_RESTORE: 'history:restore',
+
+    // Output Editor
+    OUTPUT_EDITED: 'output:edited',
+    OUTPUT_EDIT_END: 'output:edit:end',
+
+    // Composition Cycle
+    COMPOSITION_LAYERS_CHANGED: 'compose:layers:changed',
+    COMPOSITION_GENERATION_START: 'compose:gen:start',
+    COMPOSITION_GENERATION_COMPLETE: 'compose:gen:complete',
+    COMPOSITION_GENERATION_ERROR: 'compose:gen:error',
 };
 
 // Export for use in other modules
@@ -149,8 +149,8 @@ window.debugGeneration = {
 
         try {
             const font = window.app.fontManager.getFont('standard');
-            if (font && font.A) {
-                console.log(`✅ Font loaded: ${font.A.length} lines for 'A'`);
+            if (font && font.glyphs && font.glyphs.A) {
+                console.log(`✅ Font loaded: ${font.height} lines for 'A'`);
                 return true;
             } else {
                 console.error('❌ Font not loaded properly');
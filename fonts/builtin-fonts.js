@@ -0,0 +1,1588 @@
+/**
+ * Built-in Fonts
+ * Font tables shared by the live app (script.js) and the modular app (app-new.js).
+ *
+ * Every entry is a loader returning a font in the FontModel schema; loaders run
+ * on first use. The table registers itself with FontRegistry.shared when loaded,
+ * so a font added here shows up in both apps.
+ */
+const BuiltinFonts = Object.freeze({
+    // ===== ENHANCED CORE FONTS =====
+
+    // Standard (improved clarity)
+    standard: () => ({
+        name: 'standard',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['classic', 'hash'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': [' ??? ', '   ? ', '  ?  ', '     ', '  ?  '],
+            '!': ['  #  ', '  #  ', '  #  ', '     ', '  #  '],
+            '"': [' # # ', ' # # ', '     ', '     ', '     '],
+            '#': [' # # ', '#####', ' # # ', '#####', ' # # '],
+            '$': [' ####', '# #  ', ' ### ', '  # #', '#### '],
+            '%': ['##  #', '## # ', '  #  ', ' # ##', '#  ##'],
+            '&': [' ##  ', '#  # ', ' ## #', '#  # ', ' ## #'],
+            '\'': ['  #  ', '  #  ', '     ', '     ', '     '],
+            '(': ['   # ', '  #  ', '  #  ', '  #  ', '   # '],
+            ')': [' #   ', '  #  ', '  #  ', '  #  ', ' #   '],
+            '*': ['     ', '# # #', ' ### ', '# # #', '     '],
+            '+': ['     ', '  #  ', '#####', '  #  ', '     '],
+            ',': ['     ', '     ', '     ', '  #  ', ' #   '],
+            '-': ['     ', '     ', '#####', '     ', '     '],
+            '.': ['     ', '     ', '     ', '     ', '  #  '],
+            '/': ['    #', '   # ', '  #  ', ' #   ', '#    '],
+            ':': ['     ', '  #  ', '     ', '  #  ', '     '],
+            ';': ['     ', '  #  ', '     ', '  #  ', ' #   '],
+            '<': ['   # ', '  #  ', ' #   ', '  #  ', '   # '],
+            '=': ['     ', '#####', '     ', '#####', '     '],
+            '>': [' #   ', '  #  ', '   # ', '  #  ', ' #   '],
+            '@': [' ### ', '#   #', '# ###', '#    ', ' ### '],
+            '[': ['  ## ', '  #  ', '  #  ', '  #  ', '  ## '],
+            '\\': ['#    ', ' #   ', '  #  ', '   # ', '    #'],
+            ']': [' ##  ', '  #  ', '  #  ', '  #  ', ' ##  '],
+            '^': ['  #  ', ' # # ', '#   #', '     ', '     '],
+            '_': ['     ', '     ', '     ', '     ', '#####'],
+            '`': [' #   ', '  #  ', '     ', '     ', '     '],
+            '{': ['   ##', '  #  ', ' ##  ', '  #  ', '   ##'],
+            '|': ['  #  ', '  #  ', '  #  ', '  #  ', '  #  '],
+            '}': ['##   ', '  #  ', '  ## ', '  #  ', '##   '],
+            '~': ['     ', ' #   ', '# # #', '   # ', '     '],
+            '0': [' ### ', '#   #', '#   #', '#   #', ' ### '],
+            '1': ['  #  ', ' ##  ', '  #  ', '  #  ', ' ### '],
+            '2': [' ### ', '    #', '  #  ', ' #   ', '#####'],
+            '3': [' ### ', '    #', '  ## ', '    #', ' ### '],
+            '4': ['#   #', '#   #', ' ####', '    #', '    #'],
+            '5': ['#####', '#    ', ' ### ', '    #', '##### '],
+            '6': [' ### ', '#    ', '#### ', '#   #', ' ### '],
+            '7': ['#####', '    #', '   # ', '  #  ', ' #   '],
+            '8': [' ### ', '#   #', ' ### ', '#   #', ' ### '],
+            '9': [' ### ', '#   #', ' ####', '    #', ' ### '],
+            'A': [' ### ', '#   #', '#####', '#   #', '#   #'],
+            'B': ['#### ', '#   #', '#### ', '#   #', '#### '],
+            'C': [' ### ', '#    ', '#    ', '#    ', ' ### '],
+            'D': ['#### ', '#   #', '#   #', '#   #', '#### '],
+            'E': ['#####', '#    ', '#### ', '#    ', '#####'],
+            'F': ['#####', '#    ', '#### ', '#    ', '#    '],
+            'G': [' ### ', '#    ', '#  ##', '#   #', ' ### '],
+            'H': ['#   #', '#   #', '#####', '#   #', '#   #'],
+            'I': ['#####', '  #  ', '  #  ', '  #  ', '#####'],
+            'J': [' ###', '   #', '   #', '#  #', ' ## '],
+            'K': ['#   #', '#  # ', '###  ', '#  # ', '#   #'],
+            'L': ['#    ', '#    ', '#    ', '#    ', '#####'],
+            'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
+            'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
+            'O': [' ### ', '#   #', '#   #', '#   #', ' ### '],
+            'P': ['#### ', '#   #', '#### ', '#    ', '#    '],
+            'Q': [' ### ', '#   #', '#   #', '#  # ', ' ####'],
+            'R': ['#### ', '#   #', '#### ', '#  # ', '#   #'],
+            'S': [' ####', '#    ', ' ### ', '    #', '#### '],
+            'T': ['#####', '  #  ', '  #  ', '  #  ', '  #  '],
+            'U': ['#   #', '#   #', '#   #', '#   #', ' ### '],
+            'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
+            'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
+            'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
+            'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
+            'Z': ['#####', '   # ', '  #  ', ' #   ', '#####']
+        }
+    }),
+
+    // Block (solid)
+    block: () => GlyphFill.apply(BuiltinFonts.standard(), 'char', {
+        chars: '█',
+        name: 'block',
+        metadata: { tags: ['solid', 'blocks'] }
+    }),
+
+    // Mini 3-row compact
+    mini: () => ({
+        name: 'mini',
+        height: 3,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['compact', 'blocks'] },
+        glyphs: {
+            ' ': ['   ', '   ', '   '],
+            '?': [' ? ', ' ? ', '   '],
+            '0': ['###', '# #', '###'],
+            '1': [' ##', '  #', '###'],
+            '2': ['## ', ' # ', '###'],
+            '3': ['## ', ' ##', '## '],
+            '4': ['# #', '###', '  #'],
+            '5': ['###', '##', '## '],
+            '6': ['## ', '###', '## '],
+            '7': ['###', '  #', '  #'],
+            '8': ['###', '###', '###'],
+            '9': ['###', '## ', '###'],
+            'A': [' # ', '# #', '###'],
+            'B': ['##', '##', '##'],
+            'C': [' ##', '#  ', '## '],
+            'D': ['##', '# #', '##'],
+            'E': ['###', '##', '###'],
+            'F': ['###', '##', '#  '],
+            'G': [' ##', '# #', '## '],
+            'H': ['# #', '###', '# #'],
+            'I': ['###', ' # ', '###'],
+            'J': ['###', '  #', '## '],
+            'K': ['# #', '##', '# #'],
+            'L': ['#  ', '#  ', '###'],
+            'M': ['###', '###', '# #'],
+            'N': ['##', '###', '# #'],
+            'O': ['###', '# #', '###'],
+            'P': ['##', '##', '#  '],
+            'Q': ['###', '# #', '###'],
+            'R': ['##', '##', '# #'],
+            'S': [' ##', '##', '## '],
+            'T': ['###', ' # ', ' # '],
+            'U': ['# #', '# #', '###'],
+            'V': ['# #', '# #', ' # '],
+            'W': ['# #', '###', '###'],
+            'X': ['# #', ' # ', '# #'],
+            'Y': ['# #', ' # ', ' # '],
+            'Z': ['###', ' # ', '###']
+        }
+    }),
+
+    // Small (compact but readable)
+    small: () => ({
+        name: 'small',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['compact'] },
+        glyphs: {
+            ' ': ['   ', '   ', '   ', '   ', '   '],
+            '?': [' ? ', ' ? ', '   ', '   ', '   '],
+            '0': ['## ', '# #', '# #', '# #', '## '],
+            '1': [' # ', '## ', ' # ', ' # ', '###'],
+            '2': ['## ', '  #', ' ##', ' #  ', '###'],
+            '3': ['## ', '  #', ' ## ', '  #', '## '],
+            '4': ['# #', '###', '  #', '  #', '  #'],
+            '5': ['###', '#  ', '## ', '  #', '## '],
+            '6': ['## ', '#  ', '###', '# #', '## '],
+            '7': ['###', '  #', ' # ', '#  ', '#  '],
+            '8': ['## ', '# #', '## ', '# #', '## '],
+            '9': ['## ', '# #', '###', '  #', '## '],
+            'A': [' # ', '# #', '###', '# #', '# #'],
+            'B': ['##', '# #', '##', '# #', '##'],
+            'C': [' ##', '#  ', '#  ', '#  ', '##'],
+            'D': ['##', '# #', '# #', '# #', '##'],
+            'E': ['###', '#  ', '## ', '#  ', '###'],
+            'F': ['###', '#  ', '## ', '#  ', '#  '],
+            'G': [' ##', '#  ', '# #', '# #', '## '],
+            'H': ['# #', '# #', '###', '# #', '# #'],
+            'I': ['###', ' # ', ' # ', ' # ', '###'],
+            'J': ['  #', '  #', '  #', '# #', '## '],
+            'K': ['# #', ' ##', '#  ', ' ##', '# #'],
+            'L': ['#  ', '#  ', '#    ', '#  ', '###'],
+            'M': ['# #', '###', '# #', '# #', '# #'],
+            'N': ['##', '# #', '# #', '# #', '##'],
+            'O': ['## ', '# #', '# #', '# #', '## '],
+            'P': ['##', '# #', '##', '#  ', '#  '],
+            'Q': ['## ', '# #', '# #', '## ', '  #'],
+            'R': ['##', '# #', '##', ' ##', '# #'],
+            'S': [' ##', '#  ', '## ', '  #', '## '],
+            'T': ['###', ' # ', ' # ', ' # ', ' # '],
+            'U': ['# #', '# #', '# #', '# #', '## '],
+            'V': ['# #', '# #', '# #', ' ##', ' # '],
+            'W': ['# #', '# #', '###', '###', '# #'],
+            'X': ['# #', ' ##', ' # ', ' ##', '# #'],
+            'Y': ['# #', ' ##', ' # ', ' # ', ' # '],
+            'Z': ['###', '  #', ' # ', ' # ', '###']
+        }
+    }),
+
+    // Bubble (rounded)
+    bubble: () => ({
+        name: 'bubble',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['rounded'] },
+        glyphs: {
+            ' ': ['    ', '    ', '    ', '    ', '    '],
+            '?': [' ?? ', '  ? ', '    ', '  ? ', '    '],
+            '0': [' oo ', 'o  o', 'o  o', 'o  o', ' oo '],
+            '1': [' o  ', 'oo  ', ' o  ', ' o  ', 'ooo '],
+            '2': [' oo ', 'o  o', '   o', ' o  ', 'oooo'],
+            '3': [' oo ', 'o  o', '  o ', 'o  o', ' oo '],
+            '4': ['o   ', 'o  o', 'oooo', '   o', '   o'],
+            '5': ['oooo', 'o   ', ' oo ', '   o', ' oo '],
+            '6': [' oo ', 'o   ', 'ooo ', 'o  o', ' oo '],
+            '7': ['oooo', '   o', '  o ', ' o  ', ' o  '],
+            '8': [' oo ', 'o  o', ' oo ', 'o  o', ' oo '],
+            '9': [' oo ', 'o  o', ' ooo', '   o', ' oo '],
+            'A': [' oo ', 'o  o', 'oooo', 'o  o', 'o  o'],
+            'B': ['ooo ', 'o  o', 'ooo ', 'o  o', 'ooo '],
+            'C': [' oo ', 'o   ', 'o   ', 'o   ', ' oo '],
+            'D': ['ooo ', 'o  o', 'o  o', 'o  o', 'ooo '],
+            'E': ['oooo', 'o   ', 'ooo ', 'o   ', 'oooo'],
+            'F': ['oooo', 'o   ', 'ooo ', 'o   ', 'o   '],
+            'G': [' oo ', 'o   ', 'o oo', 'o  o', ' oo '],
+            'H': ['o  o', 'o  o', 'oooo', 'o  o', 'o  o'],
+            'I': [' ooo', '  o ', '  o ', '  o ', ' ooo'],
+            'J': ['  oo', '   o', '   o', 'o  o', ' oo '],
+            'K': ['o  o', ' oo ', 'o   ', ' oo ', 'o  o'],
+            'L': ['o   ', 'o   ', 'o   ', 'o   ', 'oooo'],
+            'M': ['o   o', 'oo oo', 'o o o', 'o   o', 'o   o'],
+            'N': ['oo  o', 'o o o', 'o o o', 'o  oo', 'o   o'],
+            'O': [' oo ', 'o  o', 'o  o', 'o  o', ' oo '],
+            'P': ['ooo ', 'o  o', 'ooo ', 'o   ', 'o   '],
+            'Q': [' oo ', 'o  o', 'o  o', 'o oo', ' ooo'],
+            'R': ['ooo ', 'o  o', 'ooo ', 'o  o', 'o  o'],
+            'S': [' ooo', 'o   ', ' oo ', '   o', 'ooo '],
+            'T': ['oooo', '  o ', '  o ', '  o ', '  o '],
+            'U': ['o  o', 'o  o', 'o  o', 'o  o', ' oo '],
+            'V': ['o  o', 'o  o', 'o  o', ' oo ', '  o '],
+            'W': ['o   o', 'o   o', 'o o o', 'oo oo', 'o   o'],
+            'X': ['o  o', ' oo ', '  o ', ' oo ', 'o  o'],
+            'Y': ['o  o', ' oo ', '  o ', '  o ', '  o '],
+            'Z': ['oooo', '   o', '  o ', ' #   ', '#####']
+        }
+    }),
+
+    // 3D (depth effect)
+    '3d': () => ({
+        name: '3d',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['depth'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': ['  ?  ', '  ?  ', '     ', '  ?  ', '     '],
+            '0': [' ### ', '#  ##', '#  ##', ' ### ', '     '],
+            '1': ['   # ', '  ## ', '   # ', '   # ', '  ###'],
+            '2': [' ### ', '#   #', '   # ', '  #  ', ' ####'],
+            '3': [' ### ', '   ##', '   # ', '#  ##', ' ### '],
+            '4': ['#   #', '#   #', ' #### ', '    #', '    #'],
+            '5': [' #### ', '#     ', ' #### ', '     #', ' #### '],
+            '6': [' ### ', '#    ', ' ###', '#  ##', ' ### '],
+            '7': [' ####', '    #', '   # ', '  #  ', ' #   '],
+            '8': [' ### ', '#  ##', ' ### ', '#  ##', ' ### '],
+            '9': [' ### ', '#  ##', ' ####', '    #', ' ### '],
+            'A': ['  #  ', ' ###', '#   #', ' #### ', '#   #'],
+            'B': [' #### ', '#    #', ' ### ', '#    #', ' #### '],
+            'C': [' ###', '#   ', '#   ', '#   ', ' ###'],
+            'D': [' #### ', '#    #', '#    #', '#    #', ' #### '],
+            'E': [' #### ', '#     ', ' ### ', '#     ', ' #### '],
+            'F': [' #### ', '#     ', ' ### ', '#     ', '#     '],
+            'G': [' ###', '#   ', '#  ##', '#   #', ' ###'],
+            'H': ['#   #', '#   #', ' #### ', '#   #', '#   #'],
+            'I': [' ### ', '  #  ', '  #  ', '  #  ', ' ### '],
+            'J': ['    #', '    #', '    #', '#   #', ' ### '],
+            'K': ['#   #', '  ##', ' #   ', '  ##', '#   #'],
+            'L': ['#    ', '#    ', '#    ', '#    ', ' #### '],
+            'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
+            'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
+            'O': [' ### ', '#   #', '#   #', '#   #', ' ### '],
+            'P': [' ####', '#   #', ' #### ', '#    ', '#    '],
+            'Q': [' ### ', '#   #', '#   #', ' ### ', '    #'],
+            'R': [' ####', '#   #', ' #### ', '#  #░', '#   #'],
+            'S': [' ####', '#    ', ' ### ', '    #', ' ####'],
+            'T': [' ####', '  #  ', '  #  ', '  #  ', '  #  '],
+            'U': ['#   #', '#   #', '#   #', '#   #', ' ### '],
+            'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
+            'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
+            'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
+            'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
+            'Z': [' #### ', '    #', '   # ', '  #  ', ' #### ']
+        }
+    }),
+
+    // ===== NEW FONT STYLES (10 NEW) =====
+
+    // Outlined (box style)
+    outlined: () => ({
+        name: 'outlined',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['outline', 'box-drawing'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': [' [?] ', '  ?  ', '     ', '  ?  ', '     '],
+            '0': [' ___ ', '|   |', '|   |', '|   |', ' ‾‾‾ '],
+            '1': ['  |  ', ' _|  ', '  |  ', '  |  ', ' _|_ '],
+            '2': [' ___ ', '    |', '  _  ', ' |   ', ' ____ '],
+            '3': [' ___ ', '    |', '  __ ', '    |', ' ‾‾‾ '],
+            '4': ['|   |', '|___|', '    |', '    |', '    |'],
+            '5': [' ___ ', '|    ', ' ‾‾| ', '    |', '___  '],
+            '6': [' ___ ', '|    ', '| __ ', '|   |', ' ‾‾‾ '],
+            '7': [' ___ ', '    |', '   | ', '  |  ', '  |  '],
+            '8': [' ___ ', '|   |', ' ___ ', '|   |', ' ‾‾‾ '],
+            '9': [' ___ ', '|   |', ' ____', '    |', ' ‾‾‾ '],
+            'A': ['  _  ', ' / \\ ', '/   \\', '\\___/', '     '],
+            'B': [' ___ ', '|   |', '|___|', '|   |', '|___|'],
+            'C': [' ___ ', '|    ', '|    ', '|    ', ' ‾‾‾ '],
+            'D': [' ___ ', '|   \\', '|   |', '|   /', ' ‾‾‾ '],
+            'E': [' ___ ', '|    ', '|___ ', '|    ', '|___ '],
+            'F': [' ___ ', '|    ', '|___ ', '|    ', '|    '],
+            'G': [' ___ ', '|    ', '| __ ', '|   |', ' ‾‾‾ '],
+            'H': ['|   |', '|   |', '|___|', '|   |', '|   |'],
+            'I': [' ___ ', '  |  ', '  |  ', '  |  ', ' ___ '],
+            'J': ['  __ ', '    |', '    |', '|   |', ' ___ '],
+            'K': ['|   |', '|  / ', '| /  ', '|  \\\\', '|   |'],
+            'L': ['|    ', '|    ', '|    ', '|    ', '|___ '],
+            'M': ['|   |', '|\\ /|', '| V |', '|   |', '|   |'],
+            'N': ['|\\  |', '| \\ |', '|  \\|', '|   |', '|   |'],
+            'O': [' ___ ', '|   |', '|   |', '|   |', ' ‾‾‾ '],
+            'P': [' ___ ', '|   |', '|___ ', '|    ', '|    '],
+            'Q': [' ___ ', '|   |', '|   |', '|  / ', ' ‾\\ '],
+            'R': [' ___ ', '|   |', '|___ ', '|  \\\\', '|   |'],
+            'S': [' ___ ', '|    ', ' ___ ', '    |', '___  '],
+            'T': [' ___ ', '  |  ', '  |  ', '  |  ', '  |  '],
+            'U': ['|   |', '|   |', '|   |', '|   |', ' ‾‾‾ '],
+            'V': ['|   |', '|   |', '|   |', ' | | ', '  V  '],
+            'W': ['|   |', '|   |', '| | |', '| | |', '  W  '],
+            'X': ['|   |', ' \\ / ', '  X  ', ' / \\ ', '|   |'],
+            'Y': ['|   |', ' \\ / ', '  Y  ', '  |  ', '  |  '],
+            'Z': [' ___ ', '   / ', '  /  ', ' /   ', '/‾‾‾ ']
+        }
+    }),
+
+    // Italic (slanted)
+    italic: () => ({
+        name: 'italic',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['slanted'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': ['  ?  ', '  ?  ', '     ', '  ?  ', '     '],
+            '0': ['  ##/', '#  / ', '#  \\ ', '#  \\ ', ' ##\\ '],
+            '1': ['  / ', ' // ', '  / ', '  / ', '////'],
+            '2': [' ##/', '   / ', '  /  ', ' /   ', '///  '],
+            '3': [' ##/', '   / ', ' //  ', '   / ', '###  '],
+            '4': ['#   #', '#  / ', '/////', '   / ', '   / '],
+            '5': ['///  ', '/    ', ' ##/ ', '    / ', '###  '],
+            '6': ['##/ ', '/    ', '#### ', '/   / ', ' ##\\ '],
+            '7': ['/// ', '   / ', '  /  ', ' /   ', '/    '],
+            '8': ['##/ ', '/   / ', ' ##/ ', '/   / ', ' ##\\ '],
+            '9': ['##/ ', '/   / ', ' ###/ ', '   / ', ' ###/ '],
+            'A': ['  / ', ' / \\ ', '/   \\ ', '\\  / ', ' \\ / '],
+            'B': ['##/ ', '/  / ', '##/ ', '/  / ', '##/ '],
+            'C': [' ##/', '/   ', '/   ', '/   ', ' ##\\'],
+            'D': ['##/ ', '/  / ', '/  / ', '/  / ', '##\\'],
+            'E': ['///  ', '/    ', '//   ', '/    ', '///  '],
+            'F': ['///  ', '/    ', '//   ', '/    ', '/    '],
+            'G': [' ##/ ', '/    ', '/  ##', '/   / ', ' ##\\ '],
+            'H': ['/  / ', '/  / ', '/////', '/  / ', '/  / '],
+            'I': [' /// ', '  /  ', '  /  ', '  /  ', ' /// '],
+            'J': ['  ###', '    / ', '    / ', ' /  / ', ' ##/ '],
+            'K': ['/   / ', '  //  ', ' //   ', '  //  ', '/   / '],
+            'L': ['/    ', '|    ', '|    ', '|    ', '//// '],
+            'M': ['/   / ', '\\ // / ', ' / / ', '/   / ', '/   / '],
+            'N': [' \\ / ', '\\\\/ / ', ' / / ', '/  \\\\ ', '/   / '],
+            'O': [' ##/ ', '/   / ', '/   / ', '/   / ', ' ##\\ '],
+            'P': ['##/ ', '/  / ', '##/ ', '/   ', '/   '],
+            'Q': [' ##/ ', '/   / ', '/   / ', ' ##/ ', '   \\\\'],
+            'R': ['##/ ', '/  / ', '##/ ', '/  / ', '/   / '],
+            'S': [' ##/ ', '/    ', ' ##/ ', '    / ', '###  '],
+            'T': [' /// ', '  /  ', '  /  ', '  /  ', '  /  '],
+            'U': ['/   / ', '/   / ', '/   / ', '/   / ', ' ##/ '],
+            'V': ['/   / ', '/   / ', ' / / ', ' / / ', '  /  '],
+            'W': ['/   / ', '/   / ', ' / / / ', ' / / / ', '/   / '],
+            'X': ['/   / ', ' / / ', '  /  ', ' / \\ ', '/   / '],
+            'Y': ['/   / ', ' / / ', '  /  ', '  /  ', '  /  '],
+            'Z': [' /// ', '   / ', '  /  ', ' /   ', '//// ']
+        }
+    }),
+
+    // Shadow (3D drop shadow)
+    shadow: () => ({
+        name: 'shadow',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['depth', 'shadow'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': [' ??? ', '  ?░ ', ' ░   ', '  ?░ ', ' ░░░ '],
+            '0': [' ### ', '#  #░', '#  #░', '#  #░', ' ###░'],
+            '1': ['  # ░', ' ##░ ', '  #░ ', '  #░ ', ' ###░'],
+            '2': [' ###░', '#   #', '   #░', '  # ░', '#####'],
+            '3': [' ###░', '   ##', '  ##░', '   ##', ' ###░'],
+            '4': ['#   #', '#   #', ' ####', '   #░', '   ##'],
+            '5': [' ####', '#   ░', ' ###░', '    #', ' ###░'],
+            '6': [' ###░', '#   ░', ' ####', '#   #', ' ###░'],
+            '7': ['#####', '   #░', '  #░ ', '  # ░', '  ##░'],
+            '8': [' ###░', '#   #', ' ###░', '#   #', ' ###░'],
+            '9': [' ###░', '#   #', ' ####', '   ##', ' ###░'],
+            'A': [' ### ', '#  #░', ' ####', '#   #', '#   #'],
+            'B': [' ####', '#   #', ' ####', '#   #', ' ####'],
+            'C': [' ### ', '#   ░', '#    ', '#   ░', ' ### '],
+            'D': [' ####', '#   #', '#   #', '#   #', ' ####'],
+            'E': [' ####', '#    ', ' ####', '#    ', ' ####'],
+            'F': [' ####', '#    ', ' ### ', '#    ', '#    '],
+            'G': [' ### ', '#    ', '#  ##', '#   #', ' ### '],
+            'H': ['#   #', '#   #', ' ####', '#   #', '#   #'],
+            'I': [' ### ', '  #  ', '  #  ', '  #  ', ' ### '],
+            'J': ['    #', '    #', '    #', '#   #', ' ### '],
+            'K': ['#   #', '  ##', ' #   ', '  ##', '#   #'],
+            'L': ['#    ', '#    ', '#    ', '#    ', ' ####'],
+            'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
+            'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
+            'O': [' ### ', '#   #', '#   #', '#   #', ' ### '],
+            'P': [' ####', '#   #', ' #### ', '#    ', '#    '],
+            'Q': [' ### ', '#   #', '#   #', ' ####', '   ##'],
+            'R': [' ####', '#   #', ' #### ', '#  #░', '#   #'],
+            'S': [' ####', '#    ', ' ### ', '    #', ' ####'],
+            'T': [' ####', '  #  ', '  #  ', '  #  ', '  #  '],
+            'U': ['#   #', '#   #', '#   #', '#   #', ' ### '],
+            'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
+            'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
+            'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
+            'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
+            'Z': [' ####', '   # ', '  #  ', ' #   ', ' ####']
+        }
+    }),
+
+    // Retro (80s style with slashes)
+    retro: () => ({
+        name: 'retro',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['retro', 'slashes'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': [' |?| ', '  ?  ', '     ', '  ?  ', '     '],
+            '0': ['|###|', '#   #', '#   #', '#   #', '|###|'],
+            '1': ['  |  ', ' ||  ', '  |  ', '  |  ', ' |||'],
+            '2': ['|###|', '    #', '  |  ', '  #  ', '|###|'],
+            '3': ['|###|', '    #', ' |#| ', '    #', '|###|'],
+            '4': ['|   |', '#   #', '|###|', '    #', '    |'],
+            '5': ['|###|', '#    ', '|##| ', '    #', '|###|'],
+            '6': ['|###|', '#    ', '|###|', '#   #', '|###|'],
+            '7': ['|###|', '    #', '   | ', '  |  ', ' |   '],
+            '8': ['|###|', '#   #', '|###|', '#   #', '|###|'],
+            '9': ['|###|', '#   #', '|####', '    #', '|###|'],
+            'A': [' |#| ', ' # # ', '|###|', '#   #', '#   #'],
+            'B': ['|##| ', '#   #', '|##| ', '#   #', '|##| '],
+            'C': [' |#| ', '#    ', '#    ', '#    ', ' |#| '],
+            'D': ['|##| ', '#   #', '#   #', '#   #', '|##| '],
+            'E': ['|###|', '#    ', '|### ', '#    ', '|###|'],
+            'F': ['|###|', '#    ', '|### ', '#    ', '#    '],
+            'G': [' |#| ', '#    ', '# |#|', '#   #', ' |#| '],
+            'H': ['#   #', '#   #', '|###|', '#   #', '#   #'],
+            'I': ['|###|', '  #  ', '  #  ', '  #  ', '|###|'],
+            'J': ['|###|', '   # ', '   # ', '#  # ', ' ##  '],
+            'K': ['#   #', '#  | ', '|#   ', '#  | ', '#   #'],
+            'L': ['#    ', '#    ', '#    ', '#    ', '|###|'],
+            'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
+            'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
+            'O': [' |#| ', '#   #', '#   #', '#   #', ' |#| '],
+            'P': ['|##| ', '#   #', '|##| ', '#    ', '#    '],
+            'Q': [' |#| ', '#   #', '#   #', ' |##|', '    |'],
+            'R': ['|##| ', '#   #', '|##| ', '#  | ', '#   #'],
+            'S': [' |#| ', '#    ', ' |#| ', '    #', ' |#| '],
+            'T': ['|###|', '  #  ', '  #  ', '  #  ', '  #  '],
+            'U': ['#   #', '#   #', '#   #', '#   #', ' |#| '],
+            'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
+            'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
+            'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
+            'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
+            'Z': ['|###|', '   # ', '  #  ', ' #   ', '|###|']
+        }
+    }),
+
+    // Tech (futuristic)
+    tech: () => ({
+        name: 'tech',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['futuristic'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': [' [?] ', ' [?] ', '     ', ' [?] ', '     '],
+            '0': ['[###]', '#   #', '#   #', '#   #', '[###]'],
+            '1': ['  [# ', ' [## ', '  [# ', '  [# ', '[###]'],
+            '2': ['[### ', '    #', '  [  ', '  #  ', '[###]'],
+            '3': ['[### ', '    #', ' [## ', '    #', '[###]'],
+            '4': ['#   #', '#   #', '[####', '    #', '    #'],
+            '5': ['[###]', '#    ', ' [##]', '    #', '[###]'],
+            '6': ['[###]', '#    ', '[##] ', '#   #', '[###]'],
+            '7': ['[###]', '    #', '   [ ', '  [  ', ' [   '],
+            '8': ['[###]', '#   #', '[###]', '#   #', '[###]'],
+            '9': ['[###]', '#   #', '[####', '    #', '[###]'],
+            'A': [' [#] ', ' # # ', '[###]', '#   #', '#   #'],
+            'B': ['[##]', '#   #', '[##]', '#   #', '[##]'],
+            'C': [' [#] ', '#    ', '#    ', '#    ', ' [#] '],
+            'D': ['[##]', '#   #', '#   #', '#   #', '[##]'],
+            'E': ['[###]', '#    ', '[##]', '#    ', '[###]'],
+            'F': ['[###]', '#    ', '[##]', '#    ', '#    '],
+            'G': [' [#] ', '#    ', '# [#]', '#   #', ' [#] '],
+            'H': ['#   #', '#   #', '[###]', '#   #', '#   #'],
+            'I': ['[###]', '  #  ', '  #  ', '  #  ', '[###]'],
+            'J': ['[###]', '   # ', '   # ', '#  # ', ' [#] '],
+            'K': ['#   #', '#  [ ', '[#   ', '#  [ ', '#   #'],
+            'L': ['#    ', '#    ', '#    ', '#    ', '[###]'],
+            'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
+            'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
+            'O': [' [#] ', '#   #', '#   #', '#   #', ' [#] '],
+            'P': ['[##]', '#   #', '[##]', '#    ', '#    '],
+            'Q': [' [#] ', '#   #', '#   #', ' [##]', '    #'],
+            'R': ['[##]', '#   #', '[##]', '#  [ ', '#   #'],
+            'S': [' [#] ', '#    ', ' [#] ', '    #', ' [#] '],
+            'T': ['[###]', '  #  ', '  #  ', '  #  ', '  #  '],
+            'U': ['#   #', '#   #', '#   #', '#   #', ' [#] '],
+            'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
+            'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
+            'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
+            'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
+            'Z': ['[###]', '   # ', '  #  ', ' #   ', '[###]']
+        }
+    }),
+
+    // Gothic (medieval/dark)
+    gothic: () => ({
+        name: 'gothic',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['decorative'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': [' |?| ', '  ?  ', '     ', '  ?  ', ' |_| '],
+            '0': [' |#| ', '#   #', '#   #', '#   #', ' |#| '],
+            '1': ['  |  ', ' ||  ', '  |  ', '  |  ', ' _|_ '],
+            '2': [' |#| ', '    #', '  |  ', '  #  ', '  |# '],
+            '3': [' |#| ', '    #', ' |#| ', '    #', ' |#| '],
+            '4': [' # | ', '#  | ', ' _||_', '    | ', '    | '],
+            '5': [' |# | ', '|    ', ' |## ', '    #', ' |## '],
+            '6': [' |## ', '|    ', ' |##|', '#   #', ' |##|'],
+            '7': [' |##|', '    #', '   | ', '  |  ', ' |   '],
+            '8': [' |#| ', '#   #', ' |#| ', '#   #', ' |#| '],
+            '9': [' |#| ', '#   #', ' _##|', '    #', ' |##|'],
+            'A': [' |#| ', ' # # ', ' ### ', '#   #', '#   #'],
+            'B': [' |## ', '#   #', ' |## ', '#   #', ' |##|'],
+            'C': [' |## ', '#    ', '|    ', '#    ', ' |##|'],
+            'D': [' |## ', '#   #', '|   #', '#   #', ' |##|'],
+            'E': [' |## ', '|    ', ' |#  ', '|    ', ' |##|'],
+            'F': [' |## ', '|    ', ' |#  ', '|    ', '|    '],
+            'G': [' |## ', '|    ', '| _##', '#   #', ' |##|'],
+            'H': ['|   |', '#   #', ' ___ ', '#   #', '#   #'],
+            'I': [' |## ', '  |  ', '  |  ', '  |  ', ' |##|'],
+            'J': [' |##|', '   # ', '   # ', '|  # ', ' |## '],
+            'K': ['|   #', '|  | ', ' |   ', '|  | ', '|   #'],
+            'L': ['|    ', '|    ', '|    ', '|    ', ' |###'],
+            'M': ['|   |', '## ##', '# # #', '#   #', '#   #'],
+            'N': ['|   #', '##  #', '# # #', '#  ##', '#   #'],
+            'O': [' |#| ', '#   #', '#   #', '#   #', ' |#| '],
+            'P': [' |## ', '#   #', ' |## ', '|    ', '|    '],
+            'Q': [' |#| ', '#   #', '#   #', ' |##|', '    #'],
+            'R': [' |## ', '#   #', ' |## ', '|  ##', '|   #'],
+            'S': [' |## ', '|    ', ' |#| ', '    #', ' |## '],
+            'T': [' |## ', '  |  ', '  |  ', '  |  ', '  |  '],
+            'U': ['|   |', '#   #', '#   #', '#   #', ' |#| '],
+            'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
+            'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
+            'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
+            'Y': ['|   |', ' # # ', '  #  ', '  #  ', '  |  '],
+            'Z': [' |## ', '   # ', '  #  ', ' #   ', ' |##|']
+        }
+    }),
+
+    // Neon (bright/electric)
+    neon: () => ({
+        name: 'neon',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['bright'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': [' *** ', '  *  ', '  *  ', '     ', '  *  '],
+            '0': [' *** ', '*   *', '*   *', '*   *', ' *** '],
+            '1': ['  *  ', ' **  ', '  *  ', '  *  ', ' *** '],
+            '2': [' *** ', '    *', '  *  ', '  *  ', ' *** '],
+            '3': [' *** ', '    *', ' **  ', '    *', ' *** '],
+            '4': ['*   *', '*   *', ' ****', '    *', '    *'],
+            '5': [' *** ', '*    ', ' *** ', '    *', ' *** '],
+            '6': [' *** ', '*    ', ' *** ', '*   *', ' *** '],
+            '7': [' *** ', '    *', '   * ', '  *  ', ' *   '],
+            '8': [' *** ', '*   *', ' *** ', '*   *', ' *** '],
+            '9': [' *** ', '*   *', ' ****', '    *', ' *** '],
+            'A': [' *** ', '*   *', ' ****', '*   *', '*   *'],
+            'B': [' *** ', '*   *', ' *** ', '*   *', ' *** '],
+            'C': [' *** ', '*    ', '*    ', '*    ', ' *** '],
+            'D': [' *** ', '*   *', '*   *', '*   *', ' *** '],
+            'E': [' *** ', '*    ', ' *** ', '*    ', ' *** '],
+            'F': [' *** ', '*    ', ' *** ', '*    ', '*    '],
+            'G': [' *** ', '*    ', '*  **', '*   *', ' *** '],
+            'H': ['*   *', '*   *', ' ****', '*   *', '*   *'],
+            'I': [' *** ', '  *  ', '  *  ', '  *  ', ' *** '],
+            'J': [' *** ', '   * ', '   * ', '*  * ', ' **  '],
+            'K': ['*   *', '*  * ', '***  ', '*  * ', '*   *'],
+            'L': ['*    ', '*    ', '*    ', '*    ', ' *** '],
+            'M': ['*   *', '** **', '* * *', '*   *', '*   *'],
+            'N': ['*   *', '**  *', '* * *', '*  **', '*   *'],
+            'O': [' ### ', '*   *', '*   *', '*   *', ' ### '],
+            'P': [' *** ', '*   *', ' *** ', '*    ', '*    '],
+            'Q': [' *** ', '*   *', '*   *', ' ****', '    *'],
+            'R': [' *** ', '*   *', ' *** ', '*  * ', '*   *'],
+            'S': [' *** ', '*    ', ' *** ', '    *', ' *** '],
+            'T': [' *** ', '  *  ', '  *  ', '  *  ', '  *  '],
+            'U': ['*   *', '*   *', '*   *', '*   *', ' *** '],
+            'V': ['*   *', '*   *', '*   *', ' * * ', '  *  '],
+            'W': ['*   *', '*   *', '* * *', '** **', '*   *'],
+            'X': ['*   *', ' * * ', '  *  ', ' * * ', '*   *'],
+            'Y': ['*   *', ' * * ', '  *  ', '  *  ', '  *  '],
+            'Z': [' *** ', '   * ', '  *  ', ' *   ', ' *** ']
+        }
+    }),
+
+    // Funky (playful/distorted)
+    funky: () => ({
+        name: 'funky',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['playful'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': [' [?] ', ' (?)  ', '      ', ' [?] ', '      '],
+            '0': ['(###)', '(   )', '(   )', '(   )', '(###)'],
+            '1': [' (~) ', '(~~) ', '  ~  ', '  ~  ', '(~~~)'],
+            '2': ['(###)', '    ~', '  ~~', '  ~  ', '(~~~)'],
+            '3': ['(###)', '    ~', ' (~~ ', '    ~', '(###)'],
+            '4': ['~   ~', '~   ~', ' ~~~~', '    ~', '    ~'],
+            '5': ['(~~~)', '~    ', ' (##)', '    ~', '(###)'],
+            '6': ['(###)', '~    ', '(~~~)', '~   ~', '(###)'],
+            '7': ['(###)', '    ~', '   ~ ', '  ~  ', ' ~   '],
+            '8': ['(###)', '~   ~', ' (##)', '~   ~', '(###)'],
+            '9': ['(###)', '~   ~', ' (###', '    ~', '(###)'],
+            'A': [' (~) ', ' ~ ~ ', '(~~~)', '~   ~', '~   ~'],
+            'B': ['(~~)', '~   ~', '(~~)', '~   ~', '(~~)'],
+            'C': [' (##)', '~    ', '~    ', '~    ', ' (##)'],
+            'D': ['(~~)', '~   ~', '~   ~', '~   ~', '(~~)'],
+            'E': ['(###)', '~    ', '(~~~ ', '~    ', '(###)'],
+            'F': ['(###)', '~    ', '(~~~ ', '~    ', '#    '],
+            'G': [' (##)', '~    ', '~ (##', '~   ~', ' (##)'],
+            'H': ['~   ~', '~   ~', '(~~~)', '~   ~', '~   ~'],
+            'I': ['(###)', '  ~  ', '  ~  ', '  ~  ', '(###)'],
+            'J': ['(###)', '   ~ ', '   ~ ', '~  ~ ', ' (## '],
+            'K': ['~   ~', '  ~~ ', '(~   ', '  ~~ ', '~   ~'],
+            'L': ['~    ', '~    ', '~    ', '~    ', '(###)'],
+            'M': ['~   ~', '~~ ~~', '~ ~ ~', '~   ~', '~   ~'],
+            'N': ['~   ~', '~~  ~', '~ ~ ~', '~  ~~', '~   ~'],
+            'O': [' (##)', '~   ~', '~   ~', '~   ~', ' (##)'],
+            'P': ['(~~)', '~   ~', '(~~)', '~    ', '~    '],
+            'Q': [' (##)', '~   ~', '~   ~', ' (##)', '    ~'],
+            'R': ['(~~)', '~   ~', '(~~)', '~  ~~', '~   ~'],
+            'S': [' (##)', '~    ', ' (##)', '    ~', ' (##)'],
+            'T': ['(###)', '  ~  ', '  ~  ', '  ~  ', '  ~  '],
+            'U': ['~   ~', '~   ~', '~   ~', '~   ~', ' (##)'],
+            'V': ['~   ~', '~   ~', '~   ~', ' ~ ~ ', '  ~  '],
+            'W': ['~   ~', '~   ~', '~ ~ ~', '~~ ~~', '~   ~'],
+            'X': ['~   ~', ' ~ ~ ', '  ~  ', ' ~ ~ ', '~   ~'],
+            'Y': ['~   ~', ' ~ ~ ', '  ~  ', '  ~  ', '  ~  '],
+            'Z': ['(###)', '   ~ ', '  ~  ', ' ~   ', '(###)']
+        }
+    }),
+
+    // Wave (undulating)
+    wave: () => ({
+        name: 'wave',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['playful'] },
+        glyphs: {
+            ' ': ['     ', '     ', '     ', '     ', '     '],
+            '?': ['  ~  ', '  ~  ', '     ', '  ~  ', '     '],
+            '0': [' ~~~  ', '~   ~ ', '~   ~', '~   ~', ' ~~~  '],
+            '1': ['   ~ ', '  ~~ ', '   ~ ', '   ~ ', '  ~~~ '],
+            '2': [' ~~~ ', '~   ~', '    ~', '  ~  ', '  ~~~~ '],
+            '3': [' ~~~ ', '~   ~', '   ~~ ', '~   ~', ' ~~~ '],
+            '4': ['~   ~', '~   ~', ' ~~~~', '    ~', '    ~'],
+            '5': [' ~~~~ ', '~    ', ' ~~~ ', '    ~', ' ~~~  '],
+            '6': [' ~~~ ', '~    ', ' ~~~~ ', '~   ~', ' ~~~ '],
+            '7': [' ~~~~ ', '    ~', '   ~ ', '  ~  ', ' ~   '],
+            '8': [' ~~~ ', '~   ~', ' ~~~ ', '~   ~', ' ~~~ '],
+            '9': [' ~~~ ', '~   ~', ' ~~~~', '    ~', ' ~~~ '],
+            'A': ['  ~  ', ' ~ ~ ', '~   ~', ' ~~~~ ', '~   ~'],
+            'B': [' ~~~ ', '~   ~', ' ~~~ ', '~   ~', ' ~~~ '],
+            'C': [' ~~~ ', '~    ', '~    ', '~    ', ' ~~~ '],
+            'D': [' ~~~ ', '~   ~', '~   ~', '~   ~', ' ~~~ '],
+            'E': [' ~~~~ ', '~    ', ' ~~~ ', '~    ', ' ~~~~ '],
+            'F': [' ~~~~ ', '~    ', ' ~~~ ', '~    ', '~    '],
+            'G': [' ~~~ ', '~    ', '~  ~~ ', '~   ~', ' ~~~ '],
+            'H': ['~   ~', '~   ~', ' ~~~~', '~   ~', '~   ~'],
+            'I': [' ~~~ ', '  ~  ', '  ~  ', '  ~  ', ' ~~~ '],
+            'J': [' ~~~ ', '   ~ ', '   ~ ', '~  ~ ', ' ~~  '],
+            'K': ['~   ~', '  ~~ ', ' ~   ', '  ~~ ', '~   ~'],
+            'L': ['~    ', '~    ', '~    ', '~    ', ' ~~~~ '],
+            'M': ['~   ~', '~~ ~~', '~ ~ ~', '~   ~', '~   ~'],
+            'N': ['~   ~', '~~  ~', '~ ~ ~', '~  ~~', '~   ~'],
+            'O': [' (##)', '~   ~', '~   ~', '~   ~', ' (##)'],
+            'P': [' (##)', '~   ~', ' (##)', '~    ', '~    '],
+            'Q': [' (##)', '~   ~', '~   ~', ' (##)', '    ~'],
+            'R': [' (##)', '~   ~', ' (##)', '~  ~~ ', '~   ~'],
+            'S': [' (##)', '~    ', ' (##)', '    ~', ' (##)'],
+            'T': [' ~~~~ ', '  ~  ', '  ~  ', '  ~  ', '  ~  '],
+            'U': ['~   ~', '~   ~', '~   ~', '~   ~', ' (##)'],
+            'V': ['~   ~', '~   ~', '~   ~', ' ~ ~ ', '  ~  '],
+            'W': ['~   ~', '~   ~', '~ ~ ~', '~~ ~~', '~   ~'],
+            'X': ['~   ~', ' ~ ~ ', '  ~  ', ' ~ ~ ', '~   ~'],
+            'Y': ['~   ~', ' ~ ~ ', '  ~  ', '  ~  ', '  ~  '],
+            'Z': [' ~~~~ ', '   ~ ', '  ~  ', ' ~   ', ' ~~~~ ']
+        }
+    }),
+
+    // ===== EXTENDED FONTS (6-7 rows) =====
+
+    // Lean (slashes)
+    lean: () => ({
+        name: 'lean',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['slashes'] },
+        glyphs: {
+            A: ['  /\\  ', ' /  \\ ', '/____\\', '/    \\', '/    \\', '/    \\'],
+            B: ['|\\    ', '| \\   ', '|  \\  ', '|   \\ ', '|    \\', '|____/'],
+            C: [' /\\   ', '/  \\  ', '|    ', '|    ', '\\  / ', ' \\/  '],
+            D: ['|\\    ', '| \\   ', '|  \\  ', '|   \\ ', '|    \\', '|____/'],
+            E: ['|____ ', '|     ', '|____ ', '|     ', '|     ', '|____ '],
+            F: ['|____ ', '|     ', '|____ ', '|     ', '|     ', '|     '],
+            G: [' /\\   ', '/  \\  ', '|    ', '|  /\\ ', '\\  / ', ' \\/  '],
+            H: ['|    |', '|    |', '|____|', '|    |', '|    |', '|    |'],
+            I: ['|____|', '  |  ', '  |  ', '  |  ', '  |  ', '|____|'],
+            J: ['|____|', '    |', '    |', '    |', '|  |', ' \\/ '],
+            K: ['|   / ', '|  /  ', '| /   ', '|/    ', '| \\   ', '|  \\  '],
+            L: ['|     ', '|     ', '|     ', '|     ', '|     ', '|____ '],
+            M: ['|\\  /|', '| \\/ |', '|    |', '|    |', '|    |', '|    |'],
+            N: ['|\\   |', '| \\  |', '|  \\ |', '|   \\|', '|    |', '|    |'],
+            O: [' /\\   ', '/  \\  ', '|    |', '|    |', '\\  / ', ' \\/  '],
+            P: ['|\\    ', '| \\   ', '|  \\  ', '|   \\ ', '|    ', '|     '],
+            Q: [' /\\   ', '/  \\  ', '|    |', '|  \\ |', '\\  \\|', ' \\/\\ '],
+            R: ['|\\    ', '| \\   ', '|  \\  ', '|   \\ ', '|    \\', '|     '],
+            S: [' /\\   ', '/  \\  ', ' \\   ', '  \\  ', '  /  ', ' \\/  '],
+            T: ['|____|', '  |  ', '  |  ', '  |  ', '  |  ', '  |  '],
+            U: ['|    |', '|    |', '|    |', '|    |', '\\  / ', ' \\/  '],
+            V: ['|    |', '|    |', '|    |', ' \\  / ', '  \\/  ', '  /\\  '],
+            W: ['|    |', '|    |', '| /\\ |', '|/  \\|', '|    |', '|    |'],
+            X: ['|    |', ' \\  / ', '  \\/  ', '  /\\  ', ' /  \\ ', '|    |'],
+            Y: ['|    |', '|    |', ' \\  / ', '  \\/  ', '  /\\  ', '  /\\  '],
+            Z: ['|____|', '    / ', '   /  ', '  /   ', ' /    ', '|____|'],
+            ' ': ['      ', '      ', '      ', '      ', '      ', '      ']
+        }
+    }),
+
+    // Script (rounded box drawing)
+    script: () => ({
+        name: 'script',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['box-drawing', 'rounded'] },
+        glyphs: {
+            A: ['  ╭─╮  ', ' ╱   ╲ ', '╱     ╲', '╲     ╱', ' ╲   ╱ ', '  ╰─╯  '],
+            B: ['╭────╮', '│    │', '╰────╯', '│    │', '│    │', '╰────╯'],
+            C: [' ╭───╮', '╱     ', '│     ', '│     ', '╲     ', ' ╰───╯'],
+            D: ['╭────╮', '│    │', '│    │', '│    │', '│    │', '╰────╯'],
+            E: ['╭────╮', '│     ', '╰────╮', '│     ', '│     ', '╰────╯'],
+            F: ['╭────╮', '│     ', '╰────╮', '│     ', '│     ', '│     '],
+            G: [' ╭───╮', '╱     ', '│  ╭─╮', '│  │ │', '╲  ╰─╯', ' ╰───╯'],
+            H: ['│    │', '│    │', '╰────╯', '│    │', '│    │', '│    │'],
+            I: ['╭────╮', '  │  ', '  │  ', '  │  ', '  │  ', '╰────╯'],
+            J: ['╭────╮', '    │', '    │', '    │', '│  │', '╰──╯ '],
+            K: ['│  ╱ ', '│ ╱  ', '│╱   ', '│╲   ', '│ ╲  ', '│  ╲ '],
+            L: ['│     ', '│     ', '│     ', '│     ', '│     ', '╰────╯'],
+            M: ['│╲  ╱│', '│ ╲╱ │', '│    │', '│    │', '│    │', '│    │'],
+            N: ['│╲   │', '│ ╲  │', '│  ╲ │', '│   ╲│', '│    │', '│    │'],
+            O: [' ╭───╮', '╱     ╲', '│     │', '│     │', '╲     ╱', ' ╰───╯'],
+            P: ['╭────╮', '│    │', '╰────╯', '│     ', '│     ', '│     '],
+            Q: [' ╭───╮', '╱     ╲', '│     │', '│  ╲  │', '╲  ╲  ╱', ' ╰───╯'],
+            R: ['╭────╮', '│    │', '╰────╯', '│  ╲  ', '│   ╲ ', '│    ╲'],
+            S: [' ╭───╮', '╱     ', '╰────╮', '     │', '     ╱', '╰────╯'],
+            T: ['╭────╮', '  │  ', '  │  ', '  │  ', '  │  ', '  │  '],
+            U: ['│    │', '│    │', '│    │', '│    │', '╲    ╱', ' ╰──╯ '],
+            V: ['│    │', '│    │', '│    │', '╲    ╱', ' ╲  ╱ ', '  ╲╱  '],
+            W: ['│    │', '│    │', '│ ╲╱ │', '│╱  ╲│', '│    │', '│    │'],
+            X: ['│    │', ' ╲  ╱ ', '  ╲╱  ', '  ╱╲  ', ' ╱  ╲ ', '│    │'],
+            Y: ['│    │', '│    │', ' ╲  ╱ ', '  ╲╱  ', '  ╱╲  ', '  ╱╲  '],
+            Z: ['╭────╮', '    ╱', '   ╱ ', '  ╱  ', ' ╱   ', '╰────╯'],
+            ' ': ['      ', '      ', '      ', '      ', '      ', '      ']
+        }
+    }),
+
+    // Slant (slashes)
+    slant: () => ({
+        name: 'slant',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['slashes', 'slanted'] },
+        glyphs: {
+            A: ['  /\\  ', ' /  \\ ', '/____\\', '/    \\', '/    \\', '/    \\'],
+            B: ['|\\    ', '| \\   ', '|  \\  ', '|   \\ ', '|    \\', '|____/'],
+            C: [' /\\   ', '/  \\  ', '|    ', '|    ', '\\  / ', ' \\/  '],
+            D: ['|\\    ', '| \\   ', '|  \\  ', '|   \\ ', '|    \\', '|____/'],
+            E: ['|____ ', '|     ', '|____ ', '|     ', '|     ', '|____ '],
+            F: ['|____ ', '|     ', '|____ ', '|     ', '|     ', '|     '],
+            G: [' /\\   ', '/  \\  ', '|    ', '|  /\\ ', '\\  / ', ' \\/  '],
+            H: ['|    |', '|    |', '|____|', '|    |', '|    |', '|    |'],
+            I: ['|____|', '  |  ', '  |  ', '  |  ', '  |  ', '|____|'],
+            J: ['|____|', '    |', '    |', '    |', '|  |', ' \\/ '],
+            K: ['|   / ', '|  /  ', '| /   ', '|/    ', '| \\   ', '|  \\  '],
+            L: ['|     ', '|     ', '|     ', '|     ', '|     ', '|____ '],
+            M: ['|\\  /|', '| \\/ |', '|    |', '|    |', '|    |', '|    |'],
+            N: ['|\\   |', '| \\  |', '|  \\ |', '|   \\|', '|    |', '|    |'],
+            O: [' /\\   ', '/  \\  ', '|    |', '|    |', '\\  / ', ' \\/  '],
+            P: ['|\\    ', '| \\   ', '|  \\  ', '|   \\ ', '|    ', '|     '],
+            Q: [' /\\   ', '/  \\  ', '|    |', '|  \\ |', '\\  \\|', ' \\/\\ '],
+            R: ['|\\    ', '| \\   ', '|  \\  ', '|   \\ ', '|    \\', '|     '],
+            S: [' /\\   ', '/  \\  ', ' \\   ', '  \\  ', '  /  ', ' \\/  '],
+            T: ['|____|', '  |  ', '  |  ', '  |  ', '  |  ', '  |  '],
+            U: ['|    |', '|    |', '|    |', '|    |', '\\  / ', ' \\/  '],
+            V: ['|    |', '|    |', '|    |', ' \\  / ', '  \\/  ', '  /\\  '],
+            W: ['|    |', '|    |', '| /\\ |', '|/  \\|', '|    |', '|    |'],
+            X: ['|    |', ' \\  / ', '  \\/  ', '  /\\  ', ' /  \\ ', '|    |'],
+            Y: ['|    |', '|    |', ' \\  / ', '  \\/  ', '  /\\  ', '  /\\  '],
+            Z: ['|____|', '    / ', '   /  ', '  /   ', ' /    ', '|____|'],
+            ' ': ['      ', '      ', '      ', '      ', '      ', '      ']
+        }
+    }),
+
+    // Big (7-row blocks)
+    big: () => ({
+        name: 'big',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['large', 'blocks'] },
+        glyphs: {
+            A: ['    ██    ', '   ████   ', '  ██  ██  ', ' ██    ██ ', '██████████', '██      ██', '██      ██'],
+            B: ['████████  ', '██      ██', '████████  ', '██      ██', '██      ██', '██      ██', '████████  '],
+            C: ['  ███████ ', '██       ██', '██        ', '██        ', '██        ', '██       ██', '  ███████ '],
+            D: ['████████  ', '██      ██', '██      ██', '██      ██', '██      ██', '██      ██', '████████  '],
+            E: ['██████████', '██        ', '██        ', '████████  ', '██        ', '██        ', '██████████'],
+            F: ['██████████', '██        ', '██        ', '████████  ', '██        ', '██        ', '██        '],
+            G: ['  ███████ ', '██       ██', '██        ', '██   █████', '██      ██', '██       ██', '  ███████ '],
+            H: ['██      ██', '██      ██', '██      ██', '██████████', '██      ██', '██      ██', '██      ██'],
+            I: ['██████████', '    ██    ', '    ██    ', '    ██    ', '    ██    ', '    ██    ', '██████████'],
+            J: ['██████████', '        ██', '        ██', '        ██', '██      ██', '██      ██', '  ███████ '],
+            K: ['██      ██', '██    ██  ', '██  ██    ', '████      ', '██  ██    ', '██    ██  ', '██      ██'],
+            L: ['██        ', '██        ', '██        ', '██        ', '██        ', '██        ', '██████████'],
+            M: ['██      ██', '███    ███', '██ ██  ██ ██', '██  ████  ██', '██   ██   ██', '██        ██', '██        ██'],
+            N: ['██      ██', '███     ██', '██ ██    ██', '██  ██   ██', '██   ██  ██', '██    ██ ██', '██     ████'],
+            O: ['  ███████ ', '██       ██', '██       ██', '██       ██', '██       ██', '██       ██', '  ███████ '],
+            P: ['████████  ', '██      ██', '██      ██', '████████  ', '██        ', '██        ', '██        '],
+            Q: ['  ███████ ', '██       ██', '██       ██', '██    ██ ██', '██     ████', '██      ███', '  ████████'],
+            R: ['████████  ', '██      ██', '██      ██', '████████  ', '██    ██  ', '██      ██', '██      ██'],
+            S: ['  ███████ ', '██       ██', '██        ', '  ███████ ', '        ██', '██       ██', '  ███████ '],
+            T: ['██████████', '    ██    ', '    ██    ', '    ██    ', '    ██    ', '    ██    ', '    ██    '],
+            U: ['██      ██', '██      ██', '██      ██', '██      ██', '██      ██', '██      ██', '  ███████ '],
+            V: ['██      ██', '██      ██', '██      ██', ' ██    ██ ', '  ██  ██  ', '   ████   ', '    ██    '],
+            W: ['██      ██', '██      ██', '██      ██', '██  ██  ██', '██ ████ ██', '███    ███', '██      ██'],
+            X: ['██      ██', ' ██    ██ ', '  ██  ██  ', '   ████   ', '  ██  ██  ', ' ██    ██ ', '██      ██'],
+            Y: ['██      ██', ' ██    ██ ', '  ██  ██  ', '   ████   ', '    ██    ', '    ██    ', '    ██    '],
+            Z: ['██████████', '        ██', '       ██ ', '      ██  ', '     ██   ', '    ██    ', '██████████'],
+            ' ': ['          ', '          ', '          ', '          ', '          ', '          ', '          ']
+        }
+    }),
+
+    // Elegant (poetry)
+    elegant: () => ({
+        name: 'elegant',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['poetry', 'symbols'] },
+        glyphs: {
+            A: ['    ♠    ', '   ♠♠♠   ', '  ♠   ♠  ', ' ♠     ♠ ', '♠♠♠♠♠♠♠♠♠', '♠       ♠', '♠       ♠'],
+            B: ['♠♠♠♠♠♠♠♠ ', '♠       ♠', '♠♠♠♠♠♠♠♠ ', '♠       ♠', '♠       ♠', '♠       ♠', '♠♠♠♠♠♠♠♠ '],
+            C: ['  ♠♠♠♠♠♠♠', '♠        ', '♠        ', '♠        ', '♠        ', '♠        ', '  ♠♠♠♠♠♠♠'],
+            D: ['♠♠♠♠♠♠♠♠ ', '♠       ♠', '♠       ♠', '♠       ♠', '♠       ♠', '♠       ♠', '♠♠♠♠♠♠♠♠ '],
+            E: ['♠♠♠♠♠♠♠♠♠', '♠        ', '♠        ', '♠♠♠♠♠♠♠♠ ', '♠        ', '♠        ', '♠♠♠♠♠♠♠♠♠'],
+            F: ['♠♠♠♠♠♠♠♠♠', '♠        ', '♠        ', '♠♠♠♠♠♠♠♠ ', '♠        ', '♠        ', '♠        '],
+            G: ['  ♠♠♠♠♠♠♠', '♠        ', '♠        ', '♠   ♠♠♠♠♠', '♠       ♠', '♠       ♠', '  ♠♠♠♠♠♠♠'],
+            H: ['♠       ♠', '♠       ♠', '♠       ♠', '♠♠♠♠♠♠♠♠♠', '♠       ♠', '♠       ♠', '♠       ♠'],
+            I: ['♠♠♠♠♠♠♠♠♠', '    ♠    ', '    ♠    ', '    ♠    ', '    ♠    ', '    ♠    ', '♠♠♠♠♠♠♠♠♠'],
+            J: ['♠♠♠♠♠♠♠♠♠', '        ♠', '        ♠', '        ♠', '♠       ♠', '♠       ♠', '  ♠♠♠♠♠♠♠'],
+            K: ['♠      ♠', '♠     ♠ ', '♠    ♠  ', '♠   ♠   ', '♠  ♠    ', '♠ ♠     ', '♠♠      '],
+            L: ['♠        ', '♠        ', '♠        ', '♠        ', '♠        ', '♠        ', '♠♠♠♠♠♠♠♠♠'],
+            M: ['♠       ♠', '♠♠     ♠♠', '♠ ♠   ♠ ♠', '♠  ♠ ♠  ♠', '♠   ♠   ♠', '♠       ♠', '♠       ♠'],
+            N: ['♠       ♠', '♠♠      ♠', '♠ ♠     ♠', '♠  ♠    ♠', '♠   ♠   ♠', '♠    ♠  ♠', '♠     ♠♠♠'],
+            O: ['  ♠♠♠♠♠♠♠', '♠       ♠', '♠       ♠', '♠       ♠', '♠       ♠', '♠       ♠', '  ♠♠♠♠♠♠♠'],
+            P: ['♠♠♠♠♠♠♠♠ ', '♠       ♠', '♠       ♠', '♠♠♠♠♠♠♠♠ ', '♠        ', '♠        ', '♠        '],
+            Q: ['  ♠♠♠♠♠♠♠', '♠       ♠', '♠       ♠', '♠    ♠  ♠', '♠     ♠ ♠', '♠      ♠♠', '  ♠♠♠♠♠♠♠'],
+            R: ['♠♠♠♠♠♠♠♠ ', '♠       ♠', '♠       ♠', '♠♠♠♠♠♠♠♠ ', '♠  ♠     ', '♠   ♠    ', '♠    ♠   '],
+            S: ['  ♠♠♠♠♠♠♠', '♠        ', '♠        ', '  ♠♠♠♠♠♠♠', '        ♠', '        ♠', '  ♠♠♠♠♠♠♠'],
+            T: ['♠♠♠♠♠♠♠♠♠', '    ♠    ', '    ♠    ', '    ♠    ', '    ♠    ', '    ♠    ', '    ♠    '],
+            U: ['♠       ♠', '♠       ♠', '♠       ♠', '♠       ♠', '♠       ♠', '♠       ♠', '  ♠♠♠♠♠♠♠'],
+            V: ['♠       ♠', '♠       ♠', ' ♠     ♠ ', '  ♠   ♠  ', '   ♠ ♠   ', '    ♠    ', '    ♠    '],
+            W: ['♠       ♠', '♠       ♠', '♠   ♠   ♠', '♠  ♠ ♠  ♠', '♠ ♠   ♠ ♠', '♠♠     ♠♠', '♠       ♠'],
+            X: ['♠       ♠', ' ♠     ♠ ', '  ♠   ♠  ', '   ♠ ♠   ', '  ♠   ♠  ', ' ♠     ♠ ', '♠       ♠'],
+            Y: ['♠       ♠', ' ♠     ♠ ', '  ♠   ♠  ', '   ♠ ♠   ', '    ♠    ', '    ♠    ', '    ♠    '],
+            Z: ['♠♠♠♠♠♠♠♠♠', '       ♠ ', '      ♠  ', '     ♠   ', '    ♠    ', '   ♠     ', '♠♠♠♠♠♠♠♠♠'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // Romantic (poetry)
+    romantic: () => ({
+        name: 'romantic',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['poetry', 'symbols'] },
+        glyphs: {
+            A: ['    ♥    ', '   ♥♥♥   ', '  ♥   ♥  ', ' ♥     ♥ ', '♥♥♥♥♥♥♥♥♥', '♥       ♥', '♥       ♥'],
+            B: ['♥♥♥♥♥♥♥♥ ', '♥       ♥', '♥♥♥♥♥♥♥♥ ', '♥       ♥', '♥       ♥', '♥       ♥', '♥♥♥♥♥♥♥♥ '],
+            C: ['  ♥♥♥♥♥♥♥', '♥        ', '♥        ', '♥        ', '♥        ', '♥        ', '  ♥♥♥♥♥♥♥'],
+            D: ['♥♥♥♥♥♥♥♥ ', '♥       ♥', '♥       ♥', '♥       ♥', '♥       ♥', '♥       ♥', '♥♥♥♥♥♥♥♥ '],
+            E: ['♥♥♥♥♥♥♥♥♥', '♥        ', '♥        ', '♥♥♥♥♥♥♥♥ ', '♥        ', '♥        ', '♥♥♥♥♥♥♥♥♥'],
+            F: ['♥♥♥♥♥♥♥♥♥', '♥        ', '♥        ', '♥♥♥♥♥♥♥♥ ', '♥        ', '♥        ', '♥        '],
+            G: ['  ♥♥♥♥♥♥♥', '♥        ', '♥        ', '♥   ♥♥♥♥♥', '♥       ♥', '♥       ♥', '  ♥♥♥♥♥♥♥'],
+            H: ['♥       ♥', '♥       ♥', '♥       ♥', '♥♥♥♥♥♥♥♥♥', '♥       ♥', '♥       ♥', '♥       ♥'],
+            I: ['♥♥♥♥♥♥♥♥♥', '    ♥    ', '    ♥    ', '    ♥    ', '    ♥    ', '    ♥    ', '♥♥♥♥♥♥♥♥♥'],
+            J: ['♥♥♥♥♥♥♥♥♥', '        ♥', '        ♥', '        ♥', '♥       ♥', '♥       ♥', '  ♥♥♥♥♥♥♥'],
+            K: ['♥      ♥', '♥     ♥ ', '♥    ♥  ', '♥   ♥   ', '♥  ♥    ', '♥ ♥     ', '♥♥      '],
+            L: ['♥        ', '♥        ', '♥        ', '♥        ', '♥        ', '♥        ', '♥♥♥♥♥♥♥♥♥'],
+            M: ['♥       ♥', '♥♥     ♥♥', '♥ ♥   ♥ ♥', '♥  ♥ ♥  ♥', '♥   ♥   ♥', '♥       ♥', '♥       ♥'],
+            N: ['♥       ♥', '♥♥      ♥', '♥ ♥     ♥', '♥  ♥    ♥', '♥   ♥   ♥', '♥    ♥  ♥', '♥     ♥♥♥'],
+            O: ['  ♥♥♥♥♥♥♥', '♥       ♥', '♥       ♥', '♥       ♥', '♥       ♥', '♥       ♥', '  ♥♥♥♥♥♥♥'],
+            P: ['♥♥♥♥♥♥♥♥ ', '♥       ♥', '♥       ♥', '♥♥♥♥♥♥♥♥ ', '♥        ', '♥        ', '♥        '],
+            Q: ['  ♥♥♥♥♥♥♥', '♥       ♥', '♥       ♥', '♥    ♥  ♥', '♥     ♥ ♥', '♥      ♥♥', '  ♥♥♥♥♥♥♥'],
+            R: ['♥♥♥♥♥♥♥♥ ', '♥       ♥', '♥       ♥', '♥♥♥♥♥♥♥♥ ', '♥  ♥     ', '♥   ♥    ', '♥    ♥   '],
+            S: ['  ♥♥♥♥♥♥♥', '♥        ', '♥        ', '  ♥♥♥♥♥♥♥', '        ♥', '        ♥', '  ♥♥♥♥♥♥♥'],
+            T: ['♥♥♥♥♥♥♥♥♥', '    ♥    ', '    ♥    ', '    ♥    ', '    ♥    ', '    ♥    ', '    ♥    '],
+            U: ['♥       ♥', '♥       ♥', '♥       ♥', '♥       ♥', '♥       ♥', '♥       ♥', '  ♥♥♥♥♥♥♥'],
+            V: ['♥       ♥', '♥       ♥', ' ♥     ♥ ', '  ♥   ♥  ', '   ♥ ♥   ', '    ♥    ', '    ♥    '],
+            W: ['♥       ♥', '♥       ♥', '♥   ♥   ♥', '♥  ♥ ♥  ♥', '♥ ♥   ♥ ♥', '♥♥     ♥♥', '♥       ♥'],
+            X: ['♥       ♥', ' ♥     ♥ ', '  ♥   ♥  ', '   ♥ ♥   ', '  ♥   ♥  ', ' ♥     ♥ ', '♥       ♥'],
+            Y: ['♥       ♥', ' ♥     ♥ ', '  ♥   ♥  ', '   ♥ ♥   ', '    ♥    ', '    ♥    ', '    ♥    '],
+            Z: ['♥♥♥♥♥♥♥♥♥', '       ♥ ', '      ♥  ', '     ♥   ', '    ♥    ', '   ♥     ', '♥♥♥♥♥♥♥♥♥'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // Classic (poetry)
+    classic: () => ({
+        name: 'classic',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['poetry'] },
+        glyphs: {
+            A: ['    █    ', '   ███   ', '  █   █  ', ' █     █ ', '█████████', '█       █', '█       █'],
+            B: ['████████ ', '█       █', '████████ ', '█       █', '█       █', '█       █', '████████ '],
+            C: ['  ███████', '█        ', '█        ', '█        ', '█        ', '█        ', '  ███████'],
+            D: ['████████ ', '█       █', '█       █', '█       █', '█       █', '█       █', '████████ '],
+            E: ['█████████', '█        ', '█        ', '████████ ', '█        ', '█        ', '█████████'],
+            F: ['█████████', '█        ', '█        ', '████████ ', '█        ', '█        ', '█        '],
+            G: ['  ███████', '█        ', '█        ', '█   █████', '█       █', '█       █', '  ███████'],
+            H: ['█       █', '█       █', '█       █', '█████████', '█       █', '█       █', '█       █'],
+            I: ['█████████', '    █    ', '    █    ', '    █    ', '    █    ', '    █    ', '█████████'],
+            J: ['█████████', '        █', '        █', '        █', '█       █', '█       █', '  ███████'],
+            K: ['█      █', '█     █ ', '█    █  ', '█   █   ', '█  █    ', '█ █     ', '██      '],
+            L: ['█        ', '█        ', '█        ', '█        ', '█        ', '█        ', '█████████'],
+            M: ['█       █', '██     ██', '█ █   █ █', '█  █ █  █', '█   █   █', '█       █', '█       █'],
+            N: ['█       █', '██      █', '█ █     █', '█  █    █', '█   █   █', '█    █  █', '█     ███'],
+            O: ['  ███████', '█       █', '█       █', '█       █', '█       █', '█       █', '  ███████'],
+            P: ['████████ ', '█       █', '█       █', '████████ ', '█        ', '█        ', '█        '],
+            Q: ['  ███████', '█       █', '█       █', '█    █  █', '█     █ █', '█      ██', '  ███████'],
+            R: ['████████ ', '█       █', '█       █', '████████ ', '█  █     ', '█   █    ', '█    █   '],
+            S: ['  ███████', '█        ', '█        ', '  ███████', '        █', '        █', '  ███████'],
+            T: ['█████████', '    █    ', '    █    ', '    █    ', '    █    ', '    █    ', '    █    '],
+            U: ['█       █', '█       █', '█       █', '█       █', '█       █', '█       █', '  ███████'],
+            V: ['█       █', '█       █', ' █     █ ', '  █   █  ', '   █ █   ', '    █    ', '    █    '],
+            W: ['█       █', '█       █', '█   █   █', '█  █ █  █', '█ █   █ █', '██     ██', '█       █'],
+            X: ['█       █', ' █     █ ', '  █   █  ', '   █ █   ', '  █   █  ', ' █     █ ', '█       █'],
+            Y: ['█       █', ' █     █ ', '  █   █  ', '   █ █   ', '    █    ', '    █    ', '    █    '],
+            Z: ['█████████', '       █ ', '      █  ', '     █   ', '    █    ', '   █     ', '█████████'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // Modern (poetry)
+    modern: () => ({
+        name: 'modern',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['poetry'] },
+        glyphs: {
+            A: ['    ▲    ', '   ▲▲▲   ', '  ▲   ▲  ', ' ▲     ▲ ', '▲▲▲▲▲▲▲▲▲', '▲       ▲', '▲       ▲'],
+            B: ['▲▲▲▲▲▲▲▲ ', '▲       ▲', '▲▲▲▲▲▲▲▲ ', '▲       ▲', '▲       ▲', '▲       ▲', '▲▲▲▲▲▲▲▲ '],
+            C: ['  ▲▲▲▲▲▲▲', '▲        ', '▲        ', '▲        ', '▲        ', '▲        ', '  ▲▲▲▲▲▲▲'],
+            D: ['▲▲▲▲▲▲▲▲ ', '▲       ▲', '▲       ▲', '▲       ▲', '▲       ▲', '▲       ▲', '▲▲▲▲▲▲▲▲ '],
+            E: ['▲▲▲▲▲▲▲▲▲', '▲        ', '▲        ', '▲▲▲▲▲▲▲▲ ', '▲        ', '▲        ', '▲▲▲▲▲▲▲▲▲'],
+            F: ['▲▲▲▲▲▲▲▲▲', '▲        ', '▲        ', '▲▲▲▲▲▲▲▲ ', '▲        ', '▲        ', '▲        '],
+            G: ['  ▲▲▲▲▲▲▲', '▲        ', '▲        ', '▲   ▲▲▲▲▲', '▲       ▲', '▲       ▲', '  ▲▲▲▲▲▲▲'],
+            H: ['▲       ▲', '▲       ▲', '▲       ▲', '▲▲▲▲▲▲▲▲▲', '▲       ▲', '▲       ▲', '▲       ▲'],
+            I: ['▲▲▲▲▲▲▲▲▲', '    ▲    ', '    ▲    ', '    ▲    ', '    ▲    ', '    ▲    ', '▲▲▲▲▲▲▲▲▲'],
+            J: ['▲▲▲▲▲▲▲▲▲', '        ▲', '        ▲', '        ▲', '▲       ▲', '▲       ▲', '  ▲▲▲▲▲▲▲'],
+            K: ['▲      ▲', '▲     ▲ ', '▲    ▲  ', '▲   ▲   ', '▲  ▲    ', '▲ ▲     ', '▲▲      '],
+            L: ['▲        ', '▲        ', '▲        ', '▲        ', '▲        ', '▲        ', '▲▲▲▲▲▲▲▲▲'],
+            M: ['▲       ▲', '▲▲     ▲▲', '▲ ▲   ▲ ▲', '▲  ▲ ▲  ▲', '▲   ▲   ▲', '▲       ▲', '▲       ▲'],
+            N: ['▲       ▲', '▲▲      ▲', '▲ ▲     ▲', '▲  ▲    ▲', '▲   ▲   ▲', '▲    ▲  ▲', '▲     ▲▲▲'],
+            O: ['  ▲▲▲▲▲▲▲', '▲       ▲', '▲       ▲', '▲       ▲', '▲       ▲', '▲       ▲', '  ▲▲▲▲▲▲▲'],
+            P: ['▲▲▲▲▲▲▲▲ ', '▲       ▲', '▲       ▲', '▲▲▲▲▲▲▲▲ ', '▲        ', '▲        ', '▲        '],
+            Q: ['  ▲▲▲▲▲▲▲', '▲       ▲', '▲       ▲', '▲    ▲  ▲', '▲     ▲ ▲', '▲      ▲▲', '  ▲▲▲▲▲▲▲'],
+            R: ['▲▲▲▲▲▲▲▲ ', '▲       ▲', '▲       ▲', '▲▲▲▲▲▲▲▲ ', '▲  ▲     ', '▲   ▲    ', '▲    ▲   '],
+            S: ['  ▲▲▲▲▲▲▲', '▲        ', '▲        ', '  ▲▲▲▲▲▲▲', '        ▲', '        ▲', '  ▲▲▲▲▲▲▲'],
+            T: ['▲▲▲▲▲▲▲▲▲', '    ▲    ', '    ▲    ', '    ▲    ', '    ▲    ', '    ▲    ', '    ▲    '],
+            U: ['▲       ▲', '▲       ▲', '▲       ▲', '▲       ▲', '▲       ▲', '▲       ▲', '  ▲▲▲▲▲▲▲'],
+            V: ['▲       ▲', '▲       ▲', ' ▲     ▲ ', '  ▲   ▲  ', '   ▲ ▲   ', '    ▲    ', '    ▲    '],
+            W: ['▲       ▲', '▲       ▲', '▲   ▲   ▲', '▲  ▲ ▲  ▲', '▲ ▲   ▲ ▲', '▲▲     ▲▲', '▲       ▲'],
+            X: ['▲       ▲', ' ▲     ▲ ', '  ▲   ▲  ', '   ▲ ▲   ', '  ▲   ▲  ', ' ▲     ▲ ', '▲       ▲'],
+            Y: ['▲       ▲', ' ▲     ▲ ', '  ▲   ▲  ', '   ▲ ▲   ', '    ▲    ', '    ▲    ', '    ▲    '],
+            Z: ['▲▲▲▲▲▲▲▲▲', '       ▲ ', '      ▲  ', '     ▲   ', '    ▲    ', '   ▲     ', '▲▲▲▲▲▲▲▲▲'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // Calligraphy (poetry)
+    calligraphy: () => ({
+        name: 'calligraphy',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['poetry'] },
+        glyphs: {
+            A: ['    ╔    ', '   ╔╗╔   ', '  ╔   ╗  ', ' ╔     ╗ ', '╔╗╗╗╗╗╗╗╗', '╔       ╗', '╔       ╗'],
+            B: ['╔╗╗╗╗╗╗╗ ', '╔       ╗', '╔╗╗╗╗╗╗╗ ', '╔       ╗', '╔       ╗', '╔       ╗', '╔╗╗╗╗╗╗╗ '],
+            C: ['  ╔╗╗╗╗╗╗', '╔        ', '╔        ', '╔        ', '╔        ', '╔        ', '  ╔╗╗╗╗╗╗'],
+            D: ['╔╗╗╗╗╗╗╗ ', '╔       ╗', '╔       ╗', '╔       ╗', '╔       ╗', '╔       ╗', '╔╗╗╗╗╗╗╗ '],
+            E: ['╔╗╗╗╗╗╗╗╗', '╔        ', '╔        ', '╔╗╗╗╗╗╗╗ ', '╔        ', '╔        ', '╔╗╗╗╗╗╗╗╗'],
+            F: ['╔╗╗╗╗╗╗╗╗', '╔        ', '╔        ', '╔╗╗╗╗╗╗╗ ', '╔        ', '╔        ', '╔        '],
+            G: ['  ╔╗╗╗╗╗╗', '╔        ', '╔        ', '╔   ╔╗╗╗╗', '╔       ╗', '╔       ╗', '  ╔╗╗╗╗╗╗'],
+            H: ['╔       ╗', '╔       ╗', '╔       ╗', '╔╗╗╗╗╗╗╗╗', '╔       ╗', '╔       ╗', '╔       ╗'],
+            I: ['╔╗╗╗╗╗╗╗╗', '    ╔    ', '    ╔    ', '    ╔    ', '    ╔    ', '    ╔    ', '╔╗╗╗╗╗╗╗╗'],
+            J: ['╔╗╗╗╗╗╗╗╗', '        ╗', '        ╗', '        ╗', '╔       ╗', '╔       ╗', '  ╔╗╗╗╗╗╗'],
+            K: ['╔      ╗', '╔     ╗ ', '╔    ╗  ', '╔   ╗   ', '╔  ╗    ', '╔ ╗     ', '╔╗      '],
+            L: ['╔        ', '╔        ', '╔        ', '╔        ', '╔        ', '╔        ', '╔╗╗╗╗╗╗╗╗'],
+            M: ['╔       ╗', '╔╗     ╔╗', '╔ ╗   ╗ ╗', '╔  ╗ ╗  ╗', '╔   ╗   ╗', '╔       ╗', '╔       ╗'],
+            N: ['╔       ╗', '╔╗      ╗', '╔ ╗     ╗', '╔  ╗    ╗', '╔   ╗   ╗', '╔    ╗  ╗', '╔     ╗╗╗'],
+            O: ['  ╔╗╗╗╗╗╗', '╔       ╗', '╔       ╗', '╔       ╗', '╔       ╗', '╔       ╗', '  ╔╗╗╗╗╗╗'],
+            P: ['╔╗╗╗╗╗╗╗ ', '╔       ╗', '╔       ╗', '╔╗╗╗╗╗╗╗ ', '╔        ', '╔        ', '╔        '],
+            Q: ['  ╔╗╗╗╗╗╗', '╔       ╗', '╔       ╗', '╔    ╗  ╗', '╔     ╗ ╗', '╔      ╗╗', '  ╔╗╗╗╗╗╗'],
+            R: ['╔╗╗╗╗╗╗╗ ', '╔       ╗', '╔       ╗', '╔╗╗╗╗╗╗╗ ', '╔  ╗     ', '╔   ╗    ', '╔    ╗   '],
+            S: ['  ╔╗╗╗╗╗╗', '╔        ', '╔        ', '  ╔╗╗╗╗╗╗', '        ╗', '        ╗', '  ╔╗╗╗╗╗╗'],
+            T: ['╔╗╗╗╗╗╗╗╗', '    ╔    ', '    ╔    ', '    ╔    ', '    ╔    ', '    ╔    ', '    ╔    '],
+            U: ['╔       ╗', '╔       ╗', '╔       ╗', '╔       ╗', '╔       ╗', '╔       ╗', '  ╔╗╗╗╗╗╗'],
+            V: ['╔       ╗', '╔       ╗', ' ╔     ╗ ', '  ╔   ╗  ', '   ╔ ╗   ', '    ╔    ', '    ╔    '],
+            W: ['╔       ╗', '╔       ╗', '╔   ╔   ╗', '╔  ╔ ╗  ╗', '╔ ╔   ╗ ╗', '╔╗     ╔╗', '╔       ╗'],
+            X: ['╔       ╗', ' ╔     ╗ ', '  ╔   ╗  ', '   ╔ ╗   ', '  ╔   ╗  ', ' ╔     ╗ ', '╔       ╗'],
+            Y: ['╔       ╗', ' ╔     ╗ ', '  ╔   ╗  ', '   ╔ ╗   ', '    ╔    ', '    ╔    ', '    ╔    '],
+            Z: ['╔╗╗╗╗╗╗╗╗', '       ╗ ', '      ╗  ', '     ╗   ', '    ╗    ', '   ╗     ', '╔╗╗╗╗╗╗╗╗'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // Serif
+    serif: () => ({
+        name: 'serif',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['classic'] },
+        glyphs: {
+            A: ['    █    ', '   ███   ', '  █   █  ', ' █     █ ', '█████████', '█       █', '█       █'],
+            B: ['████████ ', '█       █', '████████ ', '█       █', '█       █', '█       █', '████████ '],
+            C: ['  ███████', '█        ', '█        ', '█        ', '█        ', '█        ', '  ███████'],
+            D: ['████████ ', '█       █', '█       █', '█       █', '█       █', '█       █', '████████ '],
+            E: ['█████████', '█        ', '█        ', '████████ ', '█        ', '█        ', '█████████'],
+            F: ['█████████', '█        ', '█        ', '████████ ', '█        ', '█        ', '█        '],
+            G: ['  ███████', '█        ', '█        ', '█   █████', '█       █', '█       █', '  ███████'],
+            H: ['█       █', '█       █', '█       █', '█████████', '█       █', '█       █', '█       █'],
+            I: ['█████████', '    █    ', '    █    ', '    █    ', '    █    ', '    █    ', '█████████'],
+            J: ['█████████', '        █', '        █', '        █', '█       █', '█       █', '  ███████'],
+            K: ['█      █', '█     █ ', '█    █  ', '█   █   ', '█  █    ', '█ █     ', '██      '],
+            L: ['█        ', '█        ', '█        ', '█        ', '█        ', '█        ', '█████████'],
+            M: ['█       █', '██     ██', '█ █   █ █', '█  █ █  █', '█   █   █', '█       █', '█       █'],
+            N: ['█       █', '██      █', '█ █     █', '█  █    █', '█   █   █', '█    █  █', '█     ███'],
+            O: ['  ███████', '█       █', '█       █', '█       █', '█       █', '█       █', '  ███████'],
+            P: ['████████ ', '█       █', '█       █', '████████ ', '█        ', '█        ', '█        '],
+            Q: ['  ███████', '█       █', '█       █', '█    █  █', '█     █ █', '█      ██', '  ███████'],
+            R: ['████████ ', '█       █', '█       █', '████████ ', '█  █     ', '█   █    ', '█    █   '],
+            S: ['  ███████', '█        ', '█        ', '  ███████', '        █', '        █', '  ███████'],
+            T: ['█████████', '    █    ', '    █    ', '    █    ', '    █    ', '    █    ', '    █    '],
+            U: ['█       █', '█       █', '█       █', '█       █', '█       █', '█       █', '  ███████'],
+            V: ['█       █', '█       █', ' █     █ ', '  █   █  ', '   █ █   ', '    █    ', '    █    '],
+            W: ['█       █', '█       █', '█   █   █', '█  █ █  █', '█ █   █ █', '██     ██', '█       █'],
+            X: ['█       █', ' █     █ ', '  █   █  ', '   █ █   ', '  █   █  ', ' █     █ ', '█       █'],
+            Y: ['█       █', ' █     █ ', '  █   █  ', '   █ █   ', '    █    ', '    █    ', '    █    '],
+            Z: ['█████████', '       █ ', '      █  ', '     █   ', '    █    ', '   █     ', '█████████'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // Sans
+    sans: () => ({
+        name: 'sans',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['clean'] },
+        glyphs: {
+            A: ['    ▄    ', '   ▄▄▄   ', '  ▄   ▄  ', ' ▄     ▄ ', '▄▄▄▄▄▄▄▄▄', '▄       ▄', '▄       ▄'],
+            B: ['▄▄▄▄▄▄▄▄ ', '▄       ▄', '▄▄▄▄▄▄▄▄ ', '▄       ▄', '▄       ▄', '▄       ▄', '▄▄▄▄▄▄▄▄ '],
+            C: ['  ▄▄▄▄▄▄▄', '▄        ', '▄        ', '▄        ', '▄        ', '▄        ', '  ▄▄▄▄▄▄▄'],
+            D: ['▄▄▄▄▄▄▄▄ ', '▄       ▄', '▄       ▄', '▄       ▄', '▄       ▄', '▄       ▄', '▄▄▄▄▄▄▄▄ '],
+            E: ['▄▄▄▄▄▄▄▄▄', '▄        ', '▄        ', '▄▄▄▄▄▄▄▄ ', '▄        ', '▄        ', '▄▄▄▄▄▄▄▄▄'],
+            F: ['▄▄▄▄▄▄▄▄▄', '▄        ', '▄        ', '▄▄▄▄▄▄▄▄ ', '▄        ', '▄        ', '▄        '],
+            G: ['  ▄▄▄▄▄▄▄', '▄        ', '▄        ', '▄   ▄▄▄▄▄', '▄       ▄', '▄       ▄', '  ▄▄▄▄▄▄▄'],
+            H: ['▄       ▄', '▄       ▄', '▄       ▄', '▄▄▄▄▄▄▄▄▄', '▄       ▄', '▄       ▄', '▄       ▄'],
+            I: ['▄▄▄▄▄▄▄▄▄', '    ▄    ', '    ▄    ', '    ▄    ', '    ▄    ', '    ▄    ', '▄▄▄▄▄▄▄▄▄'],
+            J: ['▄▄▄▄▄▄▄▄▄', '        ▄', '        ▄', '        ▄', '▄       ▄', '▄       ▄', '  ▄▄▄▄▄▄▄'],
+            K: ['▄      ▄', '▄     ▄ ', '▄    ▄  ', '▄   ▄   ', '▄  ▄    ', '▄ ▄     ', '▄▄      '],
+            L: ['▄        ', '▄        ', '▄        ', '▄        ', '▄        ', '▄        ', '▄▄▄▄▄▄▄▄▄'],
+            M: ['▄       ▄', '▄▄     ▄▄', '▄ ▄   ▄ ▄', '▄  ▄ ▄  ▄', '▄   ▄   ▄', '▄       ▄', '▄       ▄'],
+            N: ['▄       ▄', '▄▄      ▄', '▄ ▄     ▄', '▄  ▄    ▄', '▄   ▄   ▄', '▄    ▄  ▄', '▄     ▄▄▄'],
+            O: ['  ▄▄▄▄▄▄▄', '▄       ▄', '▄       ▄', '▄       ▄', '▄       ▄', '▄       ▄', '  ▄▄▄▄▄▄▄'],
+            P: ['▄▄▄▄▄▄▄▄ ', '▄       ▄', '▄       ▄', '▄▄▄▄▄▄▄▄ ', '▄        ', '▄        ', '▄        '],
+            Q: ['  ▄▄▄▄▄▄▄', '▄       ▄', '▄       ▄', '▄    ▄  ▄', '▄     ▄ ▄', '▄      ▄▄', '  ▄▄▄▄▄▄▄'],
+            R: ['▄▄▄▄▄▄▄▄ ', '▄       ▄', '▄       ▄', '▄▄▄▄▄▄▄▄ ', '▄  ▄     ', '▄   ▄    ', '▄    ▄   '],
+            S: ['  ▄▄▄▄▄▄▄', '▄        ', '▄        ', '  ▄▄▄▄▄▄▄', '        ▄', '        ▄', '  ▄▄▄▄▄▄▄'],
+            T: ['▄▄▄▄▄▄▄▄▄', '    ▄    ', '    ▄    ', '    ▄    ', '    ▄    ', '    ▄    ', '    ▄    '],
+            U: ['▄       ▄', '▄       ▄', '▄       ▄', '▄       ▄', '▄       ▄', '▄       ▄', '  ▄▄▄▄▄▄▄'],
+            V: ['▄       ▄', '▄       ▄', ' ▄     ▄ ', '  ▄   ▄  ', '   ▄ ▄   ', '    ▄    ', '    ▄    '],
+            W: ['▄       ▄', '▄       ▄', '▄   ▄   ▄', '▄  ▄ ▄  ▄', '▄ ▄   ▄ ▄', '▄▄     ▄▄', '▄       ▄'],
+            X: ['▄       ▄', ' ▄     ▄ ', '  ▄   ▄  ', '   ▄ ▄   ', '  ▄   ▄  ', ' ▄     ▄ ', '▄       ▄'],
+            Y: ['▄       ▄', ' ▄     ▄ ', '  ▄   ▄  ', '   ▄ ▄   ', '    ▄    ', '    ▄    ', '    ▄    '],
+            Z: ['▄▄▄▄▄▄▄▄▄', '       ▄ ', '      ▄  ', '     ▄   ', '    ▄    ', '   ▄     ', '▄▄▄▄▄▄▄▄▄'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // Decorative (poetry)
+    decorative: () => ({
+        name: 'decorative',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['poetry', 'symbols'] },
+        glyphs: {
+            A: ['    ◊    ', '   ◊◊◊   ', '  ◊   ◊  ', ' ◊     ◊ ', '◊◊◊◊◊◊◊◊◊', '◊       ◊', '◊       ◊'],
+            B: ['◊◊◊◊◊◊◊◊ ', '◊       ◊', '◊◊◊◊◊◊◊◊ ', '◊       ◊', '◊       ◊', '◊       ◊', '◊◊◊◊◊◊◊◊ '],
+            C: ['  ◊◊◊◊◊◊◊', '◊        ', '◊        ', '◊        ', '◊        ', '◊        ', '  ◊◊◊◊◊◊◊'],
+            D: ['◊◊◊◊◊◊◊◊ ', '◊       ◊', '◊       ◊', '◊       ◊', '◊       ◊', '◊       ◊', '◊◊◊◊◊◊◊◊ '],
+            E: ['◊◊◊◊◊◊◊◊◊', '◊        ', '◊        ', '◊◊◊◊◊◊◊◊ ', '◊        ', '◊        ', '◊◊◊◊◊◊◊◊◊'],
+            F: ['◊◊◊◊◊◊◊◊◊', '◊        ', '◊        ', '◊◊◊◊◊◊◊◊ ', '◊        ', '◊        ', '◊        '],
+            G: ['  ◊◊◊◊◊◊◊', '◊        ', '◊        ', '◊   ◊◊◊◊◊', '◊       ◊', '◊       ◊', '  ◊◊◊◊◊◊◊'],
+            H: ['◊       ◊', '◊       ◊', '◊       ◊', '◊◊◊◊◊◊◊◊◊', '◊       ◊', '◊       ◊', '◊       ◊'],
+            I: ['◊◊◊◊◊◊◊◊◊', '    ◊    ', '    ◊    ', '    ◊    ', '    ◊    ', '    ◊    ', '◊◊◊◊◊◊◊◊◊'],
+            J: ['◊◊◊◊◊◊◊◊◊', '        ◊', '        ◊', '        ◊', '◊       ◊', '◊       ◊', '  ◊◊◊◊◊◊◊'],
+            K: ['◊      ◊', '◊     ◊ ', '◊    ◊  ', '◊   ◊   ', '◊  ◊    ', '◊ ◊     ', '◊◊      '],
+            L: ['◊        ', '◊        ', '◊        ', '◊        ', '◊        ', '◊        ', '◊◊◊◊◊◊◊◊◊'],
+            M: ['◊       ◊', '◊◊     ◊◊', '◊ ◊   ◊ ◊', '◊  ◊ ◊  ◊', '◊   ◊   ◊', '◊       ◊', '◊       ◊'],
+            N: ['◊       ◊', '◊◊      ◊', '◊ ◊     ◊', '◊  ◊    ◊', '◊   ◊   ◊', '◊    ◊  ◊', '◊     ◊◊◊'],
+            O: ['  ◊◊◊◊◊◊◊', '◊       ◊', '◊       ◊', '◊       ◊', '◊       ◊', '◊       ◊', '  ◊◊◊◊◊◊◊'],
+            P: ['◊◊◊◊◊◊◊◊ ', '◊       ◊', '◊       ◊', '◊◊◊◊◊◊◊◊ ', '◊        ', '◊        ', '◊        '],
+            Q: ['  ◊◊◊◊◊◊◊', '◊       ◊', '◊       ◊', '◊    ◊  ◊', '◊     ◊ ◊', '◊      ◊◊', '  ◊◊◊◊◊◊◊'],
+            R: ['◊◊◊◊◊◊◊◊ ', '◊       ◊', '◊       ◊', '◊◊◊◊◊◊◊◊ ', '◊  ◊     ', '◊   ◊    ', '◊    ◊   '],
+            S: ['  ◊◊◊◊◊◊◊', '◊        ', '◊        ', '  ◊◊◊◊◊◊◊', '        ◊', '        ◊', '  ◊◊◊◊◊◊◊'],
+            T: ['◊◊◊◊◊◊◊◊◊', '    ◊    ', '    ◊    ', '    ◊    ', '    ◊    ', '    ◊    ', '    ◊    '],
+            U: ['◊       ◊', '◊       ◊', '◊       ◊', '◊       ◊', '◊       ◊', '◊       ◊', '  ◊◊◊◊◊◊◊'],
+            V: ['◊       ◊', '◊       ◊', ' ◊     ◊ ', '  ◊   ◊  ', '   ◊ ◊   ', '    ◊    ', '    ◊    '],
+            W: ['◊       ◊', '◊       ◊', '◊   ◊   ◊', '◊  ◊ ◊  ◊', '◊ ◊   ◊ ◊', '◊◊     ◊◊', '◊       ◊'],
+            X: ['◊       ◊', ' ◊     ◊ ', '  ◊   ◊  ', '   ◊ ◊   ', '  ◊   ◊  ', ' ◊     ◊ ', '◊       ◊'],
+            Y: ['◊       ◊', ' ◊     ◊ ', '  ◊   ◊  ', '   ◊ ◊   ', '    ◊    ', '    ◊    ', '    ◊    '],
+            Z: ['◊◊◊◊◊◊◊◊◊', '       ◊ ', '      ◊  ', '     ◊   ', '    ◊    ', '   ◊     ', '◊◊◊◊◊◊◊◊◊'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // Artistic (poetry)
+    artistic: () => ({
+        name: 'artistic',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['poetry', 'symbols'] },
+        glyphs: {
+            A: ['    ◆    ', '   ◆◆◆   ', '  ◆   ◆  ', ' ◆     ◆ ', '◆◆◆◆◆◆◆◆◆', '◆       ◆', '◆       ◆'],
+            B: ['◆◆◆◆◆◆◆◆ ', '◆       ◆', '◆◆◆◆◆◆◆◆ ', '◆       ◆', '◆       ◆', '◆       ◆', '◆◆◆◆◆◆◆◆ '],
+            C: ['  ◆◆◆◆◆◆◆', '◆        ', '◆        ', '◆        ', '◆        ', '◆        ', '  ◆◆◆◆◆◆◆'],
+            D: ['◆◆◆◆◆◆◆◆ ', '◆       ◆', '◆       ◆', '◆       ◆', '◆       ◆', '◆       ◆', '◆◆◆◆◆◆◆◆ '],
+            E: ['◆◆◆◆◆◆◆◆◆', '◆        ', '◆        ', '◆◆◆◆◆◆◆◆ ', '◆        ', '◆        ', '◆◆◆◆◆◆◆◆◆'],
+            F: ['◆◆◆◆◆◆◆◆◆', '◆        ', '◆        ', '◆◆◆◆◆◆◆◆ ', '◆        ', '◆        ', '◆        '],
+            G: ['  ◆◆◆◆◆◆◆', '◆        ', '◆        ', '◆   ◆◆◆◆◆', '◆       ◆', '◆       ◆', '  ◆◆◆◆◆◆◆'],
+            H: ['◆       ◆', '◆       ◆', '◆       ◆', '◆◆◆◆◆◆◆◆◆', '◆       ◆', '◆       ◆', '◆       ◆'],
+            I: ['◆◆◆◆◆◆◆◆◆', '    ◆    ', '    ◆    ', '    ◆    ', '    ◆    ', '    ◆    ', '◆◆◆◆◆◆◆◆◆'],
+            J: ['◆◆◆◆◆◆◆◆◆', '        ◆', '        ◆', '        ◆', '◆       ◆', '◆       ◆', '  ◆◆◆◆◆◆◆'],
+            K: ['◆      ◆', '◆     ◆ ', '◆    ◆  ', '◆   ◆   ', '◆  ◆    ', '◆ ◆     ', '◆◆      '],
+            L: ['◆        ', '◆        ', '◆        ', '◆        ', '◆        ', '◆        ', '◆◆◆◆◆◆◆◆◆'],
+            M: ['◆       ◆', '◆◆     ◆◆', '◆ ◆   ◆ ◆', '◆  ◆ ◆  ◆', '◆   ◆   ◆', '◆       ◆', '◆       ◆'],
+            N: ['◆       ◆', '◆◆      ◆', '◆ ◆     ◆', '◆  ◆    ◆', '◆   ◆   ◆', '◆    ◆  ◆', '◆     ◆◆◆'],
+            O: ['  ◆◆◆◆◆◆◆', '◆       ◆', '◆       ◆', '◆       ◆', '◆       ◆', '◆       ◆', '  ◆◆◆◆◆◆◆'],
+            P: ['◆◆◆◆◆◆◆◆ ', '◆       ◆', '◆       ◆', '◆◆◆◆◆◆◆◆ ', '◆        ', '◆        ', '◆        '],
+            Q: ['  ◆◆◆◆◆◆◆', '◆       ◆', '◆       ◆', '◆    ◆  ◆', '◆     ◆ ◆', '◆      ◆◆', '  ◆◆◆◆◆◆◆'],
+            R: ['◆◆◆◆◆◆◆◆ ', '◆       ◆', '◆       ◆', '◆◆◆◆◆◆◆◆ ', '◆  ◆     ', '◆   ◆    ', '◆    ◆   '],
+            S: ['  ◆◆◆◆◆◆◆', '◆        ', '◆        ', '  ◆◆◆◆◆◆◆', '        ◆', '        ◆', '  ◆◆◆◆◆◆◆'],
+            T: ['◆◆◆◆◆◆◆◆◆', '    ◆    ', '    ◆    ', '    ◆    ', '    ◆    ', '    ◆    ', '    ◆    '],
+            U: ['◆       ◆', '◆       ◆', '◆       ◆', '◆       ◆', '◆       ◆', '◆       ◆', '  ◆◆◆◆◆◆◆'],
+            V: ['◆       ◆', '◆       ◆', ' ◆     ◆ ', '  ◆   ◆  ', '   ◆ ◆   ', '    ◆    ', '    ◆    '],
+            W: ['◆       ◆', '◆       ◆', '◆   ◆   ◆', '◆  ◆ ◆  ◆', '◆ ◆   ◆ ◆', '◆◆     ◆◆', '◆       ◆'],
+            X: ['◆       ◆', ' ◆     ◆ ', '  ◆   ◆  ', '   ◆ ◆   ', '  ◆   ◆  ', ' ◆     ◆ ', '◆       ◆'],
+            Y: ['◆       ◆', ' ◆     ◆ ', '  ◆   ◆  ', '   ◆ ◆   ', '    ◆    ', '    ◆    ', '    ◆    '],
+            Z: ['◆◆◆◆◆◆◆◆◆', '       ◆ ', '      ◆  ', '     ◆   ', '    ◆    ', '   ◆     ', '◆◆◆◆◆◆◆◆◆'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // Star
+    star: () => ({
+        name: 'star',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['symbols'] },
+        glyphs: {
+            A: ['  ★  ', ' ★ ★ ', '★   ★', '★★★★★', '★   ★', '★   ★'],
+            B: ['★★★★ ', '★   ★', '★★★★ ', '★   ★', '★   ★', '★★★★ '],
+            C: [' ★★★★', '★    ', '★    ', '★    ', '★    ', ' ★★★★'],
+            D: ['★★★★ ', '★   ★', '★   ★', '★   ★', '★   ★', '★★★★ '],
+            E: ['★★★★★', '★    ', '★★★★ ', '★    ', '★    ', '★★★★★'],
+            F: ['★★★★★', '★    ', '★★★★ ', '★    ', '★    ', '★    '],
+            G: [' ★★★★', '★    ', '★    ', '★  ★★', '★   ★', ' ★★★★'],
+            H: ['★   ★', '★   ★', '★★★★★', '★   ★', '★   ★', '★   ★'],
+            I: ['★★★★★', '  ★  ', '  ★  ', '  ★  ', '  ★  ', '★★★★★'],
+            J: ['★★★★★', '    ★', '    ★', '    ★', '★   ★', ' ★★★ '],
+            K: ['★   ★', '★  ★ ', '★★★  ', '★  ★ ', '★   ★', '★   ★'],
+            L: ['★    ', '★    ', '★    ', '★    ', '★    ', '★★★★★'],
+            M: ['★   ★', '★★ ★★', '★ ★ ★', '★   ★', '★   ★', '★   ★'],
+            N: ['★   ★', '★★  ★', '★ ★ ★', '★  ★★', '★   ★', '★   ★'],
+            O: [' ★★★ ', '★   ★', '★   ★', '★   ★', '★   ★', ' ★★★ '],
+            P: ['★★★★ ', '★   ★', '★★★★ ', '★    ', '★    ', '★    '],
+            Q: [' ★★★ ', '★   ★', '★   ★', '★ ★ ★', '★  ★★', ' ★★★★'],
+            R: ['★★★★ ', '★   ★', '★★★★ ', '★  ★ ', '★   ★', '★   ★'],
+            S: [' ★★★★', '★    ', ' ★★★★', '    ★', '    ★', ' ★★★★'],
+            T: ['★★★★★', '  ★  ', '  ★  ', '  ★  ', '  ★  ', '  ★  '],
+            U: ['★   ★', '★   ★', '★   ★', '★   ★', '★   ★', ' ★★★ '],
+            V: ['★   ★', '★   ★', '★   ★', ' ★ ★ ', ' ★ ★ ', '  ★  '],
+            W: ['★   ★', '★   ★', '★   ★', '★ ★ ★', '★★ ★★', '★   ★'],
+            X: ['★   ★', ' ★ ★ ', '  ★  ', '  ★  ', ' ★ ★ ', '★   ★'],
+            Y: ['★   ★', '★   ★', ' ★ ★ ', '  ★  ', '  ★  ', '  ★  '],
+            Z: ['★★★★★', '    ★', '   ★ ', '  ★  ', ' ★   ', '★★★★★'],
+            ' ': ['     ', '     ', '     ', '     ', '     ', '     ']
+        }
+    }),
+
+    // Dot
+    dot: () => ({
+        name: 'dot',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['dots'] },
+        glyphs: {
+            A: ['  •  ', ' • • ', '•   •', '•••••', '•   •', '•   •'],
+            B: ['•••• ', '•   •', '•••• ', '•   •', '•   •', '•••• '],
+            C: [' ••••', '•    ', '•    ', '•    ', '•    ', ' ••••'],
+            D: ['•••• ', '•   •', '•   •', '•   •', '•   •', '•••• '],
+            E: ['•••••', '•    ', '•••• ', '•    ', '•    ', '•••••'],
+            F: ['•••••', '•    ', '•••• ', '•    ', '•    ', '•    '],
+            G: [' ••••', '•    ', '•    ', '•  ••', '•   •', ' ••••'],
+            H: ['•   •', '•   •', '•••••', '•   •', '•   •', '•   •'],
+            I: ['•••••', '  •  ', '  •  ', '  •  ', '  •  ', '•••••'],
+            J: ['•••••', '    •', '    •', '    •', '•   •', ' ••• '],
+            K: ['•   •', '•  • ', '••   ', '•  • ', '•   •', '•   •'],
+            L: ['•    ', '•    ', '•    ', '•    ', '•    ', '•••••'],
+            M: ['•   •', '•• ••', '• • •', '•   •', '•   •', '•   •'],
+            N: ['•   •', '••  •', '• • •', '•  ••', '•   •', '•   •'],
+            O: [' ••• ', '•   •', '•   •', '•   •', '•   •', ' ••• '],
+            P: ['•••• ', '•   •', '•••• ', '•    ', '•    ', '•    '],
+            Q: [' ••• ', '•   •', '•   •', '• • •', '•  ••', ' ••••'],
+            R: ['•••• ', '•   •', '•••• ', '•  • ', '•   •', '•   •'],
+            S: [' ••••', '•    ', ' ••••', '    •', '    •', ' ••••'],
+            T: ['•••••', '  •  ', '  •  ', '  •  ', '  •  ', '  •  '],
+            U: ['•   •', '•   •', '•   •', '•   •', '•   •', ' ••• '],
+            V: ['•   •', '•   •', '•   •', ' • • ', ' • • ', '  •  '],
+            W: ['•   •', '•   •', '•   •', '• • •', '•• ••', '•   •'],
+            X: ['•   •', ' • • ', '  •  ', '  •  ', ' • • ', '•   •'],
+            Y: ['•   •', '•   •', ' • • ', '  •  ', '  •  ', '  •  '],
+            Z: ['•••••', '    •', '   • ', '  •  ', ' •   ', '•••••'],
+            ' ': ['     ', '     ', '     ', '     ', '     ', '     ']
+        }
+    }),
+
+    // Wavy
+    wavy: () => ({
+        name: 'wavy',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['playful'] },
+        glyphs: {
+            A: ['  ≈≈  ', ' ≈≈≈≈ ', '≈≈  ≈≈', '≈≈≈≈≈≈', '≈≈  ≈≈', '≈≈  ≈≈'],
+            B: ['≈≈≈≈≈ ', '≈≈  ≈≈', '≈≈≈≈≈ ', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈≈≈≈ '],
+            C: [' ≈≈≈≈≈', '≈≈    ', '≈≈    ', '≈≈    ', '≈≈    ', ' ≈≈≈≈≈'],
+            D: ['≈≈≈≈≈ ', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈≈≈≈ '],
+            E: ['≈≈≈≈≈≈', '≈≈    ', '≈≈≈≈≈ ', '≈≈    ', '≈≈    ', '≈≈≈≈≈≈'],
+            F: ['≈≈≈≈≈≈', '≈≈    ', '≈≈≈≈≈ ', '≈≈    ', '≈≈    ', '≈≈    '],
+            G: [' ≈≈≈≈≈', '≈≈    ', '≈≈    ', '≈≈ ≈≈≈', '≈≈  ≈≈', ' ≈≈≈≈≈'],
+            H: ['≈≈  ≈≈', '≈≈  ≈≈', '≈≈≈≈≈≈', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈'],
+            I: ['≈≈≈≈≈≈', '  ≈≈  ', '  ≈≈  ', '  ≈≈  ', '  ≈≈  ', '≈≈≈≈≈≈'],
+            J: ['≈≈≈≈≈≈', '    ≈≈', '    ≈≈', '    ≈≈', '≈≈  ≈≈', ' ≈≈≈≈ '],
+            K: ['≈≈  ≈≈', '≈≈ ≈≈ ', '≈≈≈≈  ', '≈≈ ≈≈ ', '≈≈  ≈≈', '≈≈  ≈≈'],
+            L: ['≈≈    ', '≈≈    ', '≈≈    ', '≈≈    ', '≈≈    ', '≈≈≈≈≈≈'],
+            M: ['≈≈  ≈≈', '≈≈≈≈≈≈', '≈≈ ≈≈≈', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈'],
+            N: ['≈≈  ≈≈', '≈≈≈ ≈≈', '≈≈≈≈≈≈', '≈≈ ≈≈≈', '≈≈  ≈≈', '≈≈  ≈≈'],
+            O: [' ≈≈≈≈ ', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈', ' ≈≈≈≈ '],
+            P: ['≈≈≈≈≈ ', '≈≈  ≈≈', '≈≈≈≈≈ ', '≈≈    ', '≈≈    ', '≈≈    '],
+            Q: [' ≈≈≈≈ ', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈ ≈≈≈', '≈≈  ≈≈', ' ≈≈≈≈ '],
+            R: ['≈≈≈≈≈ ', '≈≈  ≈≈', '≈≈≈≈≈ ', '≈≈ ≈≈ ', '≈≈  ≈≈', '≈≈  ≈≈'],
+            S: [' ≈≈≈≈≈', '≈≈    ', ' ≈≈≈≈≈', '    ≈≈', '    ≈≈', ' ≈≈≈≈≈'],
+            T: ['≈≈≈≈≈≈', '  ≈≈  ', '  ≈≈  ', '  ≈≈  ', '  ≈≈  ', '  ≈≈  '],
+            U: ['≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈', ' ≈≈≈≈ '],
+            V: ['≈≈  ≈≈', '≈≈  ≈≈', '≈≈  ≈≈', ' ≈≈≈≈ ', ' ≈≈≈≈ ', '  ≈≈  '],
+            W: ['≈≈  ≈≈', '≈≈  ≈≈', '≈≈ ≈≈≈', '≈≈≈≈≈≈', '≈≈  ≈≈', '≈≈  ≈≈'],
+            X: ['≈≈  ≈≈', ' ≈≈≈≈ ', '  ≈≈  ', '  ≈≈  ', ' ≈≈≈≈ ', '≈≈  ≈≈'],
+            Y: ['≈≈  ≈≈', '≈≈  ≈≈', ' ≈≈≈≈ ', '  ≈≈  ', '  ≈≈  ', '  ≈≈  '],
+            Z: ['≈≈≈≈≈≈', '    ≈≈', '   ≈≈ ', '  ≈≈  ', ' ≈≈   ', '≈≈≈≈≈≈'],
+            ' ': ['      ', '      ', '      ', '      ', '      ', '      ']
+        }
+    }),
+
+    // Pixel
+    pixel: () => ({
+        name: 'pixel',
+        height: 5,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['blocks'] },
+        glyphs: {
+            A: ['  ▓  ', ' ▓ ▓ ', '▓▓▓▓▓', '▓   ▓', '▓   ▓'],
+            B: ['▓▓▓▓ ', '▓   ▓', '▓▓▓▓ ', '▓   ▓', '▓▓▓▓ '],
+            C: [' ▓▓▓▓', '▓    ', '▓    ', '▓    ', ' ▓▓▓▓'],
+            D: ['▓▓▓▓ ', '▓   ▓', '▓   ▓', '▓   ▓', '▓▓▓▓ '],
+            E: ['▓▓▓▓▓', '▓    ', '▓▓▓▓ ', '▓    ', '▓▓▓▓▓'],
+            F: ['▓▓▓▓▓', '▓    ', '▓▓▓▓ ', '▓    ', '▓    '],
+            G: [' ▓▓▓▓', '▓    ', '▓  ▓▓', '▓   ▓', ' ▓▓▓▓'],
+            H: ['▓   ▓', '▓   ▓', '▓▓▓▓▓', '▓   ▓', '▓   ▓'],
+            I: ['▓▓▓▓▓', '  ▓  ', '  ▓  ', '  ▓  ', '▓▓▓▓▓'],
+            J: ['▓▓▓▓▓', '    ▓', '    ▓', '▓   ▓', ' ▓▓▓ '],
+            K: ['▓   ▓', '▓  ▓ ', '▓▓▓  ', '▓  ▓ ', '▓   ▓'],
+            L: ['▓    ', '▓    ', '▓    ', '▓    ', '▓▓▓▓▓'],
+            M: ['▓   ▓', '▓▓ ▓▓', '▓ ▓ ▓', '▓   ▓', '▓   ▓'],
+            N: ['▓   ▓', '▓▓  ▓', '▓ ▓ ▓', '▓  ▓▓', '▓   ▓'],
+            O: [' ▓▓▓ ', '▓   ▓', '▓   ▓', '▓   ▓', ' ▓▓▓ '],
+            P: ['▓▓▓▓ ', '▓   ▓', '▓▓▓▓ ', '▓    ', '▓    '],
+            Q: [' ▓▓▓ ', '▓   ▓', '▓   ▓', '▓  ▓▓', ' ▓▓▓▓'],
+            R: ['▓▓▓▓ ', '▓   ▓', '▓▓▓▓ ', '▓  ▓ ', '▓   ▓'],
+            S: [' ▓▓▓▓', '▓    ', ' ▓▓▓▓', '    ▓', ' ▓▓▓▓'],
+            T: ['▓▓▓▓▓', '  ▓  ', '  ▓  ', '  ▓  ', '  ▓  '],
+            U: ['▓   ▓', '▓   ▓', '▓   ▓', '▓   ▓', ' ▓▓▓ '],
+            V: ['▓   ▓', '▓   ▓', '▓   ▓', ' ▓ ▓ ', '  ▓  '],
+            W: ['▓   ▓', '▓   ▓', '▓ ▓ ▓', '▓▓ ▓▓', '▓   ▓'],
+            X: ['▓   ▓', ' ▓ ▓ ', '  ▓  ', ' ▓ ▓ ', '▓   ▓'],
+            Y: ['▓   ▓', ' ▓ ▓ ', '  ▓  ', '  ▓  ', '  ▓  '],
+            Z: ['▓▓▓▓▓', '    ▓', '   ▓ ', '  ▓  ', '▓▓▓▓▓'],
+            ' ': ['     ', '     ', '     ', '     ', '     ']
+        }
+    }),
+
+    // ===== MODULAR APP DESIGNS =====
+    // The modular app's own takes on fonts whose names now belong to the script.js designs above
+
+    // Standard (modular app design, 6-row blocks)
+    'standard-modular': () => ({
+        name: 'standard-modular',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['blocks'] },
+        glyphs: {
+            A: ['  ██  ', ' ████ ', '██  ██', '██████', '██  ██', '██  ██'],
+            B: ['█████ ', '██  ██', '█████ ', '██  ██', '██  ██', '█████ '],
+            C: [' █████', '██    ', '██    ', '██    ', '██    ', ' █████'],
+            D: ['█████ ', '██  ██', '██  ██', '██  ██', '██  ██', '█████ '],
+            E: ['██████', '██    ', '████  ', '██    ', '██    ', '██████'],
+            F: ['██████', '██    ', '████  ', '██    ', '██    ', '██    '],
+            G: [' █████', '██    ', '██    ', '██ ███', '██  ██', ' █████'],
+            H: ['██  ██', '██  ██', '██████', '██  ██', '██  ██', '██  ██'],
+            I: ['██████', '  ██  ', '  ██  ', '  ██  ', '  ██  ', '██████'],
+            J: ['██████', '    ██', '    ██', '    ██', '██  ██', ' ████ '],
+            K: ['██  ██', '██ ██ ', '████  ', '██ ██ ', '██  ██', '██  ██'],
+            L: ['██    ', '██    ', '██    ', '██    ', '██    ', '██████'],
+            M: ['██  ██', '██████', '██ ███', '██  ██', '██  ██', '██  ██'],
+            N: ['██  ██', '███ ██', '██████', '██ ███', '██  ██', '██  ██'],
+            O: [' █████', '██  ██', '██  ██', '██  ██', '██  ██', ' █████'],
+            P: ['█████ ', '██  ██', '█████ ', '██    ', '██    ', '██    '],
+            Q: [' █████', '██  ██', '██  ██', '██ ███', '██  ██', ' █████'],
+            R: ['█████ ', '██  ██', '█████ ', '██ ██ ', '██  ██', '██  ██'],
+            S: [' █████', '██    ', ' █████', '    ██', '    ██', ' █████'],
+            T: ['██████', '  ██  ', '  ██  ', '  ██  ', '  ██  ', '  ██  '],
+            U: ['██  ██', '██  ██', '██  ██', '██  ██', '██  ██', ' █████'],
+            V: ['██  ██', '██  ██', '██  ██', ' ████ ', ' ████ ', '  ██  '],
+            W: ['██  ██', '██  ██', '██ ███', '██████', '██  ██', '██  ██'],
+            X: ['██  ██', ' ████ ', '  ██  ', '  ██  ', ' ████ ', '██  ██'],
+            Y: ['██  ██', '██  ██', ' ████ ', '  ██  ', '  ██  ', '  ██  '],
+            Z: ['██████', '    ██', '   ██ ', '  ██  ', ' ██   ', '██████'],
+            ' ': ['      ', '      ', '      ', '      ', '      ', '      ']
+        }
+    }),
+
+    // Block (modular app design)
+    'block-modular': () => ({
+        name: 'block-modular',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['blocks', 'solid'] },
+        glyphs: {
+            A: ['████  ', '██  ██', '██████', '██  ██', '██  ██', '██  ██'],
+            B: ['█████ ', '██  ██', '█████ ', '██  ██', '██  ██', '█████ '],
+            C: [' █████', '██    ', '██    ', '██    ', '██    ', ' █████'],
+            D: ['█████ ', '██  ██', '██  ██', '██  ██', '██  ██', '█████ '],
+            E: ['██████', '██    ', '████  ', '██    ', '██    ', '██████'],
+            F: ['██████', '██    ', '████  ', '██    ', '██    ', '██    '],
+            G: [' █████', '██    ', '██    ', '██ ███', '██  ██', ' █████'],
+            H: ['██  ██', '██  ██', '██████', '██  ██', '██  ██', '██  ██'],
+            I: ['██████', '  ██  ', '  ██  ', '  ██  ', '  ██  ', '██████'],
+            J: ['██████', '    ██', '    ██', '    ██', '██  ██', ' ████ '],
+            K: ['██  ██', '██ ██ ', '████  ', '██ ██ ', '██  ██', '██  ██'],
+            L: ['██    ', '██    ', '██    ', '██    ', '██    ', '██████'],
+            M: ['██  ██', '██████', '██ ███', '██  ██', '██  ██', '██  ██'],
+            N: ['██  ██', '███ ██', '██████', '██ ███', '██  ██', '██  ██'],
+            O: [' █████', '██  ██', '██  ██', '██  ██', '██  ██', ' █████'],
+            P: ['█████ ', '██  ██', '█████ ', '██    ', '██    ', '██    '],
+            Q: [' █████', '██  ██', '██  ██', '██ ███', '██  ██', ' █████'],
+            R: ['█████ ', '██  ██', '█████ ', '██ ██ ', '██  ██', '██  ██'],
+            S: [' █████', '██    ', ' █████', '    ██', '    ██', ' █████'],
+            T: ['██████', '  ██  ', '  ██  ', '  ██  ', '  ██  ', '  ██  '],
+            U: ['██  ██', '██  ██', '██  ██', '██  ██', '██  ██', ' █████'],
+            V: ['██  ██', '██  ██', '██  ██', ' ████ ', ' ████ ', '  ██  '],
+            W: ['██  ██', '██  ██', '██ ███', '██████', '██  ██', '██  ██'],
+            X: ['██  ██', ' ████ ', '  ██  ', '  ██  ', ' ████ ', '██  ██'],
+            Y: ['██  ██', '██  ██', ' ████ ', '  ██  ', '  ██  ', '  ██  '],
+            Z: ['██████', '    ██', '   ██ ', '  ██  ', ' ██   ', '██████'],
+            ' ': ['      ', '      ', '      ', '      ', '      ', '      ']
+        }
+    }),
+
+    // Mini (modular app design)
+    'mini-modular': () => ({
+        name: 'mini-modular',
+        height: 3,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['compact'] },
+        glyphs: {
+            A: [' ▄ ', '▄▀▄', '▀ ▀'],
+            B: ['▄▀▄', '▄▀▄', '▀▀▀'],
+            C: ['▄▀▄', '▄  ', '▀▀▀'],
+            D: ['▄▀▄', '▄ ▀', '▀▀▀'],
+            E: ['▄▀▀', '▄▀ ', '▀▀▀'],
+            F: ['▄▀▀', '▄▀ ', '▀  '],
+            G: ['▄▀▄', '▄ ▀', '▀▀▀'],
+            H: ['▄ ▄', '▄▀▄', '▀ ▀'],
+            I: ['▄▀▄', ' ▀ ', '▄▀▄'],
+            J: ['  ▄', '  ▀', '▀▀▀'],
+            K: ['▄ ▀', '▄▀ ', '▀ ▀'],
+            L: ['▄  ', '▄  ', '▀▀▀'],
+            M: ['▄▄▄', '▄▄▄', '▀ ▀'],
+            N: ['▄▄▄', '▄ ▀', '▀ ▀'],
+            O: ['▄▀▄', '▄ ▀', '▀▀▀'],
+            P: ['▄▀▄', '▄▀ ', '▀  '],
+            Q: ['▄▀▄', '▄ ▀', '▀▀▀'],
+            R: ['▄▀▄', '▄▀▄', '▀ ▀'],
+            S: ['▄▀▀', ' ▀▄', '▀▀▀'],
+            T: ['▄▀▄', ' ▀ ', ' ▀ '],
+            U: ['▄ ▄', '▄ ▀', '▀▀▀'],
+            V: ['▄ ▄', '▄ ▀', ' ▀ '],
+            W: ['▄ ▄', '▄▄▄', '▀ ▀'],
+            X: ['▄ ▄', ' ▀ ', '▄ ▄'],
+            Y: ['▄ ▄', ' ▀ ', ' ▀ '],
+            Z: ['▄▀▀', ' ▀ ', '▀▀▀'],
+            ' ': ['   ', '   ', '   ']
+        }
+    }),
+
+    // Small (modular app design)
+    'small-modular': () => ({
+        name: 'small-modular',
+        height: 3,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['compact'] },
+        glyphs: {
+            A: [' ▄ ', '▄▀▄', '▀ ▀'],
+            B: ['▄▀▄', '▄▀▄', '▀▀▀'],
+            C: ['▄▀▄', '▄  ', '▀▀▀'],
+            D: ['▄▀▄', '▄ ▀', '▀▀▀'],
+            E: ['▄▀▀', '▄▀ ', '▀▀▀'],
+            F: ['▄▀▀', '▄▀ ', '▀  '],
+            G: ['▄▀▄', '▄ ▀', '▀▀▀'],
+            H: ['▄ ▄', '▄▀▄', '▀ ▀'],
+            I: ['▄▀▄', ' ▀ ', '▄▀▄'],
+            J: ['  ▄', '  ▀', '▀▀▀'],
+            K: ['▄ ▀', '▄▀ ', '▀ ▀'],
+            L: ['▄  ', '▄  ', '▀▀▀'],
+            M: ['▄▄▄', '▄▄▄', '▀ ▀'],
+            N: ['▄▄▄', '▄ ▀', '▀ ▀'],
+            O: ['▄▀▄', '▄ ▀', '▀▀▀'],
+            P: ['▄▀▄', '▄▀ ', '▀  '],
+            Q: ['▄▀▄', '▄ ▀', '▀▀▀'],
+            R: ['▄▀▄', '▄▀▄', '▀ ▀'],
+            S: ['▄▀▀', ' ▀▄', '▀▀▀'],
+            T: ['▄▀▄', ' ▀ ', ' ▀ '],
+            U: ['▄ ▄', '▄ ▀', '▀▀▀'],
+            V: ['▄ ▄', '▄ ▀', ' ▀ '],
+            W: ['▄ ▄', '▄▄▄', '▀ ▀'],
+            X: ['▄ ▄', ' ▀ ', '▄ ▄'],
+            Y: ['▄ ▄', ' ▀ ', ' ▀ '],
+            Z: ['▄▀▀', ' ▀ ', '▀▀▀'],
+            ' ': ['   ', '   ', '   ']
+        }
+    }),
+
+    // Bubble (modular app design)
+    'bubble-modular': () => ({
+        name: 'bubble-modular',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['rounded'] },
+        glyphs: {
+            A: ['  ●●  ', ' ●●●● ', '●●  ●●', '●●●●●●', '●●  ●●', '●●  ●●'],
+            B: ['●●●●● ', '●●  ●●', '●●●●● ', '●●  ●●', '●●  ●●', '●●●●● '],
+            C: [' ●●●●●', '●●    ', '●●    ', '●●    ', '●●    ', ' ●●●●●'],
+            D: ['●●●●● ', '●●  ●●', '●●  ●●', '●●  ●●', '●●  ●●', '●●●●● '],
+            E: ['●●●●●●', '●●    ', '●●●●  ', '●●    ', '●●    ', '●●●●●●'],
+            F: ['●●●●●●', '●●    ', '●●●●  ', '●●    ', '●●    ', '●●    '],
+            G: [' ●●●●●', '●●    ', '●●    ', '●● ●●●', '●●  ●●', ' ●●●●●'],
+            H: ['●●  ●●', '●●  ●●', '●●●●●●', '●●  ●●', '●●  ●●', '●●  ●●'],
+            I: ['●●●●●●', '  ●●  ', '  ●●  ', '  ●●  ', '  ●●  ', '●●●●●●'],
+            J: ['●●●●●●', '    ●●', '    ●●', '    ●●', '●●  ●●', ' ●●●● '],
+            K: ['●●  ●●', '●● ●● ', '●●●●  ', '●● ●● ', '●●  ●●', '●●  ●●'],
+            L: ['●●    ', '●●    ', '●●    ', '●●    ', '●●    ', '●●●●●●'],
+            M: ['●●  ●●', '●●●●●●', '●● ●●●', '●●  ●●', '●●  ●●', '●●  ●●'],
+            N: ['●●  ●●', '●●● ●●', '●●●●●●', '●● ●●●', '●●  ●●', '●●  ●●'],
+            O: [' ●●●●●', '●●  ●●', '●●  ●●', '●●  ●●', '●●  ●●', ' ●●●●●'],
+            P: ['●●●●● ', '●●  ●●', '●●●●● ', '●●    ', '●●    ', '●●    '],
+            Q: [' ●●●●●', '●●  ●●', '●●  ●●', '●● ●●●', '●●  ●●', ' ●●●●●'],
+            R: ['●●●●● ', '●●  ●●', '●●●●● ', '●● ●● ', '●●  ●●', '●●  ●●'],
+            S: [' ●●●●●', '●●    ', ' ●●●●●', '    ●●', '    ●●', ' ●●●●●'],
+            T: ['●●●●●●', '  ●●  ', '  ●●  ', '  ●●  ', '  ●●  ', '  ●●  '],
+            U: ['●●  ●●', '●●  ●●', '●●  ●●', '●●  ●●', '●●  ●●', ' ●●●●●'],
+            V: ['●●  ●●', '●●  ●●', '●●  ●●', ' ●●●● ', ' ●●●● ', '  ●●  '],
+            W: ['●●  ●●', '●●  ●●', '●● ●●●', '●●●●●●', '●●  ●●', '●●  ●●'],
+            X: ['●●  ●●', ' ●●●● ', '  ●●  ', '  ●●  ', ' ●●●● ', '●●  ●●'],
+            Y: ['●●  ●●', '●●  ●●', ' ●●●● ', '  ●●  ', '  ●●  ', '  ●●  '],
+            Z: ['●●●●●●', '    ●●', '   ●● ', '  ●●  ', ' ●●   ', '●●●●●●'],
+            ' ': ['      ', '      ', '      ', '      ', '      ', '      ']
+        }
+    }),
+
+    // Gothic (modular app design)
+    'gothic-modular': () => ({
+        name: 'gothic-modular',
+        height: 7,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['decorative'] },
+        glyphs: {
+            A: ['    ░    ', '   ░░░   ', '  ░   ░  ', ' ░     ░ ', '░░░░░░░░░', '░       ░', '░       ░'],
+            B: ['░░░░░░░░ ', '░       ░', '░░░░░░░░ ', '░       ░', '░       ░', '░       ░', '░░░░░░░░ '],
+            C: ['  ░░░░░░░', '░        ', '░        ', '░        ', '░        ', '░        ', '  ░░░░░░░'],
+            D: ['░░░░░░░░ ', '░       ░', '░       ░', '░       ░', '░       ░', '░       ░', '░░░░░░░░ '],
+            E: ['░░░░░░░░░', '░        ', '░        ', '░░░░░░░░ ', '░        ', '░        ', '░░░░░░░░░'],
+            F: ['░░░░░░░░░', '░        ', '░        ', '░░░░░░░░ ', '░        ', '░        ', '░        '],
+            G: ['  ░░░░░░░', '░        ', '░        ', '░   ░░░░░', '░       ░', '░       ░', '  ░░░░░░░'],
+            H: ['░       ░', '░       ░', '░       ░', '░░░░░░░░░', '░       ░', '░       ░', '░       ░'],
+            I: ['░░░░░░░░░', '    ░    ', '    ░    ', '    ░    ', '    ░    ', '    ░    ', '░░░░░░░░░'],
+            J: ['░░░░░░░░░', '        ░', '        ░', '        ░', '░       ░', '░       ░', '  ░░░░░░░'],
+            K: ['░      ░', '░     ░ ', '░    ░  ', '░   ░   ', '░  ░    ', '░ ░     ', '░░      '],
+            L: ['░        ', '░        ', '░        ', '░        ', '░        ', '░        ', '░░░░░░░░░'],
+            M: ['░       ░', '░░     ░░', '░ ░   ░ ░', '░  ░ ░  ░', '░   ░   ░', '░       ░', '░       ░'],
+            N: ['░       ░', '░░      ░', '░ ░     ░', '░  ░    ░', '░   ░   ░', '░    ░  ░', '░     ░░░'],
+            O: ['  ░░░░░░░', '░       ░', '░       ░', '░       ░', '░       ░', '░       ░', '  ░░░░░░░'],
+            P: ['░░░░░░░░ ', '░       ░', '░       ░', '░░░░░░░░ ', '░        ', '░        ', '░        '],
+            Q: ['  ░░░░░░░', '░       ░', '░       ░', '░    ░  ░', '░     ░ ░', '░      ░░', '  ░░░░░░░'],
+            R: ['░░░░░░░░ ', '░       ░', '░       ░', '░░░░░░░░ ', '░  ░     ', '░   ░    ', '░    ░   '],
+            S: ['  ░░░░░░░', '░        ', '░        ', '  ░░░░░░░', '        ░', '        ░', '  ░░░░░░░'],
+            T: ['░░░░░░░░░', '    ░    ', '    ░    ', '    ░    ', '    ░    ', '    ░    ', '    ░    '],
+            U: ['░       ░', '░       ░', '░       ░', '░       ░', '░       ░', '░       ░', '  ░░░░░░░'],
+            V: ['░       ░', '░       ░', ' ░     ░ ', '  ░   ░  ', '   ░ ░   ', '    ░    ', '    ░    '],
+            W: ['░       ░', '░       ░', '░   ░   ░', '░  ░ ░  ░', '░ ░   ░ ░', '░░     ░░', '░       ░'],
+            X: ['░       ░', ' ░     ░ ', '  ░   ░  ', '   ░ ░   ', '  ░   ░  ', ' ░     ░ ', '░       ░'],
+            Y: ['░       ░', ' ░     ░ ', '  ░   ░  ', '   ░ ░   ', '    ░    ', '    ░    ', '    ░    '],
+            Z: ['░░░░░░░░░', '       ░ ', '      ░  ', '     ░   ', '    ░    ', '   ░     ', '░░░░░░░░░'],
+            ' ': ['         ', '         ', '         ', '         ', '         ', '         ', '         ']
+        }
+    }),
+
+    // 3D classic (FIGlet-style banner from the modular app)
+    '3d-classic': () => ({
+        name: '3d-classic',
+        height: 6,
+        metadata: { author: 'ASCII Art Generator', license: 'MIT', tags: ['3d', 'figlet-style'] },
+        glyphs: {
+            A: ['  ___  ', ' / _ \\ ', '/ /_\\ \\', '|  _  |', '| | | |', '\\_| |_/'],
+            B: ['______ ', '| ___ \\', '| |_/ /', '| ___ \\', '| |_/ /', '\\____/ '],
+            C: [' _____ ', '/  __ \\', '| /  \\/', '| |    ', '| \\__/\\', ' \\____/'],
+            D: ['______ ', '|  _  \\', '| | | |', '| | | |', '| |/ / ', '|___/  '],
+            E: [' _____ ', '|  ___|', '| |__  ', '|  __| ', '| |___ ', '\\____/ '],
+            F: [' _____ ', '|  ___|', '| |__  ', '|  __| ', '| |    ', '\\_|    '],
+            G: [' _____ ', '|  __ \\', '| |  \\/','| | __ ', '| |_\\ \\', ' \\____/'],
+            H: ['_   _ ', '| | | |', '| |_| |', '|  _  |', '| | | |', '\\_| |_/'],
+            I: ['_____ ', '|_   _|', '  | |  ', '  | |  ', ' _| |_ ', ' \\___/ '],
+            J: ['     _ ', '    | |', '    | |', '    | |', '/\\__/ /', '\\____/ '],
+            K: ['_   __', '| | / /', '| |/ / ', '|    \\ ', '| |\\  \\', '\\_| \\_/'],
+            L: ['_     ', '| |    ', '| |    ', '| |    ', '| |____', '\\_____/'],
+            M: ['___  ___', '|  \\/  |', '| .  . |', '| |\\/| |', '| |  | |', '\\_|  |_/'],
+            N: ['_   _ ', '| \\ | |', '|  \\| |', '| . ` |', '| |\\  |', '\\_| \\_/'],
+            O: [' _____ ', '|  _  |', '| | | |', '| | | |', '\\ \\_/ /', ' \\___/ '],
+            P: ['______ ', '| ___ \\', '| |_/ /', '|  __/ ', '| |    ', '\\_|    '],
+            Q: [' _____ ', '|  _  |', '| | | |', '| | | |', '\\ \\_/ /', ' \\___/ '],
+            R: ['______ ', '| ___ \\', '| |_/ /', '|    / ', '| |\\ \\ ', '\\_| \\_|'],
+            S: [' _____ ', '/  ___|', '\\ `--. ', ' `--. \\', '/\\__/ /', '\\____/ '],
+            T: ['_____ ', '|_   _|', '  | |  ', '  | |  ', '  | |  ', '  \\_/  '],
+            U: ['_   _ ', '| | | |', '| | | |', '| | | |', '| |_| |', ' \\___/ '],
+            V: ['_   _ ', '| | | |', '| | | |', '| | | |', '\\ \\_/ /', ' \\___/ '],
+            W: ['_    _ ', '| |  | |', '| |  | |', '| |/\\| |', '\\  /\\  /', ' \\/  \\/ '],
+            X: ['__   __', '\\ \\ / /', ' \\ V / ', ' /   \\ ', '/ /^\\ \\', '\\/   \\/'],
+            Y: ['__   __', '\\ \\ / /', ' \\ V / ', '  \\ /  ', '  | |  ', '  \\_/  '],
+            Z: ['_____ ', '|___  |', '   / / ', '  / /  ', './ /___', '\\_____/'],
+            ' ': ['       ', '       ', '       ', '       ', '       ', '       ']
+        }
+    })
+});
+
+// Register with the shared registry as soon as the table is loaded
+if (typeof FontRegistry !== 'undefined') {
+    FontRegistry.shared.registerAll(BuiltinFonts, { source: 'builtin' });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BuiltinFonts;
+}
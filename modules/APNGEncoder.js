@@ -0,0 +1,173 @@
+/**
+ * APNG Encoder
+ * Joins same-sized PNG files (from canvas.toBlob) into one animated PNG by
+ * rewriting their chunks: the first frame's IDAT stays the default image, later
+ * frames' IDAT become fdAT, each behind an fcTL with its delay. Nothing is
+ * re-compressed, so the frames keep the browser's PNG encoding. Shared by both apps.
+ *
+ * loop: 0 repeats forever, n plays the animation n times
+ */
+class APNGEncoder {
+    /**
+     * The 8 bytes every PNG file starts with
+     */
+    static get SIGNATURE() {
+        return [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    }
+
+    /**
+     * Encode PNG frames as an APNG
+     * @param {Array<{png: Uint8Array, delay: number}>} frames - PNG files and time shown in ms
+     * @param {Object} [options]
+     * @param {number} [options.loop=0] - Times to play, 0 for forever
+     * @returns {Uint8Array} APNG file
+     */
+    static encode(frames, options = {}) {
+        const { loop = 0 } = options;
+        if (!frames?.length) {
+            throw new Error('APNG needs at least one frame');
+        }
+
+        const parsed = frames.map((frame, i) => {
+            const chunks = APNGEncoder.chunks(frame.png);
+            const header = chunks.find(chunk => chunk.type === 'IHDR');
+            const data = chunks.filter(chunk => chunk.type === 'IDAT');
+            if (!header || !data.length) {
+                throw new Error(`Frame ${i + 1} is not a PNG image`);
+            }
+            return { chunks, header, data, delay: frame.delay };
+        });
+
+        const { header } = parsed[0];
+        const view = new DataView(header.data.buffer, header.data.byteOffset, header.data.byteLength);
+        const width = view.getUint32(0);
+        const height = view.getUint32(4);
+        parsed.forEach(({ header: other }, i) => {
+            if (APNGEncoder.bytesEqual(other.data, header.data)) return;
+            throw new Error(`Frame ${i + 1} differs in size or pixel format from the first`);
+        });
+
+        const out = [Uint8Array.from(APNGEncoder.SIGNATURE), APNGEncoder.chunk('IHDR', header.data)];
+        // Palette and color-space chunks of the first frame apply to the whole animation
+        parsed[0].chunks
+            .filter(chunk => !['IHDR', 'IDAT', 'IEND'].includes(chunk.type))
+            .forEach(chunk => out.push(APNGEncoder.chunk(chunk.type, chunk.data)));
+        out.push(APNGEncoder.chunk('acTL', APNGEncoder.uint32s(frames.length, loop)));
+
+        let sequence = 0;
+        parsed.forEach((frame, i) => {
+            const control = new Uint8Array(26);
+            const controlView = new DataView(control.buffer);
+            controlView.setUint32(0, sequence++);
+            controlView.setUint32(4, width);
+            controlView.setUint32(8, height);
+            // Offsets 0, delay in ms over 1000, dispose and blend 0: each frame replaces the last
+            controlView.setUint16(20, Math.max(0, Math.min(Math.round(frame.delay), 65535)));
+            controlView.setUint16(22, 1000);
+            out.push(APNGEncoder.chunk('fcTL', control));
+
+            frame.data.forEach(idat => {
+                if (i === 0) {
+                    out.push(APNGEncoder.chunk('IDAT', idat.data));
+                } else {
+                    const fdat = new Uint8Array(idat.data.length + 4);
+                    new DataView(fdat.buffer).setUint32(0, sequence++);
+                    fdat.set(idat.data, 4);
+                    out.push(APNGEncoder.chunk('fdAT', fdat));
+                }
+            });
+        });
+        out.push(APNGEncoder.chunk('IEND', new Uint8Array(0)));
+
+        const result = new Uint8Array(out.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        out.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Split a PNG file into chunks
+     * @param {Uint8Array} bytes - PNG file
+     * @returns {Array<{type: string, data: Uint8Array}>}
+     */
+    static chunks(bytes) {
+        if (!APNGEncoder.SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+            throw new Error('Not a PNG file');
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let offset = 8;
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            if (offset + 12 + length > bytes.length) {
+                throw new Error(`PNG chunk ${type} is cut off`);
+            }
+            chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+            offset += 12 + length;
+            if (type === 'IEND') break;
+        }
+        return chunks;
+    }
+
+    /**
+     * One chunk: length, type, data and CRC
+     * @param {string} type - Four-letter chunk type
+     * @param {Uint8Array} data - Chunk data
+     * @returns {Uint8Array}
+     */
+    static chunk(type, data) {
+        const bytes = new Uint8Array(data.length + 12);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+        bytes.set(data, 8);
+        view.setUint32(8 + data.length, APNGEncoder.crc32(bytes.subarray(4, 8 + data.length)));
+        return bytes;
+    }
+
+    /**
+     * CRC-32 as PNG uses it
+     * @param {Uint8Array} bytes
+     * @returns {number}
+     */
+    static crc32(bytes) {
+        if (!APNGEncoder.crcTable) {
+            APNGEncoder.crcTable = new Uint32Array(256).map((_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                return c;
+            });
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = APNGEncoder.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * @returns {Uint8Array} Big-endian 32-bit values
+     */
+    static uint32s(...values) {
+        const bytes = new Uint8Array(values.length * 4);
+        const view = new DataView(bytes.buffer);
+        values.forEach((value, i) => view.setUint32(i * 4, value));
+        return bytes;
+    }
+
+    /**
+     * @returns {boolean} Whether two byte arrays hold the same bytes
+     */
+    static bytesEqual(a, b) {
+        return a.length === b.length && a.every((byte, i) => byte === b[i]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APNGEncoder;
+}
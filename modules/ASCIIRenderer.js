@@ -4,8 +4,10 @@
  * 
  * Enhanced Features:
  * - Text rendering with multiple fonts
+ * - FIGlet layout modes (full width, kerning, smushing)
+ * - Lowercase, accented and unknown characters (see GlyphResolver)
  * - Text alignment (left, center, right)
- * - Text wrapping
+ * - Multi-line text and word wrap measured in rendered columns
  * - Border addition
  * - Color application
  * - Size optimization
@@ -20,9 +22,13 @@ class ASCIIRenderer {
     /**
      * Renders a string of text into ASCII art using the provided font data
      * @param {string} text - The text to render
-     * @param {Object} font - The font object containing character patterns
+     * @param {Object} font - Font in FontModel schema shape (legacy glyph maps are converted)
      * @param {Object} [options] - Rendering options
      * @param {boolean} [options.cached=true] - Whether to use caching
+     * @param {Object} [options.layout] - Resolved layout ({ mode, rules, hardblank }), see GlyphLayout
+     * @param {string} [options.unknownChars='placeholder'] - 'placeholder', 'skip' or 'raw' for characters the font lacks
+     * @param {number} [options.maxWidth=0] - Wrap words so no output row is wider than this (0 = no wrapping)
+     * @param {number} [options.lineSpacing=0] - Blank rows between banner lines
      * @returns {string} The rendered ASCII art
      */
     renderTextWithFont(text, font, options = {}) {
@@ -30,73 +36,136 @@ class ASCIIRenderer {
             return '';
         }
 
+        const model = typeof FontModel !== 'undefined'
+            ? FontModel.normalize(font)
+            : { name: 'legacy', glyphs: font, height: font.A ? font.A.length : 0 };
+        const glyphMap = model.glyphs;
+
         // Check cache if enabled
-        const { cached = true } = options;
-        if (cached) {
-            const cacheKey = `${text}_${font.A ? font.A[0] : 'unknown'}`;
-            if (this.cache.has(cacheKey)) {
-                return this.cache.get(cacheKey);
-            }
+        const { cached = true, unknownChars = 'placeholder', maxWidth = 0, lineSpacing = 0 } = options;
+        const layout = options.layout || model.layout || { mode: 'full', rules: 0 };
+        const cacheKey = `${text}_${model.name}_${glyphMap.A ? glyphMap.A[0] : 'unknown'}_${layout.mode}_${layout.rules}_${unknownChars}_${maxWidth}_${lineSpacing}`;
+        if (cached && this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
         }
 
-        const lines = [];
-        const fontHeight = font.A ? font.A.length : 0;
-        const charWidth = font.A && font.A[0] ? font.A[0].length : 6;
+        if (!model.height) return text; // Fallback for invalid font
 
-        if (fontHeight === 0) return text; // Fallback for invalid font
+        // Each input line (and each wrapped piece of it) becomes its own banner
+        const renderLine = line => this.renderLine(line, model, layout, unknownChars);
+        const lines = this.bannerLines(text, renderLine, maxWidth);
 
-        for (let i = 0; i < fontHeight; i++) {
-            let line = '';
-            for (const char of text) {
-                const upperChar = char.toUpperCase();
-                if (font[upperChar] && font[upperChar][i]) {
-                    line += font[upperChar][i];
-                } else {
-                    line += ' '.repeat(charWidth);
-                }
-            }
-            lines.push(line);
-        }
+        const spacer = Array.from({ length: Math.max(0, lineSpacing) }, () => '');
+        const rows = lines.flatMap((line, index) => (
+            index === 0 ? renderLine(line) : [...spacer, ...renderLine(line)]
+        ));
 
-        const result = lines.join('\n');
+        const result = rows.join('\n');
+        if (!result.trim()) return ''; // Every character was skipped
 
         // Cache result
         if (cached) {
-            this.cacheResult(`${text}_${font.A ? font.A[0] : 'unknown'}`, result);
+            this.cacheResult(cacheKey, result);
         }
 
         return result;
     }
 
     /**
-     * Wrap text to fit within a maximum width
-     * @param {string} text - Text to wrap
-     * @param {number} maxWidth - Maximum line width
-     * @returns {string[]} Array of wrapped lines
+     * Render text as a CellGrid: the same output as renderTextWithFont, with styles
+     * @param {string} text - The text to render
+     * @param {Object} font - Font in FontModel schema shape (legacy glyph maps are converted)
+     * @param {Object} [options] - renderTextWithFont options, plus:
+     * @param {Object} [options.style] - Style for every cell ({ fg, bg, bold, italic })
+     * @param {Function} [options.letterStyle] - (char, index) => style for each letter's columns
+     * @returns {CellGrid}
+     */
+    renderCells(text, font, options = {}) {
+        const grid = CellGrid.fromText(this.renderTextWithFont(text, font, options), options.style);
+        if (typeof options.letterStyle !== 'function' || !grid.toText().trim()) {
+            return grid;
+        }
+
+        const model = FontModel.normalize(font);
+        const layout = options.layout || model.layout || { mode: 'full', rules: 0 };
+        const renderLine = line => this.renderLine(line, model, layout, options.unknownChars || 'placeholder');
+        const lines = this.bannerLines(text, renderLine, options.maxWidth || 0);
+        return grid.paintLetters(lines, renderLine, options.letterStyle, options.lineSpacing || 0);
+    }
+
+    /**
+     * Flatten a layered composition into one output
+     * @param {Composition} composition - Layers to draw, bottom to top
+     * @returns {{ascii: string, cells: CellGrid}}
+     */
+    renderComposition(composition) {
+        const cells = composition.flatten();
+        return { ascii: cells.toText(), cells };
+    }
+
+    /**
+     * Split text into banner lines: one per input line, wrapped to a width
+     * @param {string} text - Text to render
+     * @param {Function} renderLine - (line) => rendered rows
+     * @param {number} maxWidth - Wrap width in output columns (0 = no wrapping)
+     * @returns {string[]}
+     */
+    bannerLines(text, renderLine, maxWidth) {
+        const measure = line => Math.max(0, ...renderLine(line).map(row => row.length));
+        return String(text).split(/\r?\n/).flatMap(line => (
+            maxWidth > 0 ? this.wrapText(line, maxWidth, measure) : [line]
+        ));
+    }
+
+    /**
+     * Render one line of text as a banner
+     * @param {string} line - Text without newlines
+     * @param {Object} model - Font in FontModel schema shape
+     * @param {Object} layout - Resolved layout ({ mode, rules, hardblank })
+     * @param {string} unknownChars - Unknown-character policy (see GlyphResolver)
+     * @returns {string[]} Output rows, trailing blanks removed
      */
-    wrapText(text, maxWidth) {
-        const words = text.split(' ');
-        const lines = [];
-        let currentLine = '';
-
-        for (const word of words) {
-            const testLine = currentLine ? `${currentLine} ${word}` : word;
-            
-            if (testLine.length <= maxWidth) {
-                currentLine = testLine;
-            } else {
-                if (currentLine) {
-                    lines.push(currentLine);
+    renderLine(line, model, layout, unknownChars) {
+        const fontHeight = model.height;
+        const charWidth = model.glyphs.A && model.glyphs.A[0] ? model.glyphs.A[0].length : 6;
+
+        // Collect one row array per character, padding missing rows with blanks
+        const resolved = Array.from(line)
+            .flatMap(char => GlyphResolver.resolve(model, char, unknownChars))
+            .map(entry => {
+                const width = entry.rows[0] ? entry.rows[0].length : charWidth;
+                const rows = [];
+                for (let i = 0; i < fontHeight; i++) {
+                    rows.push(entry.rows[i] ? entry.rows[i] : ' '.repeat(width));
                 }
-                currentLine = word;
-            }
+                return { ...entry, rows };
+            });
+        if (!resolved.length) {
+            return Array.from({ length: fontHeight }, () => '');
         }
 
-        if (currentLine) {
-            lines.push(currentLine);
+        // Accented characters add a mark row above or below the whole line
+        const glyphs = GlyphResolver.withMarkRows(resolved);
+
+        let rows;
+        if (typeof GlyphLayout !== 'undefined') {
+            rows = GlyphLayout.layout(glyphs, layout, { hardblank: model.hardblank || layout.hardblank });
+        } else {
+            rows = Array.from({ length: glyphs[0].length }, (_, i) => glyphs.map(glyph => glyph[i]).join(''));
         }
+        return rows.map(row => row.replace(/\s+$/, ''));
+    }
 
-        return lines;
+    /**
+     * Wrap text to fit within a maximum width
+     * @param {string} text - Text to wrap
+     * @param {number} maxWidth - Maximum line width
+     * @param {Function} [measure] - (text) => width; defaults to character count,
+     *   pass the rendered width to wrap by glyph width
+     * @returns {string[]} Array of wrapped lines
+     */
+    wrapText(text, maxWidth, measure = line => line.length) {
+        return GlyphLayout.wrap(text, maxWidth, measure);
     }
 
     /**
@@ -132,14 +201,7 @@ class ASCIIRenderer {
      * @returns {string} Bordered text
      */
     addBorder(text, style = 'single') {
-        const borders = {
-            single: { tl: '┌', tr: '┐', bl: '└', br: '┘', h: '─', v: '│' },
-            double: { tl: '╔', tr: '╗', bl: '╚', br: '╝', h: '═', v: '║' },
-            rounded: { tl: '╭', tr: '╮', bl: '╰', br: '╯', h: '─', v: '│' },
-            heavy: { tl: '┏', tr: '┓', bl: '┗', br: '┛', h: '━', v: '┃' }
-        };
-
-        const border = borders[style] || borders.single;
+        const border = BoxDrawing.get(style);
         const lines = text.split('\n');
         const maxWidth = Math.max(...lines.map(line => line.length));
 
@@ -160,13 +222,7 @@ class ASCIIRenderer {
      * @returns {string} The border line string.
      */
     createBorderLine(position, width, style = 'single') {
-        const borders = {
-            single: { tl: '┌', tr: '┐', bl: '└', br: '┘', h: '─' },
-            double: { tl: '╔', tr: '╗', bl: '╚', br: '╝', h: '═' },
-            rounded: { tl: '╭', tr: '╮', bl: '╰', br: '╯', h: '─' },
-            heavy: { tl: '┏', tr: '┓', bl: '┗', br: '┛', h: '━' }
-        };
-        const border = borders[style] || borders.single;
+        const border = BoxDrawing.get(style);
         const [start, end, char] = position === 'top' ? [border.tl, border.tr, border.h] : [border.bl, border.br, border.h];
         return start + char.repeat(width) + end;
     }
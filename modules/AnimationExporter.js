@@ -0,0 +1,280 @@
+/**
+ * Animation Exporter
+ * Records the output panel's animations as an animated GIF or APNG: each frame
+ * is the output drawn by PNGExporter at one moment of the CSS animation, so
+ * animated banners can be posted where CSS doesn't run. Shared by both apps.
+ *
+ * Options: PNGExporter's, plus { format, color, animation, animationSpeed, fps, duration, loop, flipbook }
+ * - glow, wave, fade and blink follow the .ascii-output.animation-* keyframes in styles.css;
+ *   typewriter, scroll, floating and wipe are TextAnimator's frames at animationSpeed
+ * - the rainbow color cycles as .color-rainbow does, the whole output one color at a time
+ * - effects apply to the characters; the background stays put
+ * - duration defaults to one full cycle of everything animated, so the file loops seamlessly
+ * - with a flipbook, each of its frames is one file frame shown for the frame's duration
+ *   (fps, duration and animation don't apply)
+ */
+class AnimationExporter {
+    /**
+     * Output formats
+     * @returns {Object} Format to MIME type
+     */
+    static get FORMATS() {
+        return { gif: 'image/gif', apng: 'image/apng' };
+    }
+
+    /**
+     * Seconds for each effect to come back to its start (alternating animations count both ways)
+     * @returns {Object}
+     */
+    static get PERIODS() {
+        return { glow: 3, wave: 2, fade: 4, blink: 1, rainbow: OutputStyle.RAINBOW_PERIOD };
+    }
+
+    /**
+     * Most frames in one file
+     */
+    static get MAX_FRAMES() {
+        return 600;
+    }
+
+    /**
+     * Default options; scale 1 keeps files small enough for chat
+     * @returns {Object}
+     */
+    static get DEFAULTS() {
+        return {
+            ...PNGExporter.DEFAULTS,
+            scale: 1,
+            format: 'gif',
+            color: 'none',
+            animation: 'none',
+            animationSpeed: 1,
+            fps: 12,
+            duration: null,
+            loop: 0,
+            flipbook: null
+        };
+    }
+
+    /**
+     * Render the animation and encode it
+     * @param {CellGrid} cells - Output cells, uncolored (color is applied per frame); unused with a flipbook
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {Promise<Blob>}
+     */
+    static async toBlob(cells, options = {}) {
+        const settings = AnimationExporter.settings(options, cells);
+        const frames = settings.flipbook
+            ? await AnimationExporter.renderFlipbook(settings)
+            : await AnimationExporter.render(cells, settings);
+
+        if (settings.format === 'apng') {
+            const pngs = await Promise.all(frames.map(async frame => ({
+                png: new Uint8Array(await (await PNGExporter.encode(frame.canvas)).arrayBuffer()),
+                delay: frame.delay
+            })));
+            return new Blob([APNGEncoder.encode(pngs, { loop: settings.loop })], { type: AnimationExporter.FORMATS.apng });
+        }
+
+        const { width, height } = frames[0].canvas;
+        const gif = GIFEncoder.encode({
+            width,
+            height,
+            frames: frames.map(frame => ({
+                data: frame.canvas.getContext('2d').getImageData(0, 0, width, height).data,
+                delay: frame.delay
+            }))
+        }, { loop: settings.loop, transparent: settings.transparent });
+        return new Blob([gif], { type: AnimationExporter.FORMATS.gif });
+    }
+
+    /**
+     * Options with defaults filled in and checked
+     * @param {Object} options
+     * @param {CellGrid} [cells] - Output cells, for the length of text animations
+     * @returns {Object}
+     */
+    static settings(options, cells = null) {
+        const settings = PNGExporter.settings({ ...AnimationExporter.DEFAULTS, ...options });
+        if (!AnimationExporter.FORMATS[settings.format]) {
+            throw new Error(`Unknown animation format "${settings.format}"`);
+        }
+        if (!(settings.fps >= 1 && settings.fps <= 50)) {
+            throw new Error('Frame rate must be 1 to 50 fps');
+        }
+        if (settings.flipbook) {
+            if (!settings.flipbook.frames.length) {
+                throw new Error('The flipbook has no frames');
+            }
+            settings.duration = settings.flipbook.totalDuration / 1000;
+        } else if (settings.duration === null || settings.duration === undefined) {
+            settings.duration = AnimationExporter.isTextAnimation(settings.animation) && cells
+                ? TextAnimator.duration(settings.animation, cells, settings.animationSpeed)
+                : AnimationExporter.period(settings.animation, settings.color);
+        }
+        if (!(settings.duration > 0)) {
+            throw new Error('Duration must be above 0 seconds');
+        }
+        if (AnimationExporter.frameCount(settings) > AnimationExporter.MAX_FRAMES) {
+            throw new Error(`At most ${AnimationExporter.MAX_FRAMES} frames; lower the frame rate or duration`);
+        }
+        if (!(Number.isInteger(settings.loop) && settings.loop >= 0 && settings.loop <= 65535)) {
+            throw new Error('Loop count must be a whole number from 0 (forever) to 65535');
+        }
+        return settings;
+    }
+
+    /**
+     * Seconds after which the animation and color both repeat
+     * @param {string} animation - Animation name
+     * @param {string} color - Whole-output color
+     * @returns {number}
+     */
+    static period(animation, color) {
+        const periods = AnimationExporter.PERIODS;
+        const parts = [periods[animation], color === 'rainbow' ? periods.rainbow : null].filter(Boolean);
+        const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+        return parts.reduce((a, b) => (a * b) / gcd(a, b), 1);
+    }
+
+    /**
+     * @param {string} animation - Animation name
+     * @returns {boolean} Whether TextAnimator draws the animation's frames
+     */
+    static isTextAnimation(animation) {
+        return typeof TextAnimator !== 'undefined' && TextAnimator.has(animation);
+    }
+
+    /**
+     * @param {Object} settings - Filled-in options
+     * @returns {number} Frames to render
+     */
+    static frameCount(settings) {
+        if (settings.flipbook) return settings.flipbook.frames.length;
+        return Math.max(1, Math.round(settings.duration * settings.fps));
+    }
+
+    /**
+     * How the output looks t seconds in
+     * @param {number} t - Seconds since the start
+     * @param {Object} settings - { animation, color }
+     * @returns {{opacity: number, glow: number, skew: number, rainbow: number}}
+     *   glow is the blur radius in px (0 for none), skew in degrees, rainbow the seconds into its cycle
+     */
+    static frameAt(t, { animation, color }) {
+        const periods = AnimationExporter.PERIODS;
+        const phase = name => (t % periods[name]) / periods[name];
+        // Close to CSS ease-in-out
+        const ease = p => p * p * (3 - 2 * p);
+        const alternate = p => ease(p < 0.5 ? p * 2 : 2 - p * 2);
+        const state = { opacity: 1, glow: 0, skew: 0, rainbow: 0 };
+
+        if (animation === 'glow') {
+            state.glow = 1 + 5 * alternate(phase('glow'));
+        } else if (animation === 'fade') {
+            state.opacity = 1 - 0.7 * alternate(phase('fade'));
+        } else if (animation === 'blink') {
+            state.opacity = phase('blink') < 0.5 ? 1 : 0;
+        } else if (animation === 'wave') {
+            // Keyframes 0%, 25%, 75%, 100%, eased between each pair
+            const stops = [[0, 0], [0.25, 3], [0.75, -3], [1, 0]];
+            const p = phase('wave');
+            const i = stops.findIndex((stop, k) => p < stops[k + 1][0]);
+            const [from, a] = stops[i];
+            const [to, b] = stops[i + 1];
+            state.skew = a + (b - a) * ease((p - from) / (to - from));
+        }
+
+        if (color === 'rainbow') {
+            state.rainbow = phase('rainbow') * periods.rainbow;
+        }
+        return state;
+    }
+
+    /**
+     * Draw every frame
+     * @param {CellGrid} cells - Output cells, uncolored
+     * @param {Object} settings - From settings()
+     * @returns {Promise<Array<{canvas: HTMLCanvasElement, delay: number}>>} Frames and ms shown
+     */
+    static async render(cells, settings) {
+        await PNGExporter.loadFont(settings);
+
+        const textAnimation = AnimationExporter.isTextAnimation(settings.animation);
+        const textFrame = (grid, t) => TextAnimator.frame(settings.animation, grid, t, settings.animationSpeed);
+        const layer = document.createElement('canvas');
+        // Text animation frames all have the size of the first
+        const layout = PNGExporter.layout(layer.getContext('2d'), textAnimation ? textFrame(cells, 0) : cells, settings);
+        layer.width = layout.width;
+        layer.height = layout.height;
+        const layerCtx = layer.getContext('2d');
+        const theme = OutputStyle.theme(settings.theme);
+
+        const count = AnimationExporter.frameCount(settings);
+        const frames = [];
+        let colored = null;
+        let drawnRainbow = null;
+        for (let i = 0; i < count; i++) {
+            const t = (i * settings.duration) / count;
+            const state = AnimationExporter.frameAt(t, settings);
+            // Without a text animation the characters only change when the rainbow moves on
+            if (state.rainbow !== drawnRainbow || textAnimation) {
+                if (state.rainbow !== drawnRainbow) colored = OutputStyle.apply(cells, settings.color, state.rainbow);
+                PNGExporter.draw(layerCtx, textAnimation ? textFrame(colored, t) : colored, { ...layout, transparent: true });
+                drawnRainbow = state.rainbow;
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = layout.width;
+            canvas.height = layout.height;
+            const ctx = canvas.getContext('2d');
+            if (!settings.transparent) {
+                ctx.fillStyle = theme.background;
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+
+            // skewX about the middle, as transform-origin does
+            const tan = Math.tan((state.skew * Math.PI) / 180);
+            ctx.setTransform(1, 0, tan, 1, (-tan * canvas.height) / 2, 0);
+            ctx.globalAlpha = state.opacity;
+            if (state.glow && 'filter' in ctx) {
+                // drop-shadow(currentColor) is a blurred copy of the text under it; its radius is two deviations
+                ctx.filter = `blur(${(state.glow / 2) * settings.scale}px)`;
+                ctx.drawImage(layer, 0, 0);
+                ctx.filter = 'none';
+            }
+            ctx.drawImage(layer, 0, 0);
+
+            frames.push({
+                canvas,
+                delay: Math.round(((i + 1) * 1000) / settings.fps) - Math.round((i * 1000) / settings.fps)
+            });
+        }
+        return frames;
+    }
+
+    /**
+     * Draw every frame of a flipbook, all in the size of the largest
+     * @param {Object} settings - From settings(), with a flipbook
+     * @returns {Promise<Array<{canvas: HTMLCanvasElement, delay: number}>>} Frames and ms shown
+     */
+    static async renderFlipbook(settings) {
+        await PNGExporter.loadFont(settings);
+
+        const { flipbook } = settings;
+        const { width, height } = flipbook.bounds();
+        const layout = PNGExporter.layout(document.createElement('canvas').getContext('2d'), CellGrid.blank(width, height), settings);
+        return flipbook.frames.map(frame => {
+            const canvas = document.createElement('canvas');
+            canvas.width = layout.width;
+            canvas.height = layout.height;
+            PNGExporter.draw(canvas.getContext('2d'), OutputStyle.apply(frame.cells, settings.color), layout);
+            return { canvas, delay: frame.duration };
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimationExporter;
+}
@@ -0,0 +1,189 @@
+/**
+ * Banner Effect
+ * Depth and outline effects drawn on the rendered character grid, so they work
+ * with every font instead of needing hand-drawn 3d/shadow variants. Shared by both apps.
+ *
+ * Effects:
+ * - shadow:  a copy of the ink offset behind the banner in a shadow character
+ * - outline: hollow letters; only ink cells on an edge are kept
+ * - extrude: isometric depth, stacked copies receding up and to the right
+ *
+ * Any non-space character counts as ink.
+ */
+class BannerEffect {
+    /**
+     * Available effects ('none' leaves the art alone)
+     * @returns {string[]}
+     */
+    static get EFFECTS() {
+        return ['none', 'shadow', 'outline', 'extrude'];
+    }
+
+    /**
+     * Default settings per effect
+     * @returns {Object}
+     */
+    static get DEFAULTS() {
+        return {
+            shadow: { offsetX: 1, offsetY: 1, char: '░' },
+            outline: { char: '' },
+            extrude: { depth: 2, char: '/' }
+        };
+    }
+
+    /**
+     * Largest shadow offset or extrusion depth, in cells
+     */
+    static get MAX_OFFSET() {
+        return 8;
+    }
+
+    /**
+     * Apply an effect
+     * @param {string} ascii - Rendered art
+     * @param {string} effect - One of EFFECTS
+     * @param {Object} [options] - Effect settings (see DEFAULTS); blank values use the defaults
+     * @returns {string} Art with the effect drawn in
+     */
+    static apply(ascii, effect, options = {}) {
+        if (!effect || effect === 'none') {
+            return ascii;
+        }
+        if (!BannerEffect.EFFECTS.includes(effect)) {
+            throw new Error(`Unknown effect "${effect}"`);
+        }
+
+        const settings = { ...BannerEffect.DEFAULTS[effect] };
+        for (const [key, value] of Object.entries(options || {})) {
+            if (value !== undefined && value !== null && value !== '') settings[key] = value;
+        }
+
+        switch (effect) {
+            case 'shadow':
+                return BannerEffect.shadow(ascii, settings);
+            case 'outline':
+                return BannerEffect.outline(ascii, settings);
+            default:
+                return BannerEffect.extrude(ascii, settings);
+        }
+    }
+
+    /**
+     * Drop shadow
+     * @param {string} ascii - Rendered art
+     * @param {Object} [options]
+     * @param {number} [options.offsetX=1] - Columns to the right (negative is left)
+     * @param {number} [options.offsetY=1] - Rows down (negative is up)
+     * @param {string} [options.char='░'] - Shadow character
+     * @returns {string}
+     */
+    static shadow(ascii, options = {}) {
+        const { offsetX = 1, offsetY = 1, char = '░' } = options;
+        BannerEffect.checkOffset(offsetX, 'Shadow offset');
+        BannerEffect.checkOffset(offsetY, 'Shadow offset');
+
+        return BannerEffect.layer(ascii, [[offsetX, offsetY]], BannerEffect.checkChar(char, 'Shadow'));
+    }
+
+    /**
+     * Hollow outline: ink cells with ink on all four sides are cleared
+     * @param {string} ascii - Rendered art
+     * @param {Object} [options]
+     * @param {string} [options.char] - Draw the edge with this character (keeps the font's own when blank)
+     * @returns {string}
+     */
+    static outline(ascii, options = {}) {
+        const grid = BannerTransform.toGrid(ascii);
+        const inked = (x, y) => y >= 0 && y < grid.length && x >= 0 && x < grid[y].length && grid[y][x] !== ' ';
+        const edgeChar = options.char ? BannerEffect.checkChar(options.char, 'Outline') : null;
+
+        const outlined = grid.map((row, y) => row.map((cell, x) => {
+            if (cell === ' ') return cell;
+            const interior = inked(x - 1, y) && inked(x + 1, y) && inked(x, y - 1) && inked(x, y + 1);
+            return interior ? ' ' : (edgeChar || cell);
+        }));
+        return BannerTransform.fromGrid(outlined);
+    }
+
+    /**
+     * Isometric extrusion
+     * @param {string} ascii - Rendered art
+     * @param {Object} [options]
+     * @param {number} [options.depth=2] - Layers of depth
+     * @param {string} [options.char='/'] - Character the receding sides are drawn with
+     * @returns {string}
+     */
+    static extrude(ascii, options = {}) {
+        const { depth = 2, char = '/' } = options;
+        if (!Number.isInteger(depth) || depth < 1 || depth > BannerEffect.MAX_OFFSET) {
+            throw new Error(`Extrusion depth must be between 1 and ${BannerEffect.MAX_OFFSET}`);
+        }
+
+        // Farthest layer first so nearer layers cover it
+        const layers = [];
+        for (let step = depth; step >= 1; step--) {
+            layers.push([step, -step]);
+        }
+        return BannerEffect.layer(ascii, layers, BannerEffect.checkChar(char, 'Extrusion'));
+    }
+
+    /**
+     * Draw offset copies of the ink in one character, then the art on top
+     * @param {string} ascii - Rendered art
+     * @param {Array<[number, number]>} offsets - [x, y] per copy, back to front
+     * @param {string} char - Character for the copies
+     * @returns {string}
+     */
+    static layer(ascii, offsets, char) {
+        const grid = BannerTransform.toGrid(ascii);
+        const height = grid.length;
+        const width = height ? grid[0].length : 0;
+
+        // Grow the canvas so every copy fits
+        const xs = offsets.map(([x]) => x).concat(0);
+        const ys = offsets.map(([, y]) => y).concat(0);
+        const left = -Math.min(...xs);
+        const top = -Math.min(...ys);
+        const canvas = Array.from(
+            { length: height + top + Math.max(...ys) },
+            () => Array(width + left + Math.max(...xs)).fill(' ')
+        );
+
+        const stamp = (dx, dy, cellFor) => {
+            grid.forEach((row, y) => row.forEach((cell, x) => {
+                if (cell !== ' ') canvas[y + top + dy][x + left + dx] = cellFor(cell);
+            }));
+        };
+        offsets.forEach(([dx, dy]) => stamp(dx, dy, () => char));
+        stamp(0, 0, cell => cell);
+
+        return BannerTransform.fromGrid(canvas);
+    }
+
+    /**
+     * @param {number} value - Offset or depth in cells
+     * @param {string} label - Name used in the error
+     */
+    static checkOffset(value, label) {
+        if (!Number.isInteger(value) || Math.abs(value) > BannerEffect.MAX_OFFSET) {
+            throw new Error(`${label} must be a whole number between -${BannerEffect.MAX_OFFSET} and ${BannerEffect.MAX_OFFSET}`);
+        }
+    }
+
+    /**
+     * @param {string} char - Effect character
+     * @param {string} label - Name used in the error
+     * @returns {string} The character
+     */
+    static checkChar(char, label) {
+        if (typeof char !== 'string' || Array.from(char).length !== 1 || char === ' ') {
+            throw new Error(`${label} character must be a single visible character`);
+        }
+        return char;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BannerEffect;
+}
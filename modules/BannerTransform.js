@@ -0,0 +1,195 @@
+/**
+ * Banner Transform
+ * Reshapes rendered ASCII art after renderTextWithFont. Shared by both apps.
+ *
+ * Transforms:
+ * - vertical:   one glyph per row block, stacked top to bottom
+ * - mirror:     left-right mirror image, with / \ ( ) < > [ ] { } swapped
+ * - flip:       upside down, with _ ‾ and / \ swapped
+ * - rotate-cw:  grid turned 90° clockwise
+ * - rotate-ccw: grid turned 90° counter-clockwise
+ *
+ * Character cells are not square, so rotated art looks stretched; that is expected.
+ */
+class BannerTransform {
+    /**
+     * Available transforms ('none' leaves the art alone)
+     * @returns {string[]}
+     */
+    static get TRANSFORMS() {
+        return ['none', 'vertical', 'mirror', 'flip', 'rotate-cw', 'rotate-ccw'];
+    }
+
+    /**
+     * Character swaps that keep strokes pointing the right way
+     * @returns {Object} Transform name to { char: replacement }
+     */
+    static get REMAPS() {
+        const swap = (pairs) => {
+            const map = {};
+            for (const [a, b] of pairs) {
+                map[a] = b;
+                map[b] = a;
+            }
+            return map;
+        };
+
+        return {
+            mirror: swap([['/', '\\'], ['(', ')'], ['<', '>'], ['[', ']'], ['{', '}']]),
+            flip: swap([['_', '‾'], ['/', '\\']]),
+            'rotate-cw': { ...swap([['/', '\\'], ['-', '|']]), '_': '|', '‾': '|' },
+            'rotate-ccw': { ...swap([['/', '\\'], ['-', '|']]), '_': '|', '‾': '|' }
+        };
+    }
+
+    /**
+     * Apply a transform
+     * @param {string} ascii - Rendered art
+     * @param {string} transform - One of TRANSFORMS
+     * @param {Object} [options]
+     * @param {string} [options.text] - Source text (vertical only)
+     * @param {Function} [options.render] - (char) => rendered art for one character (vertical only)
+     * @param {number} [options.spacing=0] - Blank rows between stacked glyphs (vertical only)
+     * @returns {string} Transformed art
+     */
+    static apply(ascii, transform, options = {}) {
+        switch (transform) {
+            case 'vertical':
+                return BannerTransform.stack(options.text || '', options.render, options.spacing);
+            case 'mirror':
+                return BannerTransform.mirror(ascii);
+            case 'flip':
+                return BannerTransform.flip(ascii);
+            case 'rotate-cw':
+            case 'rotate-ccw':
+                return BannerTransform.rotate(ascii, transform === 'rotate-cw');
+            case 'none':
+            case undefined:
+            case null:
+                return ascii;
+            default:
+                throw new Error(`Unknown transform "${transform}"`);
+        }
+    }
+
+    /**
+     * Split art into rows of equal width
+     * @param {string} ascii - Rendered art
+     * @returns {string[][]} Rows of single characters
+     */
+    static toGrid(ascii) {
+        const rows = String(ascii || '').split('\n').map(row => Array.from(row));
+        const width = Math.max(0, ...rows.map(row => row.length));
+        return rows.map(row => row.concat(Array(width - row.length).fill(' ')));
+    }
+
+    /**
+     * Join grid rows back into art, dropping trailing blanks
+     * @param {string[][]} grid - Rows of single characters
+     * @returns {string}
+     */
+    static fromGrid(grid) {
+        return grid.map(row => row.join('').replace(/\s+$/, '')).join('\n');
+    }
+
+    /**
+     * Replace characters through a remap table
+     * @param {string[][]} grid - Rows of single characters
+     * @param {Object} remap - { char: replacement }
+     * @returns {string[][]}
+     */
+    static remap(grid, remap) {
+        return grid.map(row => row.map(char => remap[char] || char));
+    }
+
+    /**
+     * Left-right mirror image
+     * @param {string} ascii - Rendered art
+     * @returns {string}
+     */
+    static mirror(ascii) {
+        const grid = BannerTransform.toGrid(ascii).map(row => row.slice().reverse());
+        return BannerTransform.fromGrid(BannerTransform.remap(grid, BannerTransform.REMAPS.mirror));
+    }
+
+    /**
+     * Upside-down flip
+     * @param {string} ascii - Rendered art
+     * @returns {string}
+     */
+    static flip(ascii) {
+        const grid = BannerTransform.toGrid(ascii).reverse();
+        return BannerTransform.fromGrid(BannerTransform.remap(grid, BannerTransform.REMAPS.flip));
+    }
+
+    /**
+     * Quarter turn of the character grid
+     * @param {string} ascii - Rendered art
+     * @param {boolean} [clockwise=true] - Turn direction
+     * @returns {string}
+     */
+    static rotate(ascii, clockwise = true) {
+        const grid = BannerTransform.toGrid(ascii);
+        const height = grid.length;
+        const width = height ? grid[0].length : 0;
+
+        const rotated = [];
+        for (let x = 0; x < width; x++) {
+            const row = [];
+            for (let y = 0; y < height; y++) {
+                row.push(clockwise ? grid[height - 1 - y][x] : grid[y][width - 1 - x]);
+            }
+            rotated.push(row);
+        }
+
+        const remap = BannerTransform.REMAPS[clockwise ? 'rotate-cw' : 'rotate-ccw'];
+        return BannerTransform.fromGrid(BannerTransform.remap(rotated, remap));
+    }
+
+    /**
+     * Stack one rendered glyph per block, centered on a shared width
+     * @param {string} text - Source text
+     * @param {Function} render - (char) => rendered art for one character
+     * @param {number} [spacing=0] - Blank rows between blocks
+     * @returns {string}
+     */
+    static stack(text, render, spacing = 0) {
+        if (typeof render !== 'function') {
+            throw new Error('Vertical stacking needs a render function');
+        }
+
+        const blocks = [];
+        for (const char of Array.from(String(text).replace(/\s+/g, ' ').trim())) {
+            // A space becomes an empty block the height of one glyph
+            const art = char === ' ' ? '' : render(char);
+            blocks.push(art ? art.split('\n') : null);
+        }
+
+        const drawn = blocks.filter(Boolean);
+        const glyphHeight = Math.max(1, ...drawn.map(rows => rows.length));
+        const width = Math.max(0, ...drawn.flatMap(rows => rows.map(row => row.replace(/\s+$/, '').length)));
+
+        const rows = [];
+        blocks.forEach((block, index) => {
+            if (index > 0) {
+                rows.push(...Array(Math.max(0, spacing)).fill(''));
+            }
+            if (!block) {
+                rows.push(...Array(glyphHeight).fill(''));
+                return;
+            }
+
+            // Center each glyph on the widest one
+            const blockWidth = Math.max(0, ...block.map(row => row.replace(/\s+$/, '').length));
+            const left = ' '.repeat(Math.floor((width - blockWidth) / 2));
+            rows.push(...block.map(row => (left + row).replace(/\s+$/, '')));
+        });
+
+        return rows.join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BannerTransform;
+}
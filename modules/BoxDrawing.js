@@ -0,0 +1,93 @@
+/**
+ * Box Drawing
+ * The box-drawing character sets borders are made of, plus line and rectangle
+ * drawing on a CellGrid for the output editor. Shared by both apps.
+ *
+ * Set: { tl, tr, bl, br, h, v } - corners, horizontal and vertical strokes
+ */
+class BoxDrawing {
+    /**
+     * Available sets
+     * @returns {Object} Style name to set
+     */
+    static get SETS() {
+        return {
+            single: { tl: '┌', tr: '┐', bl: '└', br: '┘', h: '─', v: '│' },
+            double: { tl: '╔', tr: '╗', bl: '╚', br: '╝', h: '═', v: '║' },
+            rounded: { tl: '╭', tr: '╮', bl: '╰', br: '╯', h: '─', v: '│' },
+            heavy: { tl: '┏', tr: '┓', bl: '┗', br: '┛', h: '━', v: '┃' }
+        };
+    }
+
+    /**
+     * @param {string} style - Set name
+     * @returns {Object} The set, single for unknown names
+     */
+    static get(style) {
+        return BoxDrawing.SETS[style] || BoxDrawing.SETS.single;
+    }
+
+    /**
+     * Draw a straight line; the end point snaps to the row or column of the start,
+     * whichever is closer
+     * @param {CellGrid} grid - Grid to draw on
+     * @param {number} x0 - Start column
+     * @param {number} y0 - Start row
+     * @param {number} x1 - End column
+     * @param {number} y1 - End row
+     * @param {string} [style='single'] - Set name
+     * @returns {CellGrid} The grid
+     */
+    static line(grid, x0, y0, x1, y1, style = 'single') {
+        const set = BoxDrawing.get(style);
+
+        if (Math.abs(x1 - x0) >= Math.abs(y1 - y0)) {
+            for (let x = Math.min(x0, x1); x <= Math.max(x0, x1); x++) grid.set(x, y0, set.h);
+        } else {
+            for (let y = Math.min(y0, y1); y <= Math.max(y0, y1); y++) grid.set(x0, y, set.v);
+        }
+        return grid;
+    }
+
+    /**
+     * Draw a rectangle outline between two opposite corners
+     * @param {CellGrid} grid - Grid to draw on
+     * @param {number} x0 - Column of one corner
+     * @param {number} y0 - Row of one corner
+     * @param {number} x1 - Column of the opposite corner
+     * @param {number} y1 - Row of the opposite corner
+     * @param {string} [style='single'] - Set name
+     * @returns {CellGrid} The grid
+     */
+    static rect(grid, x0, y0, x1, y1, style = 'single') {
+        const left = Math.min(x0, x1);
+        const right = Math.max(x0, x1);
+        const top = Math.min(y0, y1);
+        const bottom = Math.max(y0, y1);
+
+        // A rectangle one cell thin is just a line
+        if (left === right || top === bottom) {
+            return BoxDrawing.line(grid, left, top, right, bottom, style);
+        }
+
+        const set = BoxDrawing.get(style);
+        for (let x = left + 1; x < right; x++) {
+            grid.set(x, top, set.h);
+            grid.set(x, bottom, set.h);
+        }
+        for (let y = top + 1; y < bottom; y++) {
+            grid.set(left, y, set.v);
+            grid.set(right, y, set.v);
+        }
+        grid.set(left, top, set.tl);
+        grid.set(right, top, set.tr);
+        grid.set(left, bottom, set.bl);
+        grid.set(right, bottom, set.br);
+        return grid;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BoxDrawing;
+}
@@ -0,0 +1,185 @@
+/**
+ * Canvas Sampler
+ * The canvas-to-characters step shared by image conversion
+ * (GenerationService, the main app's image layers) and font rasterizing (FontRasterizer).
+ *
+ * A source is drawn scaled down to one pixel per character cell, then every
+ * pixel's brightness picks a character from a ramp ordered dark to light.
+ * GIFs and videos are sampled the same way, one frame at a time.
+ */
+class CanvasSampler {
+    /**
+     * Draw a source scaled to the given size and read its pixels
+     * @param {CanvasImageSource} source - Image, canvas or video frame
+     * @param {number} width - Columns (pixels) to sample
+     * @param {number} height - Rows (pixels) to sample
+     * @returns {ImageData}
+     */
+    static sample(source, width, height) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            throw new Error('Canvas context not available');
+        }
+
+        canvas.width = width;
+        canvas.height = height;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, width, height);
+
+        try {
+            return ctx.getImageData(0, 0, width, height);
+        } catch (error) {
+            throw new Error('Could not read image data. This might be a cross-origin image.');
+        }
+    }
+
+    /**
+     * Average of the red, green and blue channels of one pixel
+     * @param {Uint8ClampedArray} data - ImageData.data
+     * @param {number} pixelIndex - Offset of the pixel's red channel
+     * @returns {number} 0 (black) to 255 (white)
+     */
+    static brightnessAt(data, pixelIndex) {
+        const r = data[pixelIndex] || 0;
+        const g = data[pixelIndex + 1] || 0;
+        const b = data[pixelIndex + 2] || 0;
+        return (r + g + b) / 3;
+    }
+
+    /**
+     * Map pixels to characters
+     * @param {ImageData} imageData - Pixels to map
+     * @param {string} chars - Ramp from darkest to lightest character
+     * @param {Object} [options]
+     * @param {number} [options.threshold] - 0-1 darkness; when set, cells at least this dark
+     *   take the first character and all others the last
+     * @returns {string[]} One string per pixel row
+     */
+    static toRows(imageData, chars, options = {}) {
+        const ramp = Array.from(chars || '');
+        if (ramp.length === 0) {
+            throw new Error('Character ramp is empty');
+        }
+
+        const { width, height, data } = imageData;
+        const hasThreshold = typeof options.threshold === 'number';
+        const rows = [];
+
+        for (let y = 0; y < height; y++) {
+            let row = '';
+            for (let x = 0; x < width; x++) {
+                const brightness = CanvasSampler.brightnessAt(data, (y * width + x) * 4);
+                if (hasThreshold) {
+                    row += 1 - brightness / 255 >= options.threshold ? ramp[0] : ramp[ramp.length - 1];
+                } else {
+                    row += ramp[Math.floor((brightness / 255) * (ramp.length - 1))];
+                }
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Color of one pixel
+     * @param {Uint8ClampedArray} data - ImageData.data
+     * @param {number} pixelIndex - Offset of the pixel's red channel
+     * @returns {string} '#rrggbb'
+     */
+    static colorAt(data, pixelIndex) {
+        const hex = offset => (data[pixelIndex + offset] || 0).toString(16).padStart(2, '0');
+        return `#${hex(0)}${hex(1)}${hex(2)}`;
+    }
+
+    /**
+     * Map pixels to a CellGrid
+     * @param {ImageData} imageData - Pixels to map
+     * @param {string} chars - Ramp from darkest to lightest character
+     * @param {Object} [options] - toRows() options, plus:
+     * @param {boolean} [options.colored=false] - Keep each pixel's color as its cell's color
+     * @returns {CellGrid}
+     */
+    static toCells(imageData, chars, options = {}) {
+        const grid = CellGrid.fromText(CanvasSampler.toRows(imageData, chars, options).join('\n'));
+        if (options.colored) {
+            const { width, data } = imageData;
+            grid.rows.forEach((row, y) => row.forEach((cell, x) => {
+                grid.paint(x, y, { fg: CanvasSampler.colorAt(data, (y * width + x) * 4) });
+            }));
+        }
+        return grid;
+    }
+
+    /**
+     * Sample a picture into cells at a column width, keeping its aspect ratio.
+     * Character cells are about twice as tall as wide, so half as many rows are taken.
+     * @param {CanvasImageSource} source - Image, canvas or video frame
+     * @param {number} aspectRatio - Source height over width
+     * @param {number} width - Columns
+     * @param {string} chars - Ramp from darkest to lightest character
+     * @param {Object} [options] - toCells() options
+     * @returns {CellGrid}
+     */
+    static sampleCells(source, aspectRatio, width, chars, options = {}) {
+        const height = Math.max(1, Math.floor(width * aspectRatio * 0.5));
+        return CanvasSampler.toCells(CanvasSampler.sample(source, width, height), chars, options);
+    }
+
+    /**
+     * Sample every frame of an animated GIF (GIFDecoder) or a video (VideoSampler)
+     * into a flipbook
+     * @param {File|Blob} file - GIF or video file
+     * @param {number} width - Columns
+     * @param {string} chars - Ramp from darkest to lightest character
+     * @param {Object} [options]
+     * @param {boolean} [options.colored=false] - Color each cell with its pixel's color
+     * @param {number} [options.fps=10] - Video frames taken per second; GIFs keep their own timing
+     * @param {number} [options.maxFrames=Infinity] - Most frames taken
+     * @param {number} [options.maxBytes=Infinity] - Largest GIF file accepted
+     * @param {number} [options.maxPixels=Infinity] - Largest GIF picture (width × height) accepted
+     * @returns {Promise<Flipbook>}
+     */
+    static async sampleAnimation(file, width, chars, options = {}) {
+        const { colored = false, fps = 10, maxFrames = Infinity, maxBytes = Infinity, maxPixels = Infinity } = options;
+        const flipbook = new Flipbook();
+
+        if (file.type === 'image/gif') {
+            if (file.size > maxBytes) {
+                throw new Error(`GIF is too large (${(file.size / 1048576).toFixed(1)} MB); the limit is ${(maxBytes / 1048576).toFixed(1)} MB`);
+            }
+            // Decoded frames are raw pixels; a canvas makes them drawable for sampling.
+            // Each one is sampled as it's decoded, so only one picture is held at a time
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            const gif = GIFDecoder.decode(await file.arrayBuffer(), {
+                maxFrames,
+                maxPixels,
+                onFrame: ({ data, width: pictureWidth, height: pictureHeight }) => {
+                    if (canvas.width !== pictureWidth || canvas.height !== pictureHeight) {
+                        canvas.width = pictureWidth;
+                        canvas.height = pictureHeight;
+                    }
+                    ctx.putImageData(new ImageData(data, pictureWidth, pictureHeight), 0, 0);
+                    return CanvasSampler.sampleCells(canvas, pictureHeight / pictureWidth, width, chars, { colored });
+                }
+            });
+            gif.frames.forEach(frame => flipbook.addFrame(frame.value, { duration: frame.delay }));
+            // Flipbooks loop or don't; a GIF that plays a set number of times counts as looping
+            flipbook.loop = gif.loop !== 1;
+        } else {
+            const { values } = await VideoSampler.sample(file, {
+                fps,
+                maxFrames,
+                onFrame: (video) => CanvasSampler.sampleCells(video, video.videoHeight / video.videoWidth, width, chars, { colored })
+            });
+            values.forEach(cells => flipbook.addFrame(cells, { duration: 1000 / fps }));
+        }
+        return flipbook;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasSampler;
+}
@@ -0,0 +1,561 @@
+/**
+ * Cell Grid
+ * A 2D buffer of character cells, each with its own colors and style, so output
+ * can carry per-letter color, highlighted keywords or colored image pixels
+ * instead of one color for the whole <pre>. Shared by both apps.
+ *
+ * Cell: { char, fg, bg, bold, italic }
+ * - fg/bg are CSS colors ('#ff6b6b', 'rgb(...)' or a PALETTE name), null for the default
+ * - rows may differ in length; toText() gives back exactly the text a grid was made from
+ *
+ * Serializers: toText() (plain), toHTML() (<span> runs), toANSI() (terminal escapes);
+ * fromANSI() reads terminal escapes back into a grid.
+ */
+class CellGrid {
+    /**
+     * Named colors; the .ascii-output.color-* rules in styles.css use the same values
+     * @returns {Object} Name to hex color
+     */
+    static get PALETTE() {
+        return {
+            red: '#ff6b6b',
+            green: '#51cf66',
+            blue: '#4dabf7',
+            yellow: '#ffd43b',
+            purple: '#cc5de8',
+            cyan: '#22b8cf',
+            magenta: '#ff6b9d',
+            gold: '#ffd700',
+            silver: '#c0c0c0',
+            white: '#ffffff',
+            black: '#000000'
+        };
+    }
+
+    /**
+     * Foreground SGR codes of the basic terminal colors
+     * @returns {Object} Name to code (background is code + 10)
+     */
+    static get ANSI_CODES() {
+        return { black: 30, red: 31, green: 32, yellow: 33, blue: 34, magenta: 35, cyan: 36, white: 37 };
+    }
+
+    /**
+     * The 16 terminal colors as xterm draws them: SGR codes 30-37, then the bright 90-97
+     * @returns {Array<{code: number, rgb: number[]}>}
+     */
+    static get ANSI_16() {
+        return [
+            [30, [0, 0, 0]], [31, [205, 0, 0]], [32, [0, 205, 0]], [33, [205, 205, 0]],
+            [34, [0, 0, 238]], [35, [205, 0, 205]], [36, [0, 205, 205]], [37, [229, 229, 229]],
+            [90, [127, 127, 127]], [91, [255, 0, 0]], [92, [0, 255, 0]], [93, [255, 255, 0]],
+            [94, [92, 92, 255]], [95, [255, 0, 255]], [96, [0, 255, 255]], [97, [255, 255, 255]]
+        ].map(([code, rgb]) => ({ code, rgb }));
+    }
+
+    /**
+     * Color depths toANSI can write
+     * @returns {string[]}
+     */
+    static get ANSI_DEPTHS() {
+        return ['16', '256', 'truecolor'];
+    }
+
+    /**
+     * Build one cell
+     * @param {string} [char=' '] - Character
+     * @param {Object} [style] - { fg, bg, bold, italic }
+     * @returns {{char: string, fg: ?string, bg: ?string, bold: boolean, italic: boolean}}
+     */
+    static cell(char = ' ', style = {}) {
+        return {
+            char,
+            fg: style.fg || null,
+            bg: style.bg || null,
+            bold: !!style.bold,
+            italic: !!style.italic
+        };
+    }
+
+    /**
+     * @param {Array<Array<Object>>} [rows] - Rows of cells
+     */
+    constructor(rows = []) {
+        this.rows = rows;
+    }
+
+    /**
+     * Grid holding a text, every cell in one style
+     * @param {string} text - Text (rows split on newlines)
+     * @param {Object} [style] - { fg, bg, bold, italic }
+     * @returns {CellGrid}
+     */
+    static fromText(text, style = {}) {
+        return new CellGrid(String(text ?? '').split('\n').map(row => (
+            Array.from(row).map(char => CellGrid.cell(char, style))
+        )));
+    }
+
+    /**
+     * Grid of blank cells
+     * @param {number} width - Columns
+     * @param {number} height - Rows
+     * @returns {CellGrid}
+     */
+    static blank(width, height) {
+        return new CellGrid(Array.from({ length: height }, () => (
+            Array.from({ length: width }, () => CellGrid.cell())
+        )));
+    }
+
+    /**
+     * Widest row, in columns
+     */
+    get width() {
+        return Math.max(0, ...this.rows.map(row => row.length));
+    }
+
+    get height() {
+        return this.rows.length;
+    }
+
+    /**
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {Object|null} The cell, or null outside the grid
+     */
+    get(x, y) {
+        return this.rows[y]?.[x] || null;
+    }
+
+    /**
+     * Set a cell's character and (optionally) style, growing the grid as needed
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @param {string} char - Character
+     * @param {Object} [style] - Style fields to set; fields left out keep their value
+     * @returns {CellGrid} This grid
+     */
+    set(x, y, char, style) {
+        if (x < 0 || y < 0) return this;
+
+        while (this.rows.length <= y) this.rows.push([]);
+        const row = this.rows[y];
+        while (row.length <= x) row.push(CellGrid.cell());
+
+        row[x].char = char;
+        if (style) this.paint(x, y, style);
+        return this;
+    }
+
+    /**
+     * Restyle a cell, keeping its character
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @param {Object} style - Style fields to set
+     * @returns {CellGrid} This grid
+     */
+    paint(x, y, style) {
+        const cell = this.get(x, y);
+        if (!cell || !style) return this;
+
+        for (const key of ['fg', 'bg', 'bold', 'italic']) {
+            if (style[key] !== undefined) cell[key] = style[key];
+        }
+        return this;
+    }
+
+    /**
+     * Write text left to right from a cell
+     * @param {number} x - Column of the first character
+     * @param {number} y - Row
+     * @param {string} text - Text without newlines
+     * @param {Object} [style] - Style for the written cells
+     * @returns {CellGrid} This grid
+     */
+    write(x, y, text, style) {
+        Array.from(String(text)).forEach((char, i) => this.set(x + i, y, char, style));
+        return this;
+    }
+
+    /**
+     * Style every occurrence of a word
+     * @param {string} word - Text to find (within one row)
+     * @param {Object} style - Style to apply
+     * @param {Object} [options]
+     * @param {boolean} [options.caseSensitive=false]
+     * @param {boolean} [options.wholeWord=true] - Skip matches inside longer words
+     * @returns {CellGrid} This grid
+     */
+    highlight(word, style, options = {}) {
+        const { caseSensitive = false, wholeWord = true } = options;
+        const needle = Array.from(String(word || ''));
+        if (!needle.length) return this;
+
+        const same = (a, b) => (caseSensitive ? a === b : a.toLowerCase() === b.toLowerCase());
+        const isWordChar = cell => !!cell && /[\p{L}\p{N}_]/u.test(cell.char);
+
+        this.rows.forEach((row, y) => {
+            for (let x = 0; x + needle.length <= row.length; x++) {
+                if (!needle.every((char, i) => same(row[x + i].char, char))) continue;
+                if (wholeWord && (isWordChar(row[x - 1]) || isWordChar(row[x + needle.length]))) continue;
+                needle.forEach((_, i) => this.paint(x + i, y, style));
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Style each letter of a rendered banner across all of its columns
+     * @param {string[]} lines - Banner lines in output order (after wrapping)
+     * @param {Function} renderLine - (line) => rendered rows of one banner line
+     * @param {Function} letterStyle - (char, index) => style or null; index counts non-space characters
+     * @param {number} [lineSpacing=0] - Blank rows between banner lines
+     * @returns {CellGrid} This grid
+     */
+    paintLetters(lines, renderLine, letterStyle, lineSpacing = 0) {
+        const widthOf = rows => Math.max(0, ...rows.map(row => row.length));
+        let top = 0;
+        let index = 0;
+
+        for (const line of lines) {
+            const height = renderLine(line).length;
+            const chars = Array.from(line);
+            let start = 0;
+
+            // A letter owns the columns its prefix grew the banner by
+            chars.forEach((char, i) => {
+                const end = widthOf(renderLine(chars.slice(0, i + 1).join('')));
+                if (char.trim()) {
+                    const style = letterStyle(char, index++);
+                    for (let y = top; style && y < top + height; y++) {
+                        for (let x = start; x < end; x++) this.paint(x, y, style);
+                    }
+                }
+                start = Math.max(start, end);
+            });
+
+            top += height + Math.max(0, lineSpacing);
+        }
+        return this;
+    }
+
+    /**
+     * New grid with every cell passed through a function
+     * @param {Function} fn - (cell, x, y) => new cell
+     * @returns {CellGrid}
+     */
+    map(fn) {
+        return new CellGrid(this.rows.map((row, y) => row.map((cell, x) => fn({ ...cell }, x, y))));
+    }
+
+    /**
+     * @returns {CellGrid} Deep copy
+     */
+    clone() {
+        return this.map(cell => cell);
+    }
+
+    /**
+     * Drop unstyled spaces from the end of every row
+     * @returns {CellGrid} This grid
+     */
+    trimEnd() {
+        for (const row of this.rows) {
+            while (row.length && row[row.length - 1].char === ' ' && !CellGrid.css(row[row.length - 1])) {
+                row.pop();
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Whether any cell has a color or style
+     * @returns {boolean}
+     */
+    isStyled() {
+        return this.rows.some(row => row.some(cell => cell.fg || cell.bg || cell.bold || cell.italic));
+    }
+
+    /**
+     * Plain text
+     * @returns {string}
+     */
+    toText() {
+        return this.rows.map(row => row.map(cell => cell.char).join('')).join('\n');
+    }
+
+    /**
+     * HTML for a <pre>: runs of equally styled cells become one <span>
+     * @returns {string}
+     */
+    toHTML() {
+        return this.rows.map(row => CellGrid.runs(row).map(({ style, text }) => {
+            const css = CellGrid.css(style);
+            const escaped = CellGrid.escapeHtml(text);
+            return css ? `<span style="${css}">${escaped}</span>` : escaped;
+        }).join('')).join('\n');
+    }
+
+    /**
+     * Text with ANSI escape codes for terminals
+     * @param {Object} [options]
+     * @param {string} [options.depth='truecolor'] - One of ANSI_DEPTHS; colors are matched to the nearest the depth has
+     * @param {boolean} [options.escaped=false] - Write ESC as the text \033, for echo -e and printf
+     * @returns {string}
+     */
+    toANSI(options = {}) {
+        const { depth = 'truecolor', escaped = false } = options;
+        if (!CellGrid.ANSI_DEPTHS.includes(depth)) {
+            throw new Error(`Unknown ANSI color depth "${depth}"`);
+        }
+
+        const esc = escaped ? '\\033' : '\x1b';
+        const reset = `${esc}[0m`;
+        return this.rows.map(row => CellGrid.runs(row).map(({ style, text }) => {
+            const codes = CellGrid.sgr(style, depth);
+            return codes.length ? `${esc}[${codes.join(';')}m${text}${reset}` : text;
+        }).join('')).join('\n');
+    }
+
+    /**
+     * Grid from text with ANSI escape codes, as a terminal would show it
+     * - reads SGR colors in all three depths, bold and italic; other escapes are dropped
+     * - ESC may also be written out as \e, \033 or \x1b (echo -e style)
+     * @param {string} text - Text with escapes
+     * @returns {CellGrid}
+     */
+    static fromANSI(text) {
+        const input = String(text ?? '').replace(/\\(?:e|033|x1b|u001b)/gi, '\x1b').replace(/\r/g, '');
+        const rows = [[]];
+        let style = CellGrid.cell();
+        const pattern = /\x1b\[([0-9;?]*)([A-Za-z])/g;
+        let last = 0;
+        let match;
+
+        const write = (chunk) => {
+            for (const char of chunk) {
+                if (char === '\n') {
+                    rows.push([]);
+                } else if (char !== '\x1b') {
+                    rows[rows.length - 1].push(CellGrid.cell(char, style));
+                }
+            }
+        };
+
+        while ((match = pattern.exec(input))) {
+            write(input.slice(last, match.index));
+            last = pattern.lastIndex;
+            if (match[2] === 'm') style = CellGrid.applySGR(style, match[1]);
+        }
+        write(input.slice(last));
+        return new CellGrid(rows);
+    }
+
+    /**
+     * Style after one SGR sequence
+     * @param {Object} style - Current style
+     * @param {string} params - The sequence's parameters, e.g. '1;38;5;196'
+     * @returns {Object} New style
+     */
+    static applySGR(style, params) {
+        const next = { ...style };
+        const codes = params === '' ? [0] : params.split(';').map(Number);
+        const basic = Object.fromEntries(Object.entries(CellGrid.ANSI_CODES).map(([name, code]) => [code, name]));
+        const hex = rgb => '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+
+        for (let i = 0; i < codes.length; i++) {
+            const code = codes[i];
+            if (code === 0) Object.assign(next, CellGrid.cell());
+            else if (code === 1) next.bold = true;
+            else if (code === 3) next.italic = true;
+            else if (code === 22) next.bold = false;
+            else if (code === 23) next.italic = false;
+            else if (code === 39) next.fg = null;
+            else if (code === 49) next.bg = null;
+            else if (basic[code]) next.fg = basic[code];
+            else if (basic[code - 10]) next.bg = basic[code - 10];
+            else if ((code >= 90 && code <= 97) || (code >= 100 && code <= 107)) {
+                const { rgb } = CellGrid.ANSI_16[(code % 10) + 8];
+                next[code < 100 ? 'fg' : 'bg'] = hex(rgb);
+            } else if (code === 38 || code === 48) {
+                const key = code === 38 ? 'fg' : 'bg';
+                if (codes[i + 1] === 5) {
+                    next[key] = hex(CellGrid.ansi256ToRGB(codes[i + 2] || 0));
+                    i += 2;
+                } else if (codes[i + 1] === 2) {
+                    next[key] = hex(codes.slice(i + 2, i + 5).map(c => Math.min(Math.max(c || 0, 0), 255)));
+                    i += 4;
+                }
+            }
+        }
+        return next;
+    }
+
+    /**
+     * @param {number} index - xterm 256-color index
+     * @returns {number[]} [r, g, b]
+     */
+    static ansi256ToRGB(index) {
+        if (index < 16) return CellGrid.ANSI_16[index].rgb;
+        if (index >= 232) {
+            const gray = 8 + (index - 232) * 10;
+            return [gray, gray, gray];
+        }
+        const levels = [0, 95, 135, 175, 215, 255];
+        const n = index - 16;
+        return [levels[Math.floor(n / 36)], levels[Math.floor(n / 6) % 6], levels[n % 6]];
+    }
+
+    /**
+     * Nearest xterm 256-color index, from the color cube or the gray ramp
+     * @param {{r: number, g: number, b: number}} rgb
+     * @returns {number}
+     */
+    static rgbToANSI256({ r, g, b }) {
+        const levels = [0, 95, 135, 175, 215, 255];
+        const nearest = value => levels.reduce((best, level, i) => (
+            Math.abs(level - value) < Math.abs(levels[best] - value) ? i : best
+        ), 0);
+        const cube = 16 + 36 * nearest(r) + 6 * nearest(g) + nearest(b);
+
+        const grayStep = Math.min(Math.max(Math.round(((r + g + b) / 3 - 8) / 10), 0), 23);
+        const gray = 232 + grayStep;
+
+        const distance = index => {
+            const [cr, cg, cb] = CellGrid.ansi256ToRGB(index);
+            return (cr - r) ** 2 + (cg - g) ** 2 + (cb - b) ** 2;
+        };
+        return distance(gray) < distance(cube) ? gray : cube;
+    }
+
+    /**
+     * Nearest of the 16 terminal colors
+     * @param {{r: number, g: number, b: number}} rgb
+     * @returns {number} Foreground SGR code (background is code + 10)
+     */
+    static rgbToANSI16({ r, g, b }) {
+        let best = null;
+        for (const { code, rgb } of CellGrid.ANSI_16) {
+            const distance = (rgb[0] - r) ** 2 + (rgb[1] - g) ** 2 + (rgb[2] - b) ** 2;
+            if (!best || distance < best.distance) best = { code, distance };
+        }
+        return best.code;
+    }
+
+    /**
+     * Split a row into runs of equally styled cells
+     * @param {Object[]} row - Cells
+     * @returns {Array<{style: Object, text: string}>}
+     */
+    static runs(row) {
+        const runs = [];
+        for (const cell of row) {
+            const last = runs[runs.length - 1];
+            if (last && CellGrid.sameStyle(last.style, cell)) {
+                last.text += cell.char;
+            } else {
+                runs.push({ style: cell, text: cell.char });
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Whether two cells share colors and style
+     * @returns {boolean}
+     */
+    static sameStyle(a, b) {
+        return a.fg === b.fg && a.bg === b.bg && a.bold === b.bold && a.italic === b.italic;
+    }
+
+    /**
+     * Inline CSS for a style
+     * @param {Object} style - Cell style
+     * @returns {string} Empty when unstyled
+     */
+    static css(style) {
+        const rules = [];
+        if (style.fg) rules.push(`color: ${CellGrid.PALETTE[style.fg] || style.fg}`);
+        if (style.bg) rules.push(`background-color: ${CellGrid.PALETTE[style.bg] || style.bg}`);
+        if (style.bold) rules.push('font-weight: bold');
+        if (style.italic) rules.push('font-style: italic');
+        return CellGrid.escapeHtml(rules.join('; '));
+    }
+
+    /**
+     * SGR codes for a style: basic colors by name, anything else in the chosen depth
+     * @param {Object} style - Cell style
+     * @param {string} [depth='truecolor'] - One of ANSI_DEPTHS
+     * @returns {Array<number|string>}
+     */
+    static sgr(style, depth = 'truecolor') {
+        const codes = [];
+        if (style.bold) codes.push(1);
+        if (style.italic) codes.push(3);
+
+        const color = (value, offset) => {
+            if (!value) return;
+            if (CellGrid.ANSI_CODES[value]) {
+                codes.push(CellGrid.ANSI_CODES[value] + offset);
+                return;
+            }
+            const rgb = CellGrid.parseColor(value);
+            if (!rgb) return;
+            if (depth === '16') {
+                codes.push(CellGrid.rgbToANSI16(rgb) + offset);
+            } else if (depth === '256') {
+                codes.push(`${38 + offset};5;${CellGrid.rgbToANSI256(rgb)}`);
+            } else {
+                codes.push(`${38 + offset};2;${rgb.r};${rgb.g};${rgb.b}`);
+            }
+        };
+        color(style.fg, 0);
+        color(style.bg, 10);
+        return codes;
+    }
+
+    /**
+     * Read a hex, rgb() or PALETTE color
+     * @param {string} color - CSS color
+     * @returns {{r: number, g: number, b: number}|null}
+     */
+    static parseColor(color) {
+        const value = CellGrid.PALETTE[color] || String(color || '').trim();
+
+        let match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (match) {
+            const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+            return {
+                r: parseInt(hex.slice(0, 2), 16),
+                g: parseInt(hex.slice(2, 4), 16),
+                b: parseInt(hex.slice(4, 6), 16)
+            };
+        }
+
+        match = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+        if (match) {
+            return { r: +match[1], g: +match[2], b: +match[3] };
+        }
+        return null;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} unsafe - Text
+     * @returns {string}
+     */
+    static escapeHtml(unsafe) {
+        return String(unsafe)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CellGrid;
+}
@@ -0,0 +1,239 @@
+/**
+ * Composition
+ * Layers of finished output (banners, poems, image art, AI art) placed on one
+ * canvas and flattened into a single CellGrid. Shared by both apps.
+ *
+ * Layer: { id, name, cells, x, y, transparent, visible }
+ * - layers are kept bottom to top; raise/lower move a layer one step in that order
+ * - x/y are the layer's top-left cell; negative offsets are cropped off the canvas
+ * - a transparent layer lets lower layers show through its unstyled spaces
+ * - results colored as a whole (a CSS class on the output) keep that color as cell colors
+ */
+class Composition {
+    /**
+     * Alignment helpers: the first three move a layer across, the rest up and down
+     * @returns {string[]}
+     */
+    static get ALIGNMENTS() {
+        return ['left', 'center', 'right', 'top', 'middle', 'bottom'];
+    }
+
+    /**
+     * Colors a rainbow layer cycles through, one per column
+     * @returns {string[]} CellGrid PALETTE names
+     */
+    static get RAINBOW() {
+        return ['red', 'yellow', 'green', 'cyan', 'blue', 'magenta'];
+    }
+
+    constructor() {
+        this.layers = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a layer on top
+     * @param {Object|string} source - Generation result ({ ascii, cells, mode }), CellGrid or text
+     * @param {Object} [options]
+     * @param {string} [options.name] - Layer name (defaults to the result's mode and a number)
+     * @param {number} [options.x=0] - Column of the layer's left edge
+     * @param {number} [options.y=0] - Row of the layer's top edge
+     * @param {boolean} [options.transparent=true] - Spaces let lower layers show through
+     * @param {string} [options.color] - Whole-layer color: a PALETTE name or 'rainbow'
+     * @returns {Object} The new layer
+     */
+    addLayer(source, options = {}) {
+        const cells = Composition.tint(Composition.toCells(source), options.color);
+        const id = this.nextId++;
+        const layer = {
+            id,
+            name: options.name || `${source?.mode || 'layer'} ${id}`,
+            cells,
+            x: 0,
+            y: 0,
+            transparent: options.transparent !== false,
+            visible: true
+        };
+        this.layers.push(layer);
+        this.moveLayer(id, options.x ?? 0, options.y ?? 0);
+        return layer;
+    }
+
+    /**
+     * @param {number} id - Layer id
+     * @returns {Object} The layer
+     */
+    getLayer(id) {
+        const layer = this.layers.find(l => l.id === id);
+        if (!layer) {
+            throw new Error(`No layer with id ${id}`);
+        }
+        return layer;
+    }
+
+    /**
+     * @param {number} id - Layer id
+     */
+    removeLayer(id) {
+        const layer = this.getLayer(id);
+        this.layers.splice(this.layers.indexOf(layer), 1);
+    }
+
+    /**
+     * Place a layer
+     * @param {number} id - Layer id
+     * @param {number} x - Column of the left edge
+     * @param {number} y - Row of the top edge
+     * @returns {Object} The layer
+     */
+    moveLayer(id, x, y) {
+        if (!Number.isInteger(x) || !Number.isInteger(y)) {
+            throw new Error('Layer offsets must be whole numbers');
+        }
+        const layer = this.getLayer(id);
+        layer.x = x;
+        layer.y = y;
+        return layer;
+    }
+
+    /**
+     * Change a layer's name, transparency or visibility
+     * @param {number} id - Layer id
+     * @param {Object} changes - { name, transparent, visible }
+     * @returns {Object} The layer
+     */
+    updateLayer(id, changes = {}) {
+        const layer = this.getLayer(id);
+        if (changes.name !== undefined) layer.name = String(changes.name);
+        if (changes.transparent !== undefined) layer.transparent = !!changes.transparent;
+        if (changes.visible !== undefined) layer.visible = !!changes.visible;
+        return layer;
+    }
+
+    /**
+     * Move a layer one step up the stacking order
+     * @param {number} id - Layer id
+     */
+    raiseLayer(id) {
+        this.shiftLayer(id, 1);
+    }
+
+    /**
+     * Move a layer one step down the stacking order
+     * @param {number} id - Layer id
+     */
+    lowerLayer(id) {
+        this.shiftLayer(id, -1);
+    }
+
+    /**
+     * @param {number} id - Layer id
+     * @param {number} step - +1 up, -1 down
+     */
+    shiftLayer(id, step) {
+        const from = this.layers.indexOf(this.getLayer(id));
+        const to = from + step;
+        if (to < 0 || to >= this.layers.length) return;
+        [this.layers[from], this.layers[to]] = [this.layers[to], this.layers[from]];
+    }
+
+    /**
+     * Line a layer up with the edges or center of the other visible layers
+     * @param {number} id - Layer id
+     * @param {string} alignment - One of ALIGNMENTS
+     * @returns {Object} The layer
+     */
+    alignLayer(id, alignment) {
+        if (!Composition.ALIGNMENTS.includes(alignment)) {
+            throw new Error(`Unknown alignment "${alignment}"`);
+        }
+
+        const layer = this.getLayer(id);
+        const others = this.layers.filter(l => l.visible && l !== layer);
+        const { width, height } = others.length ? this.bounds(others) : this.bounds([layer]);
+        const w = layer.cells.width;
+        const h = layer.cells.height;
+
+        switch (alignment) {
+            case 'left': return this.moveLayer(id, 0, layer.y);
+            case 'center': return this.moveLayer(id, Math.max(0, Math.floor((width - w) / 2)), layer.y);
+            case 'right': return this.moveLayer(id, Math.max(0, width - w), layer.y);
+            case 'top': return this.moveLayer(id, layer.x, 0);
+            case 'middle': return this.moveLayer(id, layer.x, Math.max(0, Math.floor((height - h) / 2)));
+            default: return this.moveLayer(id, layer.x, Math.max(0, height - h));
+        }
+    }
+
+    /**
+     * Canvas size needed for some layers, measured from the top-left cell
+     * @param {Object[]} [layers] - Layers to measure (defaults to the visible ones)
+     * @returns {{width: number, height: number}}
+     */
+    bounds(layers = this.layers.filter(l => l.visible)) {
+        return {
+            width: Math.max(0, ...layers.map(l => l.x + l.cells.width)),
+            height: Math.max(0, ...layers.map(l => l.y + l.cells.height))
+        };
+    }
+
+    /**
+     * Draw the visible layers bottom to top into one grid
+     * @returns {CellGrid} Flattened grid, trailing blanks trimmed from each row
+     */
+    flatten() {
+        const { width, height } = this.bounds();
+        const canvas = CellGrid.blank(width, height);
+
+        for (const layer of this.layers) {
+            if (!layer.visible) continue;
+
+            // An opaque layer covers its whole rectangle, short rows included
+            const { width: w, height: h } = layer.cells;
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const cell = layer.cells.get(x, y) || CellGrid.cell();
+                    if (layer.transparent && cell.char === ' ' && !cell.bg) continue;
+                    canvas.set(layer.x + x, layer.y + y, cell.char, cell);
+                }
+            }
+        }
+
+        // Unstyled spaces at the end of a row are only canvas padding
+        return canvas.trimEnd();
+    }
+
+    /**
+     * Color the unstyled ink of a grid
+     * @param {CellGrid} cells - Grid to color in place
+     * @param {string} [color] - PALETTE name or 'rainbow'; anything else leaves the grid alone
+     * @returns {CellGrid} The grid
+     */
+    static tint(cells, color) {
+        const rainbow = Composition.RAINBOW;
+        if (color !== 'rainbow' && !CellGrid.PALETTE[color]) return cells;
+
+        cells.rows.forEach((row, y) => row.forEach((cell, x) => {
+            if (cell.char === ' ' || cell.fg) return;
+            cells.paint(x, y, { fg: color === 'rainbow' ? rainbow[x % rainbow.length] : color });
+        }));
+        return cells;
+    }
+
+    /**
+     * Cells of a layer source, copied so later edits to the source don't show through
+     * @param {Object|string} source - Generation result, CellGrid or text
+     * @returns {CellGrid}
+     */
+    static toCells(source) {
+        if (source instanceof CellGrid) return source.clone();
+        if (typeof source === 'string') return CellGrid.fromText(source.replace(/\n+$/, ''));
+        if (source?.cells instanceof CellGrid) return source.cells.clone();
+        if (source?.ascii) return CellGrid.fromText(String(source.ascii).replace(/\n+$/, ''));
+        throw new Error('A layer needs generated output');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Composition;
+}
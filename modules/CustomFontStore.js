@@ -0,0 +1,77 @@
+/**
+ * Custom Font Store
+ * Persists fonts made in the glyph editor to localStorage and registers them
+ * with the shared FontRegistry, so they appear in every font list.
+ */
+class CustomFontStore {
+    /**
+     * @param {string} [storageKey='ascii-art-custom-fonts'] - localStorage key
+     * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+     */
+    constructor(storageKey = 'ascii-art-custom-fonts', storage = null) {
+        this.storageKey = storageKey;
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    /**
+     * Read every saved font
+     * @returns {Object[]} Fonts in FontModel schema shape
+     */
+    loadAll() {
+        if (!this.storage) return [];
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved.map(font => FontModel.normalize(font)) : [];
+        } catch (error) {
+            console.error('❌ Failed to read custom fonts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save (or replace) a font
+     * @param {Object} font - Font in FontModel schema shape
+     * @returns {Object} The saved font
+     */
+    save(font) {
+        if (!this.storage) {
+            throw new Error('Local storage is not available');
+        }
+
+        const saved = FontModel.create({
+            ...font,
+            metadata: { ...font.metadata, tags: Array.from(new Set([...(font.metadata?.tags || []), 'custom'])) }
+        });
+        const fonts = this.loadAll().filter(existing => existing.name !== saved.name);
+        fonts.push(saved);
+        this.storage.setItem(this.storageKey, JSON.stringify(fonts));
+        return saved;
+    }
+
+    /**
+     * Delete a saved font
+     * @param {string} name - Font name
+     * @returns {boolean} Whether a font was deleted
+     */
+    remove(name) {
+        if (!this.storage) return false;
+        const fonts = this.loadAll();
+        const remaining = fonts.filter(font => font.name !== name);
+        this.storage.setItem(this.storageKey, JSON.stringify(remaining));
+        return remaining.length !== fonts.length;
+    }
+
+    /**
+     * Register every saved font with a registry
+     * @param {FontRegistry} registry - Registry to add the fonts to
+     * @returns {string[]} Registered names
+     */
+    registerAll(registry) {
+        return this.loadAll().map(font => registry.register(font.name, font, { source: 'custom' }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomFontStore;
+}
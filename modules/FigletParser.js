@@ -0,0 +1,184 @@
+/**
+ * FIGlet Parser
+ * Reads standard FIGlet (.flf) font files into glyph tables.
+ *
+ * Supported format features:
+ * - flf2a header (hardblank, height, baseline, layouts, comment lines, codetag count)
+ * - tlf2a (TOIlet) headers, which share the same layout
+ * - Required ASCII glyphs (32-126) and the seven required Deutsch glyphs
+ * - Code-tagged extra glyphs (decimal, 0x hex and 0 octal codes)
+ * - Endmark stripping on every glyph row
+ */
+class FigletParser {
+    constructor() {
+        this.signatures = ['flf2a', 'tlf2a'];
+        // Required characters in FIGlet order: printable ASCII, then Ä Ö Ü ä ö ü ß
+        this.requiredCodes = [];
+        for (let code = 32; code <= 126; code++) {
+            this.requiredCodes.push(code);
+        }
+        this.requiredCodes.push(196, 214, 220, 228, 246, 252, 223);
+    }
+
+    /**
+     * Parse the header line of a FIGlet font
+     * @param {string} source - Full font file contents (or just the first line)
+     * @returns {Object} Header fields
+     */
+    parseHeader(source) {
+        if (typeof source !== 'string' || !source.length) {
+            throw new Error('FIGlet source must be a non-empty string');
+        }
+
+        const firstLine = source.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+        const signature = this.signatures.find(sig => firstLine.startsWith(sig));
+        if (!signature) {
+            throw new Error(`Not a FIGlet font: expected "${this.signatures[0]}" signature`);
+        }
+
+        const hardblank = firstLine.charAt(signature.length);
+        const params = firstLine.slice(signature.length + 1).trim().split(/\s+/).map(n => parseInt(n, 10));
+        const [height, baseline, maxLength, oldLayout, commentLines, printDirection, fullLayout, codetagCount] = params;
+
+        if (!hardblank) {
+            throw new Error('FIGlet header is missing the hardblank character');
+        }
+        if (!Number.isInteger(height) || height < 1) {
+            throw new Error(`Invalid FIGlet height: ${params[0]}`);
+        }
+        if (!Number.isInteger(commentLines) || commentLines < 0) {
+            throw new Error(`Invalid FIGlet comment line count: ${params[4]}`);
+        }
+
+        return {
+            hardblank,
+            height,
+            baseline: Number.isInteger(baseline) ? baseline : height,
+            maxLength: Number.isInteger(maxLength) ? maxLength : 0,
+            oldLayout: Number.isInteger(oldLayout) ? oldLayout : 0,
+            commentLines,
+            printDirection: Number.isInteger(printDirection) ? printDirection : 0,
+            fullLayout: Number.isInteger(fullLayout) ? fullLayout : null,
+            codetagCount: Number.isInteger(codetagCount) ? codetagCount : null
+        };
+    }
+
+    /**
+     * Parse a complete FIGlet font
+     * @param {string} source - Font file contents
+     * @param {string} [name='figlet'] - Name to give the parsed font
+     * @returns {Object} Parsed font: header fields, comment and glyphs keyed by character
+     */
+    parse(source, name = 'figlet') {
+        const header = this.parseHeader(source);
+        const lines = source.split(/\r?\n/);
+        const comment = lines.slice(1, 1 + header.commentLines).join('\n');
+        const glyphs = {};
+
+        let cursor = 1 + header.commentLines;
+
+        // Required glyphs come in a fixed order without code tags
+        for (const code of this.requiredCodes) {
+            if (cursor + header.height > lines.length) break;
+            glyphs[String.fromCharCode(code)] = this.readGlyph(lines, cursor, header.height);
+            cursor += header.height;
+        }
+
+        // Code-tagged glyphs: a tag line followed by `height` rows
+        while (cursor + header.height < lines.length) {
+            const tagLine = lines[cursor].trim();
+            cursor++;
+            if (!tagLine) continue;
+
+            const code = this.parseCodeTag(tagLine);
+            const rows = this.readGlyph(lines, cursor, header.height);
+            cursor += header.height;
+
+            // Negative codes are translation-table entries; 0 is the missing-character glyph
+            if (code === null || code < 0) continue;
+            glyphs[code === 0 ? '\u0000' : String.fromCodePoint(code)] = rows;
+        }
+
+        if (!glyphs['A'] && !glyphs[' ']) {
+            throw new Error(`FIGlet font "${name}" contains no glyphs`);
+        }
+
+        return {
+            name,
+            ...header,
+            comment,
+            glyphs
+        };
+    }
+
+    /**
+     * Read one glyph's rows, stripping endmarks and padding to a common width
+     * @param {string[]} lines - All font lines
+     * @param {number} start - Index of the first row
+     * @param {number} height - Rows per glyph
+     * @returns {string[]} Glyph rows
+     */
+    readGlyph(lines, start, height) {
+        const rows = [];
+        for (let i = 0; i < height; i++) {
+            rows.push(this.stripEndmarks(lines[start + i] || ''));
+        }
+        const width = Math.max(0, ...rows.map(row => row.length));
+        return rows.map(row => row.padEnd(width));
+    }
+
+    /**
+     * Remove the trailing endmark characters (usually "@" or "@@") from a row
+     * @param {string} row - Raw row from the font file
+     * @returns {string} Row without endmarks
+     */
+    stripEndmarks(row) {
+        const trimmed = row.replace(/\s+$/, '');
+        if (!trimmed) return '';
+        const endmark = trimmed.charAt(trimmed.length - 1);
+        let end = trimmed.length;
+        while (end > 0 && trimmed.charAt(end - 1) === endmark) {
+            end--;
+        }
+        return trimmed.slice(0, end);
+    }
+
+    /**
+     * Parse the character code at the start of a code tag line
+     * @param {string} tagLine - e.g. "196  LATIN CAPITAL LETTER A WITH DIAERESIS" or "0x2014"
+     * @returns {number|null} Character code or null if unreadable
+     */
+    parseCodeTag(tagLine) {
+        const token = tagLine.split(/\s+/)[0];
+        const negative = token.startsWith('-');
+        const body = negative ? token.slice(1) : token;
+        let code;
+
+        if (/^0x[0-9a-f]+$/i.test(body)) {
+            code = parseInt(body.slice(2), 16);
+        } else if (/^0[0-7]+$/.test(body)) {
+            code = parseInt(body, 8);
+        } else if (/^\d+$/.test(body)) {
+            code = parseInt(body, 10);
+        } else {
+            return null;
+        }
+
+        return negative ? -code : code;
+    }
+
+    /**
+     * Replace hardblanks with plain spaces for display
+     * @param {string[]} rows - Glyph rows
+     * @param {string} hardblank - Hardblank character from the header
+     * @returns {string[]} Display-ready rows
+     */
+    resolveHardblanks(rows, hardblank) {
+        return rows.map(row => row.split(hardblank).join(' '));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FigletParser;
+}
@@ -0,0 +1,289 @@
+/**
+ * Flipbook
+ * A sequence of output frames played one after another, for animated banners
+ * and small cartoons. Frames are generated results, image art or hand edits.
+ * Shared by both apps.
+ *
+ * Frame: { id, name, cells, duration }
+ * - duration is how long the frame shows, in ms (DURATION_RANGE)
+ * - frames of different sizes play top-left aligned in the bounds of the largest
+ * - onion() draws the neighbouring frames faintly behind one, for lining up motion
+ * - toJSON()/fromJSON() read and write the frame sequence as plain JSON
+ */
+class Flipbook {
+    /**
+     * Duration of a new frame, in ms
+     */
+    static get DEFAULT_DURATION() {
+        return 200;
+    }
+
+    /**
+     * Shortest and longest frame, in ms
+     * @returns {{min: number, max: number}}
+     */
+    static get DURATION_RANGE() {
+        return { min: 20, max: 10000 };
+    }
+
+    /**
+     * Type tag of the JSON format
+     */
+    static get FORMAT() {
+        return 'ascii-flipbook';
+    }
+
+    /**
+     * Ghost colors of the frames before and after, in the onion skin
+     * @returns {{previous: string, next: string}}
+     */
+    static get ONION_COLORS() {
+        return { previous: '#a05a5a', next: '#4f8a63' };
+    }
+
+    constructor() {
+        this.frames = [];
+        this.nextId = 1;
+        this.loop = true;
+    }
+
+    /**
+     * Add a frame
+     * @param {Object|string} source - Generation result ({ ascii, cells, mode }), CellGrid or text
+     * @param {Object} [options]
+     * @param {string} [options.name] - Frame name (defaults to "Frame" and its id)
+     * @param {number} [options.duration] - Time shown in ms
+     * @param {number} [options.index] - Position; defaults to the end
+     * @param {string} [options.color] - Whole-frame color: a PALETTE name or 'rainbow'
+     * @returns {Object} The new frame
+     */
+    addFrame(source, options = {}) {
+        const id = this.nextId++;
+        const frame = {
+            id,
+            name: options.name || `Frame ${id}`,
+            cells: Composition.tint(Composition.toCells(source), options.color),
+            duration: Flipbook.clampDuration(options.duration ?? Flipbook.DEFAULT_DURATION)
+        };
+        const index = options.index ?? this.frames.length;
+        this.frames.splice(Math.min(Math.max(index, 0), this.frames.length), 0, frame);
+        return frame;
+    }
+
+    /**
+     * @param {number} id - Frame id
+     * @returns {Object} The frame
+     */
+    getFrame(id) {
+        const frame = this.frames.find(f => f.id === id);
+        if (!frame) {
+            throw new Error(`No frame with id ${id}`);
+        }
+        return frame;
+    }
+
+    /**
+     * @param {number} id - Frame id
+     * @returns {number} Position of the frame
+     */
+    indexOf(id) {
+        return this.frames.indexOf(this.getFrame(id));
+    }
+
+    /**
+     * @param {number} id - Frame id
+     */
+    removeFrame(id) {
+        this.frames.splice(this.indexOf(id), 1);
+    }
+
+    /**
+     * Change a frame's name, duration or cells
+     * @param {number} id - Frame id
+     * @param {Object} changes - { name, duration, cells }
+     * @returns {Object} The frame
+     */
+    updateFrame(id, changes = {}) {
+        const frame = this.getFrame(id);
+        if (changes.name !== undefined) frame.name = String(changes.name);
+        if (changes.duration !== undefined) frame.duration = Flipbook.clampDuration(changes.duration);
+        if (changes.cells !== undefined) frame.cells = Composition.toCells(changes.cells);
+        return frame;
+    }
+
+    /**
+     * Copy a frame in right after itself
+     * @param {number} id - Frame id
+     * @returns {Object} The copy
+     */
+    duplicateFrame(id) {
+        const frame = this.getFrame(id);
+        return this.addFrame(frame.cells, {
+            name: `${frame.name} copy`,
+            duration: frame.duration,
+            index: this.indexOf(id) + 1
+        });
+    }
+
+    /**
+     * Move a frame one step earlier (-1) or later (+1)
+     * @param {number} id - Frame id
+     * @param {number} step - -1 or +1
+     */
+    shiftFrame(id, step) {
+        const from = this.indexOf(id);
+        const to = from + step;
+        if (to < 0 || to >= this.frames.length) return;
+        [this.frames[from], this.frames[to]] = [this.frames[to], this.frames[from]];
+    }
+
+    /**
+     * Length of one play-through, in ms
+     */
+    get totalDuration() {
+        return this.frames.reduce((sum, frame) => sum + frame.duration, 0);
+    }
+
+    /**
+     * Size that holds every frame
+     * @returns {{width: number, height: number}}
+     */
+    bounds() {
+        return {
+            width: Math.max(0, ...this.frames.map(f => f.cells.width)),
+            height: Math.max(0, ...this.frames.map(f => f.cells.height))
+        };
+    }
+
+    /**
+     * Frame showing some time into the animation
+     * @param {number} time - ms since the start; wraps round when looping
+     * @returns {number} Frame position, the last one once a non-looping animation ends
+     */
+    frameAtTime(time) {
+        const total = this.totalDuration;
+        if (!this.frames.length) return -1;
+        let t = this.loop ? ((time % total) + total) % total : time;
+        for (let i = 0; i < this.frames.length; i++) {
+            t -= this.frames[i].duration;
+            if (t < 0) return i;
+        }
+        return this.frames.length - 1;
+    }
+
+    /**
+     * A frame with its neighbours drawn faintly in its empty cells
+     * @param {number} index - Frame position
+     * @param {Object} [options]
+     * @param {boolean} [options.previous=true] - Show the frame before
+     * @param {boolean} [options.next=false] - Show the frame after
+     * @returns {CellGrid}
+     */
+    onion(index, options = {}) {
+        const { previous = true, next = false } = options;
+        const frame = this.frames[index];
+        if (!frame) {
+            throw new Error(`No frame at position ${index}`);
+        }
+
+        const { width, height } = this.bounds();
+        const grid = CellGrid.blank(width, height);
+        const ghosts = [];
+        // Nearer frames win: the one before over the one after
+        if (next && this.frames[index + 1]) ghosts.push([this.frames[index + 1], Flipbook.ONION_COLORS.next]);
+        if (previous && this.frames[index - 1]) ghosts.push([this.frames[index - 1], Flipbook.ONION_COLORS.previous]);
+        ghosts.forEach(([ghost, fg]) => {
+            ghost.cells.rows.forEach((row, y) => row.forEach((cell, x) => {
+                if (cell.char !== ' ') grid.set(x, y, cell.char, { fg });
+            }));
+        });
+
+        frame.cells.rows.forEach((row, y) => row.forEach((cell, x) => {
+            if (cell.char !== ' ' || CellGrid.css(cell)) grid.rows[y][x] = { ...cell };
+        }));
+        return grid.trimEnd();
+    }
+
+    /**
+     * The frame sequence as plain JSON data; styled frames keep their cells
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            type: Flipbook.FORMAT,
+            version: 1,
+            loop: this.loop,
+            frames: this.frames.map(frame => {
+                const data = { name: frame.name, duration: frame.duration, text: frame.cells.toText() };
+                if (frame.cells.isStyled()) data.cells = JSON.parse(JSON.stringify(frame.cells.rows));
+                return data;
+            })
+        };
+    }
+
+    /**
+     * Flipbook from toJSON() data or its JSON text
+     * @param {Object|string} data
+     * @returns {Flipbook}
+     */
+    static fromJSON(data) {
+        const json = typeof data === 'string' ? JSON.parse(data) : data;
+        if (json?.type !== Flipbook.FORMAT || !Array.isArray(json.frames)) {
+            throw new Error('Not a flipbook file');
+        }
+
+        const flipbook = new Flipbook();
+        flipbook.loop = json.loop !== false;
+        json.frames.forEach((frame, i) => {
+            let source;
+            if (Array.isArray(frame?.cells)) {
+                source = new CellGrid(frame.cells.map(row => (Array.isArray(row) ? row : []).map(Flipbook.readCell)));
+            } else if (typeof frame?.text === 'string') {
+                source = CellGrid.fromText(frame.text);
+            } else {
+                throw new Error(`Frame ${i + 1} has no text`);
+            }
+            flipbook.addFrame(source, {
+                name: typeof frame.name === 'string' ? frame.name : undefined,
+                duration: Number(frame.duration) || Flipbook.DEFAULT_DURATION
+            });
+        });
+        return flipbook;
+    }
+
+    /**
+     * A cell from a flipbook file, keeping only what a cell can hold: one
+     * character, and colors that are PALETTE names, hex or rgb(). Longer text
+     * would throw off grid widths, and other CSS would end up in style attributes
+     * @param {Object} cell - Cell as written by toJSON()
+     * @returns {Object} Cell (see CellGrid.cell)
+     */
+    static readCell(cell) {
+        const char = Array.from(String(cell?.char ?? ' '))[0] || ' ';
+        const color = value => (typeof value === 'string'
+            && (CellGrid.PALETTE[value] || (/^(#[0-9a-f]+|rgba?\([\d\s.,]+\))$/i.test(value) && CellGrid.parseColor(value)))
+            ? value
+            : null);
+        return CellGrid.cell(/[\u0000-\u001f\u007f]/.test(char) ? ' ' : char, {
+            fg: color(cell?.fg),
+            bg: color(cell?.bg),
+            bold: cell?.bold,
+            italic: cell?.italic
+        });
+    }
+
+    /**
+     * @param {number} ms - Requested duration
+     * @returns {number} Whole ms within DURATION_RANGE
+     */
+    static clampDuration(ms) {
+        const { min, max } = Flipbook.DURATION_RANGE;
+        const value = Math.round(Number(ms));
+        return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : Flipbook.DEFAULT_DURATION;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Flipbook;
+}
@@ -0,0 +1,134 @@
+/**
+ * Flipbook Player
+ * Plays a Flipbook in the output <pre>, each frame for its own duration.
+ * Shared by both apps.
+ *
+ * - play() starts from a frame, pause() keeps the frame showing, stop() puts
+ *   back what the output showed before playing
+ * - the flipbook's loop flag decides whether it starts over or stops on the last frame
+ * - if something else writes to the output meanwhile, the player stops and leaves it be
+ */
+class FlipbookPlayer {
+    /**
+     * @param {HTMLElement} element - The output <pre>
+     * @param {Object} [options]
+     * @param {Function} [options.onFrame] - (index) => void, after each frame is drawn
+     * @param {Function} [options.onEnd] - () => void, when a non-looping flipbook reaches its end or playing is stopped
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.onFrame = options.onFrame || (() => {});
+        this.onEnd = options.onEnd || (() => {});
+        this.state = {
+            flipbook: null,
+            index: -1,
+            timer: null,
+            savedHTML: null,
+            drawnHTML: null
+        };
+    }
+
+    /**
+     * @returns {boolean} Whether frames are advancing
+     */
+    get playing() {
+        return this.state.timer !== null;
+    }
+
+    /**
+     * @returns {number} Position of the frame showing, -1 when idle
+     */
+    get index() {
+        return this.state.index;
+    }
+
+    /**
+     * Start playing
+     * @param {Flipbook} flipbook - Frames to play
+     * @param {number} [from=0] - Frame to start on
+     * @returns {boolean} Whether it started
+     */
+    play(flipbook, from = 0) {
+        if (!this.element || !flipbook?.frames.length) return false;
+        const state = this.state;
+        if (state.flipbook !== flipbook) {
+            this.stop();
+            state.flipbook = flipbook;
+            state.savedHTML = this.element.innerHTML;
+            state.drawnHTML = this.element.innerHTML;
+        } else {
+            this.pause();
+        }
+        this.show(Math.min(Math.max(from, 0), flipbook.frames.length - 1));
+        return true;
+    }
+
+    /**
+     * Stop advancing, keeping the current frame on screen
+     */
+    pause() {
+        if (this.state.timer !== null) clearTimeout(this.state.timer);
+        this.state.timer = null;
+    }
+
+    /**
+     * Stop and put back what the output showed before playing
+     */
+    stop() {
+        const state = this.state;
+        const wasActive = state.flipbook !== null;
+        this.pause();
+        if (this.element && state.savedHTML !== null && this.element.innerHTML === state.drawnHTML) {
+            this.element.innerHTML = state.savedHTML;
+        }
+        Object.assign(state, { flipbook: null, index: -1, savedHTML: null, drawnHTML: null });
+        if (wasActive) this.onEnd();
+    }
+
+    /**
+     * Draw a frame and schedule the next
+     * @param {number} index - Frame position
+     */
+    show(index) {
+        const state = this.state;
+        // Someone else wrote to the output: it's no longer ours to play in or restore
+        if (this.element.innerHTML !== state.drawnHTML) {
+            state.savedHTML = null;
+            this.stop();
+            return;
+        }
+
+        const { flipbook } = state;
+        const frame = flipbook.frames[index];
+        if (!frame) {
+            this.stop();
+            return;
+        }
+
+        // Frames fill the flipbook's bounds so the output doesn't jump between sizes
+        const { width, height } = flipbook.bounds();
+        const grid = CellGrid.blank(width, height);
+        frame.cells.rows.forEach((row, y) => row.forEach((cell, x) => {
+            grid.rows[y][x] = { ...cell };
+        }));
+        this.element.innerHTML = grid.toHTML();
+        state.drawnHTML = this.element.innerHTML;
+        state.index = index;
+        this.onFrame(index);
+
+        const next = index + 1 < flipbook.frames.length ? index + 1 : (flipbook.loop ? 0 : -1);
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            if (next < 0) {
+                this.onEnd();
+            } else {
+                this.show(next);
+            }
+        }, frame.duration);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlipbookPlayer;
+}
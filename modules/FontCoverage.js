@@ -0,0 +1,179 @@
+/**
+ * Font Coverage
+ * Audits which characters a font can draw and fills the gaps with glyphs
+ * synthesized from a reference font scaled to the target height.
+ *
+ * Renderers fall back to the uppercase glyph (see GlyphResolver), so a lowercase
+ * character counts as covered when the font has its uppercase form.
+ */
+class FontCoverage {
+    /**
+     * Printable ASCII (space through tilde)
+     * @returns {string}
+     */
+    static get PRINTABLE_ASCII() {
+        let chars = '';
+        for (let code = 32; code <= 126; code++) {
+            chars += String.fromCharCode(code);
+        }
+        return chars;
+    }
+
+    /**
+     * Find the glyph a renderer would use for a character
+     * @param {Object} font - Font in FontModel schema shape
+     * @param {string} char - Character to look up
+     * @returns {string[]|null} Glyph rows, or null if the font lacks it
+     */
+    static glyphFor(font, char) {
+        return font.glyphs[char] || font.glyphs[char.toUpperCase()] || null;
+    }
+
+    /**
+     * Coverage report for one font
+     * @param {Object} font - Font in FontModel schema shape
+     * @param {string} [charset] - Characters to audit (defaults to printable ASCII)
+     * @returns {{font: string, codepoints: number[], missing: string[], coverage: number}}
+     */
+    static report(font, charset = FontCoverage.PRINTABLE_ASCII) {
+        const audited = Array.from(new Set(Array.from(charset)));
+        const missing = audited.filter(char => !FontCoverage.glyphFor(font, char));
+        const synthesized = (font.metadata && font.metadata.synthesized) || '';
+
+        return {
+            font: font.name,
+            codepoints: Object.keys(font.glyphs)
+                .filter(char => !synthesized.includes(char))
+                .map(char => char.codePointAt(0))
+                .sort((a, b) => a - b),
+            missing,
+            coverage: audited.length ? (audited.length - missing.length) / audited.length : 1
+        };
+    }
+
+    /**
+     * Characters of a text the font cannot draw natively (they will be substituted)
+     * @param {Object} font - Font in FontModel schema shape
+     * @param {string} text - Text about to be rendered
+     * @returns {string[]} Unique substituted characters, in order of appearance
+     */
+    static substitutedChars(font, text) {
+        const synthesized = (font.metadata && font.metadata.synthesized) || '';
+        const chars = [];
+        for (const char of String(text || '')) {
+            if (/\s/.test(char) || chars.includes(char)) continue;
+            const glyph = FontCoverage.glyphFor(font, char);
+            const upper = font.glyphs[char] ? char : char.toUpperCase();
+            if (!glyph || synthesized.includes(upper)) {
+                chars.push(char);
+            }
+        }
+        return chars;
+    }
+
+    /**
+     * Most common non-space character in a font, used to ink synthesized glyphs
+     * @param {Object} font - Font in FontModel schema shape
+     * @returns {string}
+     */
+    static inkOf(font) {
+        const counts = new Map();
+        for (const rows of Object.values(font.glyphs)) {
+            for (const char of rows.join('')) {
+                if (char !== ' ' && char !== font.hardblank) {
+                    counts.set(char, (counts.get(char) || 0) + 1);
+                }
+            }
+        }
+        let ink = '#';
+        let best = 0;
+        for (const [char, count] of counts) {
+            if (count > best) {
+                ink = char;
+                best = count;
+            }
+        }
+        return ink;
+    }
+
+    /**
+     * Scale glyph rows to a new height, width kept in proportion.
+     * Each target cell takes the first ink found in the source cells it covers,
+     * so thin strokes and dots survive shrinking.
+     * @param {string[]} rows - Source glyph rows
+     * @param {number} height - Target height
+     * @param {string} [ink] - Character replacing every non-space cell
+     * @returns {string[]} Scaled rows
+     */
+    static scaleGlyph(rows, height, ink = null) {
+        const sourceHeight = rows.length;
+        const sourceWidth = Math.max(0, ...rows.map(row => row.length));
+        if (!sourceHeight || !sourceWidth) {
+            return Array.from({ length: height }, () => ' ');
+        }
+
+        const width = Math.max(1, Math.round(sourceWidth * height / sourceHeight));
+        const band = (index, from, to) => {
+            const start = Math.floor(index * from / to);
+            return [start, Math.max(start + 1, Math.floor((index + 1) * from / to))];
+        };
+
+        const scaled = [];
+        for (let y = 0; y < height; y++) {
+            const [top, bottom] = band(y, sourceHeight, height);
+            let row = '';
+            for (let x = 0; x < width; x++) {
+                const [left, right] = band(x, sourceWidth, width);
+                let char = ' ';
+                for (let sy = top; sy < bottom && char === ' '; sy++) {
+                    for (let sx = left; sx < right && char === ' '; sx++) {
+                        char = rows[sy].charAt(sx) || ' ';
+                    }
+                }
+                row += char !== ' ' && ink ? ink : char;
+            }
+            scaled.push(row);
+        }
+        return scaled;
+    }
+
+    /**
+     * Copy of a font with missing characters synthesized from a reference font.
+     * The synthesized characters are listed in metadata.synthesized.
+     * @param {Object} font - Font in FontModel schema shape
+     * @param {Object} reference - Reference font in FontModel schema shape
+     * @param {string} [charset] - Characters that should be covered
+     * @returns {Object} The completed font (the original if nothing was missing)
+     */
+    static withFallbacks(font, reference, charset = FontCoverage.PRINTABLE_ASCII) {
+        if (!reference || reference === font) return font;
+
+        const missing = FontCoverage.report(font, charset).missing
+            .filter(char => char === char.toUpperCase() && reference.glyphs[char]);
+        if (!missing.length) return font;
+
+        const ink = FontCoverage.inkOf(font);
+        const glyphs = { ...font.glyphs };
+        const widths = { ...font.widths };
+        for (const char of missing) {
+            // Spaces stay blank; everything else takes the font's own ink
+            glyphs[char] = FontCoverage.scaleGlyph(reference.glyphs[char], font.height, char === ' ' ? null : ink);
+            widths[char] = glyphs[char][0].length;
+        }
+
+        return {
+            ...font,
+            glyphs,
+            widths,
+            metadata: {
+                ...font.metadata,
+                synthesized: missing.join('')
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FontCoverage;
+}
@@ -0,0 +1,71 @@
+/**
+ * Font Fitter
+ * Picks the most legible font whose rendering of a text fits a column budget
+ * (e.g. 80 columns for code comments, 72 for commit messages).
+ *
+ * Legibility ranking, best first:
+ * 1. Fewest characters drawn with substitute glyphs (see FontCoverage)
+ * 2. Tallest rendering
+ * Ties keep the order the candidates were given in, so list plainer fonts first.
+ *
+ * Art that is reshaped after rendering (e.g. rotated) is measured as shown:
+ * pass a finish function and its result is what has to fit.
+ */
+class FontFitter {
+    /**
+     * Render a text with every candidate font and keep the best one that fits
+     * @param {string} text - Text to render
+     * @param {Array<{name: string, font: Object, options?: Object}>} candidates - Fonts to try,
+     *   each with optional render options of its own (e.g. its resolved layout)
+     * @param {number} maxWidth - Column budget
+     * @param {Object} renderer - ASCIIRenderer (either app) with renderTextWithFont() and getDimensions()
+     * @param {Object} [options] - Render options passed through (layout, unknownChars, lineSpacing)
+     * @param {Function} [finish] - (ascii, candidate) => the art as shown; measured and returned instead of the rendering
+     * @returns {{fontName: string, ascii: string, width: number, height: number}|null} Null when nothing fits
+     */
+    static fit(text, candidates, maxWidth, renderer, options = {}, finish = null) {
+        const fits = [];
+
+        candidates.forEach((candidate, index) => {
+            const { name, font, options: own = {} } = candidate;
+            try {
+                // Fitting means fitting without wrapping
+                const rendered = renderer.renderTextWithFont(text, font, { ...options, ...own, maxWidth: 0 });
+                if (!rendered || renderer.lastError) return;
+                const ascii = finish ? finish(rendered, candidate) : rendered;
+                if (!ascii) return;
+
+                const { width, height } = renderer.getDimensions(ascii);
+                if (width > maxWidth) return;
+
+                const substituted = typeof FontCoverage !== 'undefined'
+                    ? FontCoverage.substitutedChars(font, text).length
+                    : 0;
+                fits.push({ fontName: name, ascii, width, height, substituted, index });
+            } catch (error) {
+                console.warn(`⚠️ FontFitter: Skipped font ${name}:`, error.message);
+            }
+        });
+
+        fits.sort(FontFitter.compare);
+        if (!fits.length) return null;
+
+        const { fontName, ascii, width, height } = fits[0];
+        return { fontName, ascii, width, height };
+    }
+
+    /**
+     * Sort order for fitting candidates, most legible first
+     * @returns {number}
+     */
+    static compare(a, b) {
+        return a.substituted - b.substituted
+            || b.height - a.height
+            || a.index - b.index;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FontFitter;
+}
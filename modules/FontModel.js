@@ -0,0 +1,223 @@
+/**
+ * Font Model
+ * The one font schema shared by the live app (script.js) and the modular app.
+ *
+ * Schema:
+ * {
+ *   name: 'standard',
+ *   height: 5,                       // rows per glyph
+ *   baseline: 5,                     // rows above the baseline (descenders sit below it)
+ *   glyphs: { A: ['row', ...] },     // every glyph has exactly `height` rows
+ *   widths: { A: 5 },                // columns per glyph
+ *   metadata: { author, license, tags: [], charset: 'ABC...' },
+ *   hardblank: '$',                  // optional, FIGlet fonts only
+ *   layout: { mode, rules }          // optional, see GlyphLayout
+ * }
+ *
+ * Also converts the legacy `{ A: [...], B: [...] }` glyph map used by the
+ * modular FontManager before the schema existed.
+ */
+class FontModel {
+    /**
+     * Build a schema font from a partial definition
+     * @param {Object} definition - At least { name, glyphs }
+     * @returns {Object} Font in schema shape
+     */
+    static create(definition) {
+        if (!definition || typeof definition.glyphs !== 'object' || !definition.glyphs) {
+            throw new Error('Font definition requires a glyphs object');
+        }
+
+        const glyphs = {};
+        for (const [char, rows] of Object.entries(definition.glyphs)) {
+            if (Array.isArray(rows)) {
+                glyphs[char] = rows.map(row => String(row));
+            }
+        }
+
+        const height = Number.isInteger(definition.height)
+            ? definition.height
+            : Math.max(0, ...Object.values(glyphs).map(rows => rows.length));
+        const metadata = definition.metadata || {};
+
+        const font = {
+            name: String(definition.name || 'untitled').toLowerCase(),
+            height,
+            baseline: Number.isInteger(definition.baseline) ? definition.baseline : height,
+            glyphs,
+            widths: FontModel.measure(glyphs),
+            metadata: {
+                author: metadata.author || 'unknown',
+                license: metadata.license || 'unknown',
+                tags: Array.isArray(metadata.tags) ? metadata.tags.slice() : [],
+                charset: FontModel.charsetOf(glyphs)
+            }
+        };
+
+        if (definition.hardblank) font.hardblank = definition.hardblank;
+        if (definition.layout) font.layout = definition.layout;
+        return font;
+    }
+
+    /**
+     * Convert a legacy glyph map ({ A: [...], B: [...] }) to the schema
+     * @param {Object} glyphMap - Character to rows map
+     * @param {string} name - Font name
+     * @param {Object} [metadata] - Optional author/license/tags
+     * @returns {Object} Font in schema shape
+     */
+    static fromLegacy(glyphMap, name, metadata = {}) {
+        const reference = glyphMap.A || Object.values(glyphMap)[0] || [];
+        return FontModel.create({
+            name,
+            height: reference.length,
+            glyphs: glyphMap,
+            metadata
+        });
+    }
+
+    /**
+     * Convert a parsed FIGlet font (see FigletParser.parse) to the schema.
+     * Glyph rows keep their hardblanks; the layout resolves them after smushing.
+     * @param {Object} parsed - Parsed FIGlet font
+     * @returns {Object} Font in schema shape
+     */
+    static fromFiglet(parsed) {
+        return FontModel.create({
+            name: parsed.name,
+            height: parsed.height,
+            baseline: parsed.baseline,
+            glyphs: parsed.glyphs,
+            hardblank: parsed.hardblank,
+            layout: typeof GlyphLayout !== 'undefined'
+                ? GlyphLayout.fromFiglet(parsed.oldLayout, parsed.fullLayout)
+                : null,
+            metadata: {
+                author: (parsed.comment || '').split('\n')[0].trim() || 'unknown',
+                tags: ['figlet']
+            }
+        });
+    }
+
+    /**
+     * Accept any known font shape and return it in schema shape
+     * @param {Object} font - Schema font, script.js { name, height, glyphs } font or legacy map
+     * @param {string} [name] - Name to use when the font does not carry one
+     * @returns {Object} Font in schema shape
+     */
+    static normalize(font, name) {
+        if (!font || typeof font !== 'object') {
+            throw new Error('Cannot normalize font: expected an object');
+        }
+        if (FontModel.isLegacy(font)) {
+            return FontModel.fromLegacy(font, name);
+        }
+        if (font.widths && font.metadata && Array.isArray(font.metadata.tags)) {
+            return font;
+        }
+        return FontModel.create({ ...font, name: font.name || name });
+    }
+
+    /**
+     * Whether a font uses the legacy glyph-map shape
+     * @param {Object} font - Font object
+     * @returns {boolean}
+     */
+    static isLegacy(font) {
+        return !!font && typeof font === 'object' && !font.glyphs && Array.isArray(font.A || Object.values(font)[0]);
+    }
+
+    /**
+     * Turn a schema font back into a legacy glyph map
+     * @param {Object} font - Font in schema shape
+     * @returns {Object} Character to rows map
+     */
+    static toLegacy(font) {
+        return { ...font.glyphs };
+    }
+
+    /**
+     * Check a font against the schema
+     * @param {Object} font - Font object
+     * @param {Object} [limits] - { maxHeight }
+     * @returns {{valid: boolean, errors: string[]}}
+     */
+    static validate(font, limits = {}) {
+        const { maxHeight = 32 } = limits;
+        const errors = [];
+
+        if (!font || typeof font !== 'object') {
+            return { valid: false, errors: ['Font must be an object'] };
+        }
+        if (!font.name) errors.push('Font is missing a name');
+        if (!font.glyphs || typeof font.glyphs !== 'object') {
+            errors.push('Font is missing its glyphs');
+        }
+        if (!Number.isInteger(font.height) || font.height < 1 || font.height > maxHeight) {
+            errors.push(`Font height must be between 1 and ${maxHeight}`);
+        }
+        if (Number.isInteger(font.baseline) && (font.baseline < 1 || font.baseline > font.height)) {
+            errors.push('Font baseline must be within the glyph height');
+        }
+
+        for (const [char, rows] of Object.entries(font.glyphs || {})) {
+            if (!Array.isArray(rows) || rows.length !== font.height) {
+                errors.push(`Glyph '${char}' should have ${font.height} rows`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Width in columns of every glyph
+     * @param {Object} glyphs - Character to rows map
+     * @returns {Object} Character to width map
+     */
+    static measure(glyphs) {
+        const widths = {};
+        for (const [char, rows] of Object.entries(glyphs)) {
+            widths[char] = Math.max(0, ...rows.map(row => row.length));
+        }
+        return widths;
+    }
+
+    /**
+     * Characters a glyph table supports, sorted by code point
+     * @param {Object} glyphs - Character to rows map
+     * @returns {string}
+     */
+    static charsetOf(glyphs) {
+        return Object.keys(glyphs)
+            .filter(char => char.length > 0 && char !== '\u0000')
+            .sort((a, b) => a.codePointAt(0) - b.codePointAt(0))
+            .join('');
+    }
+
+    /**
+     * Derive a new font by rewriting every glyph row
+     * @param {Object} font - Source font (any shape)
+     * @param {string} name - Name of the derived font
+     * @param {Function} mapRow - (row, char, index) => new row
+     * @param {Object} [metadata] - Metadata for the derived font
+     * @returns {Object} Font in schema shape
+     */
+    static variant(font, name, mapRow, metadata = {}) {
+        const source = FontModel.normalize(font);
+        const glyphs = {};
+        for (const [char, rows] of Object.entries(source.glyphs)) {
+            glyphs[char] = rows.map((row, index) => mapRow(row, char, index));
+        }
+        return FontModel.create({
+            ...source,
+            name,
+            glyphs,
+            metadata: { ...source.metadata, ...metadata }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FontModel;
+}
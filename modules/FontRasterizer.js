@@ -0,0 +1,252 @@
+/**
+ * Font Rasterizer
+ * Turns any CSS font (a web font on the page, an installed font, or a
+ * .ttf/.otf/.woff file loaded through FontFace) into an ASCII font.
+ *
+ * Each glyph is drawn black on white onto a canvas at the chosen cell height,
+ * then reduced to one character per cell with CanvasSampler, the same step
+ * GenerationService.convertImageToASCII uses for images.
+ */
+class FontRasterizer {
+    /**
+     * Built-in fill ramps, darkest character first
+     * @returns {Object} Fill name to ramp
+     */
+    static get FILLS() {
+        return {
+            block: '█ ',
+            shade: '█▓▒░ ',
+            ascii: '@%#*+=-:. '
+        };
+    }
+
+    /**
+     * CSS generic families: keywords the browser maps to a font of its own,
+     * which stop being generic once quoted
+     */
+    static get GENERIC_FAMILIES() {
+        return ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+    }
+
+    /**
+     * Canvas pixels per character column; a row is twice as tall
+     * (the same 0.5 character aspect ratio image conversion uses)
+     */
+    static get CELL_PIXELS() {
+        return 8;
+    }
+
+    /**
+     * Load a font file and make it available to CSS and canvas
+     * @param {File|Blob} file - .ttf, .otf, .woff or .woff2 file
+     * @param {string} [family] - Family name to load it as (defaults to the file name)
+     * @returns {Promise<string>} The family name
+     */
+    static async loadFontFile(file, family) {
+        if (typeof FontFace === 'undefined' || typeof document === 'undefined' || !document.fonts) {
+            throw new Error('FontFace is not supported in this browser');
+        }
+
+        const name = family || String(file.name || 'uploaded font').replace(/\.(ttf|otf|woff2?)$/i, '');
+        const face = new FontFace(name, await file.arrayBuffer());
+        await face.load();
+        document.fonts.add(face);
+        return name;
+    }
+
+    /**
+     * Whether the browser can draw a font family (installed, loaded or generic)
+     * @param {string} family - CSS font family
+     * @returns {boolean}
+     */
+    static isAvailable(family) {
+        if (FontRasterizer.isGeneric(family)) {
+            return true;
+        }
+
+        // An unknown family falls back, so it measures the same as both fallbacks
+        const ctx = document.createElement('canvas').getContext('2d');
+        const sample = 'mmmmmmmmmmlli1WQ@';
+        const widthWith = (fallback) => {
+            ctx.font = `72px ${FontRasterizer.cssFamily(family)}, ${fallback}`;
+            return ctx.measureText(sample).width;
+        };
+        ctx.font = '72px monospace';
+        const monospace = ctx.measureText(sample).width;
+        ctx.font = '72px serif';
+        const serif = ctx.measureText(sample).width;
+        return widthWith('monospace') !== monospace || widthWith('serif') !== serif;
+    }
+
+    /**
+     * @param {string} family - Font family
+     * @returns {boolean} Whether it's a generic family keyword
+     */
+    static isGeneric(family) {
+        return FontRasterizer.GENERIC_FAMILIES.includes(String(family).trim().toLowerCase());
+    }
+
+    /**
+     * Family name for the CSS font shorthand: quoted, except generic keywords
+     * @param {string} family - Font family
+     * @returns {string}
+     */
+    static cssFamily(family) {
+        if (FontRasterizer.isGeneric(family)) {
+            return String(family).trim().toLowerCase();
+        }
+        return `"${String(family).replace(/["\\]/g, '')}"`;
+    }
+
+    /**
+     * Registry name for a rasterized font, e.g. "JetBrains Mono" + shade -> "jetbrains-mono-shade"
+     * @param {string} family - Font family
+     * @param {string} fill - Fill name
+     * @returns {string}
+     */
+    static fontName(family, fill) {
+        const slug = String(family).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${slug || 'font'}-${fill}`;
+    }
+
+    /**
+     * Draw every character of a font family into an ASCII font
+     * @param {string} family - CSS font family
+     * @param {Object} [options]
+     * @param {number} [options.height=8] - Rows per glyph (2-32)
+     * @param {string} [options.fill='block'] - 'block', 'shade', 'ascii' or 'custom'
+     * @param {string} [options.chars] - Custom fill: one character, or a ramp from darkest to lightest
+     * @param {number} [options.threshold=0.4] - Ink coverage a cell needs with a one-character fill
+     * @param {string} [options.weight='normal'] - CSS font weight
+     * @param {string} [options.charset] - Characters to draw (defaults to printable ASCII)
+     * @param {string} [options.name] - Font name (defaults to fontName(family, fill))
+     * @returns {Promise<Object>} Font in FontModel schema shape
+     */
+    static async rasterize(family, options = {}) {
+        const {
+            height = 8,
+            fill = 'block',
+            threshold = 0.4,
+            weight = 'normal',
+            charset = FontCoverage.PRINTABLE_ASCII
+        } = options;
+
+        if (!family || !String(family).trim()) {
+            throw new Error('A font family is required');
+        }
+        if (!Number.isInteger(height) || height < 2 || height > 32) {
+            throw new Error('Font height must be between 2 and 32 rows');
+        }
+
+        const ramp = FontRasterizer.rampFor(fill, options.chars);
+        const cssFont = (size) => `${weight} ${size}px ${FontRasterizer.cssFamily(family)}`;
+
+        // Web fonts load lazily; make sure the face is ready before drawing
+        if (typeof document !== 'undefined' && document.fonts) {
+            await document.fonts.load(cssFont(32), charset);
+        }
+        if (!FontRasterizer.isAvailable(family)) {
+            throw new Error(`Font "${family}" is not available in this browser`);
+        }
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            throw new Error('Canvas context not available');
+        }
+
+        // Size the font so the tallest ascender and deepest descender fill the cell height
+        const chars = Array.from(new Set(Array.from(charset)));
+        ctx.font = cssFont(100);
+        let ascent = 0;
+        let descent = 0;
+        for (const char of chars) {
+            const metrics = ctx.measureText(char);
+            ascent = Math.max(ascent, metrics.actualBoundingBoxAscent || 0);
+            descent = Math.max(descent, metrics.actualBoundingBoxDescent || 0);
+        }
+        if (ascent + descent <= 0) {
+            throw new Error(`Font "${family}" has no visible glyphs`);
+        }
+
+        const cell = FontRasterizer.CELL_PIXELS;
+        const pixelHeight = height * cell * 2;
+        const scale = pixelHeight / (ascent + descent);
+        const size = 100 * scale;
+
+        const glyphs = {};
+        for (const char of chars) {
+            ctx.font = cssFont(size);
+            const advance = ctx.measureText(char).width;
+            const columns = Math.max(1, Math.round(advance / cell));
+
+            // Resizing clears the canvas and resets its state
+            canvas.width = columns * cell;
+            canvas.height = pixelHeight;
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.fillStyle = '#000';
+            ctx.font = cssFont(size);
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillText(char, (canvas.width - advance) / 2, ascent * scale);
+
+            const imageData = CanvasSampler.sample(canvas, columns, height);
+            glyphs[char] = CanvasSampler.toRows(imageData, ramp, Array.from(ramp).length === 2 ? { threshold } : {});
+        }
+
+        return FontModel.create({
+            name: options.name || FontRasterizer.fontName(family, fill),
+            height,
+            baseline: Math.max(1, Math.round(height * ascent / (ascent + descent))),
+            glyphs,
+            metadata: {
+                author: String(family),
+                tags: ['rasterized', fill]
+            }
+        });
+    }
+
+    /**
+     * Fill ramp for a fill name; custom fills always end in a space
+     * @param {string} fill - Fill name
+     * @param {string} [chars] - Custom characters
+     * @returns {string}
+     */
+    static rampFor(fill, chars) {
+        if (fill === 'custom') {
+            const custom = String(chars || '').replace(/\s+$/, '');
+            if (!custom) {
+                throw new Error('A custom fill needs at least one character');
+            }
+            return `${custom} `;
+        }
+
+        const ramp = FontRasterizer.FILLS[fill];
+        if (!ramp) {
+            throw new Error(`Unknown fill "${fill}"`);
+        }
+        return ramp;
+    }
+
+    /**
+     * Rasterize a font family and register the result
+     * @param {FontRegistry} registry - Registry to add the font to
+     * @param {string} family - CSS font family
+     * @param {Object} [options] - See rasterize()
+     * @returns {Promise<string>} The registered name (suffixed with -raster if it would shadow another font)
+     */
+    static async register(registry, family, options = {}) {
+        const font = await FontRasterizer.rasterize(family, options);
+
+        let name = font.name;
+        if (registry.has(name) && registry.getSource(name) !== 'rasterized') {
+            name = `${name}-raster`;
+        }
+        return registry.register(name, font, { source: 'rasterized' });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FontRasterizer;
+}
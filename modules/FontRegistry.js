@@ -0,0 +1,229 @@
+/**
+ * Font Registry
+ * Shared font loader used by both FontManagers (script.js and modules/FontManager.js).
+ *
+ * - Fonts are registered once, as a font object or a loader function
+ * - Loaders run on first use and the result is normalized to the FontModel schema
+ * - Listeners hear about every registration so font lists stay in sync
+ *
+ * - Missing characters can be synthesized from a reference font (see FontCoverage)
+ *
+ * Built-in fonts register themselves from fonts/builtin-fonts.js; imported,
+ * edited and generated fonts register at runtime.
+ */
+class FontRegistry {
+    constructor() {
+        this.loaders = new Map();      // name -> () => font
+        this.fonts = new Map();        // name -> normalized font (loaded)
+        this.completed = new Map();    // name -> font with synthesized fallback glyphs
+        this.sources = new Map();      // name -> 'builtin' | 'figlet' | 'custom' | ...
+        this.listeners = new Set();
+    }
+
+    /**
+     * The registry shared by every font consumer on the page
+     * @returns {FontRegistry}
+     */
+    static get shared() {
+        if (!FontRegistry.instance) {
+            FontRegistry.instance = new FontRegistry();
+        }
+        return FontRegistry.instance;
+    }
+
+    /**
+     * Register a font
+     * @param {string} name - Font name (stored lowercase)
+     * @param {Object|Function} font - Font in any FontModel-supported shape, or a loader returning one
+     * @param {Object} [options]
+     * @param {string} [options.source='custom'] - Where the font came from
+     * @returns {string} The registered name
+     */
+    register(name, font, options = {}) {
+        if (!name || (typeof font !== 'function' && (!font || typeof font !== 'object'))) {
+            throw new Error('register requires a name and a font or loader');
+        }
+
+        const key = name.toLowerCase();
+        this.loaders.set(key, typeof font === 'function' ? font : () => font);
+        this.sources.set(key, options.source || 'custom');
+        this.fonts.delete(key);
+        this.completed.clear();
+
+        this.notify({ type: 'registered', name: key });
+        return key;
+    }
+
+    /**
+     * Register several fonts from the same source
+     * @param {Object} fonts - Name to font (or loader) map
+     * @param {Object} [options] - Passed to register()
+     * @returns {string[]} Registered names
+     */
+    registerAll(fonts, options = {}) {
+        return Object.entries(fonts).map(([name, font]) => this.register(name, font, options));
+    }
+
+    /**
+     * Register a FIGlet (.flf) font from its source text.
+     * The header is checked immediately; glyphs are parsed on first use.
+     * @param {string} source - Contents of the .flf file
+     * @param {string} name - Name to register the font under
+     * @returns {string} The registered name (suffixed with -flf if it would shadow another font)
+     */
+    registerFiglet(source, name) {
+        if (typeof FigletParser === 'undefined') {
+            throw new Error('FigletParser not loaded');
+        }
+
+        const parser = new FigletParser();
+        parser.parseHeader(source);
+
+        // Imports never replace a font from another source
+        let key = String(name || 'figlet').toLowerCase();
+        if (this.has(key) && this.getSource(key) !== 'figlet') {
+            key = `${key}-flf`;
+        }
+
+        return this.register(key, () => FontModel.fromFiglet(parser.parse(source, key)), { source: 'figlet' });
+    }
+
+    /**
+     * Remove a font
+     * @param {string} name - Font name
+     * @returns {boolean} Whether a font was removed
+     */
+    unregister(name) {
+        const key = String(name || '').toLowerCase();
+        const existed = this.loaders.delete(key);
+        this.fonts.delete(key);
+        this.completed.clear();
+        this.sources.delete(key);
+        if (existed) {
+            this.notify({ type: 'unregistered', name: key });
+        }
+        return existed;
+    }
+
+    /**
+     * @param {string} name - Font name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.loaders.has(String(name || '').toLowerCase());
+    }
+
+    /**
+     * Load a font, normalizing it to the FontModel schema on first use
+     * @param {string} name - Font name
+     * @returns {Object|null} Font in schema shape, or null if unknown
+     */
+    get(name) {
+        const key = String(name || '').toLowerCase();
+        if (this.fonts.has(key)) {
+            return this.fonts.get(key);
+        }
+
+        const loader = this.loaders.get(key);
+        if (!loader) return null;
+
+        const font = FontModel.normalize(loader(), key);
+        font.name = key;
+        this.fonts.set(key, font);
+        return font;
+    }
+
+    /**
+     * Load a font with its missing printable characters synthesized from a reference font
+     * @param {string} name - Font name
+     * @param {string} [referenceName='standard'] - Font the fallback glyphs are scaled from
+     * @returns {Object|null} Completed font, or null if unknown
+     */
+    getWithFallbacks(name, referenceName = 'standard') {
+        const key = String(name || '').toLowerCase();
+        const cacheKey = `${key}:${referenceName}`;
+        if (this.completed.has(cacheKey)) {
+            return this.completed.get(cacheKey);
+        }
+
+        const font = this.get(key);
+        if (!font || typeof FontCoverage === 'undefined') return font;
+
+        const completed = FontCoverage.withFallbacks(font, this.get(referenceName));
+        this.completed.set(cacheKey, completed);
+        return completed;
+    }
+
+    /**
+     * Drop loaded fonts to free memory; their loaders stay registered
+     * @param {string[]} [keep] - Fonts to keep loaded
+     * @returns {number} Number of fonts unloaded
+     */
+    unload(keep = []) {
+        let count = 0;
+        for (const name of Array.from(this.fonts.keys())) {
+            if (!keep.includes(name)) {
+                this.fonts.delete(name);
+                count++;
+            }
+        }
+        this.completed.clear();
+        return count;
+    }
+
+    /**
+     * Names of registered fonts, in registration order
+     * @param {Object} [filter]
+     * @param {string} [filter.source] - Only fonts from this source
+     * @returns {string[]}
+     */
+    list(filter = {}) {
+        const names = Array.from(this.loaders.keys());
+        if (!filter.source) return names;
+        return names.filter(name => this.sources.get(name) === filter.source);
+    }
+
+    /**
+     * Where a font came from
+     * @param {string} name - Font name
+     * @returns {string|null}
+     */
+    getSource(name) {
+        return this.sources.get(String(name || '').toLowerCase()) || null;
+    }
+
+    /**
+     * Metadata of a font (loads the font)
+     * @param {string} name - Font name
+     * @returns {Object|null}
+     */
+    getMetadata(name) {
+        const font = this.get(name);
+        return font ? font.metadata : null;
+    }
+
+    /**
+     * Listen for registrations
+     * @param {Function} listener - Called with { type, name }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(change) {
+        for (const listener of this.listeners) {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('❌ Font registry listener failed:', error);
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FontRegistry;
+}
@@ -0,0 +1,332 @@
+/**
+ * GIF Decoder
+ * Pure-JS GIF87a/89a reader for animated image input: file bytes in, full RGBA
+ * frames out, each one the whole picture as a browser would show it at that
+ * moment. Shared by both apps.
+ *
+ * - Frames are composited onto the logical screen and disposed of as the file
+ *   says (keep, clear to transparent, or restore the previous picture)
+ * - Interlaced images, local palettes and transparent indexes are handled
+ * - Delays of 0 or 10ms play at 100ms, as browsers do
+ * - loop: 0 repeats forever, n plays the animation n times
+ * - onFrame hands each picture over as it's decoded instead of keeping a copy,
+ *   so long or large GIFs never hold every frame's pixels at once
+ */
+class GIFDecoder {
+    /**
+     * Delay browsers use for frames that ask for 10ms or less, in ms
+     */
+    static get DEFAULT_DELAY() {
+        return 100;
+    }
+
+    /**
+     * Decode a GIF file
+     * @param {Uint8Array|ArrayBuffer} input - GIF file
+     * @param {Object} [options]
+     * @param {number} [options.maxFrames=Infinity] - Stop after this many frames
+     * @param {number} [options.maxPixels=Infinity] - Largest picture (width × height) accepted
+     * @param {Function} [options.onFrame] - ({data, width, height}, index) => value; data is only valid during the call
+     * @returns {{width: number, height: number, loop: number, frames: Array<{data: Uint8ClampedArray, delay: number}>}}
+     *   RGBA pixels of the whole picture and time shown in ms; with onFrame, frames hold
+     *   { value, delay } with onFrame's return value instead of the pixels
+     */
+    static decode(input, options = {}) {
+        const { maxFrames = Infinity, maxPixels = Infinity, onFrame = null } = options;
+        const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+        const reader = new GIFDecoder.ByteReader(bytes);
+
+        const signature = reader.text(6);
+        if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+            throw new Error('Not a GIF file');
+        }
+
+        const width = reader.short();
+        const height = reader.short();
+        const flags = reader.byte();
+        reader.skip(2); // Background color and aspect ratio
+        if (!width || !height) {
+            throw new Error('GIF has no size');
+        }
+        if (width * height > maxPixels) {
+            throw new Error(`GIF is too large (${width}×${height}); the limit is ${maxPixels} pixels`);
+        }
+        const globalPalette = flags & 0x80 ? GIFDecoder.palette(reader, flags & 0x07) : null;
+
+        const canvas = new Uint8ClampedArray(width * height * 4);
+        const frames = [];
+        let loop = 1;
+        let control = { disposal: 0, delay: 0, transparent: -1 };
+
+        while (frames.length < maxFrames) {
+            const block = reader.byte();
+            if (block === 0x3b || block === undefined) break; // Trailer, or a cut-off file
+
+            if (block === 0x21) {
+                const label = reader.byte();
+                const data = GIFDecoder.subBlocks(reader);
+                if (label === 0xf9 && data.length >= 4) {
+                    control = {
+                        disposal: (data[0] >> 2) & 0x07,
+                        delay: (data[1] | (data[2] << 8)) * 10,
+                        transparent: data[0] & 0x01 ? data[3] : -1
+                    };
+                } else if (label === 0xff && data.length >= 14 && ['NETSCAPE2.0', 'ANIMEXTS1.0'].includes(String.fromCharCode(...data.subarray(0, 11)))) {
+                    const repeats = data[12] | (data[13] << 8);
+                    loop = repeats === 0 ? 0 : repeats + 1;
+                }
+                continue;
+            }
+            if (block !== 0x2c) {
+                throw new Error(`Unknown GIF block 0x${block.toString(16)}`);
+            }
+
+            const frame = {
+                left: reader.short(),
+                top: reader.short(),
+                width: reader.short(),
+                height: reader.short()
+            };
+            const frameFlags = reader.byte();
+            const palette = frameFlags & 0x80 ? GIFDecoder.palette(reader, frameFlags & 0x07) : globalPalette;
+            if (!palette) {
+                throw new Error(`Frame ${frames.length + 1} has no palette`);
+            }
+            const minCodeSize = reader.byte();
+            const indexes = GIFDecoder.lzw(GIFDecoder.subBlocks(reader), minCodeSize, frame.width * frame.height);
+
+            const previous = control.disposal === 3 ? canvas.slice() : null;
+            GIFDecoder.draw(canvas, width, height, frame, frameFlags & 0x40 ? GIFDecoder.deinterlace(indexes, frame.width, frame.height) : indexes, palette, control.transparent);
+            const delay = control.delay <= 10 ? GIFDecoder.DEFAULT_DELAY : control.delay;
+            frames.push(onFrame
+                ? { value: onFrame({ data: canvas, width, height }, frames.length), delay }
+                : { data: canvas.slice(), delay });
+
+            // Get the screen ready for the next frame
+            if (control.disposal === 2) {
+                GIFDecoder.clear(canvas, width, height, frame);
+            } else if (previous) {
+                canvas.set(previous);
+            }
+            control = { disposal: 0, delay: 0, transparent: -1 };
+        }
+
+        if (!frames.length) {
+            throw new Error('GIF has no frames');
+        }
+        return { width, height, loop, frames };
+    }
+
+    /**
+     * Read a color table
+     * @param {GIFDecoder.ByteReader} reader
+     * @param {number} sizeBits - Table size field; 2^(sizeBits+1) colors
+     * @returns {Uint8Array} RGB triples
+     */
+    static palette(reader, sizeBits) {
+        return reader.bytes(3 * (1 << (sizeBits + 1)));
+    }
+
+    /**
+     * Read sub-blocks up to their terminator and join them
+     * @param {GIFDecoder.ByteReader} reader
+     * @returns {Uint8Array}
+     */
+    static subBlocks(reader) {
+        const parts = [];
+        let length = 0;
+        for (let size = reader.byte(); size; size = reader.byte()) {
+            const part = reader.bytes(size);
+            parts.push(part);
+            length += part.length;
+        }
+        const data = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(part => {
+            data.set(part, offset);
+            offset += part.length;
+        });
+        return data;
+    }
+
+    /**
+     * Variable-length LZW decompression as GIF uses it
+     * @param {Uint8Array} data - Compressed bytes
+     * @param {number} minCodeSize - Bits per color index (2-8)
+     * @param {number} pixelCount - Indexes expected
+     * @returns {Uint8Array} Color indexes; missing ones stay 0
+     */
+    static lzw(data, minCodeSize, pixelCount) {
+        if (minCodeSize < 2 || minCodeSize > 8) {
+            throw new Error(`Invalid LZW code size ${minCodeSize}`);
+        }
+        const clear = 1 << minCodeSize;
+        const end = clear + 1;
+        const prefix = new Uint16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const first = new Uint8Array(4096);
+        const stack = new Uint8Array(4097);
+        for (let i = 0; i < clear; i++) {
+            suffix[i] = i;
+            first[i] = i;
+        }
+
+        const out = new Uint8Array(pixelCount);
+        let written = 0;
+        let codeSize = minCodeSize + 1;
+        let next = end + 1;
+        let previous = -1;
+        let bits = 0;
+        let buffer = 0;
+
+        for (let i = 0; i < data.length && written < pixelCount; i++) {
+            buffer |= data[i] << bits;
+            bits += 8;
+            while (bits >= codeSize && written < pixelCount) {
+                const code = buffer & ((1 << codeSize) - 1);
+                buffer >>>= codeSize;
+                bits -= codeSize;
+
+                if (code === clear) {
+                    codeSize = minCodeSize + 1;
+                    next = end + 1;
+                    previous = -1;
+                    continue;
+                }
+                if (code === end) return out;
+
+                if (previous === -1) {
+                    out[written++] = suffix[code];
+                    previous = code;
+                    continue;
+                }
+
+                // A code not in the table yet is the previous string plus its own first index
+                let current = code;
+                let depth = 0;
+                if (code >= next) {
+                    stack[depth++] = first[previous];
+                    current = previous;
+                }
+                while (current >= clear) {
+                    stack[depth++] = suffix[current];
+                    current = prefix[current];
+                }
+                stack[depth++] = current;
+
+                if (next < 4096) {
+                    prefix[next] = previous;
+                    suffix[next] = current;
+                    first[next] = first[previous];
+                    next++;
+                    if (next === 1 << codeSize && codeSize < 12) codeSize++;
+                }
+                while (depth && written < pixelCount) out[written++] = stack[--depth];
+                previous = code;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Put interlaced rows (every 8th from 0, every 8th from 4, every 4th from 2, every 2nd from 1) in order
+     * @param {Uint8Array} indexes - Color indexes in file order
+     * @param {number} width
+     * @param {number} height
+     * @returns {Uint8Array}
+     */
+    static deinterlace(indexes, width, height) {
+        const out = new Uint8Array(indexes.length);
+        let row = 0;
+        [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+            for (let y = start; y < height; y += step) {
+                out.set(indexes.subarray(row * width, (row + 1) * width), y * width);
+                row++;
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Draw a frame's indexes onto the screen, clipped to it
+     * @param {Uint8ClampedArray} canvas - Screen RGBA pixels
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {Object} frame - { left, top, width, height }
+     * @param {Uint8Array} indexes - Color indexes in row order
+     * @param {Uint8Array} palette - RGB triples
+     * @param {number} transparent - Index left undrawn, -1 for none
+     */
+    static draw(canvas, width, height, frame, indexes, palette, transparent) {
+        for (let y = 0; y < frame.height; y++) {
+            const screenY = frame.top + y;
+            if (screenY >= height) break;
+            for (let x = 0; x < frame.width; x++) {
+                const screenX = frame.left + x;
+                if (screenX >= width) break;
+                const index = indexes[y * frame.width + x];
+                if (index === transparent) continue;
+                const p = (screenY * width + screenX) * 4;
+                canvas[p] = palette[index * 3] || 0;
+                canvas[p + 1] = palette[index * 3 + 1] || 0;
+                canvas[p + 2] = palette[index * 3 + 2] || 0;
+                canvas[p + 3] = 255;
+            }
+        }
+    }
+
+    /**
+     * Clear a frame's rectangle to transparent
+     * @param {Uint8ClampedArray} canvas - Screen RGBA pixels
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {Object} frame - { left, top, width, height }
+     */
+    static clear(canvas, width, height, frame) {
+        for (let y = frame.top; y < Math.min(frame.top + frame.height, height); y++) {
+            const start = (y * width + frame.left) * 4;
+            const stop = (y * width + Math.min(frame.left + frame.width, width)) * 4;
+            if (stop > start) canvas.fill(0, start, stop);
+        }
+    }
+}
+
+/**
+ * Little-endian reader over file bytes
+ */
+GIFDecoder.ByteReader = class {
+    constructor(bytes) {
+        this.data = bytes;
+        this.offset = 0;
+    }
+
+    byte() {
+        return this.data[this.offset++];
+    }
+
+    short() {
+        return this.byte() | (this.byte() << 8);
+    }
+
+    bytes(count) {
+        if (this.offset + count > this.data.length) {
+            throw new Error('GIF file is cut off');
+        }
+        const part = this.data.subarray(this.offset, this.offset + count);
+        this.offset += count;
+        return part;
+    }
+
+    text(count) {
+        return String.fromCharCode(...this.bytes(count));
+    }
+
+    skip(count) {
+        this.offset += count;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GIFDecoder;
+}
@@ -0,0 +1,313 @@
+/**
+ * GIF Encoder
+ * Pure-JS GIF89a writer for animated exports: RGBA frames in, file bytes out.
+ * Shared by both apps.
+ *
+ * - One global palette of up to 256 colors, chosen by median cut over all frames,
+ *   so colors don't flicker between frames
+ * - Pixels under half opacity become a transparent index when transparent is set
+ * - loop: 0 repeats forever, n plays the animation n times
+ */
+class GIFEncoder {
+    /**
+     * Encode frames as an animated GIF
+     * @param {Object} animation
+     * @param {number} animation.width - Frame width in pixels
+     * @param {number} animation.height - Frame height in pixels
+     * @param {Array<{data: Uint8ClampedArray, delay: number}>} animation.frames - RGBA pixels and time shown in ms
+     * @param {Object} [options]
+     * @param {number} [options.loop=0] - Times to play, 0 for forever
+     * @param {boolean} [options.transparent=false] - Keep transparent pixels
+     * @returns {Uint8Array} GIF file
+     */
+    static encode({ width, height, frames }, options = {}) {
+        const { loop = 0, transparent = false } = options;
+        if (!frames?.length) {
+            throw new Error('GIF needs at least one frame');
+        }
+        if (!(width > 0 && height > 0 && width <= 65535 && height <= 65535)) {
+            throw new Error('GIF frames must be 1 to 65535 pixels each way');
+        }
+        frames.forEach((frame, i) => {
+            if (frame.data.length !== width * height * 4) {
+                throw new Error(`Frame ${i + 1} is not ${width}×${height}`);
+            }
+        });
+
+        // Index 0 is kept for transparent pixels so the palette never needs it as a color
+        const palette = GIFEncoder.palette(frames.map(frame => frame.data), transparent ? 255 : 256);
+        const colors = transparent ? [[0, 0, 0], ...palette] : palette;
+        const bits = Math.max(1, Math.ceil(Math.log2(colors.length)));
+        const table = 1 << bits;
+
+        const out = new GIFEncoder.ByteWriter();
+        out.text('GIF89a');
+        out.short(width);
+        out.short(height);
+        out.byte(0x80 | ((bits - 1) << 4) | (bits - 1)); // Global color table of 2^bits entries
+        out.byte(0);
+        out.byte(0);
+        for (let i = 0; i < table; i++) {
+            const [r, g, b] = colors[i] || [0, 0, 0];
+            out.byte(r);
+            out.byte(g);
+            out.byte(b);
+        }
+
+        // NETSCAPE2.0 counts repeats after the first play; without it the GIF plays once
+        if (frames.length > 1 && loop !== 1) {
+            out.bytes([0x21, 0xff, 0x0b]);
+            out.text('NETSCAPE2.0');
+            out.bytes([0x03, 0x01]);
+            out.short(loop > 1 ? loop - 1 : 0);
+            out.byte(0);
+        }
+
+        const lookup = GIFEncoder.lookup(colors, transparent);
+        let elapsed = 0;
+        frames.forEach(frame => {
+            // Delays are in hundredths; rounding the running total keeps the overall length right
+            const start = Math.round(elapsed / 10);
+            elapsed += frame.delay;
+            const delay = Math.round(elapsed / 10) - start;
+
+            // Graphic control: restore to background between frames when transparent, else keep
+            out.bytes([0x21, 0xf9, 0x04, ((transparent ? 2 : 1) << 2) | (transparent ? 1 : 0)]);
+            out.short(delay);
+            out.byte(0);
+            out.byte(0);
+
+            out.byte(0x2c);
+            out.short(0);
+            out.short(0);
+            out.short(width);
+            out.short(height);
+            out.byte(0);
+
+            const indexes = new Uint8Array(width * height);
+            for (let p = 0, i = 0; p < indexes.length; p++, i += 4) {
+                indexes[p] = lookup(frame.data[i], frame.data[i + 1], frame.data[i + 2], frame.data[i + 3]);
+            }
+            const minCodeSize = Math.max(2, bits);
+            out.byte(minCodeSize);
+            GIFEncoder.subBlocks(out, GIFEncoder.lzw(indexes, minCodeSize));
+        });
+
+        out.byte(0x3b);
+        return out.result();
+    }
+
+    /**
+     * Palette by median cut: count every opaque color, split the box of colors with
+     * the widest range at its weighted median until there are enough boxes, then
+     * average each box by pixel count
+     * @param {Uint8ClampedArray[]} images - RGBA pixels
+     * @param {number} size - Most colors to return
+     * @returns {number[][]} [r, g, b] colors
+     */
+    static palette(images, size) {
+        const counts = new Map();
+        images.forEach(data => {
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] < 128) continue;
+                const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        });
+        if (!counts.size) return [[0, 0, 0]];
+
+        const colors = Array.from(counts, ([key, count]) => [(key >> 16) & 0xff, (key >> 8) & 0xff, key & 0xff, count]);
+        const range = (box, c) => {
+            let min = 255;
+            let max = 0;
+            box.forEach(color => {
+                min = Math.min(min, color[c]);
+                max = Math.max(max, color[c]);
+            });
+            return max - min;
+        };
+
+        const boxes = [colors];
+        while (boxes.length < size) {
+            let widest = -1;
+            let channel = 0;
+            let spread = 0;
+            boxes.forEach((box, i) => {
+                if (box.length < 2) return;
+                [0, 1, 2].forEach(c => {
+                    const r = range(box, c);
+                    if (r > spread) {
+                        widest = i;
+                        channel = c;
+                        spread = r;
+                    }
+                });
+            });
+            if (widest < 0) break; // Every box is a single color
+
+            const box = boxes[widest].sort((a, b) => a[channel] - b[channel]);
+            const half = box.reduce((sum, color) => sum + color[3], 0) / 2;
+            let middle = 1;
+            for (let i = 0, seen = 0; i < box.length; i++) {
+                seen += box[i][3];
+                if (seen >= half) {
+                    middle = i + 1;
+                    break;
+                }
+            }
+            middle = Math.min(Math.max(middle, 1), box.length - 1);
+            boxes.splice(widest, 1, box.slice(0, middle), box.slice(middle));
+        }
+
+        return boxes.map(box => {
+            const total = box.reduce((sum, color) => sum + color[3], 0);
+            return [0, 1, 2].map(c => Math.round(box.reduce((sum, color) => sum + color[c] * color[3], 0) / total));
+        });
+    }
+
+    /**
+     * Pixel to palette index, nearest color, remembered per color
+     * @param {number[][]} colors - Palette
+     * @param {boolean} transparent - Index 0 is transparent
+     * @returns {Function} (r, g, b, a) => index
+     */
+    static lookup(colors, transparent) {
+        const cache = new Map();
+        const first = transparent ? 1 : 0;
+        return (r, g, b, a) => {
+            if (transparent && a < 128) return 0;
+            const key = (r << 16) | (g << 8) | b;
+            let index = cache.get(key);
+            if (index === undefined) {
+                let best = Infinity;
+                for (let i = first; i < colors.length; i++) {
+                    const [cr, cg, cb] = colors[i];
+                    const distance = (cr - r) ** 2 + (cg - g) ** 2 + (cb - b) ** 2;
+                    if (distance < best) {
+                        best = distance;
+                        index = i;
+                    }
+                }
+                cache.set(key, index);
+            }
+            return index;
+        };
+    }
+
+    /**
+     * GIF's variable-width LZW
+     * @param {Uint8Array} indexes - Palette index per pixel
+     * @param {number} minCodeSize - Bits per index, at least 2
+     * @returns {Uint8Array} Packed codes
+     */
+    static lzw(indexes, minCodeSize) {
+        const clear = 1 << minCodeSize;
+        const end = clear + 1;
+        const bytes = [];
+        let buffer = 0;
+        let bufferBits = 0;
+        let codeSize = minCodeSize + 1;
+        let next = end + 1;
+        let dictionary = new Map();
+
+        const write = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                bytes.push(buffer & 0xff);
+                buffer >>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        write(clear);
+        let prefix = indexes.length ? indexes[0] : 0;
+        for (let i = 1; i < indexes.length; i++) {
+            const index = indexes[i];
+            // Prefix code and next index fit together in one key: codes are under 4096
+            const key = (prefix << 8) | index;
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            write(prefix);
+            if (next < 4096) {
+                dictionary.set(key, next++);
+                // The decoder widens one code later than the encoder adds it
+                if (next > (1 << codeSize) && codeSize < 12) codeSize++;
+            } else {
+                write(clear);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                next = end + 1;
+            }
+            prefix = index;
+        }
+        write(prefix);
+        write(end);
+        if (bufferBits > 0) bytes.push(buffer & 0xff);
+        return Uint8Array.from(bytes);
+    }
+
+    /**
+     * Write data as 255-byte sub-blocks and a terminator
+     * @param {GIFEncoder.ByteWriter} out
+     * @param {Uint8Array} data
+     */
+    static subBlocks(out, data) {
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            out.byte(block.length);
+            out.bytes(block);
+        }
+        out.byte(0);
+    }
+}
+
+/**
+ * Growable little-endian byte buffer
+ */
+GIFEncoder.ByteWriter = class {
+    constructor() {
+        this.buffer = new Uint8Array(4096);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.buffer.length) return;
+        const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + count));
+        grown.set(this.buffer.subarray(0, this.length));
+        this.buffer = grown;
+    }
+
+    byte(value) {
+        this.reserve(1);
+        this.buffer[this.length++] = value & 0xff;
+    }
+
+    short(value) {
+        this.byte(value);
+        this.byte(value >> 8);
+    }
+
+    bytes(values) {
+        this.reserve(values.length);
+        this.buffer.set(values, this.length);
+        this.length += values.length;
+    }
+
+    text(value) {
+        this.bytes(Array.from(value, char => char.charCodeAt(0)));
+    }
+
+    result() {
+        return this.buffer.slice(0, this.length);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GIFEncoder;
+}
@@ -0,0 +1,103 @@
+/**
+ * Glyph Fill
+ * Redraws the ink cells of every glyph in a font while keeping the glyph shapes,
+ * so any font can be drawn in solid blocks, a texture, its own letters or a
+ * top-to-bottom gradient. The built-in `block` font is `standard` filled with █.
+ *
+ * Fills:
+ * - char:     every ink cell becomes one character
+ * - pattern:  the characters repeat along each row, shifted by one per row
+ * - text:     each glyph is drawn with the character it stands for (H out of H's)
+ * - gradient: a ramp from the top row of the glyph to the bottom row
+ *
+ * Spaces and FIGlet hardblanks are not ink. Smushed fonts are kerned once filled,
+ * which makes them wider: measure filled fonts, not their sources, against a width.
+ */
+class GlyphFill {
+    /**
+     * Available fills ('none' leaves the font alone)
+     * @returns {string[]}
+     */
+    static get FILLS() {
+        return ['none', 'char', 'pattern', 'text', 'gradient'];
+    }
+
+    /**
+     * Characters each fill uses when none are given
+     * @returns {Object} Fill name to characters
+     */
+    static get DEFAULT_CHARS() {
+        return {
+            char: '█',
+            pattern: '░▒▓',
+            text: '',
+            gradient: '░▒▓█'
+        };
+    }
+
+    /**
+     * Derive a filled copy of a font
+     * @param {Object} font - Font in FontModel schema shape (legacy glyph maps are converted)
+     * @param {string} fill - One of FILLS
+     * @param {Object} [options]
+     * @param {string} [options.chars] - Fill characters (defaults to DEFAULT_CHARS)
+     * @param {string} [options.name] - Name of the derived font (defaults to name-fill-chars)
+     * @param {Object} [options.metadata] - Metadata for the derived font
+     * @returns {Object} Font in schema shape; the same font when fill is 'none'
+     */
+    static apply(font, fill, options = {}) {
+        if (!fill || fill === 'none') {
+            return font;
+        }
+        if (!GlyphFill.FILLS.includes(fill)) {
+            throw new Error(`Unknown fill "${fill}"`);
+        }
+
+        const chars = Array.from(options.chars || GlyphFill.DEFAULT_CHARS[fill]).filter(char => char.trim());
+        if (fill !== 'text' && !chars.length) {
+            throw new Error('A fill needs at least one visible character');
+        }
+        if (fill === 'char' && chars.length > 1) {
+            throw new Error('A character fill takes a single character');
+        }
+
+        const source = FontModel.normalize(font);
+        const blank = char => char === ' ' || char === source.hardblank;
+        const last = Math.max(1, source.height - 1);
+
+        const cellFor = (glyphChar, row, column) => {
+            switch (fill) {
+                case 'pattern':
+                    return chars[(column + row) % chars.length];
+                case 'text':
+                    return glyphChar;
+                case 'gradient':
+                    return chars[Math.round((row / last) * (chars.length - 1))];
+                default:
+                    return chars[0];
+            }
+        };
+
+        const name = options.name || `${source.name}-${fill}${chars.length ? `-${chars.join('')}` : ''}`;
+        const filled = FontModel.variant(
+            source,
+            name,
+            (row, glyphChar, index) => Array.from(row)
+                .map((cell, column) => (blank(cell) ? cell : cellFor(glyphChar, index, column)))
+                .join(''),
+            { tags: ['filled', fill], ...options.metadata }
+        );
+
+        // Smushing decides overlaps from the characters a fill has just replaced,
+        // so filled glyphs slide together until they touch instead
+        if (filled.layout && filled.layout.mode === 'smush') {
+            filled.layout = { ...filled.layout, mode: 'kerning' };
+        }
+        return filled;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GlyphFill;
+}
@@ -0,0 +1,260 @@
+/**
+ * Glyph Layout
+ * Horizontal layout of glyphs following the FIGlet spec.
+ *
+ * Modes:
+ * - full:    glyphs placed side by side at full width (plus an optional gap)
+ * - kerning: glyphs slide together until they touch
+ * - smush:   glyphs overlap by one more column where the smushing rules allow it
+ *
+ * Smushing rules (bit flags, as in FIGlet headers):
+ *   1 equal character, 2 underscore, 4 hierarchy, 8 opposite pair, 16 big X, 32 hardblank.
+ * Smush mode with no rules set uses FIGlet "universal" smushing.
+ *
+ * wrap() breaks text into lines that fit a column budget once rendered.
+ */
+class GlyphLayout {
+    static get MODES() {
+        return ['full', 'kerning', 'smush'];
+    }
+
+    static get RULES() {
+        return {
+            EQUAL: 1,
+            UNDERSCORE: 2,
+            HIERARCHY: 4,
+            OPPOSITE: 8,
+            BIG_X: 16,
+            HARDBLANK: 32
+        };
+    }
+
+    /**
+     * Build a layout from FIGlet header values
+     * @param {number} oldLayout - Old_Layout header parameter
+     * @param {number|null} fullLayout - Full_Layout header parameter, if present
+     * @returns {{mode: string, rules: number}}
+     */
+    static fromFiglet(oldLayout, fullLayout = null) {
+        if (Number.isInteger(fullLayout)) {
+            if (fullLayout & 128) return { mode: 'smush', rules: fullLayout & 63 };
+            if (fullLayout & 64) return { mode: 'kerning', rules: 0 };
+            return { mode: 'full', rules: 0 };
+        }
+        if (oldLayout < 0) return { mode: 'full', rules: 0 };
+        if (oldLayout === 0) return { mode: 'kerning', rules: 0 };
+        return { mode: 'smush', rules: oldLayout & 63 };
+    }
+
+    /**
+     * Combine a font's own layout with a per-request override
+     * @param {Object} [fontLayout] - Layout declared by the font (may carry a hardblank)
+     * @param {string|Object} [override] - 'default', a mode name, or { mode, rules }
+     * @returns {{mode: string, rules: number}}
+     */
+    static resolve(fontLayout, override) {
+        const base = { mode: 'full', rules: 0, ...(fontLayout || {}) };
+        if (!override || override === 'default') return base;
+
+        const requested = typeof override === 'string' ? { mode: override } : override;
+        if (!GlyphLayout.MODES.includes(requested.mode)) return base;
+
+        // Smushing a font that declares no rules uses every rule except hardblank
+        let rules = requested.rules;
+        if (rules === undefined) {
+            rules = base.mode === 'smush' ? base.rules : 31;
+        }
+        return { ...base, mode: requested.mode, rules };
+    }
+
+    /**
+     * Lay out a sequence of glyphs into rows
+     * @param {string[][]} glyphs - Glyph row arrays, all of equal height
+     * @param {Object} layout - { mode, rules }
+     * @param {Object} [options]
+     * @param {string} [options.hardblank] - Hardblank character (resolved to spaces at the end)
+     * @param {number} [options.gap=0] - Extra blank columns between glyphs in full mode
+     * @returns {string[]} Output rows
+     */
+    static layout(glyphs, layout, options = {}) {
+        const { hardblank = null, gap = 0 } = options;
+        if (!glyphs.length) return [];
+
+        // Glyph rows must share one width for columns to line up
+        const padded = glyphs.map(rows => {
+            const width = Math.max(0, ...rows.map(row => row.length));
+            return rows.map(row => row.padEnd(width));
+        });
+
+        let rows = padded[0].slice();
+        for (let i = 1; i < padded.length; i++) {
+            if (layout.mode === 'full' && gap > 0) {
+                rows = rows.map(row => row + ' '.repeat(gap));
+            }
+            rows = GlyphLayout.append(rows, padded[i], layout, hardblank);
+        }
+
+        if (hardblank) {
+            rows = rows.map(row => row.split(hardblank).join(' '));
+        }
+        return rows;
+    }
+
+    /**
+     * Append one glyph to the rows built so far
+     * @param {string[]} rows - Current output rows
+     * @param {string[]} glyph - Glyph rows to append
+     * @param {Object} layout - { mode, rules }
+     * @param {string|null} hardblank - Hardblank character
+     * @returns {string[]} New output rows
+     */
+    static append(rows, glyph, layout, hardblank) {
+        const overlap = GlyphLayout.overlap(rows, glyph, layout, hardblank);
+        if (overlap === 0) {
+            return rows.map((row, r) => row + glyph[r]);
+        }
+
+        return rows.map((row, r) => {
+            const right = glyph[r];
+            const start = row.length - overlap;
+            let merged = row.slice(0, Math.max(0, start));
+
+            for (let i = 0; i < overlap; i++) {
+                const leftChar = start + i >= 0 ? row.charAt(start + i) : ' ';
+                const rightChar = i < right.length ? right.charAt(i) : ' ';
+                merged += GlyphLayout.smushChars(leftChar, rightChar, layout, hardblank) || leftChar;
+            }
+            return merged + right.slice(overlap);
+        });
+    }
+
+    /**
+     * Number of columns the next glyph may overlap the current rows
+     * @returns {number} Overlap in columns
+     */
+    static overlap(rows, glyph, layout, hardblank) {
+        if (layout.mode === 'full') return 0;
+
+        let amount = glyph[0] ? glyph[0].length : 0;
+        for (let r = 0; r < rows.length; r++) {
+            const left = rows[r];
+            const right = glyph[r] || '';
+
+            const leftEnd = left.replace(/ +$/, '');
+            const rightStart = right.length - right.replace(/^ +/, '').length;
+            let rowAmount = (left.length - leftEnd.length) + rightStart;
+
+            // One extra column when the left row is blank or the touching characters smush
+            const leftChar = leftEnd.charAt(leftEnd.length - 1);
+            const rightChar = right.charAt(rightStart);
+            if (!leftChar) {
+                rowAmount++;
+            } else if (rightChar && GlyphLayout.smushChars(leftChar, rightChar, layout, hardblank)) {
+                rowAmount++;
+            }
+            amount = Math.min(amount, rowAmount);
+        }
+
+        // Never overlap further than the output built so far
+        const shortest = Math.min(...rows.map(row => row.length));
+        return Math.max(0, Math.min(amount, shortest));
+    }
+
+    /**
+     * Smush two characters according to the layout rules
+     * @returns {string|null} The smushed character, or null if they cannot be smushed
+     */
+    static smushChars(left, right, layout, hardblank) {
+        if (left === ' ') return right;
+        if (right === ' ') return left;
+        if (layout.mode !== 'smush') return null;
+
+        const { rules } = layout;
+        const R = GlyphLayout.RULES;
+
+        // Universal smushing: the later character wins, hardblanks give way
+        if (!rules) {
+            if (left === hardblank) return right;
+            if (right === hardblank) return left;
+            return right;
+        }
+
+        if (left === hardblank || right === hardblank) {
+            return (rules & R.HARDBLANK) && left === right ? left : null;
+        }
+
+        if ((rules & R.EQUAL) && left === right) return left;
+
+        if (rules & R.UNDERSCORE) {
+            const borders = '|/\\[]{}()<>';
+            if (left === '_' && borders.includes(right)) return right;
+            if (right === '_' && borders.includes(left)) return left;
+        }
+
+        if (rules & R.HIERARCHY) {
+            const classes = ['|', '/\\', '[]', '{}', '()', '<>'];
+            const leftClass = classes.findIndex(c => c.includes(left));
+            const rightClass = classes.findIndex(c => c.includes(right));
+            if (leftClass !== -1 && rightClass !== -1 && leftClass !== rightClass) {
+                return leftClass > rightClass ? left : right;
+            }
+        }
+
+        if (rules & R.OPPOSITE) {
+            const pair = left + right;
+            if (['[]', '][', '{}', '}{', '()', ')('].includes(pair)) return '|';
+        }
+
+        if (rules & R.BIG_X) {
+            const pair = left + right;
+            if (pair === '/\\') return '|';
+            if (pair === '\\/') return 'Y';
+            if (pair === '><') return 'X';
+        }
+
+        return null;
+    }
+
+    /**
+     * Greedy word wrap measured in output columns.
+     * Words wider than the limit on their own are broken between characters.
+     * @param {string} text - One line of text
+     * @param {number} maxWidth - Column budget
+     * @param {Function} [measure] - (text) => rendered width; defaults to character count
+     * @returns {string[]} Lines of text, each fitting maxWidth where possible
+     */
+    static wrap(text, maxWidth, measure = line => line.length) {
+        const words = String(text || '').split(/ +/).filter(word => word.length > 0);
+        const lines = [];
+        let current = '';
+
+        for (const word of words) {
+            const candidate = current ? `${current} ${word}` : word;
+            if (measure(candidate) <= maxWidth) {
+                current = candidate;
+                continue;
+            }
+
+            if (current) lines.push(current);
+            current = '';
+            for (const char of Array.from(word)) {
+                if (current && measure(current + char) > maxWidth) {
+                    lines.push(current);
+                    current = char;
+                } else {
+                    current += char;
+                }
+            }
+        }
+
+        if (current || lines.length === 0) {
+            lines.push(current);
+        }
+        return lines;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GlyphLayout;
+}
@@ -0,0 +1,165 @@
+/**
+ * Glyph Resolver
+ * Picks the glyph each character of a text is drawn with. Shared by both renderers.
+ *
+ * Lookup order for a character:
+ * 1. The font's own glyph (lowercase is kept when the font has it)
+ * 2. The uppercase glyph
+ * 3. A plain-ASCII expansion (ß -> ss, æ -> ae, curly quotes -> straight quotes)
+ * 4. Unicode decomposition: é is drawn as E with an accent row above it
+ * 5. The unknown-character policy: 'placeholder' (the font's ?), 'skip' or 'raw'
+ */
+class GlyphResolver {
+    /**
+     * Unknown-character policies
+     * @returns {string[]}
+     */
+    static get POLICIES() {
+        return ['placeholder', 'skip', 'raw'];
+    }
+
+    /**
+     * Combining marks drawn as an extra row above or below the base glyph
+     * @returns {Object} Combining mark to { mark, position }
+     */
+    static get ACCENTS() {
+        return {
+            '\u0300': { mark: '\\', position: 'above' },  // grave
+            '\u0301': { mark: '/', position: 'above' },   // acute
+            '\u0302': { mark: '^', position: 'above' },   // circumflex
+            '\u0303': { mark: '~', position: 'above' },   // tilde
+            '\u0304': { mark: '-', position: 'above' },   // macron
+            '\u0306': { mark: 'u', position: 'above' },   // breve
+            '\u0307': { mark: '.', position: 'above' },   // dot above
+            '\u0308': { mark: '..', position: 'above' },  // diaeresis
+            '\u030A': { mark: 'o', position: 'above' },   // ring
+            '\u030B': { mark: '//', position: 'above' },  // double acute
+            '\u030C': { mark: 'v', position: 'above' },   // caron
+            '\u0323': { mark: '.', position: 'below' },   // dot below
+            '\u0327': { mark: ',', position: 'below' },   // cedilla
+            '\u0328': { mark: ',', position: 'below' }    // ogonek
+        };
+    }
+
+    /**
+     * Characters without a decomposition, spelled with plain characters instead
+     * @returns {Object} Character to replacement text
+     */
+    static get EXPANSIONS() {
+        return {
+            'ß': 'ss', 'ẞ': 'SS', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE',
+            'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ı': 'i',
+            '‘': "'", '’': "'", '‚': ',', '“': '"', '”': '"', '„': '"',
+            '–': '-', '—': '-', '…': '...', '«': '<<', '»': '>>',
+            '\u00A0': ' ', '\t': ' '
+        };
+    }
+
+    /**
+     * Glyphs for one character
+     * @param {Object} font - Font in FontModel schema shape
+     * @param {string} char - Character to draw
+     * @param {string} [policy='placeholder'] - Unknown-character policy
+     * @returns {Array<{rows: string[], above?: string, below?: string, unknown?: boolean}>}
+     *   Zero or more glyphs (expansions give several, skipped characters none)
+     */
+    static resolve(font, char, policy = 'placeholder') {
+        const glyph = font.glyphs[char] || font.glyphs[char.toUpperCase()];
+        if (glyph) {
+            return [{ rows: glyph }];
+        }
+
+        const expansion = GlyphResolver.EXPANSIONS[char];
+        if (expansion) {
+            return Array.from(expansion).flatMap(part => GlyphResolver.resolve(font, part, policy));
+        }
+
+        const [base, ...marks] = Array.from(char.normalize('NFD'));
+        const accents = marks.map(mark => GlyphResolver.ACCENTS[mark]).filter(Boolean);
+        if (base !== char && accents.length) {
+            const resolved = GlyphResolver.resolve(font, base, policy);
+            if (resolved.length === 1 && !resolved[0].unknown) {
+                const markFor = position => accents
+                    .filter(accent => accent.position === position)
+                    .map(accent => accent.mark)
+                    .join('');
+                return [{ ...resolved[0], above: markFor('above'), below: markFor('below') }];
+            }
+        }
+
+        return GlyphResolver.unknown(font, char, policy);
+    }
+
+    /**
+     * Glyph for a character the font cannot draw
+     * @param {Object} font - Font in FontModel schema shape
+     * @param {string} char - Character to draw
+     * @param {string} policy - Unknown-character policy
+     * @returns {Array<{rows: string[], unknown: boolean}>}
+     */
+    static unknown(font, char, policy) {
+        if (policy === 'skip') {
+            return [];
+        }
+
+        if (policy === 'raw') {
+            // The character itself, sitting on the baseline
+            const row = Math.max(0, Math.min(font.height, font.baseline || font.height) - 1);
+            const rows = Array.from({ length: font.height }, (_, r) => (r === row ? char : ' '));
+            return [{ rows, unknown: true }];
+        }
+
+        const placeholder = font.glyphs['?'] || Array.from({ length: font.height }, () => '?');
+        return [{ rows: placeholder, unknown: true }];
+    }
+
+    /**
+     * Turn resolved glyphs into plain row arrays. When any glyph carries an accent,
+     * every glyph gets the extra row so the line keeps one height.
+     * @param {Array<{rows: string[], above?: string, below?: string}>} resolved - From resolve()
+     * @returns {string[][]} Row arrays
+     */
+    static withMarkRows(resolved) {
+        const hasAbove = resolved.some(glyph => glyph.above);
+        const hasBelow = resolved.some(glyph => glyph.below);
+
+        return resolved.map(({ rows, above, below }) => {
+            const width = Math.max(1, ...rows.map(row => row.length));
+            const output = rows.slice();
+            if (hasAbove) output.unshift(GlyphResolver.markRow(above, width));
+            if (hasBelow) output.push(GlyphResolver.markRow(below, width));
+            return output;
+        });
+    }
+
+    /**
+     * Accent row centered over a glyph
+     * @param {string} [mark] - Accent characters
+     * @param {number} width - Glyph width
+     * @returns {string}
+     */
+    static markRow(mark, width) {
+        const text = (mark || '').slice(0, width);
+        const left = Math.floor((width - text.length) / 2);
+        return (' '.repeat(left) + text).padEnd(width);
+    }
+
+    /**
+     * Row arrays for a whole line of text
+     * @param {Object} font - Font in FontModel schema shape
+     * @param {string} text - Line to draw
+     * @param {Object} [options]
+     * @param {string} [options.unknownChars='placeholder'] - Unknown-character policy
+     * @returns {string[][]}
+     */
+    static glyphsFor(font, text, options = {}) {
+        const policy = options.unknownChars || 'placeholder';
+        const resolved = Array.from(String(text || '')).flatMap(char => GlyphResolver.resolve(font, char, policy));
+        return GlyphResolver.withMarkRows(resolved);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GlyphResolver;
+}
@@ -0,0 +1,149 @@
+/**
+ * HTML Exporter
+ * Output as a standalone HTML page, or a snippet to paste into another page:
+ * the <pre> with its colors and animation, and every style inlined, so it
+ * needs no stylesheet, script or web request. Shared by both apps.
+ *
+ * Options: { color, animation, theme, fontFamily, title }
+ * - named colors, rainbow and gradient are drawn the way the output panel draws them;
+ *   the rainbow cycles through OutputStyle.RAINBOW_KEYFRAMES like .color-rainbow
+ * - animation is one of ANIMATIONS (OutputPanel.applyAnimation's classes)
+ * - snippet styles are scoped to one class, so they can't restyle the host page
+ */
+class HTMLExporter {
+    /**
+     * Class of the exported <pre>
+     */
+    static get CLASS_NAME() {
+        return 'ascii-art';
+    }
+
+    /**
+     * Animation rules; {cls} is the <pre>'s class. Keep in step with the
+     * .ascii-output.animation-* rules in styles.css
+     * @returns {Object} Animation name to CSS
+     */
+    static get ANIMATIONS() {
+        return {
+            glow: '.{cls}.animation-glow { animation: ascii-glow 1.5s ease-in-out infinite alternate; }\n'
+                + '@keyframes ascii-glow { from { filter: drop-shadow(0 0 1px currentColor); } to { filter: drop-shadow(0 0 6px currentColor); } }',
+            wave: '.{cls}.animation-wave { animation: ascii-wave 2s ease-in-out infinite; }\n'
+                + '@keyframes ascii-wave { 0%, 100% { transform: skewX(0deg); } 25% { transform: skewX(3deg); } 75% { transform: skewX(-3deg); } }',
+            fade: '.{cls}.animation-fade { animation: ascii-fade 2s ease-in-out infinite alternate; }\n'
+                + '@keyframes ascii-fade { from { opacity: 1; } to { opacity: 0.3; } }',
+            blink: '.{cls}.animation-blink { animation: ascii-blink 1s step-end infinite; }\n'
+                + '@keyframes ascii-blink { 50% { opacity: 0; } }'
+        };
+    }
+
+    /**
+     * Default options, matching the output panel
+     * @returns {Object}
+     */
+    static get DEFAULTS() {
+        return {
+            color: 'none',
+            animation: 'none',
+            theme: OutputStyle.currentTheme(),
+            fontFamily: OutputStyle.FONT_FAMILY,
+            title: 'ASCII Art'
+        };
+    }
+
+    /**
+     * Full HTML page showing the output
+     * @param {CellGrid} cells - Output cells
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {string}
+     */
+    static toPage(cells, options = {}) {
+        const settings = { ...HTMLExporter.DEFAULTS, ...options };
+        const theme = OutputStyle.theme(settings.theme);
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="UTF-8">',
+            `<title>${CellGrid.escapeHtml(settings.title)}</title>`,
+            `<style>\nbody { margin: 0; padding: 24px; background: ${theme.background}; }\n${HTMLExporter.css(settings)}\n</style>`,
+            '</head>',
+            '<body>',
+            HTMLExporter.pre(cells, settings),
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * <style> and <pre> to paste into an existing page
+     * @param {CellGrid} cells - Output cells
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {string}
+     */
+    static toSnippet(cells, options = {}) {
+        const settings = { ...HTMLExporter.DEFAULTS, ...options };
+        return `<style>\n${HTMLExporter.css(settings)}\n</style>\n${HTMLExporter.pre(cells, settings)}\n`;
+    }
+
+    /**
+     * Styles of the <pre>: the output panel's box, the color and the animation
+     * @param {Object} settings - Filled-in options
+     * @returns {string}
+     */
+    static css(settings) {
+        const cls = HTMLExporter.CLASS_NAME;
+        const theme = OutputStyle.theme(settings.theme);
+        const rules = [
+            `.${cls} { display: inline-block; margin: 0; padding: 20px; border-radius: 8px; `
+                + `background: ${theme.background}; color: ${theme.foreground}; `
+                + `font-family: ${settings.fontFamily}; font-size: 14px; line-height: 1.2; white-space: pre; overflow: auto; }`
+        ];
+
+        const color = settings.color;
+        if (CellGrid.PALETTE[color]) {
+            rules.push(`.${cls} { color: ${CellGrid.PALETTE[color]}; }`);
+        } else if (color === 'gradient') {
+            // OutputPanel.applyGradient's gradient, on a span so the box keeps its background
+            rules.push(`.${cls} span.gradient { background: linear-gradient(90deg, ${OutputStyle.GRADIENT.join(', ')}); `
+                + '-webkit-background-clip: text; background-clip: text; -webkit-text-fill-color: transparent; }');
+        } else if (color === 'rainbow') {
+            // On a span too, so the <pre>'s own animation doesn't replace it
+            const keyframes = OutputStyle.RAINBOW_KEYFRAMES
+                .map(([position, hex]) => `${Math.round(position * 100)}% { color: ${hex}; }`)
+                .join(' ');
+            rules.push(`.${cls} span.rainbow { animation: rainbow-text ${OutputStyle.RAINBOW_PERIOD}s linear infinite; font-weight: bold; }\n`
+                + `@keyframes rainbow-text { ${keyframes} }`);
+        }
+
+        const animation = HTMLExporter.ANIMATIONS[settings.animation];
+        if (animation) rules.push(animation.replace(/\{cls\}/g, cls));
+        return rules.join('\n');
+    }
+
+    /**
+     * The <pre> itself
+     * @param {CellGrid} cells - Output cells
+     * @param {Object} settings - Filled-in options
+     * @returns {string}
+     */
+    static pre(cells, settings) {
+        const classes = [HTMLExporter.CLASS_NAME];
+        if (HTMLExporter.ANIMATIONS[settings.animation]) classes.push(`animation-${settings.animation}`);
+
+        let body;
+        if (settings.color === 'rainbow' || settings.color === 'gradient') {
+            body = `<span class="${settings.color}">${CellGrid.escapeHtml(cells.toText())}</span>`;
+        } else if (CellGrid.PALETTE[settings.color]) {
+            body = CellGrid.escapeHtml(cells.toText());
+        } else {
+            body = cells.toHTML();
+        }
+        return `<pre class="${classes.join(' ')}">${body}</pre>`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HTMLExporter;
+}
@@ -0,0 +1,312 @@
+/**
+ * History Store
+ * Every successful generation saved to IndexedDB with its options, output and a
+ * thumbnail, so past results survive reloads and can be searched in the gallery.
+ * Shared by both apps; falls back to memory where IndexedDB isn't available.
+ *
+ * Entry: { id, mode, text, font, favorite, createdAt, thumbnail, result }
+ * - result is the generation result as the app produced it (cells come back as a CellGrid)
+ * - text is the input that made it (banner text, poem or prompt), for searching
+ * - only the newest `limit` entries are kept; favorites don't count and are never dropped
+ */
+class HistoryStore {
+    /**
+     * Thumbnail size in characters
+     * @returns {{width: number, height: number}}
+     */
+    static get THUMBNAIL() {
+        return { width: 48, height: 12 };
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name='ascii-art-history'] - Database name
+     * @param {number} [options.limit=50] - Entries kept, favorites not counted
+     * @param {IDBFactory} [options.indexedDB] - IndexedDB backend (defaults to window.indexedDB)
+     */
+    constructor(options = {}) {
+        const limit = options.limit ?? 50;
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('History limit must be a positive whole number');
+        }
+
+        this.name = options.name || 'ascii-art-history';
+        this.limit = limit;
+        this.indexedDB = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+        this.memory = null;
+        this.ready = null;
+    }
+
+    /**
+     * Open the database (once)
+     * @returns {Promise<void>}
+     */
+    open() {
+        if (!this.ready) {
+            this.ready = this.openDatabase().catch((error) => {
+                console.warn('⚠️ HistoryStore: IndexedDB unavailable, history lasts until reload:', error.message);
+                this.memory = { entries: new Map(), nextId: 1 };
+            });
+        }
+        return this.ready;
+    }
+
+    async openDatabase() {
+        if (!this.indexedDB) {
+            throw new Error('IndexedDB is not supported');
+        }
+
+        const request = this.indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+        };
+        this.db = await HistoryStore.request(request);
+    }
+
+    /**
+     * Save a result
+     * @param {Object} result - Generation result ({ ascii, cells, ... })
+     * @param {Object} info - { mode, text, font } for filtering
+     * @returns {Promise<Object>} The saved entry
+     */
+    async add(result, info = {}) {
+        if (!result?.ascii) {
+            throw new Error('Only results with output can be saved');
+        }
+
+        const entry = await this.put({
+            mode: info.mode || result.mode || 'text',
+            text: String(info.text ?? ''),
+            font: info.font || '',
+            favorite: false,
+            createdAt: Date.now(),
+            thumbnail: HistoryStore.thumbnail(result.ascii),
+            result: HistoryStore.serialize(result)
+        });
+        await this.prune();
+        return HistoryStore.revive(entry);
+    }
+
+    /**
+     * @param {number} id - Entry id
+     * @returns {Promise<Object>} The entry
+     */
+    async get(id) {
+        const entry = await this.read(id);
+        if (!entry) {
+            throw new Error(`No history entry with id ${id}`);
+        }
+        return HistoryStore.revive(entry);
+    }
+
+    /**
+     * Entries matching a filter, newest first
+     * @param {Object} [filter] - See HistoryStore.matches
+     * @returns {Promise<Object[]>}
+     */
+    async list(filter = {}) {
+        const entries = await this.readAll();
+        return entries
+            .filter(entry => HistoryStore.matches(entry, filter))
+            .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id)
+            .map(entry => HistoryStore.revive(entry));
+    }
+
+    /**
+     * Mark or unmark an entry as a favorite
+     * @param {number} id - Entry id
+     * @param {boolean} favorite
+     * @returns {Promise<Object>} The entry
+     */
+    async setFavorite(id, favorite) {
+        const entry = await this.read(id);
+        if (!entry) {
+            throw new Error(`No history entry with id ${id}`);
+        }
+        entry.favorite = !!favorite;
+        await this.put(entry);
+        // Unfavoriting can push the history over its limit
+        if (!entry.favorite) await this.prune();
+        return HistoryStore.revive(entry);
+    }
+
+    /**
+     * Save a copy of an entry as the newest one
+     * @param {number} id - Entry id
+     * @returns {Promise<Object>} The copy
+     */
+    async duplicate(id) {
+        const entry = await this.read(id);
+        if (!entry) {
+            throw new Error(`No history entry with id ${id}`);
+        }
+        const copy = { ...entry, favorite: false, createdAt: Date.now() };
+        delete copy.id;
+        const saved = await this.put(copy);
+        await this.prune();
+        return HistoryStore.revive(saved);
+    }
+
+    /**
+     * @param {number} id - Entry id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.open();
+        if (this.memory) {
+            this.memory.entries.delete(id);
+            return;
+        }
+        await this.transact('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Drop the oldest entries past the limit
+     * @returns {Promise<number[]>} Deleted ids
+     */
+    async prune() {
+        const ids = HistoryStore.overLimit(await this.readAll(), this.limit);
+        for (const id of ids) await this.remove(id);
+        return ids;
+    }
+
+    async put(entry) {
+        await this.open();
+        if (this.memory) {
+            const saved = { ...entry, id: entry.id ?? this.memory.nextId++ };
+            this.memory.entries.set(saved.id, saved);
+            return { ...saved };
+        }
+        const id = await this.transact('readwrite', store => store.put(entry));
+        return { ...entry, id };
+    }
+
+    async read(id) {
+        await this.open();
+        if (this.memory) {
+            const entry = this.memory.entries.get(id);
+            return entry ? { ...entry } : null;
+        }
+        return (await this.transact('readonly', store => store.get(id))) || null;
+    }
+
+    async readAll() {
+        await this.open();
+        if (this.memory) {
+            return Array.from(this.memory.entries.values(), entry => ({ ...entry }));
+        }
+        return this.transact('readonly', store => store.getAll());
+    }
+
+    /**
+     * Run one request against the entries store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - (IDBObjectStore) => IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    transact(mode, action) {
+        const transaction = this.db.transaction('entries', mode);
+        return HistoryStore.request(action(transaction.objectStore('entries')));
+    }
+
+    /**
+     * @param {IDBRequest} request
+     * @returns {Promise<*>} Resolves with the request's result
+     */
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+        });
+    }
+
+    /**
+     * Whether an entry passes a gallery filter; every field is optional
+     * @param {Object} entry - Stored entry
+     * @param {Object} filter
+     * @param {string} [filter.mode] - Exact mode
+     * @param {string} [filter.font] - Font name, any case
+     * @param {number} [filter.from] - Earliest createdAt (ms)
+     * @param {number} [filter.to] - Latest createdAt (ms)
+     * @param {string} [filter.query] - Text found in the input, any case
+     * @param {boolean} [filter.favorites] - Favorites only
+     * @returns {boolean}
+     */
+    static matches(entry, filter = {}) {
+        if (filter.mode && entry.mode !== filter.mode) return false;
+        if (filter.font && String(entry.font).toLowerCase() !== filter.font.toLowerCase()) return false;
+        if (filter.from !== undefined && filter.from !== null && entry.createdAt < filter.from) return false;
+        if (filter.to !== undefined && filter.to !== null && entry.createdAt > filter.to) return false;
+        if (filter.favorites && !entry.favorite) return false;
+
+        const query = (filter.query || '').trim().toLowerCase();
+        return !query || String(entry.text).toLowerCase().includes(query);
+    }
+
+    /**
+     * Ids of the entries a limit leaves out: the oldest non-favorites
+     * @param {Object[]} entries - Stored entries
+     * @param {number} limit - Non-favorite entries kept
+     * @returns {number[]}
+     */
+    static overLimit(entries, limit) {
+        return entries
+            .filter(entry => !entry.favorite)
+            .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id)
+            .slice(limit)
+            .map(entry => entry.id);
+    }
+
+    /**
+     * Scaled-down copy of some output: every nth row and column, so the whole
+     * piece fits the thumbnail size
+     * @param {string} ascii - Output text
+     * @param {Object} [size] - { width, height } in characters
+     * @returns {string}
+     */
+    static thumbnail(ascii, size = HistoryStore.THUMBNAIL) {
+        const rows = String(ascii).replace(/\n+$/, '').split('\n').map(row => Array.from(row));
+        const width = Math.max(1, ...rows.map(row => row.length));
+        const step = Math.max(1, Math.ceil(width / size.width), Math.ceil(rows.length / size.height));
+
+        const thumb = [];
+        for (let y = 0; y < rows.length; y += step) {
+            let row = '';
+            for (let x = 0; x < rows[y].length; x += step) row += rows[y][x];
+            thumb.push(row.trimEnd());
+        }
+        return thumb.join('\n');
+    }
+
+    /**
+     * Plain copy of a result IndexedDB can store; cells become their rows
+     * @param {Object} result - Generation result
+     * @returns {Object}
+     */
+    static serialize(result) {
+        return JSON.parse(JSON.stringify({ ...result, cells: result.cells?.rows || null }));
+    }
+
+    /**
+     * Entry with its result's cells as a CellGrid again
+     * @param {Object} entry - Stored entry
+     * @returns {Object}
+     */
+    static revive(entry) {
+        const result = { ...entry.result };
+        if (Array.isArray(result.cells)) {
+            result.cells = new CellGrid(result.cells);
+        } else {
+            delete result.cells;
+        }
+        return { ...entry, result };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryStore;
+}
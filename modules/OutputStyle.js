@@ -0,0 +1,170 @@
+/**
+ * Output Style
+ * The look of the output panel as plain data, so exporters can reproduce it
+ * outside the page: whole-output colors (named, rainbow, gradient) resolved to
+ * per-cell colors, and the theme's background and text colors. Shared by both apps.
+ *
+ * - Named colors (CellGrid.PALETTE) match the .ascii-output.color-* rules in styles.css
+ * - The rainbow is .color-rainbow: the whole output bold, in one color at a time,
+ *   cycling through RAINBOW_KEYFRAMES every RAINBOW_PERIOD seconds
+ * - The gradient runs left to right across the widest row, as the CSS gradient does
+ * - 'none' keeps the cells' own colors; unstyled cells take the theme's text color
+ */
+class OutputStyle {
+    /**
+     * Keyframes of @keyframes rainbow-text in styles.css, as [position 0-1, color]
+     * @returns {Array<Array>}
+     */
+    static get RAINBOW_KEYFRAMES() {
+        return [
+            [0, '#ff0000'], [0.16, '#ff7f00'], [0.33, '#ffff00'], [0.5, '#00ff00'],
+            [0.66, '#0000ff'], [0.83, '#4b0082'], [1, '#ff0000']
+        ];
+    }
+
+    /**
+     * Seconds for the rainbow to come back to red
+     */
+    static get RAINBOW_PERIOD() {
+        return 3;
+    }
+
+    /**
+     * Gradient stops, evenly spaced left to right
+     * @returns {string[]}
+     */
+    static get GRADIENT() {
+        return ['#667eea', '#764ba2', '#f093fb'];
+    }
+
+    /**
+     * Output background and default text color per theme
+     * @returns {Object} Theme name to { background, foreground }
+     */
+    static get THEMES() {
+        return {
+            dark: { background: '#2a2a2a', foreground: '#ffffff' },
+            light: { background: '#f1f5f9', foreground: '#1e293b' }
+        };
+    }
+
+    /**
+     * Font stack of the output panel
+     */
+    static get FONT_FAMILY() {
+        return "'JetBrains Mono', 'Courier New', monospace";
+    }
+
+    /**
+     * @param {string} [name] - Theme name (defaults to the page's data-theme)
+     * @returns {{background: string, foreground: string}}
+     */
+    static theme(name = OutputStyle.currentTheme()) {
+        return OutputStyle.THEMES[name] || OutputStyle.THEMES.dark;
+    }
+
+    /**
+     * @returns {string} The page's theme, 'dark' outside a browser
+     */
+    static currentTheme() {
+        if (typeof document === 'undefined') return 'dark';
+        return document.documentElement.getAttribute('data-theme') || 'dark';
+    }
+
+    /**
+     * Cells colored the way the output panel shows them
+     * @param {CellGrid} cells - Output cells
+     * @param {string} [color='none'] - Whole-output color: a PALETTE name, 'rainbow', 'gradient' or 'none'
+     * @param {number} [time=0] - Seconds into the rainbow's cycle
+     * @returns {CellGrid} A new grid; every visible character has an fg
+     */
+    static apply(cells, color = 'none', time = 0) {
+        // A whole-output color replaces the cells' own styling, as on screen
+        if (color === 'none' || !color || (!CellGrid.PALETTE[color] && color !== 'rainbow' && color !== 'gradient')) {
+            return cells.clone();
+        }
+
+        const grid = CellGrid.fromText(cells.toText());
+        const width = grid.width;
+        const bold = color === 'rainbow' ? true : undefined;
+
+        grid.rows.forEach((row, y) => {
+            row.forEach((cell, x) => {
+                if (cell.char !== ' ') {
+                    grid.paint(x, y, { fg: OutputStyle.colorAt(color, x, width, time), bold });
+                }
+            });
+        });
+        return grid;
+    }
+
+    /**
+     * @param {string} color - Whole-output color
+     * @param {number} x - Column
+     * @param {number} width - Widest row
+     * @param {number} time - Seconds into the rainbow's cycle
+     * @returns {string} Hex color
+     */
+    static colorAt(color, x, width, time) {
+        if (color === 'rainbow') return OutputStyle.rainbowAt(time);
+        if (color === 'gradient') return OutputStyle.gradientAt(width > 1 ? x / (width - 1) : 0);
+        return CellGrid.PALETTE[color];
+    }
+
+    /**
+     * Rainbow color some way into its cycle, blended between keyframes as CSS does
+     * @param {number} time - Seconds
+     * @returns {string} Hex color
+     */
+    static rainbowAt(time) {
+        const period = OutputStyle.RAINBOW_PERIOD;
+        const p = (((time % period) + period) % period) / period;
+        const keyframes = OutputStyle.RAINBOW_KEYFRAMES;
+        const i = keyframes.findIndex((keyframe, k) => p < keyframes[k + 1][0]);
+        const [from, a] = keyframes[i];
+        const [to, b] = keyframes[i + 1];
+        return OutputStyle.mix(a, b, (p - from) / (to - from));
+    }
+
+    /**
+     * Gradient color part way across
+     * @param {number} t - 0 (left) to 1 (right)
+     * @param {string[]} [stops] - Hex colors, evenly spaced
+     * @returns {string} Hex color
+     */
+    static gradientAt(t, stops = OutputStyle.GRADIENT) {
+        const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+        const i = Math.min(Math.floor(position), stops.length - 2);
+        return OutputStyle.mix(stops[i], stops[i + 1], position - i);
+    }
+
+    /**
+     * Blend two colors
+     * @param {string} a - Hex color at 0
+     * @param {string} b - Hex color at 1
+     * @param {number} f - 0 to 1
+     * @returns {string} Hex color
+     */
+    static mix(a, b, f) {
+        const from = CellGrid.parseColor(a);
+        const to = CellGrid.parseColor(b);
+        return '#' + ['r', 'g', 'b']
+            .map(k => Math.round(from[k] + (to[k] - from[k]) * f).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * A cell color as hex: PALETTE names are looked up, anything else is kept
+     * @param {?string} color - Cell fg/bg
+     * @returns {?string}
+     */
+    static resolve(color) {
+        if (!color) return null;
+        return CellGrid.PALETTE[color] || color;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutputStyle;
+}
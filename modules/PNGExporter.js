@@ -0,0 +1,152 @@
+/**
+ * PNG Exporter
+ * Draws output cells onto a canvas in a monospace font and encodes it as PNG,
+ * so colored and rainbow output can be shared as an image. Shared by both apps.
+ *
+ * Options: { fontFamily, fontSize, lineHeight, padding, scale, theme, transparent }
+ * - sizes are CSS pixels; scale multiplies the whole image (2 for sharp text on hi-dpi screens)
+ * - the background is the theme's output background unless transparent is set
+ * - color the cells with OutputStyle.apply first to get the output panel's colors
+ */
+class PNGExporter {
+    /**
+     * Default options, matching the output panel
+     * @returns {Object}
+     */
+    static get DEFAULTS() {
+        return {
+            fontFamily: OutputStyle.FONT_FAMILY,
+            fontSize: 14,
+            lineHeight: 1.2,
+            padding: 20,
+            scale: 2,
+            theme: OutputStyle.currentTheme(),
+            transparent: false
+        };
+    }
+
+    /**
+     * Render cells to a PNG file
+     * @param {CellGrid} cells - Output cells, colored
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {Promise<Blob>}
+     */
+    static async toBlob(cells, options = {}) {
+        return PNGExporter.encode(await PNGExporter.render(cells, options));
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Promise<Blob>} The canvas as a PNG file
+     */
+    static encode(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        });
+    }
+
+    /**
+     * Render cells to a new canvas, once the font has loaded
+     * @param {CellGrid} cells - Output cells, colored
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    static async render(cells, options = {}) {
+        const settings = PNGExporter.settings(options);
+        await PNGExporter.loadFont(settings);
+
+        const canvas = document.createElement('canvas');
+        const layout = PNGExporter.layout(canvas.getContext('2d'), cells, settings);
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+        PNGExporter.draw(canvas.getContext('2d'), cells, layout);
+        return canvas;
+    }
+
+    /**
+     * Wait for the web font; measuring before it arrives gets the fallback's width
+     * @param {Object} settings - { fontSize, fontFamily }
+     */
+    static async loadFont(settings) {
+        if (typeof document !== 'undefined' && document.fonts?.load) {
+            await document.fonts.load(`${settings.fontSize}px ${settings.fontFamily}`).catch(() => {});
+        }
+    }
+
+    /**
+     * Options with defaults filled in and sizes checked
+     * @param {Object} options
+     * @returns {Object}
+     */
+    static settings(options) {
+        const settings = { ...PNGExporter.DEFAULTS, ...options };
+        if (!(settings.scale > 0) || settings.scale > 8) {
+            throw new Error('Scale must be above 0 and at most 8');
+        }
+        if (!(settings.padding >= 0)) {
+            throw new Error('Padding must be 0 or more');
+        }
+        return settings;
+    }
+
+    /**
+     * Canvas size and character metrics for some cells
+     * @param {CanvasRenderingContext2D} ctx - Context to measure with
+     * @param {CellGrid} cells - Output cells
+     * @param {Object} settings - Filled-in options
+     * @returns {Object} Layout for draw(): settings plus charWidth, rowHeight, width, height
+     */
+    static layout(ctx, cells, settings) {
+        ctx.font = `${settings.fontSize}px ${settings.fontFamily}`;
+        const charWidth = ctx.measureText('M').width || settings.fontSize * 0.6;
+        const rowHeight = settings.fontSize * settings.lineHeight;
+        return {
+            ...settings,
+            charWidth,
+            rowHeight,
+            width: Math.max(1, Math.ceil((cells.width * charWidth + settings.padding * 2) * settings.scale)),
+            height: Math.max(1, Math.ceil((cells.height * rowHeight + settings.padding * 2) * settings.scale))
+        };
+    }
+
+    /**
+     * Draw cells onto a canvas sized by layout()
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {CellGrid} cells - Output cells, colored
+     * @param {Object} layout - From layout()
+     */
+    static draw(ctx, cells, layout) {
+        const { charWidth, rowHeight, padding, fontSize, fontFamily, scale } = layout;
+        const theme = OutputStyle.theme(layout.theme);
+
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ctx.clearRect(0, 0, layout.width / scale, layout.height / scale);
+        if (!layout.transparent) {
+            ctx.fillStyle = theme.background;
+            ctx.fillRect(0, 0, layout.width / scale, layout.height / scale);
+        }
+
+        ctx.textBaseline = 'middle';
+        cells.rows.forEach((row, y) => {
+            const top = padding + y * rowHeight;
+            row.forEach((cell, x) => {
+                const left = padding + x * charWidth;
+                if (cell.bg) {
+                    ctx.fillStyle = OutputStyle.resolve(cell.bg);
+                    // Overlap neighbours by a hair so rounding leaves no seams
+                    ctx.fillRect(left, top, charWidth + 0.5, rowHeight + 0.5);
+                }
+                if (cell.char === ' ') return;
+
+                ctx.font = `${cell.italic ? 'italic ' : ''}${cell.bold ? 'bold ' : ''}${fontSize}px ${fontFamily}`;
+                ctx.fillStyle = OutputStyle.resolve(cell.fg) || theme.foreground;
+                ctx.fillText(cell.char, left, top + rowHeight / 2);
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PNGExporter;
+}
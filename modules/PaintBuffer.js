@@ -0,0 +1,269 @@
+/**
+ * Paint Buffer
+ * Editing state behind the output editor: a CellGrid with a cursor, a box
+ * selection, a clipboard and undo/redo. Holds no DOM, so both apps share it.
+ *
+ * - Typing overwrites the cell under the cursor and keeps that cell's colors
+ * - Selections are rectangles: { x, y, width, height }
+ * - Every edit is one undo step; the grid grows when drawing past its edges
+ */
+class PaintBuffer {
+    /**
+     * Drawing tools the editor offers
+     * @returns {string[]}
+     */
+    static get TOOLS() {
+        return ['select', 'line', 'rect'];
+    }
+
+    /**
+     * Undo steps kept
+     */
+    static get HISTORY_LIMIT() {
+        return 100;
+    }
+
+    /**
+     * @param {CellGrid} cells - Grid to edit (copied)
+     */
+    constructor(cells) {
+        this.cells = cells.clone();
+        this.cursor = { x: 0, y: 0 };
+        this.lineStart = 0;
+        this.selection = null;
+        this.clipboard = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        // Counts changes to the cells, so callers can tell whether a key did anything
+        this.version = 0;
+    }
+
+    /**
+     * Run a change as one undo step
+     * @param {Function} change - () => void, edits this.cells
+     * @returns {PaintBuffer} This buffer
+     */
+    edit(change) {
+        this.undoStack.push(this.cells.clone());
+        if (this.undoStack.length > PaintBuffer.HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+        change();
+        this.version++;
+        return this;
+    }
+
+    /**
+     * @returns {boolean} Whether there was a step to undo
+     */
+    undo() {
+        if (!this.undoStack.length) return false;
+        this.redoStack.push(this.cells);
+        this.cells = this.undoStack.pop();
+        this.version++;
+        return true;
+    }
+
+    /**
+     * @returns {boolean} Whether there was a step to redo
+     */
+    redo() {
+        if (!this.redoStack.length) return false;
+        this.undoStack.push(this.cells);
+        this.cells = this.redoStack.pop();
+        this.version++;
+        return true;
+    }
+
+    /**
+     * Put the cursor on a cell; Enter returns to this column
+     * @param {number} x - Column
+     * @param {number} y - Row
+     */
+    setCursor(x, y) {
+        this.cursor = { x: Math.max(0, x), y: Math.max(0, y) };
+        this.lineStart = this.cursor.x;
+    }
+
+    /**
+     * @param {number} dx - Columns right (negative is left)
+     * @param {number} dy - Rows down (negative is up)
+     */
+    moveCursor(dx, dy) {
+        this.setCursor(this.cursor.x + dx, this.cursor.y + dy);
+    }
+
+    /**
+     * Overwrite the cell under the cursor and step right
+     * @param {string} char - One character
+     */
+    type(char) {
+        const { x, y } = this.cursor;
+        this.edit(() => this.cells.set(x, y, char));
+        this.cursor.x++;
+    }
+
+    /**
+     * Blank the cell left of the cursor and step onto it
+     */
+    backspace() {
+        if (this.cursor.x === 0) return;
+        this.cursor.x--;
+        const { x, y } = this.cursor;
+        if (this.cells.get(x, y)) this.edit(() => this.cells.set(x, y, ' '));
+    }
+
+    /**
+     * Blank the selection, or the cell under the cursor when nothing is selected
+     */
+    erase() {
+        if (this.selection) {
+            this.fill(' ');
+            return;
+        }
+        const { x, y } = this.cursor;
+        if (this.cells.get(x, y)) this.edit(() => this.cells.set(x, y, ' '));
+    }
+
+    /**
+     * Next row, back at the column typing started in
+     */
+    newline() {
+        this.cursor = { x: this.lineStart, y: this.cursor.y + 1 };
+    }
+
+    /**
+     * Select the rectangle between two opposite corners
+     * @returns {Object} The selection
+     */
+    select(x0, y0, x1, y1) {
+        const x = Math.max(0, Math.min(x0, x1));
+        const y = Math.max(0, Math.min(y0, y1));
+        this.selection = {
+            x,
+            y,
+            width: Math.max(x0, x1) - x + 1,
+            height: Math.max(y0, y1) - y + 1
+        };
+        return this.selection;
+    }
+
+    clearSelection() {
+        this.selection = null;
+    }
+
+    /**
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean} Whether the cell is inside the selection
+     */
+    isSelected(x, y) {
+        const s = this.selection;
+        return !!s && x >= s.x && x < s.x + s.width && y >= s.y && y < s.y + s.height;
+    }
+
+    /**
+     * Copy the selection into the clipboard
+     * @returns {string} The copied text, for the system clipboard
+     */
+    copy() {
+        if (!this.selection) return '';
+        this.clipboard = this.lift(this.selection);
+        return this.clipboard.toText();
+    }
+
+    /**
+     * Paste the clipboard with its top-left corner at the cursor
+     */
+    paste() {
+        if (!this.clipboard) return;
+        const { x, y } = this.cursor;
+        this.edit(() => this.stamp(this.clipboard, x, y));
+        this.select(x, y, x + this.clipboard.width - 1, y + this.clipboard.height - 1);
+    }
+
+    /**
+     * Move the selected cells, leaving spaces behind
+     * @param {number} dx - Columns right
+     * @param {number} dy - Rows down
+     */
+    moveSelection(dx, dy) {
+        const s = this.selection;
+        if (!s || (!dx && !dy)) return;
+
+        const moved = this.lift(s);
+        const x = Math.max(0, s.x + dx);
+        const y = Math.max(0, s.y + dy);
+        this.edit(() => {
+            this.fillRect(s, ' ');
+            this.stamp(moved, x, y);
+        });
+        this.selection = { ...s, x, y };
+    }
+
+    /**
+     * Set every selected cell to one character (space clears)
+     * @param {string} char - One character
+     */
+    fill(char) {
+        if (!this.selection) return;
+        this.edit(() => this.fillRect(this.selection, char));
+    }
+
+    /**
+     * Draw a box-drawing line (see BoxDrawing.line)
+     */
+    drawLine(x0, y0, x1, y1, style) {
+        this.edit(() => BoxDrawing.line(this.cells, x0, y0, x1, y1, style));
+    }
+
+    /**
+     * Draw a box-drawing rectangle (see BoxDrawing.rect)
+     */
+    drawRect(x0, y0, x1, y1, style) {
+        this.edit(() => BoxDrawing.rect(this.cells, x0, y0, x1, y1, style));
+    }
+
+    /**
+     * Copy of a rectangle's cells; cells past a row's end come back blank
+     * @param {Object} rect - { x, y, width, height }
+     * @returns {CellGrid}
+     */
+    lift(rect) {
+        return new CellGrid(Array.from({ length: rect.height }, (_, row) => (
+            Array.from({ length: rect.width }, (_, column) => {
+                const cell = this.cells.get(rect.x + column, rect.y + row);
+                return cell ? { ...cell } : CellGrid.cell();
+            })
+        )));
+    }
+
+    /**
+     * Write a grid's cells, style included, from a top-left cell
+     * @param {CellGrid} grid - Cells to write
+     * @param {number} x - Column
+     * @param {number} y - Row
+     */
+    stamp(grid, x, y) {
+        grid.rows.forEach((row, dy) => row.forEach((cell, dx) => {
+            this.cells.set(x + dx, y + dy, cell.char, cell);
+        }));
+    }
+
+    /**
+     * @param {Object} rect - { x, y, width, height }
+     * @param {string} char - Character for every cell
+     */
+    fillRect(rect, char) {
+        for (let y = rect.y; y < rect.y + rect.height; y++) {
+            for (let x = rect.x; x < rect.x + rect.width; x++) {
+                // Clearing cells past the end of a row would only add padding
+                if (char !== ' ' || this.cells.get(x, y)) this.cells.set(x, y, char);
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaintBuffer;
+}
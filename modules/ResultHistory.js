@@ -0,0 +1,103 @@
+/**
+ * Result History
+ * Bounded undo/redo stack of generation results. Each entry is a full snapshot:
+ * the input and options a result carries as well as its output, so stepping back
+ * restores what produced it. Shared by both apps.
+ *
+ * - push() drops anything ahead of the current entry, like any undo stack
+ * - Snapshots are copied on the way in; the current entry may be updated in
+ *   place (e.g. by the output editor) and keeps those changes
+ */
+class ResultHistory {
+    /**
+     * Entries kept by default
+     */
+    static get LIMIT() {
+        return 50;
+    }
+
+    /**
+     * @param {number} [limit] - Entries kept; the oldest go first
+     */
+    constructor(limit = ResultHistory.LIMIT) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('History limit must be a positive whole number');
+        }
+        this.limit = limit;
+        this.entries = [];
+        this.index = -1;
+    }
+
+    /**
+     * Record a result as the current entry
+     * @param {Object} result - Generation result
+     * @returns {Object} The stored snapshot
+     */
+    push(result) {
+        const snapshot = ResultHistory.snapshot(result);
+        this.entries.splice(this.index + 1);
+        this.entries.push(snapshot);
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+        this.index = this.entries.length - 1;
+        return snapshot;
+    }
+
+    /**
+     * @returns {Object|null} The current entry
+     */
+    get current() {
+        return this.entries[this.index] || null;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Step back one entry
+     * @returns {Object|null} The entry now current, or null at the oldest
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+        this.index--;
+        return this.current;
+    }
+
+    /**
+     * Step forward one entry
+     * @returns {Object|null} The entry now current, or null at the newest
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+        this.index++;
+        return this.current;
+    }
+
+    clear() {
+        this.entries = [];
+        this.index = -1;
+    }
+
+    /**
+     * Copy of a result that later changes to the original can't reach
+     * @param {Object} result - Generation result
+     * @returns {Object}
+     */
+    static snapshot(result) {
+        const copy = { ...result };
+        if (result.cells && typeof result.cells.clone === 'function') copy.cells = result.cells.clone();
+        if (result.metadata) copy.metadata = { ...result.metadata };
+        return copy;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultHistory;
+}
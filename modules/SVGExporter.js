@@ -0,0 +1,159 @@
+/**
+ * SVG Exporter
+ * Writes output cells as a scalable SVG for print: one <text> per line with
+ * xml:space="preserve", a <tspan> per run of equally colored characters (so one
+ * per character for rainbow and gradient output), and cell backgrounds as
+ * rectangles. Shared by both apps.
+ *
+ * Options: { fontFamily, fontSize, lineHeight, padding, theme, transparent, outline, dimensions }
+ * - columns are 0.6em wide, the advance of common monospace fonts; every run is
+ *   placed at its column, so a different fallback font can't drift out of line
+ * - outline draws block elements (█ ▀ ▄ ▌ ▐ ░ ▒ ▓ and the quadrants) as rectangles,
+ *   so banners made of them look the same without the font
+ * - dimensions ({ width, height } from the renderer's getDimensions) sets the viewBox
+ */
+class SVGExporter {
+    /**
+     * Default options, matching the output panel
+     * @returns {Object}
+     */
+    static get DEFAULTS() {
+        return {
+            fontFamily: OutputStyle.FONT_FAMILY,
+            fontSize: 14,
+            lineHeight: 1.2,
+            padding: 20,
+            theme: OutputStyle.currentTheme(),
+            transparent: false,
+            outline: false,
+            dimensions: null
+        };
+    }
+
+    /**
+     * Column width as a fraction of the font size
+     */
+    static get CHAR_WIDTH() {
+        return 0.6;
+    }
+
+    /**
+     * Block elements as rectangles in cell units: [x, y, width, height], plus opacity for shades
+     * @returns {Object} Character to { rects, opacity }
+     */
+    static get BLOCKS() {
+        const half = 0.5;
+        return {
+            '█': { rects: [[0, 0, 1, 1]] },
+            '▀': { rects: [[0, 0, 1, half]] },
+            '▄': { rects: [[0, half, 1, half]] },
+            '▌': { rects: [[0, 0, half, 1]] },
+            '▐': { rects: [[half, 0, half, 1]] },
+            '░': { rects: [[0, 0, 1, 1]], opacity: 0.25 },
+            '▒': { rects: [[0, 0, 1, 1]], opacity: 0.5 },
+            '▓': { rects: [[0, 0, 1, 1]], opacity: 0.75 },
+            '▖': { rects: [[0, half, half, half]] },
+            '▗': { rects: [[half, half, half, half]] },
+            '▘': { rects: [[0, 0, half, half]] },
+            '▝': { rects: [[half, 0, half, half]] },
+            '▙': { rects: [[0, 0, half, 1], [half, half, half, half]] },
+            '▛': { rects: [[0, 0, 1, half], [0, half, half, half]] },
+            '▜': { rects: [[0, 0, 1, half], [half, half, half, half]] },
+            '▟': { rects: [[half, 0, half, 1], [0, half, half, half]] },
+            '▚': { rects: [[0, 0, half, half], [half, half, half, half]] },
+            '▞': { rects: [[half, 0, half, half], [0, half, half, half]] }
+        };
+    }
+
+    /**
+     * Write cells as an SVG document
+     * @param {CellGrid} cells - Output cells, colored (see OutputStyle.apply)
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {string} SVG markup
+     */
+    static toSVG(cells, options = {}) {
+        const settings = { ...SVGExporter.DEFAULTS, ...options };
+        const { fontSize, padding, outline } = settings;
+        const theme = OutputStyle.theme(settings.theme);
+        const charWidth = fontSize * SVGExporter.CHAR_WIDTH;
+        const rowHeight = fontSize * settings.lineHeight;
+        const size = settings.dimensions || { width: cells.width, height: cells.height };
+        const width = SVGExporter.round(size.width * charWidth + padding * 2);
+        const height = SVGExporter.round(size.height * rowHeight + padding * 2);
+        const blocks = SVGExporter.BLOCKS;
+        const esc = CellGrid.escapeHtml;
+
+        const shapes = [];
+        const lines = [];
+        cells.rows.forEach((row, y) => {
+            const top = padding + y * rowHeight;
+
+            // Backgrounds, then (in outline mode) block characters, as rectangles
+            row.forEach((cell, x) => {
+                const left = padding + x * charWidth;
+                if (cell.bg) {
+                    shapes.push(SVGExporter.rect(left, top, charWidth, rowHeight, OutputStyle.resolve(cell.bg)));
+                }
+                const block = outline && blocks[cell.char];
+                if (block) {
+                    const fill = OutputStyle.resolve(cell.fg) || theme.foreground;
+                    block.rects.forEach(([bx, by, bw, bh]) => {
+                        shapes.push(SVGExporter.rect(left + bx * charWidth, top + by * rowHeight, bw * charWidth, bh * rowHeight, fill, block.opacity));
+                    });
+                }
+            });
+
+            // Outlined blocks are left out of the text as spaces, keeping columns in place
+            const textRow = outline ? row.map(cell => (blocks[cell.char] ? { ...cell, char: ' ' } : cell)) : row;
+            if (!textRow.some(cell => cell.char !== ' ')) return;
+
+            let column = 0;
+            const spans = CellGrid.runs(textRow).map(({ style, text }) => {
+                const x = padding + column * charWidth;
+                column += Array.from(text).length;
+                if (!text.trim()) return '';
+
+                const attrs = [`x="${SVGExporter.round(x)}"`];
+                const fill = OutputStyle.resolve(style.fg);
+                if (fill) attrs.push(`fill="${esc(fill)}"`);
+                if (style.bold) attrs.push('font-weight="bold"');
+                if (style.italic) attrs.push('font-style="italic"');
+                return `<tspan ${attrs.join(' ')}>${esc(text)}</tspan>`;
+            }).join('');
+            lines.push(`  <text y="${SVGExporter.round(top + rowHeight / 2)}" xml:space="preserve">${spans}</text>`);
+        });
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"`
+                + ` font-family="${esc(settings.fontFamily)}" font-size="${fontSize}" fill="${esc(theme.foreground)}" dominant-baseline="central">`,
+            settings.transparent ? null : `  <rect width="100%" height="100%" fill="${esc(theme.background)}"/>`,
+            ...shapes.map(shape => `  ${shape}`),
+            ...lines,
+            '</svg>',
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+
+    /**
+     * @returns {string} A <rect> element
+     */
+    static rect(x, y, width, height, fill, opacity) {
+        const r = SVGExporter.round;
+        const fade = opacity !== undefined ? ` fill-opacity="${opacity}"` : '';
+        return `<rect x="${r(x)}" y="${r(y)}" width="${r(width)}" height="${r(height)}" fill="${CellGrid.escapeHtml(fill)}"${fade}/>`;
+    }
+
+    /**
+     * Trim coordinates to two decimals
+     * @param {number} value
+     * @returns {number}
+     */
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SVGExporter;
+}
@@ -0,0 +1,286 @@
+/**
+ * Text Animator
+ * Animations that move the output's characters rather than the whole <pre>,
+ * which CSS can't do: each frame is a new CellGrid drawn into the element.
+ * The CSS animations (glow, wave, fade, blink) stay classes. Shared by both apps.
+ *
+ * - typewriter: reveals the visible characters one by one in reading order
+ * - scroll: a marquee; every row slides left and wraps around
+ * - floating: each line sways left and right, a little behind the line above
+ * - wipe: reveals the output column by column from the left
+ *
+ * frame() is pure, so exporters can record the same frames. speed multiplies
+ * every rate; reveals hold the finished output for a moment before looping.
+ */
+class TextAnimator {
+    /**
+     * Animations and their rates at speed 1
+     * @returns {Object} Name to { rate, loop } - rate in characters or columns per second
+     *   (floating: sways per second); loop says whether the animation repeats by default
+     */
+    static get ANIMATIONS() {
+        return {
+            typewriter: { rate: 40, loop: false },
+            scroll: { rate: 10, loop: true },
+            floating: { rate: 0.33, loop: true },
+            wipe: { rate: 30, loop: false }
+        };
+    }
+
+    /**
+     * Slowest and fastest speed
+     * @returns {{min: number, max: number}}
+     */
+    static get SPEED_RANGE() {
+        return { min: 0.25, max: 4 };
+    }
+
+    /**
+     * Seconds a finished reveal stays up before it starts over
+     */
+    static get HOLD() {
+        return 1.5;
+    }
+
+    /**
+     * Blank columns between the end of a scrolling row and its start coming round again
+     */
+    static get SCROLL_GAP() {
+        return 8;
+    }
+
+    /**
+     * Columns a floating line sways either side of its place
+     */
+    static get FLOAT_AMPLITUDE() {
+        return 2;
+    }
+
+    /**
+     * @param {string} name - Animation name
+     * @returns {boolean} Whether TextAnimator draws it (rather than a CSS class)
+     */
+    static has(name) {
+        return Object.prototype.hasOwnProperty.call(TextAnimator.ANIMATIONS, name);
+    }
+
+    /**
+     * @param {number} speed - Requested speed
+     * @returns {number} Speed within SPEED_RANGE, 1 if not a number
+     */
+    static clampSpeed(speed) {
+        const { min, max } = TextAnimator.SPEED_RANGE;
+        const value = parseFloat(speed);
+        return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : 1;
+    }
+
+    /**
+     * Seconds for one pass of an animation, hold included
+     * @param {string} name - Animation name
+     * @param {CellGrid} cells - Output cells
+     * @param {number} [speed=1]
+     * @returns {number}
+     */
+    static duration(name, cells, speed = 1) {
+        const { rate } = TextAnimator.ANIMATIONS[name];
+        const pace = rate * TextAnimator.clampSpeed(speed);
+        switch (name) {
+            case 'typewriter':
+                return TextAnimator.visibleCount(cells) / pace + TextAnimator.HOLD;
+            case 'scroll':
+                return (cells.width + TextAnimator.SCROLL_GAP) / pace;
+            case 'wipe':
+                return cells.width / pace + TextAnimator.HOLD;
+            default:
+                return 1 / pace;
+        }
+    }
+
+    /**
+     * The output t seconds into an animation; t wraps round after one pass
+     * @param {string} name - Animation name
+     * @param {CellGrid} cells - Output cells
+     * @param {number} t - Seconds since the start
+     * @param {number} [speed=1]
+     * @returns {CellGrid} A new grid; scroll and floating keep every frame the same size
+     */
+    static frame(name, cells, t, speed = 1) {
+        if (!TextAnimator.has(name)) {
+            throw new Error(`Unknown text animation "${name}"`);
+        }
+        const time = t % TextAnimator.duration(name, cells, speed);
+        const pace = TextAnimator.ANIMATIONS[name].rate * TextAnimator.clampSpeed(speed);
+        const width = cells.width;
+
+        switch (name) {
+            case 'typewriter': {
+                const shown = Math.floor(time * pace);
+                let seen = 0;
+                return cells.map(cell => {
+                    if (cell.char === ' ') return cell;
+                    return seen++ < shown ? cell : CellGrid.cell();
+                });
+            }
+            case 'wipe': {
+                const columns = Math.floor(time * pace);
+                return cells.map((cell, x) => (x < columns ? cell : CellGrid.cell()));
+            }
+            case 'scroll': {
+                const span = width + TextAnimator.SCROLL_GAP;
+                const shift = Math.floor(time * pace);
+                return new CellGrid(cells.rows.map(row => Array.from({ length: width }, (_, x) => {
+                    const source = row[(x + shift) % span];
+                    return source ? { ...source } : CellGrid.cell();
+                })));
+            }
+            default: {
+                const amplitude = TextAnimator.FLOAT_AMPLITUDE;
+                return new CellGrid(cells.rows.map((row, y) => {
+                    const wave = Math.sin(2 * Math.PI * time * pace - y * 0.6);
+                    const offset = Math.round(amplitude + amplitude * wave);
+                    const line = Array.from({ length: width + amplitude * 2 }, () => CellGrid.cell());
+                    row.forEach((cell, x) => {
+                        line[x + offset] = { ...cell };
+                    });
+                    return line;
+                }));
+            }
+        }
+    }
+
+    /**
+     * @param {CellGrid} cells
+     * @returns {number} Non-space characters
+     */
+    static visibleCount(cells) {
+        return cells.rows.reduce((sum, row) => sum + row.filter(cell => cell.char !== ' ').length, 0);
+    }
+
+    /**
+     * @param {HTMLElement} element - The output <pre>
+     * @param {Object} [options]
+     * @param {number} [options.fps=30] - Most frames drawn per second
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.fps = options.fps || 30;
+        this.state = {
+            name: null,
+            cells: null,
+            speed: 1,
+            loop: false,
+            clock: 0,
+            lastTime: null,
+            lastFrame: -1,
+            frameId: null,
+            savedHTML: null,
+            drawnHTML: null
+        };
+    }
+
+    /**
+     * @returns {boolean} Whether an animation is playing
+     */
+    get running() {
+        return this.state.frameId !== null;
+    }
+
+    /**
+     * Play an animation over the element's current output, stopping any other
+     * @param {string} name - Animation name
+     * @param {CellGrid} cells - The output as shown, colored
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - Rate multiplier
+     * @param {boolean} [options.loop] - Repeat; defaults to the animation's own setting
+     * @returns {boolean} Whether it started
+     */
+    start(name, cells, options = {}) {
+        this.stop();
+        if (!this.element || !cells || !TextAnimator.has(name) || typeof requestAnimationFrame === 'undefined') {
+            return false;
+        }
+
+        Object.assign(this.state, {
+            name,
+            cells,
+            speed: TextAnimator.clampSpeed(options.speed),
+            loop: options.loop ?? TextAnimator.ANIMATIONS[name].loop,
+            clock: 0,
+            lastTime: null,
+            lastFrame: -1,
+            savedHTML: this.element.innerHTML,
+            drawnHTML: this.element.innerHTML
+        });
+        this.state.frameId = requestAnimationFrame(time => this.tick(time));
+        console.log(`🎬 TextAnimator: ${name} started`);
+        return true;
+    }
+
+    /**
+     * Change the speed without restarting; the animation carries on from where it is
+     * @param {number} speed
+     */
+    setSpeed(speed) {
+        const state = this.state;
+        if (!state.name) {
+            state.speed = TextAnimator.clampSpeed(speed);
+            return;
+        }
+        // The clock is in seconds at the current speed; rescale it so the frame stays put
+        const next = TextAnimator.clampSpeed(speed);
+        state.clock = (state.clock * state.speed) / next;
+        state.speed = next;
+    }
+
+    /**
+     * Stop and put the full output back; if something else has replaced the output
+     * meanwhile, leave it alone
+     */
+    stop() {
+        const state = this.state;
+        if (state.frameId !== null) cancelAnimationFrame(state.frameId);
+        if (this.element && state.savedHTML !== null && this.element.innerHTML === state.drawnHTML) {
+            this.element.innerHTML = state.savedHTML;
+        }
+        if (state.name) console.log(`⏹️ TextAnimator: ${state.name} stopped`);
+        Object.assign(state, { name: null, cells: null, frameId: null, savedHTML: null, drawnHTML: null });
+    }
+
+    /**
+     * Draw the frame for the time, at most fps times a second
+     * @param {number} time - requestAnimationFrame timestamp (ms)
+     */
+    tick(time) {
+        const state = this.state;
+        // Someone else wrote to the output: it's no longer ours to animate or restore
+        if (this.element.innerHTML !== state.drawnHTML) {
+            state.savedHTML = null;
+            this.stop();
+            return;
+        }
+
+        if (state.lastTime !== null) state.clock += (time - state.lastTime) / 1000;
+        state.lastTime = time;
+
+        const duration = TextAnimator.duration(state.name, state.cells, state.speed);
+        // Without looping a reveal ends once everything shows, skipping the hold
+        const end = TextAnimator.ANIMATIONS[state.name].loop ? duration : duration - TextAnimator.HOLD;
+        if (!state.loop && state.clock >= end) {
+            this.stop();
+            return;
+        }
+
+        const frame = Math.floor(state.clock * this.fps);
+        if (frame !== state.lastFrame) {
+            state.lastFrame = frame;
+            this.element.innerHTML = TextAnimator.frame(state.name, state.cells, state.clock, state.speed).toHTML();
+            state.drawnHTML = this.element.innerHTML;
+        }
+        state.frameId = requestAnimationFrame(next => this.tick(next));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextAnimator;
+}
@@ -0,0 +1,101 @@
+/**
+ * Video Sampler
+ * Steps a local video file through a <video> element at a fixed frame rate,
+ * handing each frame to a callback while it's on screen, e.g. for
+ * CanvasSampler.sample(video, width, height). Shared by both apps.
+ *
+ * - Frames are taken by seeking, so sampling runs as fast as the browser can
+ *   decode rather than in real time, and the video never plays aloud
+ * - maxFrames caps long videos; the rest is left out
+ */
+class VideoSampler {
+    /**
+     * Ms to wait for the video to load or for one seek
+     */
+    static get TIMEOUT() {
+        return 10000;
+    }
+
+    /**
+     * Visit the frames of a video
+     * @param {File|Blob} file - Video file
+     * @param {Object} options
+     * @param {number} options.fps - Frames taken per second of video
+     * @param {number} [options.maxFrames=Infinity] - Most frames taken
+     * @param {Function} options.onFrame - (video, index, time) => value; may return a promise
+     * @returns {Promise<{values: Array, width: number, height: number, duration: number}>}
+     *   onFrame's return values in order, the video's pixel size and its length in seconds
+     */
+    static async sample(file, options) {
+        const { fps, maxFrames = Infinity, onFrame } = options;
+        if (!(fps > 0)) {
+            throw new Error('Frame rate must be above 0');
+        }
+        if (typeof document === 'undefined') {
+            throw new Error('Video input needs a browser');
+        }
+
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        const url = URL.createObjectURL(file);
+        try {
+            video.src = url;
+            await VideoSampler.waitFor(video, 'loadeddata', 'Video loading');
+            const { videoWidth: width, videoHeight: height, duration } = video;
+            if (!width || !height) {
+                throw new Error('Video has no picture');
+            }
+            if (!Number.isFinite(duration) || duration <= 0) {
+                throw new Error('Video length is unknown');
+            }
+
+            const count = Math.min(maxFrames, Math.max(1, Math.floor(duration * fps)));
+            const values = [];
+            for (let i = 0; i < count; i++) {
+                const time = i / fps;
+                // Seeking to where the video already is fires no event
+                if (Math.abs(video.currentTime - time) > 1e-3) {
+                    const seeked = VideoSampler.waitFor(video, 'seeked', 'Seeking');
+                    video.currentTime = time;
+                    await seeked;
+                }
+                values.push(await onFrame(video, i, time));
+            }
+            return { values, width, height, duration };
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Resolve on a media event; reject on an error or after TIMEOUT
+     * @param {HTMLVideoElement} video
+     * @param {string} event - Event name
+     * @param {string} operation - What's being waited for, for messages
+     * @returns {Promise<void>}
+     */
+    static waitFor(video, event, operation) {
+        return new Promise((resolve, reject) => {
+            const done = (callback) => (arg) => {
+                clearTimeout(timer);
+                video.removeEventListener(event, onEvent);
+                video.removeEventListener('error', onError);
+                callback(arg);
+            };
+            const onEvent = done(() => resolve());
+            const onError = done(() => reject(new Error(`${operation} failed; the browser may not play this video format`)));
+            const timer = setTimeout(done(() => reject(new Error(`${operation} timed out`))), VideoSampler.TIMEOUT);
+            video.addEventListener(event, onEvent);
+            video.addEventListener('error', onError);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoSampler;
+}
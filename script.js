@@ -1,692 +1,85 @@
 /**
  * Simple ASCII Art Generator - MVP Version
- * All fonts bundled inline for simplicity
+ * Fonts come from the shared FontRegistry (see fonts/builtin-fonts.js)
  */
 
-// Minimal built-in FontManager
+// Folder scanned for bundled FIGlet fonts (listed in its index.json)
+const BUNDLED_FIGLET_PATH = 'fonts/figlet/';
+
+// Minimal FontManager on top of the shared FontRegistry (tables in fonts/builtin-fonts.js)
 class FontManager {
     constructor() {
-        this.fonts = null;
-    }
-
-    ensureFonts() {
-        if (this.fonts) return;
-        const fonts = {};
-
-        // ===== ENHANCED CORE FONTS =====
-
-        // Standard (improved clarity)
-        fonts.standard = {
-            name: 'standard',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': [' ??? ', '   ? ', '  ?  ', '     ', '  ?  '],
-                '0': [' ### ', '#   #', '#   #', '#   #', ' ### '],
-                '1': ['  #  ', ' ##  ', '  #  ', '  #  ', ' ### '],
-                '2': [' ### ', '    #', '  #  ', ' #   ', '#####'],
-                '3': [' ### ', '    #', '  ## ', '    #', ' ### '],
-                '4': ['#   #', '#   #', ' ####', '    #', '    #'],
-                '5': ['#####', '#    ', ' ### ', '    #', '##### '],
-                '6': [' ### ', '#    ', '#### ', '#   #', ' ### '],
-                '7': ['#####', '    #', '   # ', '  #  ', ' #   '],
-                '8': [' ### ', '#   #', ' ### ', '#   #', ' ### '],
-                '9': [' ### ', '#   #', ' ####', '    #', ' ### '],
-                'A': [' ### ', '#   #', '#####', '#   #', '#   #'],
-                'B': ['#### ', '#   #', '#### ', '#   #', '#### '],
-                'C': [' ### ', '#    ', '#    ', '#    ', ' ### '],
-                'D': ['#### ', '#   #', '#   #', '#   #', '#### '],
-                'E': ['#####', '#    ', '#### ', '#    ', '#####'],
-                'F': ['#####', '#    ', '#### ', '#    ', '#    '],
-                'G': [' ### ', '#    ', '#  ##', '#   #', ' ### '],
-                'H': ['#   #', '#   #', '#####', '#   #', '#   #'],
-                'I': ['#####', '  #  ', '  #  ', '  #  ', '#####'],
-                'J': [' ###', '   #', '   #', '#  #', ' ## '],
-                'K': ['#   #', '#  # ', '###  ', '#  # ', '#   #'],
-                'L': ['#    ', '#    ', '#    ', '#    ', '#####'],
-                'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
-                'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
-                'O': [' ### ', '#   #', '#   #', '#   #', ' ### '],
-                'P': ['#### ', '#   #', '#### ', '#    ', '#    '],
-                'Q': [' ### ', '#   #', '#   #', '#  # ', ' ####'],
-                'R': ['#### ', '#   #', '#### ', '#  # ', '#   #'],
-                'S': [' ####', '#    ', ' ### ', '    #', '#### '],
-                'T': ['#####', '  #  ', '  #  ', '  #  ', '  #  '],
-                'U': ['#   #', '#   #', '#   #', '#   #', ' ### '],
-                'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
-                'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
-                'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
-                'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
-                'Z': ['#####', '   # ', '  #  ', ' #   ', '#####']
-            }
-        };
-
-        // Block (solid)
-        fonts.block = {
-            name: 'block',
-            height: 5,
-            glyphs: this._makeBlockVariant(fonts.standard.glyphs)
-        };
-
-        // Mini 3-row compact
-        fonts.mini = {
-            name: 'mini',
-            height: 3,
-            glyphs: {
-                ' ': ['   ', '   ', '   '],
-                '?': [' ? ', ' ? ', '   '],
-                '0': ['###', '# #', '###'],
-                '1': [' ##', '  #', '###'],
-                '2': ['## ', ' # ', '###'],
-                '3': ['## ', ' ##', '## '],
-                '4': ['# #', '###', '  #'],
-                '5': ['###', '##', '## '],
-                '6': ['## ', '###', '## '],
-                '7': ['###', '  #', '  #'],
-                '8': ['###', '###', '###'],
-                '9': ['###', '## ', '###'],
-                'A': [' # ', '# #', '###'],
-                'B': ['##', '##', '##'],
-                'C': [' ##', '#  ', '## '],
-                'D': ['##', '# #', '##'],
-                'E': ['###', '##', '###'],
-                'F': ['###', '##', '#  '],
-                'G': [' ##', '# #', '## '],
-                'H': ['# #', '###', '# #'],
-                'I': ['###', ' # ', '###'],
-                'J': ['###', '  #', '## '],
-                'K': ['# #', '##', '# #'],
-                'L': ['#  ', '#  ', '###'],
-                'M': ['###', '###', '# #'],
-                'N': ['##', '###', '# #'],
-                'O': ['###', '# #', '###'],
-                'P': ['##', '##', '#  '],
-                'Q': ['###', '# #', '###'],
-                'R': ['##', '##', '# #'],
-                'S': [' ##', '##', '## '],
-                'T': ['###', ' # ', ' # '],
-                'U': ['# #', '# #', '###'],
-                'V': ['# #', '# #', ' # '],
-                'W': ['# #', '###', '###'],
-                'X': ['# #', ' # ', '# #'],
-                'Y': ['# #', ' # ', ' # '],
-                'Z': ['###', ' # ', '###']
-            }
-        };
-
-        // Small (compact but readable)
-        fonts.small = {
-            name: 'small',
-            height: 5,
-            glyphs: {
-                ' ': ['   ', '   ', '   ', '   ', '   '],
-                '?': [' ? ', ' ? ', '   ', '   ', '   '],
-                '0': ['## ', '# #', '# #', '# #', '## '],
-                '1': [' # ', '## ', ' # ', ' # ', '###'],
-                '2': ['## ', '  #', ' ##', ' #  ', '###'],
-                '3': ['## ', '  #', ' ## ', '  #', '## '],
-                '4': ['# #', '###', '  #', '  #', '  #'],
-                '5': ['###', '#  ', '## ', '  #', '## '],
-                '6': ['## ', '#  ', '###', '# #', '## '],
-                '7': ['###', '  #', ' # ', '#  ', '#  '],
-                '8': ['## ', '# #', '## ', '# #', '## '],
-                '9': ['## ', '# #', '###', '  #', '## '],
-                'A': [' # ', '# #', '###', '# #', '# #'],
-                'B': ['##', '# #', '##', '# #', '##'],
-                'C': [' ##', '#  ', '#  ', '#  ', '##'],
-                'D': ['##', '# #', '# #', '# #', '##'],
-                'E': ['###', '#  ', '## ', '#  ', '###'],
-                'F': ['###', '#  ', '## ', '#  ', '#  '],
-                'G': [' ##', '#  ', '# #', '# #', '## '],
-                'H': ['# #', '# #', '###', '# #', '# #'],
-                'I': ['###', ' # ', ' # ', ' # ', '###'],
-                'J': ['  #', '  #', '  #', '# #', '## '],
-                'K': ['# #', ' ##', '#  ', ' ##', '# #'],
-                'L': ['#  ', '#  ', '#    ', '#  ', '###'],
-                'M': ['# #', '###', '# #', '# #', '# #'],
-                'N': ['##', '# #', '# #', '# #', '##'],
-                'O': ['## ', '# #', '# #', '# #', '## '],
-                'P': ['##', '# #', '##', '#  ', '#  '],
-                'Q': ['## ', '# #', '# #', '## ', '  #'],
-                'R': ['##', '# #', '##', ' ##', '# #'],
-                'S': [' ##', '#  ', '## ', '  #', '## '],
-                'T': ['###', ' # ', ' # ', ' # ', ' # '],
-                'U': ['# #', '# #', '# #', '# #', '## '],
-                'V': ['# #', '# #', '# #', ' ##', ' # '],
-                'W': ['# #', '# #', '###', '###', '# #'],
-                'X': ['# #', ' ##', ' # ', ' ##', '# #'],
-                'Y': ['# #', ' ##', ' # ', ' # ', ' # '],
-                'Z': ['###', '  #', ' # ', ' # ', '###']
-            }
-        };
-
-        // Bubble (rounded)
-        fonts.bubble = {
-            name: 'bubble',
-            height: 5,
-            glyphs: {
-                ' ': ['    ', '    ', '    ', '    ', '    '],
-                '?': [' ?? ', '  ? ', '    ', '  ? ', '    '],
-                '0': [' oo ', 'o  o', 'o  o', 'o  o', ' oo '],
-                '1': [' o  ', 'oo  ', ' o  ', ' o  ', 'ooo '],
-                '2': [' oo ', 'o  o', '   o', ' o  ', 'oooo'],
-                '3': [' oo ', 'o  o', '  o ', 'o  o', ' oo '],
-                '4': ['o   ', 'o  o', 'oooo', '   o', '   o'],
-                '5': ['oooo', 'o   ', ' oo ', '   o', ' oo '],
-                '6': [' oo ', 'o   ', 'ooo ', 'o  o', ' oo '],
-                '7': ['oooo', '   o', '  o ', ' o  ', ' o  '],
-                '8': [' oo ', 'o  o', ' oo ', 'o  o', ' oo '],
-                '9': [' oo ', 'o  o', ' ooo', '   o', ' oo '],
-                'A': [' oo ', 'o  o', 'oooo', 'o  o', 'o  o'],
-                'B': ['ooo ', 'o  o', 'ooo ', 'o  o', 'ooo '],
-                'C': [' oo ', 'o   ', 'o   ', 'o   ', ' oo '],
-                'D': ['ooo ', 'o  o', 'o  o', 'o  o', 'ooo '],
-                'E': ['oooo', 'o   ', 'ooo ', 'o   ', 'oooo'],
-                'F': ['oooo', 'o   ', 'ooo ', 'o   ', 'o   '],
-                'G': [' oo ', 'o   ', 'o oo', 'o  o', ' oo '],
-                'H': ['o  o', 'o  o', 'oooo', 'o  o', 'o  o'],
-                'I': [' ooo', '  o ', '  o ', '  o ', ' ooo'],
-                'J': ['  oo', '   o', '   o', 'o  o', ' oo '],
-                'K': ['o  o', ' oo ', 'o   ', ' oo ', 'o  o'],
-                'L': ['o   ', 'o   ', 'o   ', 'o   ', 'oooo'],
-                'M': ['o   o', 'oo oo', 'o o o', 'o   o', 'o   o'],
-                'N': ['oo  o', 'o o o', 'o o o', 'o  oo', 'o   o'],
-                'O': [' oo ', 'o  o', 'o  o', 'o  o', ' oo '],
-                'P': ['ooo ', 'o  o', 'ooo ', 'o   ', 'o   '],
-                'Q': [' oo ', 'o  o', 'o  o', 'o oo', ' ooo'],
-                'R': ['ooo ', 'o  o', 'ooo ', 'o  o', 'o  o'],
-                'S': [' ooo', 'o   ', ' oo ', '   o', 'ooo '],
-                'T': ['oooo', '  o ', '  o ', '  o ', '  o '],
-                'U': ['o  o', 'o  o', 'o  o', 'o  o', ' oo '],
-                'V': ['o  o', 'o  o', 'o  o', ' oo ', '  o '],
-                'W': ['o   o', 'o   o', 'o o o', 'oo oo', 'o   o'],
-                'X': ['o  o', ' oo ', '  o ', ' oo ', 'o  o'],
-                'Y': ['o  o', ' oo ', '  o ', '  o ', '  o '],
-                'Z': ['oooo', '   o', '  o ', ' #   ', '#####']
-            }
-        };
-
-        // 3D (depth effect)
-        fonts['3d'] = {
-            name: '3d',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': ['  ?  ', '  ?  ', '     ', '  ?  ', '     '],
-                '0': [' ### ', '#  ##', '#  ##', ' ### ', '     '],
-                '1': ['   # ', '  ## ', '   # ', '   # ', '  ###'],
-                '2': [' ### ', '#   #', '   # ', '  #  ', ' ####'],
-                '3': [' ### ', '   ##', '   # ', '#  ##', ' ### '],
-                '4': ['#   #', '#   #', ' #### ', '    #', '    #'],
-                '5': [' #### ', '#     ', ' #### ', '     #', ' #### '],
-                '6': [' ### ', '#    ', ' ###', '#  ##', ' ### '],
-                '7': [' ####', '    #', '   # ', '  #  ', ' #   '],
-                '8': [' ### ', '#  ##', ' ### ', '#  ##', ' ### '],
-                '9': [' ### ', '#  ##', ' ####', '    #', ' ### '],
-                'A': ['  #  ', ' ###', '#   #', ' #### ', '#   #'],
-                'B': [' #### ', '#    #', ' ### ', '#    #', ' #### '],
-                'C': [' ###', '#   ', '#   ', '#   ', ' ###'],
-                'D': [' #### ', '#    #', '#    #', '#    #', ' #### '],
-                'E': [' #### ', '#     ', ' ### ', '#     ', ' #### '],
-                'F': [' #### ', '#     ', ' ### ', '#     ', '#     '],
-                'G': [' ###', '#   ', '#  ##', '#   #', ' ###'],
-                'H': ['#   #', '#   #', ' #### ', '#   #', '#   #'],
-                'I': [' ### ', '  #  ', '  #  ', '  #  ', ' ### '],
-                'J': ['    #', '    #', '    #', '#   #', ' ### '],
-                'K': ['#   #', '  ##', ' #   ', '  ##', '#   #'],
-                'L': ['#    ', '#    ', '#    ', '#    ', ' #### '],
-                'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
-                'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
-                'O': [' ### ', '#   #', '#   #', '#   #', ' ### '],
-                'P': [' ####', '#   #', ' #### ', '#    ', '#    '],
-                'Q': [' ### ', '#   #', '#   #', ' ### ', '    #'],
-                'R': [' ####', '#   #', ' #### ', '#  #░', '#   #'],
-                'S': [' ####', '#    ', ' ### ', '    #', ' ####'],
-                'T': [' ####', '  #  ', '  #  ', '  #  ', '  #  '],
-                'U': ['#   #', '#   #', '#   #', '#   #', ' ### '],
-                'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
-                'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
-                'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
-                'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
-                'Z': [' #### ', '    #', '   # ', '  #  ', ' #### ']
-            }
-        };
-
-        // ===== NEW FONT STYLES (10 NEW) =====
-
-        // Outlined (box style)
-        fonts.outlined = {
-            name: 'outlined',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': [' [?] ', '  ?  ', '     ', '  ?  ', '     '],
-                '0': [' ___ ', '|   |', '|   |', '|   |', ' ‾‾‾ '],
-                '1': ['  |  ', ' _|  ', '  |  ', '  |  ', ' _|_ '],
-                '2': [' ___ ', '    |', '  _  ', ' |   ', ' ____ '],
-                '3': [' ___ ', '    |', '  __ ', '    |', ' ‾‾‾ '],
-                '4': ['|   |', '|___|', '    |', '    |', '    |'],
-                '5': [' ___ ', '|    ', ' ‾‾| ', '    |', '___  '],
-                '6': [' ___ ', '|    ', '| __ ', '|   |', ' ‾‾‾ '],
-                '7': [' ___ ', '    |', '   | ', '  |  ', '  |  '],
-                '8': [' ___ ', '|   |', ' ___ ', '|   |', ' ‾‾‾ '],
-                '9': [' ___ ', '|   |', ' ____', '    |', ' ‾‾‾ '],
-                'A': ['  _  ', ' / \\ ', '/   \\', '\\___/', '     '],
-                'B': [' ___ ', '|   |', '|___|', '|   |', '|___|'],
-                'C': [' ___ ', '|    ', '|    ', '|    ', ' ‾‾‾ '],
-                'D': [' ___ ', '|   \\', '|   |', '|   /', ' ‾‾‾ '],
-                'E': [' ___ ', '|    ', '|___ ', '|    ', '|___ '],
-                'F': [' ___ ', '|    ', '|___ ', '|    ', '|    '],
-                'G': [' ___ ', '|    ', '| __ ', '|   |', ' ‾‾‾ '],
-                'H': ['|   |', '|   |', '|___|', '|   |', '|   |'],
-                'I': [' ___ ', '  |  ', '  |  ', '  |  ', ' ___ '],
-                'J': ['  __ ', '    |', '    |', '|   |', ' ___ '],
-                'K': ['|   |', '|  / ', '| /  ', '|  \\\\', '|   |'],
-                'L': ['|    ', '|    ', '|    ', '|    ', '|___ '],
-                'M': ['|   |', '|\\ /|', '| V |', '|   |', '|   |'],
-                'N': ['|\\  |', '| \\ |', '|  \\|', '|   |', '|   |'],
-                'O': [' ___ ', '|   |', '|   |', '|   |', ' ‾‾‾ '],
-                'P': [' ___ ', '|   |', '|___ ', '|    ', '|    '],
-                'Q': [' ___ ', '|   |', '|   |', '|  / ', ' ‾\\ '],
-                'R': [' ___ ', '|   |', '|___ ', '|  \\\\', '|   |'],
-                'S': [' ___ ', '|    ', ' ___ ', '    |', '___  '],
-                'T': [' ___ ', '  |  ', '  |  ', '  |  ', '  |  '],
-                'U': ['|   |', '|   |', '|   |', '|   |', ' ‾‾‾ '],
-                'V': ['|   |', '|   |', '|   |', ' | | ', '  V  '],
-                'W': ['|   |', '|   |', '| | |', '| | |', '  W  '],
-                'X': ['|   |', ' \\ / ', '  X  ', ' / \\ ', '|   |'],
-                'Y': ['|   |', ' \\ / ', '  Y  ', '  |  ', '  |  '],
-                'Z': [' ___ ', '   / ', '  /  ', ' /   ', '/‾‾‾ ']
-            }
-        };
-
-        // Italic (slanted)
-        fonts.italic = {
-            name: 'italic',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': ['  ?  ', '  ?  ', '     ', '  ?  ', '     '],
-                '0': ['  ##/', '#  / ', '#  \\ ', '#  \\ ', ' ##\\ '],
-                '1': ['  / ', ' // ', '  / ', '  / ', '////'],
-                '2': [' ##/', '   / ', '  /  ', ' /   ', '///  '],
-                '3': [' ##/', '   / ', ' //  ', '   / ', '###  '],
-                '4': ['#   #', '#  / ', '/////', '   / ', '   / '],
-                '5': ['///  ', '/    ', ' ##/ ', '    / ', '###  '],
-                '6': ['##/ ', '/    ', '#### ', '/   / ', ' ##\\ '],
-                '7': ['/// ', '   / ', '  /  ', ' /   ', '/    '],
-                '8': ['##/ ', '/   / ', ' ##/ ', '/   / ', ' ##\\ '],
-                '9': ['##/ ', '/   / ', ' ###/ ', '   / ', ' ###/ '],
-                'A': ['  / ', ' / \\ ', '/   \\ ', '\\  / ', ' \\ / '],
-                'B': ['##/ ', '/  / ', '##/ ', '/  / ', '##/ '],
-                'C': [' ##/', '/   ', '/   ', '/   ', ' ##\\'],
-                'D': ['##/ ', '/  / ', '/  / ', '/  / ', '##\\'],
-                'E': ['///  ', '/    ', '//   ', '/    ', '///  '],
-                'F': ['///  ', '/    ', '//   ', '/    ', '/    '],
-                'G': [' ##/ ', '/    ', '/  ##', '/   / ', ' ##\\ '],
-                'H': ['/  / ', '/  / ', '/////', '/  / ', '/  / '],
-                'I': [' /// ', '  /  ', '  /  ', '  /  ', ' /// '],
-                'J': ['  ###', '    / ', '    / ', ' /  / ', ' ##/ '],
-                'K': ['/   / ', '  //  ', ' //   ', '  //  ', '/   / '],
-                'L': ['/    ', '|    ', '|    ', '|    ', '//// '],
-                'M': ['/   / ', '\\ // / ', ' / / ', '/   / ', '/   / '],
-                'N': [' \\ / ', '\\\\/ / ', ' / / ', '/  \\\\ ', '/   / '],
-                'O': [' ##/ ', '/   / ', '/   / ', '/   / ', ' ##\\ '],
-                'P': ['##/ ', '/  / ', '##/ ', '/   ', '/   '],
-                'Q': [' ##/ ', '/   / ', '/   / ', ' ##/ ', '   \\\\'],
-                'R': ['##/ ', '/  / ', '##/ ', '/  / ', '/   / '],
-                'S': [' ##/ ', '/    ', ' ##/ ', '    / ', '###  '],
-                'T': [' /// ', '  /  ', '  /  ', '  /  ', '  /  '],
-                'U': ['/   / ', '/   / ', '/   / ', '/   / ', ' ##/ '],
-                'V': ['/   / ', '/   / ', ' / / ', ' / / ', '  /  '],
-                'W': ['/   / ', '/   / ', ' / / / ', ' / / / ', '/   / '],
-                'X': ['/   / ', ' / / ', '  /  ', ' / \\ ', '/   / '],
-                'Y': ['/   / ', ' / / ', '  /  ', '  /  ', '  /  '],
-                'Z': [' /// ', '   / ', '  /  ', ' /   ', '//// ']
-            }
-        };
-
-        // Shadow (3D drop shadow)
-        fonts.shadow = {
-            name: 'shadow',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': [' ??? ', '  ?░ ', ' ░   ', '  ?░ ', ' ░░░ '],
-                '0': [' ### ', '#  #░', '#  #░', '#  #░', ' ###░'],
-                '1': ['  # ░', ' ##░ ', '  #░ ', '  #░ ', ' ###░'],
-                '2': [' ###░', '#   #', '   #░', '  # ░', '#####'],
-                '3': [' ###░', '   ##', '  ##░', '   ##', ' ###░'],
-                '4': ['#   #', '#   #', ' ####', '   #░', '   ##'],
-                '5': [' ####', '#   ░', ' ###░', '    #', ' ###░'],
-                '6': [' ###░', '#   ░', ' ####', '#   #', ' ###░'],
-                '7': ['#####', '   #░', '  #░ ', '  # ░', '  ##░'],
-                '8': [' ###░', '#   #', ' ###░', '#   #', ' ###░'],
-                '9': [' ###░', '#   #', ' ####', '   ##', ' ###░'],
-                'A': [' ### ', '#  #░', ' ####', '#   #', '#   #'],
-                'B': [' ####', '#   #', ' ####', '#   #', ' ####'],
-                'C': [' ### ', '#   ░', '#    ', '#   ░', ' ### '],
-                'D': [' ####', '#   #', '#   #', '#   #', ' ####'],
-                'E': [' ####', '#    ', ' ####', '#    ', ' ####'],
-                'F': [' ####', '#    ', ' ### ', '#    ', '#    '],
-                'G': [' ### ', '#    ', '#  ##', '#   #', ' ### '],
-                'H': ['#   #', '#   #', ' ####', '#   #', '#   #'],
-                'I': [' ### ', '  #  ', '  #  ', '  #  ', ' ### '],
-                'J': ['    #', '    #', '    #', '#   #', ' ### '],
-                'K': ['#   #', '  ##', ' #   ', '  ##', '#   #'],
-                'L': ['#    ', '#    ', '#    ', '#    ', ' ####'],
-                'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
-                'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
-                'O': [' ### ', '#   #', '#   #', '#   #', ' ### '],
-                'P': [' ####', '#   #', ' #### ', '#    ', '#    '],
-                'Q': [' ### ', '#   #', '#   #', ' ####', '   ##'],
-                'R': [' ####', '#   #', ' #### ', '#  #░', '#   #'],
-                'S': [' ####', '#    ', ' ### ', '    #', ' ####'],
-                'T': [' ####', '  #  ', '  #  ', '  #  ', '  #  '],
-                'U': ['#   #', '#   #', '#   #', '#   #', ' ### '],
-                'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
-                'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
-                'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
-                'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
-                'Z': [' ####', '   # ', '  #  ', ' #   ', ' ####']
-            }
-        };
-
-        // Retro (80s style with slashes)
-        fonts.retro = {
-            name: 'retro',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': [' |?| ', '  ?  ', '     ', '  ?  ', '     '],
-                '0': ['|###|', '#   #', '#   #', '#   #', '|###|'],
-                '1': ['  |  ', ' ||  ', '  |  ', '  |  ', ' |||'],
-                '2': ['|###|', '    #', '  |  ', '  #  ', '|###|'],
-                '3': ['|###|', '    #', ' |#| ', '    #', '|###|'],
-                '4': ['|   |', '#   #', '|###|', '    #', '    |'],
-                '5': ['|###|', '#    ', '|##| ', '    #', '|###|'],
-                '6': ['|###|', '#    ', '|###|', '#   #', '|###|'],
-                '7': ['|###|', '    #', '   | ', '  |  ', ' |   '],
-                '8': ['|###|', '#   #', '|###|', '#   #', '|###|'],
-                '9': ['|###|', '#   #', '|####', '    #', '|###|'],
-                'A': [' |#| ', ' # # ', '|###|', '#   #', '#   #'],
-                'B': ['|##| ', '#   #', '|##| ', '#   #', '|##| '],
-                'C': [' |#| ', '#    ', '#    ', '#    ', ' |#| '],
-                'D': ['|##| ', '#   #', '#   #', '#   #', '|##| '],
-                'E': ['|###|', '#    ', '|### ', '#    ', '|###|'],
-                'F': ['|###|', '#    ', '|### ', '#    ', '#    '],
-                'G': [' |#| ', '#    ', '# |#|', '#   #', ' |#| '],
-                'H': ['#   #', '#   #', '|###|', '#   #', '#   #'],
-                'I': ['|###|', '  #  ', '  #  ', '  #  ', '|###|'],
-                'J': ['|###|', '   # ', '   # ', '#  # ', ' ##  '],
-                'K': ['#   #', '#  | ', '|#   ', '#  | ', '#   #'],
-                'L': ['#    ', '#    ', '#    ', '#    ', '|###|'],
-                'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
-                'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
-                'O': [' |#| ', '#   #', '#   #', '#   #', ' |#| '],
-                'P': ['|##| ', '#   #', '|##| ', '#    ', '#    '],
-                'Q': [' |#| ', '#   #', '#   #', ' |##|', '    |'],
-                'R': ['|##| ', '#   #', '|##| ', '#  | ', '#   #'],
-                'S': [' |#| ', '#    ', ' |#| ', '    #', ' |#| '],
-                'T': ['|###|', '  #  ', '  #  ', '  #  ', '  #  '],
-                'U': ['#   #', '#   #', '#   #', '#   #', ' |#| '],
-                'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
-                'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
-                'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
-                'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
-                'Z': ['|###|', '   # ', '  #  ', ' #   ', '|###|']
-            }
-        };
+        this.registry = FontRegistry.shared;
+    }
 
-        // Tech (futuristic)
-        fonts.tech = {
-            name: 'tech',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': [' [?] ', ' [?] ', '     ', ' [?] ', '     '],
-                '0': ['[###]', '#   #', '#   #', '#   #', '[###]'],
-                '1': ['  [# ', ' [## ', '  [# ', '  [# ', '[###]'],
-                '2': ['[### ', '    #', '  [  ', '  #  ', '[###]'],
-                '3': ['[### ', '    #', ' [## ', '    #', '[###]'],
-                '4': ['#   #', '#   #', '[####', '    #', '    #'],
-                '5': ['[###]', '#    ', ' [##]', '    #', '[###]'],
-                '6': ['[###]', '#    ', '[##] ', '#   #', '[###]'],
-                '7': ['[###]', '    #', '   [ ', '  [  ', ' [   '],
-                '8': ['[###]', '#   #', '[###]', '#   #', '[###]'],
-                '9': ['[###]', '#   #', '[####', '    #', '[###]'],
-                'A': [' [#] ', ' # # ', '[###]', '#   #', '#   #'],
-                'B': ['[##]', '#   #', '[##]', '#   #', '[##]'],
-                'C': [' [#] ', '#    ', '#    ', '#    ', ' [#] '],
-                'D': ['[##]', '#   #', '#   #', '#   #', '[##]'],
-                'E': ['[###]', '#    ', '[##]', '#    ', '[###]'],
-                'F': ['[###]', '#    ', '[##]', '#    ', '#    '],
-                'G': [' [#] ', '#    ', '# [#]', '#   #', ' [#] '],
-                'H': ['#   #', '#   #', '[###]', '#   #', '#   #'],
-                'I': ['[###]', '  #  ', '  #  ', '  #  ', '[###]'],
-                'J': ['[###]', '   # ', '   # ', '#  # ', ' [#] '],
-                'K': ['#   #', '#  [ ', '[#   ', '#  [ ', '#   #'],
-                'L': ['#    ', '#    ', '#    ', '#    ', '[###]'],
-                'M': ['#   #', '## ##', '# # #', '#   #', '#   #'],
-                'N': ['#   #', '##  #', '# # #', '#  ##', '#   #'],
-                'O': [' [#] ', '#   #', '#   #', '#   #', ' [#] '],
-                'P': ['[##]', '#   #', '[##]', '#    ', '#    '],
-                'Q': [' [#] ', '#   #', '#   #', ' [##]', '    #'],
-                'R': ['[##]', '#   #', '[##]', '#  [ ', '#   #'],
-                'S': [' [#] ', '#    ', ' [#] ', '    #', ' [#] '],
-                'T': ['[###]', '  #  ', '  #  ', '  #  ', '  #  '],
-                'U': ['#   #', '#   #', '#   #', '#   #', ' [#] '],
-                'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
-                'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
-                'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
-                'Y': ['#   #', ' # # ', '  #  ', '  #  ', '  #  '],
-                'Z': ['[###]', '   # ', '  #  ', ' #   ', '[###]']
-            }
-        };
+    getFont(name) {
+        const key = (name || 'standard').toLowerCase();
+        try {
+            // Missing printable characters are synthesized from the standard font
+            const font = this.registry.getWithFallbacks(key);
+            if (font) return font;
+        } catch (error) {
+            console.error(`❌ Failed to load font ${key}:`, error);
+        }
+        return this.registry.get('standard');
+    }
 
-        // Gothic (medieval/dark)
-        fonts.gothic = {
-            name: 'gothic',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': [' |?| ', '  ?  ', '     ', '  ?  ', ' |_| '],
-                '0': [' |#| ', '#   #', '#   #', '#   #', ' |#| '],
-                '1': ['  |  ', ' ||  ', '  |  ', '  |  ', ' _|_ '],
-                '2': [' |#| ', '    #', '  |  ', '  #  ', '  |# '],
-                '3': [' |#| ', '    #', ' |#| ', '    #', ' |#| '],
-                '4': [' # | ', '#  | ', ' _||_', '    | ', '    | '],
-                '5': [' |# | ', '|    ', ' |## ', '    #', ' |## '],
-                '6': [' |## ', '|    ', ' |##|', '#   #', ' |##|'],
-                '7': [' |##|', '    #', '   | ', '  |  ', ' |   '],
-                '8': [' |#| ', '#   #', ' |#| ', '#   #', ' |#| '],
-                '9': [' |#| ', '#   #', ' _##|', '    #', ' |##|'],
-                'A': [' |#| ', ' # # ', ' ### ', '#   #', '#   #'],
-                'B': [' |## ', '#   #', ' |## ', '#   #', ' |##|'],
-                'C': [' |## ', '#    ', '|    ', '#    ', ' |##|'],
-                'D': [' |## ', '#   #', '|   #', '#   #', ' |##|'],
-                'E': [' |## ', '|    ', ' |#  ', '|    ', ' |##|'],
-                'F': [' |## ', '|    ', ' |#  ', '|    ', '|    '],
-                'G': [' |## ', '|    ', '| _##', '#   #', ' |##|'],
-                'H': ['|   |', '#   #', ' ___ ', '#   #', '#   #'],
-                'I': [' |## ', '  |  ', '  |  ', '  |  ', ' |##|'],
-                'J': [' |##|', '   # ', '   # ', '|  # ', ' |## '],
-                'K': ['|   #', '|  | ', ' |   ', '|  | ', '|   #'],
-                'L': ['|    ', '|    ', '|    ', '|    ', ' |###'],
-                'M': ['|   |', '## ##', '# # #', '#   #', '#   #'],
-                'N': ['|   #', '##  #', '# # #', '#  ##', '#   #'],
-                'O': [' |#| ', '#   #', '#   #', '#   #', ' |#| '],
-                'P': [' |## ', '#   #', ' |## ', '|    ', '|    '],
-                'Q': [' |#| ', '#   #', '#   #', ' |##|', '    #'],
-                'R': [' |## ', '#   #', ' |## ', '|  ##', '|   #'],
-                'S': [' |## ', '|    ', ' |#| ', '    #', ' |## '],
-                'T': [' |## ', '  |  ', '  |  ', '  |  ', '  |  '],
-                'U': ['|   |', '#   #', '#   #', '#   #', ' |#| '],
-                'V': ['#   #', '#   #', '#   #', ' # # ', '  #  '],
-                'W': ['#   #', '#   #', '# # #', '## ##', '#   #'],
-                'X': ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
-                'Y': ['|   |', ' # # ', '  #  ', '  #  ', '  |  '],
-                'Z': [' |## ', '   # ', '  #  ', ' #   ', ' |##|']
-            }
-        };
+    getAvailableFonts() {
+        return this.registry.list();
+    }
 
-        // Neon (bright/electric)
-        fonts.neon = {
-            name: 'neon',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': [' *** ', '  *  ', '  *  ', '     ', '  *  '],
-                '0': [' *** ', '*   *', '*   *', '*   *', ' *** '],
-                '1': ['  *  ', ' **  ', '  *  ', '  *  ', ' *** '],
-                '2': [' *** ', '    *', '  *  ', '  *  ', ' *** '],
-                '3': [' *** ', '    *', ' **  ', '    *', ' *** '],
-                '4': ['*   *', '*   *', ' ****', '    *', '    *'],
-                '5': [' *** ', '*    ', ' *** ', '    *', ' *** '],
-                '6': [' *** ', '*    ', ' *** ', '*   *', ' *** '],
-                '7': [' *** ', '    *', '   * ', '  *  ', ' *   '],
-                '8': [' *** ', '*   *', ' *** ', '*   *', ' *** '],
-                '9': [' *** ', '*   *', ' ****', '    *', ' *** '],
-                'A': [' *** ', '*   *', ' ****', '*   *', '*   *'],
-                'B': [' *** ', '*   *', ' *** ', '*   *', ' *** '],
-                'C': [' *** ', '*    ', '*    ', '*    ', ' *** '],
-                'D': [' *** ', '*   *', '*   *', '*   *', ' *** '],
-                'E': [' *** ', '*    ', ' *** ', '*    ', ' *** '],
-                'F': [' *** ', '*    ', ' *** ', '*    ', '*    '],
-                'G': [' *** ', '*    ', '*  **', '*   *', ' *** '],
-                'H': ['*   *', '*   *', ' ****', '*   *', '*   *'],
-                'I': [' *** ', '  *  ', '  *  ', '  *  ', ' *** '],
-                'J': [' *** ', '   * ', '   * ', '*  * ', ' **  '],
-                'K': ['*   *', '*  * ', '***  ', '*  * ', '*   *'],
-                'L': ['*    ', '*    ', '*    ', '*    ', ' *** '],
-                'M': ['*   *', '** **', '* * *', '*   *', '*   *'],
-                'N': ['*   *', '**  *', '* * *', '*  **', '*   *'],
-                'O': [' ### ', '*   *', '*   *', '*   *', ' ### '],
-                'P': [' *** ', '*   *', ' *** ', '*    ', '*    '],
-                'Q': [' *** ', '*   *', '*   *', ' ****', '    *'],
-                'R': [' *** ', '*   *', ' *** ', '*  * ', '*   *'],
-                'S': [' *** ', '*    ', ' *** ', '    *', ' *** '],
-                'T': [' *** ', '  *  ', '  *  ', '  *  ', '  *  '],
-                'U': ['*   *', '*   *', '*   *', '*   *', ' *** '],
-                'V': ['*   *', '*   *', '*   *', ' * * ', '  *  '],
-                'W': ['*   *', '*   *', '* * *', '** **', '*   *'],
-                'X': ['*   *', ' * * ', '  *  ', ' * * ', '*   *'],
-                'Y': ['*   *', ' * * ', '  *  ', '  *  ', '  *  '],
-                'Z': [' *** ', '   * ', '  *  ', ' *   ', ' *** ']
-            }
-        };
+    get importedFonts() {
+        return this.registry.list({ source: 'figlet' });
+    }
 
-        // Funky (playful/distorted)
-        fonts.funky = {
-            name: 'funky',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': [' [?] ', ' (?)  ', '      ', ' [?] ', '      '],
-                '0': ['(###)', '(   )', '(   )', '(   )', '(###)'],
-                '1': [' (~) ', '(~~) ', '  ~  ', '  ~  ', '(~~~)'],
-                '2': ['(###)', '    ~', '  ~~', '  ~  ', '(~~~)'],
-                '3': ['(###)', '    ~', ' (~~ ', '    ~', '(###)'],
-                '4': ['~   ~', '~   ~', ' ~~~~', '    ~', '    ~'],
-                '5': ['(~~~)', '~    ', ' (##)', '    ~', '(###)'],
-                '6': ['(###)', '~    ', '(~~~)', '~   ~', '(###)'],
-                '7': ['(###)', '    ~', '   ~ ', '  ~  ', ' ~   '],
-                '8': ['(###)', '~   ~', ' (##)', '~   ~', '(###)'],
-                '9': ['(###)', '~   ~', ' (###', '    ~', '(###)'],
-                'A': [' (~) ', ' ~ ~ ', '(~~~)', '~   ~', '~   ~'],
-                'B': ['(~~)', '~   ~', '(~~)', '~   ~', '(~~)'],
-                'C': [' (##)', '~    ', '~    ', '~    ', ' (##)'],
-                'D': ['(~~)', '~   ~', '~   ~', '~   ~', '(~~)'],
-                'E': ['(###)', '~    ', '(~~~ ', '~    ', '(###)'],
-                'F': ['(###)', '~    ', '(~~~ ', '~    ', '#    '],
-                'G': [' (##)', '~    ', '~ (##', '~   ~', ' (##)'],
-                'H': ['~   ~', '~   ~', '(~~~)', '~   ~', '~   ~'],
-                'I': ['(###)', '  ~  ', '  ~  ', '  ~  ', '(###)'],
-                'J': ['(###)', '   ~ ', '   ~ ', '~  ~ ', ' (## '],
-                'K': ['~   ~', '  ~~ ', '(~   ', '  ~~ ', '~   ~'],
-                'L': ['~    ', '~    ', '~    ', '~    ', '(###)'],
-                'M': ['~   ~', '~~ ~~', '~ ~ ~', '~   ~', '~   ~'],
-                'N': ['~   ~', '~~  ~', '~ ~ ~', '~  ~~', '~   ~'],
-                'O': [' (##)', '~   ~', '~   ~', '~   ~', ' (##)'],
-                'P': ['(~~)', '~   ~', '(~~)', '~    ', '~    '],
-                'Q': [' (##)', '~   ~', '~   ~', ' (##)', '    ~'],
-                'R': ['(~~)', '~   ~', '(~~)', '~  ~~', '~   ~'],
-                'S': [' (##)', '~    ', ' (##)', '    ~', ' (##)'],
-                'T': ['(###)', '  ~  ', '  ~  ', '  ~  ', '  ~  '],
-                'U': ['~   ~', '~   ~', '~   ~', '~   ~', ' (##)'],
-                'V': ['~   ~', '~   ~', '~   ~', ' ~ ~ ', '  ~  '],
-                'W': ['~   ~', '~   ~', '~ ~ ~', '~~ ~~', '~   ~'],
-                'X': ['~   ~', ' ~ ~ ', '  ~  ', ' ~ ~ ', '~   ~'],
-                'Y': ['~   ~', ' ~ ~ ', '  ~  ', '  ~  ', '  ~  '],
-                'Z': ['(###)', '   ~ ', '  ~  ', ' ~   ', '(###)']
-            }
-        };
+    getSubstitutedChars(name, text) {
+        if (typeof FontCoverage === 'undefined') return [];
+        return FontCoverage.substitutedChars(this.getFont(name), text);
+    }
 
-        // Wave (undulating)
-        fonts.wave = {
-            name: 'wave',
-            height: 5,
-            glyphs: {
-                ' ': ['     ', '     ', '     ', '     ', '     '],
-                '?': ['  ~  ', '  ~  ', '     ', '  ~  ', '     '],
-                '0': [' ~~~  ', '~   ~ ', '~   ~', '~   ~', ' ~~~  '],
-                '1': ['   ~ ', '  ~~ ', '   ~ ', '   ~ ', '  ~~~ '],
-                '2': [' ~~~ ', '~   ~', '    ~', '  ~  ', '  ~~~~ '],
-                '3': [' ~~~ ', '~   ~', '   ~~ ', '~   ~', ' ~~~ '],
-                '4': ['~   ~', '~   ~', ' ~~~~', '    ~', '    ~'],
-                '5': [' ~~~~ ', '~    ', ' ~~~ ', '    ~', ' ~~~  '],
-                '6': [' ~~~ ', '~    ', ' ~~~~ ', '~   ~', ' ~~~ '],
-                '7': [' ~~~~ ', '    ~', '   ~ ', '  ~  ', ' ~   '],
-                '8': [' ~~~ ', '~   ~', ' ~~~ ', '~   ~', ' ~~~ '],
-                '9': [' ~~~ ', '~   ~', ' ~~~~', '    ~', ' ~~~ '],
-                'A': ['  ~  ', ' ~ ~ ', '~   ~', ' ~~~~ ', '~   ~'],
-                'B': [' ~~~ ', '~   ~', ' ~~~ ', '~   ~', ' ~~~ '],
-                'C': [' ~~~ ', '~    ', '~    ', '~    ', ' ~~~ '],
-                'D': [' ~~~ ', '~   ~', '~   ~', '~   ~', ' ~~~ '],
-                'E': [' ~~~~ ', '~    ', ' ~~~ ', '~    ', ' ~~~~ '],
-                'F': [' ~~~~ ', '~    ', ' ~~~ ', '~    ', '~    '],
-                'G': [' ~~~ ', '~    ', '~  ~~ ', '~   ~', ' ~~~ '],
-                'H': ['~   ~', '~   ~', ' ~~~~', '~   ~', '~   ~'],
-                'I': [' ~~~ ', '  ~  ', '  ~  ', '  ~  ', ' ~~~ '],
-                'J': [' ~~~ ', '   ~ ', '   ~ ', '~  ~ ', ' ~~  '],
-                'K': ['~   ~', '  ~~ ', ' ~   ', '  ~~ ', '~   ~'],
-                'L': ['~    ', '~    ', '~    ', '~    ', ' ~~~~ '],
-                'M': ['~   ~', '~~ ~~', '~ ~ ~', '~   ~', '~   ~'],
-                'N': ['~   ~', '~~  ~', '~ ~ ~', '~  ~~', '~   ~'],
-                'O': [' (##)', '~   ~', '~   ~', '~   ~', ' (##)'],
-                'P': [' (##)', '~   ~', ' (##)', '~    ', '~    '],
-                'Q': [' (##)', '~   ~', '~   ~', ' (##)', '    ~'],
-                'R': [' (##)', '~   ~', ' (##)', '~  ~~ ', '~   ~'],
-                'S': [' (##)', '~    ', ' (##)', '    ~', ' (##)'],
-                'T': [' ~~~~ ', '  ~  ', '  ~  ', '  ~  ', '  ~  '],
-                'U': ['~   ~', '~   ~', '~   ~', '~   ~', ' (##)'],
-                'V': ['~   ~', '~   ~', '~   ~', ' ~ ~ ', '  ~  '],
-                'W': ['~   ~', '~   ~', '~ ~ ~', '~~ ~~', '~   ~'],
-                'X': ['~   ~', ' ~ ~ ', '  ~  ', ' ~ ~ ', '~   ~'],
-                'Y': ['~   ~', ' ~ ~ ', '  ~  ', '  ~  ', '  ~  '],
-                'Z': [' ~~~~ ', '   ~ ', '  ~  ', ' ~   ', ' ~~~~ ']
-            }
-        };
+    registerFigletFont(source, name) {
+        // Parsed on first use; imports never replace a built-in font
+        return this.registry.registerFiglet(source, name);
+    }
 
-        this.fonts = fonts;
+    async rasterizeFont(family, options = {}) {
+        // Drawn from a CSS font on a canvas; see modules/FontRasterizer.js
+        return FontRasterizer.register(this.registry, family, options);
     }
 
-    _makeBlockVariant(glyphs) {
-        const out = {};
-        for (const k of Object.keys(glyphs)) {
-            out[k] = glyphs[k].map(row => row.replace(/#/g, '█'));
+    async importFigletFiles(files) {
+        const registered = [];
+        for (const file of Array.from(files || [])) {
+            try {
+                const source = await file.text();
+                registered.push(this.registerFigletFont(source, file.name.replace(/\.flf$/i, '')));
+            } catch (error) {
+                console.error(`❌ Failed to import ${file.name}:`, error);
+            }
         }
-        return out;
+        return registered;
     }
 
-    getFont(name) {
-        this.ensureFonts();
-        const key = (name || 'standard').toLowerCase();
-        return this.fonts[key] || this.fonts.standard;
-    }
+    async loadBundledFigletFonts(basePath = BUNDLED_FIGLET_PATH) {
+        const registered = [];
+        try {
+            const response = await fetch(`${basePath}index.json`);
+            if (!response.ok) return registered;
+            const { fonts = [] } = await response.json();
 
-    getAvailableFonts() {
-        return ['standard', 'block', 'mini', 'small', 'bubble', '3d', 'outlined', 'italic', 'shadow', 'retro', 'tech', 'gothic', 'neon', 'funky', 'wave'];
+            for (const name of fonts) {
+                try {
+                    const fontResponse = await fetch(`${basePath}${name}.flf`);
+                    if (!fontResponse.ok) throw new Error(`HTTP ${fontResponse.status}`);
+                    registered.push(this.registerFigletFont(await fontResponse.text(), name));
+                } catch (error) {
+                    console.warn(`⚠️ Skipped bundled font ${name}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Bundled FIGlet fonts unavailable:', error.message);
+        }
+        return registered;
     }
 }
 
@@ -700,13 +93,14 @@ class ASCIIRenderer {
         this.fallbackChar = '?';
         this.maxLineLength = 500;  // Prevent extremely long lines
         this.maxLines = 100;       // Prevent massive outputs
+        this.maxFontHeight = 32;   // Imported FIGlet fonts can be taller than the built-ins
     }
 
     log(message) {
         if (DEBUG_MODE) console.log(`[Renderer] ${message}`);
     }
 
-    renderTextWithFont(text, font) {
+    renderTextWithFont(text, font, options = {}) {
         try {
             this.lastError = null;
             const input = String(text || '').trim();
@@ -725,20 +119,18 @@ class ASCIIRenderer {
                 return input;
             }
 
-            // Sanitize and truncate input
-            const sanitized = this.sanitizeInput(input);
-            const lines = sanitized.split('\n');
+            // Font layout with any per-request override (full width, kerning, smushing)
+            const layout = typeof GlyphLayout !== 'undefined'
+                ? GlyphLayout.resolve(font.layout, options.layout)
+                : null;
 
-            if (lines.length > this.maxLines) {
-                this.log(`Input truncated: ${lines.length} lines → ${this.maxLines}`);
-                lines.length = this.maxLines;
-            }
+            const lines = this.bannerLines(input, font, layout, options);
 
             // Render each line
             const outLines = [];
             for (let i = 0; i < lines.length; i++) {
                 try {
-                    const renderedLine = this.renderLine(lines[i], font);
+                    const renderedLine = this.renderLine(lines[i], font, layout, options.unknownChars);
                     outLines.push(renderedLine);
                 } catch (lineError) {
                     this.log(`Warning: Line ${i + 1} failed: ${lineError.message}`);
@@ -747,7 +139,8 @@ class ASCIIRenderer {
                 }
             }
 
-            return outLines.join('\n');
+            // Blank rows between banner lines
+            return outLines.join('\n'.repeat(1 + Math.max(0, options.lineSpacing || 0)));
         } catch (error) {
             this.lastError = error;
             console.error('❌ Renderer fatal error:', error);
@@ -756,6 +149,44 @@ class ASCIIRenderer {
         }
     }
 
+    bannerLines(input, font, layout, options = {}) {
+        // Sanitize, wrap to the output width and truncate input
+        const sanitized = this.sanitizeInput(input);
+        const maxWidth = options.maxWidth || 0;
+        const lines = sanitized.split('\n').flatMap(line => (
+            maxWidth > 0 && layout
+                ? GlyphLayout.wrap(line, maxWidth, part => this.measureLine(part, font, layout, options.unknownChars))
+                : [line]
+        ));
+
+        if (lines.length > this.maxLines) {
+            this.log(`Input truncated: ${lines.length} lines → ${this.maxLines}`);
+            lines.length = this.maxLines;
+        }
+        return lines;
+    }
+
+    renderCells(text, font, options = {}) {
+        // Same rendering as renderTextWithFont, as cells; letterStyle(char, index) colors single letters
+        const grid = CellGrid.fromText(this.renderTextWithFont(text, font, options), options.style);
+        if (typeof options.letterStyle !== 'function' || this.lastError || !USE_ASCII_RENDERER) {
+            return grid;
+        }
+
+        const layout = typeof GlyphLayout !== 'undefined'
+            ? GlyphLayout.resolve(font.layout, options.layout)
+            : null;
+        const lines = this.bannerLines(String(text || '').trim(), font, layout, options);
+        const renderLine = line => this.renderLine(line, font, layout, options.unknownChars).split('\n');
+        return grid.paintLetters(lines, renderLine, options.letterStyle, options.lineSpacing);
+    }
+
+    renderComposition(composition) {
+        // Flatten the layers into one grid; the text is what the output shows and exports
+        const cells = composition.flatten();
+        return { ascii: cells.toText(), cells };
+    }
+
     validateFont(font) {
         if (!font || typeof font !== 'object') {
             return false;
@@ -763,7 +194,7 @@ class ASCIIRenderer {
         if (!font.glyphs || typeof font.glyphs !== 'object') {
             return false;
         }
-        if (!Number.isInteger(font.height) || font.height < 1 || font.height > 10) {
+        if (!Number.isInteger(font.height) || font.height < 1 || font.height > this.maxFontHeight) {
             return false;
         }
         return true;
@@ -776,58 +207,64 @@ class ASCIIRenderer {
             .substring(0, 10000); // Hard limit
     }
 
-    renderLine(line, font) {
+    renderLine(line, font, layout = null, unknownChars = 'placeholder') {
         if (!line || line.trim().length === 0) {
             return ''; // Empty line
         }
 
-        const rowBuffers = Array.from({ length: font.height }, () => []);
-        const chars = line.toUpperCase().split('');
+        // Lowercase, accents and unknown characters are resolved by GlyphResolver
+        const resolved = [];
         let charCount = 0;
 
-        for (const ch of chars) {
+        for (const ch of Array.from(line)) {
             try {
-                const glyph = font.glyphs[ch] || font.glyphs[this.fallbackChar];
-
-                if (!glyph) {
-                    throw new Error(`No glyph for '${ch}' or fallback`);
-                }
+                for (const entry of GlyphResolver.resolve(font, ch, unknownChars)) {
+                    const glyph = entry.rows;
 
-                if (!Array.isArray(glyph) || glyph.length !== font.height) {
-                    throw new Error(`Malformed glyph for '${ch}': expected ${font.height} rows, got ${glyph?.length || 0}`);
-                }
-
-                // Add glyph rows
-                for (let r = 0; r < font.height; r++) {
-                    const row = String(glyph[r] || '');
-                    if (!row) {
-                        throw new Error(`Empty row ${r} in glyph for '${ch}'`);
+                    if (!Array.isArray(glyph) || glyph.length !== font.height) {
+                        throw new Error(`Malformed glyph for '${ch}': expected ${font.height} rows, got ${glyph?.length || 0}`);
                     }
-                    rowBuffers[r].push(row);
-                }
 
-                // Column gap
-                for (let r = 0; r < font.height; r++) {
-                    rowBuffers[r].push(' ');
+                    // Collect glyph rows
+                    const rows = [];
+                    for (let r = 0; r < font.height; r++) {
+                        const row = String(glyph[r] || '');
+                        if (!row) {
+                            throw new Error(`Empty row ${r} in glyph for '${ch}'`);
+                        }
+                        rows.push(row);
+                    }
+                    resolved.push({ ...entry, rows });
                 }
 
                 charCount++;
             } catch (charError) {
                 this.log(`Char error for '${ch}': ${charError.message}`);
                 // Fallback: add placeholder glyph
-                for (let r = 0; r < font.height; r++) {
-                    rowBuffers[r].push('?');
-                }
-                for (let r = 0; r < font.height; r++) {
-                    rowBuffers[r].push(' ');
-                }
+                resolved.push({ rows: Array.from({ length: font.height }, () => this.fallbackChar) });
             }
         }
 
+        if (resolved.length === 0) {
+            return ''; // Every character was skipped
+        }
+
+        // Accented characters add a mark row above or below the whole line
+        const glyphs = GlyphResolver.withMarkRows(resolved);
+        const height = glyphs[0].length;
+
+        // Lay out glyphs: one-column gap at full width, FIGlet kerning/smushing otherwise
+        let rows;
+        if (layout) {
+            rows = GlyphLayout.layout(glyphs, layout, { hardblank: font.hardblank, gap: 1 });
+        } else {
+            rows = Array.from({ length: height }, (_, r) => glyphs.map(g => g[r]).join(' '));
+        }
+
         // Build output rows
         const outputRows = [];
-        for (let r = 0; r < font.height; r++) {
-            const row = rowBuffers[r].join('').replace(/\s+$/g, '');
+        for (let r = 0; r < height; r++) {
+            const row = rows[r].replace(/\s+$/g, '');
             
             // Check line length
             if (row.length > this.maxLineLength) {
@@ -841,6 +278,11 @@ class ASCIIRenderer {
         return outputRows.join('\n');
     }
 
+    measureLine(line, font, layout, unknownChars) {
+        // Width in columns of a line once rendered
+        return Math.max(0, ...this.renderLine(line, font, layout, unknownChars).split('\n').map(row => row.length));
+    }
+
     createFallbackLine(line, font) {
         // When a line fails, create a simple fallback representation
         const safeChars = line
@@ -855,6 +297,14 @@ class ASCIIRenderer {
         return rows.join('\n');
     }
 
+    getDimensions(text) {
+        const lines = String(text || '').split('\n');
+        return {
+            width: Math.max(...lines.map(line => line.length)),
+            height: lines.length
+        };
+    }
+
     getLastError() {
         return this.lastError;
     }
@@ -915,20 +365,31 @@ class PoetryFormatter {
             return text.split('\n').map(line => `  ${line}  `).join('\n');
         }
     }
+
+    formatPoemCells(text, borderStyle = 'none', padding = 2, options = {}) {
+        // formatPoem as a CellGrid, with the border colored and keywords highlighted
+        const { keywords = [], keywordStyle = { fg: 'gold', bold: true }, borderColor = null } = options;
+        const grid = CellGrid.fromText(this.formatPoem(text, borderStyle, padding));
+        const border = this.borderStyles[borderStyle] || this.borderStyles.none;
+
+        if (borderColor) {
+            const style = { fg: borderColor };
+            grid.rows.forEach((row, y) => {
+                const edgeRow = (border.top && y === 0) || (border.bottom && y === grid.height - 1);
+                row.forEach((cell, x) => {
+                    if (edgeRow || (border.left && x === 0) || (border.right && x === row.length - 1)) {
+                        grid.paint(x, y, style);
+                    }
+                });
+            });
+        }
+
+        keywords.forEach(word => grid.highlight(word, keywordStyle));
+        return grid;
+    }
 }
 
 // Color utilities
-const colorCodes = {
-    'red': '\x1b[31m',
-    'green': '\x1b[32m',
-    'yellow': '\x1b[33m',
-    'blue': '\x1b[34m',
-    'magenta': '\x1b[35m',
-    'cyan': '\x1b[36m',
-    'white': '\x1b[37m',
-    'reset': '\x1b[0m'
-};
-
 function applyColorClass(color) {
     if (color && color !== 'none') {
         return `color-${color}`;
@@ -943,11 +404,13 @@ class SimpleASCIIArt {
         this.asciiRenderer = null;
         this.poetryFormatter = null;
         this.isGenerating = false;
-        this.lastValidState = null;
+        this.history = new ResultHistory();
+        this.editedEntry = null;
+        this.historyStore = typeof HistoryStore !== 'undefined' ? new HistoryStore() : null;
         this.generationTimeout = 5000;
         this.fontChangeDelay = 300;
         this.fontChangeTimer = null;
-        this.currentMode = 'text';  // 'text', 'poetry', or 'ai'
+        this.currentMode = 'text';  // 'text', 'poetry', 'ai', 'compose' or 'flipbook'
         this.settings = {
             apiUrl: 'http://localhost:8000',
             apiKey: '',
@@ -963,14 +426,31 @@ class SimpleASCIIArt {
 
         try {
             this.fontManager = new FontManager();
+            this.customFontStore = new CustomFontStore();
+            this.customFontStore.registerAll(this.fontManager.registry);
             this.asciiRenderer = new ASCIIRenderer();
             this.poetryFormatter = new PoetryFormatter();
+            this.composition = new Composition();
+            this.flipbook = new Flipbook();
+            this.selectedFrameId = null;
             this.cacheDOM();
             this.validateDOM();
             this.syncFontSelect();
+            // Fonts registered anywhere (imports, bundled packs) show up in the dropdown
+            this.fontManager.registry.subscribe(() => this.syncFontSelect());
             this.attachEventListeners();
             this.setupModeButtons();
             this.setDefaultFont();
+            this.loadBundledFonts();
+            this.setupGlyphEditor();
+            this.setupFontRasterizer();
+            this.setupComposition();
+            this.setupFlipbook();
+            this.setupOutputEditor();
+            this.setupHistory();
+            this.setupGallery();
+            this.setupExport();
+            this.setupAnimation();
             console.log('✅ Simple ASCII Art Generator - Ready!');
             console.log('💡 Enter text and click "Generate ASCII Art" to begin');
         } catch (error) {
@@ -989,6 +469,27 @@ class SimpleASCIIArt {
         this.borderSelect = document.getElementById('border-select');
         this.poetryColorSelect = document.getElementById('poetry-color-select');
         this.colorGroup = document.getElementById('color-group');
+        this.layoutSelect = document.getElementById('layout-select');
+        this.layoutGroup = document.getElementById('layout-group');
+        this.unknownCharsSelect = document.getElementById('unknown-chars-select');
+        this.unknownCharsGroup = document.getElementById('unknown-chars-group');
+        this.maxWidthInput = document.getElementById('max-width-input');
+        this.lineSpacingInput = document.getElementById('line-spacing-input');
+        this.wrapGroup = document.getElementById('wrap-group');
+        this.fitFontCheckbox = document.getElementById('fit-font-checkbox');
+        this.fitFontsInput = document.getElementById('fit-fonts-input');
+        this.transformSelect = document.getElementById('transform-select');
+        this.transformGroup = document.getElementById('transform-group');
+        this.fillSelect = document.getElementById('fill-select');
+        this.fillCharsInput = document.getElementById('fill-chars-input');
+        this.fillGroup = document.getElementById('fill-group');
+        this.effectSelect = document.getElementById('effect-select');
+        this.effectGroup = document.getElementById('effect-group');
+        this.effectSettings = document.getElementById('effect-settings');
+        this.effectOffsetXInput = document.getElementById('effect-offset-x');
+        this.effectOffsetYInput = document.getElementById('effect-offset-y');
+        this.effectDepthInput = document.getElementById('effect-depth');
+        this.effectCharInput = document.getElementById('effect-char');
         this.borderGroup = document.getElementById('border-group');
         this.poetryColorGroup = document.getElementById('poetry-color-group');
         this.textInputLabel = document.getElementById('text-input-label');
@@ -996,13 +497,47 @@ class SimpleASCIIArt {
         this.modeTextBtn = document.getElementById('mode-text');
         this.modePoetryBtn = document.getElementById('mode-poetry');
         this.modeAiBtn = document.getElementById('mode-ai');
+        this.modeComposeBtn = document.getElementById('mode-compose');
+        this.modeFlipbookBtn = document.getElementById('mode-flipbook');
         this.clearOutputBtn = document.getElementById('clear-output-btn');
+        this.addLayerBtn = document.getElementById('add-layer-btn');
+        this.addFrameBtn = document.getElementById('add-frame-btn');
+        this.editOutputBtn = document.getElementById('edit-output-btn');
+        this.historyUndoBtn = document.getElementById('history-undo-btn');
+        this.historyRedoBtn = document.getElementById('history-redo-btn');
+        this.composeGroup = document.getElementById('compose-group');
+        this.layerList = document.getElementById('layer-list');
+        this.layerEmpty = document.getElementById('layer-empty');
+        this.composeImageInput = document.getElementById('compose-image-input');
+        this.composeImageWidth = document.getElementById('compose-image-width');
+        this.composeImageChars = document.getElementById('compose-image-chars');
+        this.composeImageColor = document.getElementById('compose-image-color');
+        this.composeImageFps = document.getElementById('compose-image-fps');
+        this.flipbookGroup = document.getElementById('flipbook-group');
+        this.frameList = document.getElementById('frame-list');
+        this.frameEmpty = document.getElementById('frame-empty');
+        this.flipbookPlayBtn = document.getElementById('flipbook-play-btn');
+        this.flipbookLoop = document.getElementById('flipbook-loop');
+        this.flipbookOnion = document.getElementById('flipbook-onion');
+        this.flipbookImportBtn = document.getElementById('flipbook-import-btn');
+        this.flipbookExportBtn = document.getElementById('flipbook-export-btn');
+        this.flipbookFileInput = document.getElementById('flipbook-file-input');
+        this.animationSelect = document.getElementById('animation-select');
+        this.animationSpeed = document.getElementById('animation-speed');
+        this.animationSpeedValue = document.getElementById('animation-speed-value');
+        this.importFontBtn = document.getElementById('import-font-btn');
+        this.coverageWarning = document.getElementById('coverage-warning');
+        this.editFontBtn = document.getElementById('edit-font-btn');
+        this.rasterizeFontBtn = document.getElementById('rasterize-font-btn');
+        this.fontFileInput = document.getElementById('font-file-input');
         this.aiPrompt = document.getElementById('ai-prompt');
         this.aiPromptGroup = document.getElementById('ai-prompt-group');
         this.textInputGroup = document.getElementById('text-input-group');
         
         // Settings elements
         this.settingsBtn = document.getElementById('settings-btn');
+        this.galleryBtn = document.getElementById('gallery-btn');
+        this.exportBtn = document.getElementById('export-btn');
         this.settingsModal = document.getElementById('settings-modal');
         this.closeSettingsBtn = document.getElementById('close-settings-btn');
         this.settingsApiUrl = document.getElementById('settings-api-url');
@@ -1047,15 +582,22 @@ class SimpleASCIIArt {
         if (this.modeAiBtn) {
             this.modeAiBtn.addEventListener('click', () => this.setMode('ai'));
         }
+        if (this.modeComposeBtn) {
+            this.modeComposeBtn.addEventListener('click', () => this.setMode('compose'));
+        }
+        if (this.modeFlipbookBtn) {
+            this.modeFlipbookBtn.addEventListener('click', () => this.setMode('flipbook'));
+        }
         if (this.clearOutputBtn) {
             this.clearOutputBtn.addEventListener('click', () => this.clearOutput());
         }
     }
 
-    setMode(mode) {
+    setMode(mode, regenerate = true) {
         if (mode === this.currentMode) return;
 
         this.currentMode = mode;
+        this.flipbookPlayer?.stop();
         console.log(`🔄 Switched to ${mode} mode`);
 
         // Update UI - Use data attributes to control visibility without breaking layout
@@ -1063,14 +605,24 @@ class SimpleASCIIArt {
             this.modeTextBtn?.classList.add('active');
             this.modePoetryBtn?.classList.remove('active');
             this.modeAiBtn?.classList.remove('active');
+            this.modeComposeBtn?.classList.remove('active');
+            this.modeFlipbookBtn?.classList.remove('active');
             this.inputTitle.textContent = 'ASCII Art Generator';
             this.textInputLabel.textContent = 'Enter your text:';
             
             if (this.textInputGroup) this.textInputGroup.style.display = 'grid';
             if (this.aiPromptGroup) this.aiPromptGroup.style.display = 'none';
+            if (this.composeGroup) this.composeGroup.style.display = 'none';
+            if (this.flipbookGroup) this.flipbookGroup.style.display = 'none';
             if (this.apiKeyGroup) this.apiKeyGroup.style.display = 'none';
             if (this.apiUrlGroup) this.apiUrlGroup.style.display = 'none';
             if (this.colorGroup) this.colorGroup.style.display = 'block';
+            if (this.layoutGroup) this.layoutGroup.style.display = 'block';
+            if (this.unknownCharsGroup) this.unknownCharsGroup.style.display = 'block';
+            if (this.wrapGroup) this.wrapGroup.style.display = 'block';
+            if (this.transformGroup) this.transformGroup.style.display = 'block';
+            if (this.effectGroup) this.effectGroup.style.display = 'block';
+            if (this.fillGroup) this.fillGroup.style.display = 'block';
             if (this.borderGroup) this.borderGroup.style.display = 'none';
             if (this.poetryColorGroup) this.poetryColorGroup.style.display = 'none';
             if (this.fontSelect) this.fontSelect.style.display = 'block';
@@ -1078,14 +630,24 @@ class SimpleASCIIArt {
             this.modePoetryBtn?.classList.add('active');
             this.modeTextBtn?.classList.remove('active');
             this.modeAiBtn?.classList.remove('active');
+            this.modeComposeBtn?.classList.remove('active');
+            this.modeFlipbookBtn?.classList.remove('active');
             this.inputTitle.textContent = 'Poetry Formatter';
             this.textInputLabel.textContent = 'Enter your poem:';
             
             if (this.textInputGroup) this.textInputGroup.style.display = 'grid';
             if (this.aiPromptGroup) this.aiPromptGroup.style.display = 'none';
+            if (this.composeGroup) this.composeGroup.style.display = 'none';
+            if (this.flipbookGroup) this.flipbookGroup.style.display = 'none';
             if (this.apiKeyGroup) this.apiKeyGroup.style.display = 'none';
             if (this.apiUrlGroup) this.apiUrlGroup.style.display = 'none';
             if (this.colorGroup) this.colorGroup.style.display = 'none';
+            if (this.layoutGroup) this.layoutGroup.style.display = 'none';
+            if (this.unknownCharsGroup) this.unknownCharsGroup.style.display = 'none';
+            if (this.wrapGroup) this.wrapGroup.style.display = 'none';
+            if (this.transformGroup) this.transformGroup.style.display = 'none';
+            if (this.effectGroup) this.effectGroup.style.display = 'none';
+            if (this.fillGroup) this.fillGroup.style.display = 'none';
             if (this.borderGroup) this.borderGroup.style.display = 'block';
             if (this.poetryColorGroup) this.poetryColorGroup.style.display = 'block';
             if (this.fontSelect) this.fontSelect.style.display = 'block';
@@ -1093,23 +655,90 @@ class SimpleASCIIArt {
             this.modeAiBtn?.classList.add('active');
             this.modeTextBtn?.classList.remove('active');
             this.modePoetryBtn?.classList.remove('active');
+            this.modeComposeBtn?.classList.remove('active');
+            this.modeFlipbookBtn?.classList.remove('active');
             this.inputTitle.textContent = 'AI ASCII Art Generator';
             
             if (this.textInputGroup) this.textInputGroup.style.display = 'none';
             if (this.aiPromptGroup) this.aiPromptGroup.style.display = 'grid';
+            if (this.composeGroup) this.composeGroup.style.display = 'none';
+            if (this.flipbookGroup) this.flipbookGroup.style.display = 'none';
             if (this.apiKeyGroup) this.apiKeyGroup.style.display = 'grid';
             if (this.apiUrlGroup) this.apiUrlGroup.style.display = 'grid';
             if (this.colorGroup) this.colorGroup.style.display = 'block';
+            if (this.layoutGroup) this.layoutGroup.style.display = 'none';
+            if (this.unknownCharsGroup) this.unknownCharsGroup.style.display = 'none';
+            if (this.wrapGroup) this.wrapGroup.style.display = 'none';
+            if (this.transformGroup) this.transformGroup.style.display = 'none';
+            if (this.effectGroup) this.effectGroup.style.display = 'none';
+            if (this.fillGroup) this.fillGroup.style.display = 'none';
             if (this.borderGroup) this.borderGroup.style.display = 'none';
             if (this.poetryColorGroup) this.poetryColorGroup.style.display = 'none';
             if (this.fontSelect) this.fontSelect.style.display = 'block';
+        } else if (mode === 'compose') {
+            this.modeComposeBtn?.classList.add('active');
+            this.modeTextBtn?.classList.remove('active');
+            this.modePoetryBtn?.classList.remove('active');
+            this.modeAiBtn?.classList.remove('active');
+            this.modeFlipbookBtn?.classList.remove('active');
+            this.inputTitle.textContent = 'Composition';
+
+            if (this.textInputGroup) this.textInputGroup.style.display = 'none';
+            if (this.aiPromptGroup) this.aiPromptGroup.style.display = 'none';
+            if (this.composeGroup) this.composeGroup.style.display = 'grid';
+            if (this.flipbookGroup) this.flipbookGroup.style.display = 'none';
+            if (this.apiKeyGroup) this.apiKeyGroup.style.display = 'none';
+            if (this.apiUrlGroup) this.apiUrlGroup.style.display = 'none';
+            if (this.colorGroup) this.colorGroup.style.display = 'none';
+            if (this.layoutGroup) this.layoutGroup.style.display = 'none';
+            if (this.unknownCharsGroup) this.unknownCharsGroup.style.display = 'none';
+            if (this.wrapGroup) this.wrapGroup.style.display = 'none';
+            if (this.transformGroup) this.transformGroup.style.display = 'none';
+            if (this.effectGroup) this.effectGroup.style.display = 'none';
+            if (this.fillGroup) this.fillGroup.style.display = 'none';
+            if (this.borderGroup) this.borderGroup.style.display = 'none';
+            if (this.poetryColorGroup) this.poetryColorGroup.style.display = 'none';
+            if (this.fontSelect) this.fontSelect.style.display = 'none';
+        } else if (mode === 'flipbook') {
+            this.modeFlipbookBtn?.classList.add('active');
+            this.modeTextBtn?.classList.remove('active');
+            this.modePoetryBtn?.classList.remove('active');
+            this.modeAiBtn?.classList.remove('active');
+            this.modeComposeBtn?.classList.remove('active');
+            this.inputTitle.textContent = 'Flipbook';
+
+            if (this.textInputGroup) this.textInputGroup.style.display = 'none';
+            if (this.aiPromptGroup) this.aiPromptGroup.style.display = 'none';
+            if (this.composeGroup) this.composeGroup.style.display = 'none';
+            if (this.flipbookGroup) this.flipbookGroup.style.display = 'grid';
+            if (this.apiKeyGroup) this.apiKeyGroup.style.display = 'none';
+            if (this.apiUrlGroup) this.apiUrlGroup.style.display = 'none';
+            if (this.colorGroup) this.colorGroup.style.display = 'none';
+            if (this.layoutGroup) this.layoutGroup.style.display = 'none';
+            if (this.unknownCharsGroup) this.unknownCharsGroup.style.display = 'none';
+            if (this.wrapGroup) this.wrapGroup.style.display = 'none';
+            if (this.transformGroup) this.transformGroup.style.display = 'none';
+            if (this.effectGroup) this.effectGroup.style.display = 'none';
+            if (this.fillGroup) this.fillGroup.style.display = 'none';
+            if (this.borderGroup) this.borderGroup.style.display = 'none';
+            if (this.poetryColorGroup) this.poetryColorGroup.style.display = 'none';
+            if (this.fontSelect) this.fontSelect.style.display = 'none';
         }
 
+        this.updateCoverageWarning();
+
         // Regenerate if input exists
-        const hasInput = this.currentMode === 'ai' ? 
-            this.aiPrompt?.value.trim() : 
-            this.textInput?.value.trim();
-        if (hasInput) {
+        let hasInput;
+        if (this.currentMode === 'compose') {
+            hasInput = this.composition.layers.length > 0;
+        } else if (this.currentMode === 'flipbook') {
+            hasInput = this.flipbook.frames.length > 0;
+        } else {
+            hasInput = this.currentMode === 'ai' ?
+                this.aiPrompt?.value.trim() :
+                this.textInput?.value.trim();
+        }
+        if (hasInput && regenerate) {
             this.handleGenerate();
         }
     }
@@ -1118,6 +747,7 @@ class SimpleASCIIArt {
         if (!this.fontSelect) return;
         try {
             const fonts = this.fontManager.getAvailableFonts();
+            const current = this.fontSelect.value;
             this.fontSelect.innerHTML = '';
             for (const name of fonts) {
                 const opt = document.createElement('option');
@@ -1125,6 +755,7 @@ class SimpleASCIIArt {
                 opt.textContent = name.charAt(0).toUpperCase() + name.slice(1);
                 this.fontSelect.appendChild(opt);
             }
+            if (fonts.includes(current)) this.fontSelect.value = current;
             console.log(`📝 Font dropdown synced: ${fonts.length} fonts`);
         } catch (error) {
             console.error('❌ Failed to sync font selector:', error);
@@ -1148,15 +779,79 @@ class SimpleASCIIArt {
 
             // Font selection change (debounced)
             this.fontSelect.addEventListener('change', () => {
+                this.updateCoverageWarning();
                 this.handleFontChange();
             });
 
+            // Warn about characters the font will substitute while typing
+            this.textInput.addEventListener('input', () => this.updateCoverageWarning());
+
+            // FIGlet font import
+            this.importFontBtn?.addEventListener('click', () => this.fontFileInput?.click());
+            this.fontFileInput?.addEventListener('change', () => this.handleFontImport());
+            this.editFontBtn?.addEventListener('click', () => this.glyphEditor?.open(this.fontSelect.value));
+            this.rasterizeFontBtn?.addEventListener('click', () => this.fontRasterizerDialog?.open());
+
             this.colorSelect?.addEventListener('change', () => {
                 if (this.textInput.value.trim()) {
                     this.handleGenerate();
                 }
             });
 
+            this.layoutSelect?.addEventListener('change', () => {
+                if (this.textInput.value.trim()) {
+                    this.handleGenerate();
+                }
+            });
+
+            this.fillSelect?.addEventListener('change', () => {
+                this.updateFillControls();
+                if (this.textInput.value.trim()) {
+                    this.handleGenerate();
+                }
+            });
+
+            this.fillCharsInput?.addEventListener('change', () => {
+                if (this.textInput.value.trim()) {
+                    this.handleGenerate();
+                }
+            });
+
+            this.effectSelect?.addEventListener('change', () => {
+                this.updateEffectControls();
+                if (this.textInput.value.trim()) {
+                    this.handleGenerate();
+                }
+            });
+
+            [this.effectOffsetXInput, this.effectOffsetYInput, this.effectDepthInput, this.effectCharInput].forEach(input => {
+                input?.addEventListener('change', () => {
+                    if (this.textInput.value.trim()) {
+                        this.handleGenerate();
+                    }
+                });
+            });
+
+            this.transformSelect?.addEventListener('change', () => {
+                if (this.textInput.value.trim()) {
+                    this.handleGenerate();
+                }
+            });
+
+            this.unknownCharsSelect?.addEventListener('change', () => {
+                if (this.textInput.value.trim()) {
+                    this.handleGenerate();
+                }
+            });
+
+            [this.maxWidthInput, this.lineSpacingInput, this.fitFontCheckbox, this.fitFontsInput].forEach(input => {
+                input?.addEventListener('change', () => {
+                    if (this.textInput.value.trim()) {
+                        this.handleGenerate();
+                    }
+                });
+            });
+
             this.borderSelect?.addEventListener('change', () => {
                 if (this.textInput.value.trim()) {
                     this.handleGenerate();
@@ -1377,6 +1072,724 @@ class SimpleASCIIArt {
         }, this.fontChangeDelay);
     }
 
+    updateCoverageWarning() {
+        if (!this.coverageWarning) return;
+
+        const text = this.currentMode === 'text' ? this.textInput?.value || '' : '';
+        const fontName = this.fontSelect?.value || 'standard';
+        const substituted = text ? this.fontManager.getSubstitutedChars(fontName, text) : [];
+
+        this.coverageWarning.hidden = substituted.length === 0;
+        this.coverageWarning.textContent = substituted.length
+            ? `⚠️ "${fontName}" has no glyph for ${substituted.join(' ')} (substitutes will be used)`
+            : '';
+    }
+
+    async handleFontImport() {
+        const files = this.fontFileInput?.files;
+        if (!files || files.length === 0) return;
+
+        const imported = await this.fontManager.importFigletFiles(files);
+        this.fontFileInput.value = '';
+
+        if (imported.length === 0) {
+            this.showNotification('⚠️ No valid FIGlet fonts found', 'warning');
+            return;
+        }
+
+        this.fontSelect.value = imported[0];
+        this.updateCoverageWarning();
+        this.showNotification(`📂 Imported ${imported.length} font(s): ${imported.join(', ')}`, 'success');
+        this.handleFontChange();
+    }
+
+    setupGlyphEditor() {
+        if (typeof GlyphEditor === 'undefined') return;
+        this.glyphEditor = new GlyphEditor({
+            fontManager: this.fontManager,
+            store: this.customFontStore,
+            render: (text, font) => this.asciiRenderer.renderTextWithFont(text, font),
+            notify: (message, type) => this.showNotification(message, type),
+            onSave: (fontName) => {
+                this.fontSelect.value = fontName;
+                this.updateCoverageWarning();
+                this.handleFontChange();
+            }
+        });
+    }
+
+    setupFontRasterizer() {
+        if (typeof FontRasterizerDialog === 'undefined') return;
+        this.fontRasterizerDialog = new FontRasterizerDialog({
+            fontManager: this.fontManager,
+            render: (text, font) => this.asciiRenderer.renderTextWithFont(text, font),
+            notify: (message, type) => this.showNotification(message, type),
+            onAdd: (fontName) => {
+                this.fontSelect.value = fontName;
+                this.updateCoverageWarning();
+                this.handleFontChange();
+            }
+        });
+    }
+
+    setupComposition() {
+        if (this.addLayerBtn) {
+            this.addLayerBtn.addEventListener('click', () => this.addOutputAsLayer());
+        }
+        if (this.composeImageChars) {
+            // The modular app's image character sets
+            for (const name of Object.keys(AppConfig.image.characterSets)) {
+                this.composeImageChars.appendChild(new Option(name.charAt(0).toUpperCase() + name.slice(1), name));
+            }
+        }
+        if (this.composeImageInput) {
+            this.composeImageInput.addEventListener('change', async () => {
+                const file = this.composeImageInput.files[0];
+                this.composeImageInput.value = '';
+                if (!file) return;
+                if (file.type === 'image/gif' || file.type.startsWith('video/')) {
+                    await this.addAnimationFrames(file);
+                } else {
+                    await this.addImageLayer(file);
+                }
+            });
+        }
+        if (this.composeImageFps) {
+            const { minFps, maxFps, defaultFps } = AppConfig.image.frames;
+            Object.assign(this.composeImageFps, { min: minFps, max: maxFps, value: defaultFps });
+        }
+        this.renderLayerList();
+    }
+
+    addOutputAsLayer() {
+        const current = this.history.current;
+        if (!current) {
+            this.showNotification('⚠️ Generate something first', 'warning');
+            return;
+        }
+        if (current.mode === 'compose') {
+            this.showNotification('⚠️ The composition can\'t be a layer of itself', 'warning');
+            return;
+        }
+
+        const layer = this.composition.addLayer(current, { color: current.color });
+        console.log(`🧩 Added layer "${layer.name}"`);
+        this.renderLayerList();
+        this.refreshWorkspace();
+    }
+
+    async addImageLayer(file) {
+        try {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            await new Promise((resolve, reject) => {
+                img.onload = resolve;
+                img.onerror = () => reject(new Error('Failed to load image'));
+                img.src = url;
+            });
+            URL.revokeObjectURL(url);
+
+            const width = Math.min(200, Math.max(10, parseInt(this.composeImageWidth?.value, 10) || 60));
+            const sets = AppConfig.image.characterSets;
+            const chars = sets[this.composeImageChars?.value] || sets.standard;
+            const cells = CanvasSampler.sampleCells(img, img.height / img.width, width, chars, {
+                colored: !!this.composeImageColor?.checked
+            });
+
+            const layer = this.composition.addLayer(cells, { name: file.name });
+            console.log(`🖼️ Added image layer "${layer.name}" (${cells.width}×${cells.height})`);
+            this.renderLayerList();
+            this.refreshWorkspace();
+        } catch (error) {
+            console.error('❌ Image layer failed:', error);
+            this.showError(`Image layer failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sample a GIF or video into flipbook frames and play them; a single frame
+     * becomes a layer like any still image
+     * @param {File} file
+     */
+    async addAnimationFrames(file) {
+        try {
+            const limits = AppConfig.image.frames;
+            const width = Math.min(200, Math.max(10, parseInt(this.composeImageWidth?.value, 10) || 60));
+            const fps = Math.min(limits.maxFps, Math.max(limits.minFps, parseInt(this.composeImageFps?.value, 10) || limits.defaultFps));
+            const sets = AppConfig.image.characterSets;
+            const chars = sets[this.composeImageChars?.value] || sets.standard;
+            this.showNotification(`⏳ Sampling ${file.name}...`, 'info');
+            const sampled = await CanvasSampler.sampleAnimation(file, width, chars, {
+                colored: !!this.composeImageColor?.checked,
+                fps,
+                maxFrames: limits.maxFrames,
+                maxBytes: limits.maxGifBytes,
+                maxPixels: limits.maxGifPixels
+            });
+
+            if (sampled.frames.length === 1) {
+                const layer = this.composition.addLayer(sampled.frames[0].cells, { name: file.name });
+                console.log(`🖼️ Added image layer "${layer.name}" (${layer.cells.width}×${layer.cells.height})`);
+                this.renderLayerList();
+                this.refreshWorkspace();
+                return;
+            }
+
+            // Appended after whatever frames are already there, starting playback at the first new one
+            this.flipbookPlayer?.stop();
+            const added = sampled.frames.map((frame, index) => this.flipbook.addFrame(frame.cells, {
+                name: `${file.name} ${index + 1}`,
+                duration: frame.duration
+            }));
+            this.flipbook.loop = sampled.loop;
+            if (this.flipbookLoop) this.flipbookLoop.checked = sampled.loop;
+            this.selectedFrameId = added[0].id;
+            console.log(`🎞️ Added ${added.length} frames from ${file.name}`);
+            this.showNotification(`🎞️ Added ${added.length} frames from ${file.name}`, 'success');
+            this.renderFrameList();
+
+            // Show the first frame before playing, since showing an output stops the player
+            this.setMode('flipbook', false);
+            this.refreshWorkspace();
+            this.toggleFlipbook();
+        } catch (error) {
+            console.error('❌ Animation input failed:', error);
+            this.showError(`Animation input failed: ${error.message}`);
+        }
+    }
+
+    renderLayerList() {
+        if (!this.layerList) return;
+
+        this.layerList.innerHTML = '';
+        if (this.layerEmpty) this.layerEmpty.hidden = this.composition.layers.length > 0;
+
+        const apply = (change) => {
+            try {
+                change();
+            } catch (error) {
+                this.showNotification(`⚠️ ${error.message}`, 'warning');
+            }
+            this.renderLayerList();
+            this.refreshWorkspace();
+        };
+        const control = (tag, props, onEvent) => {
+            const el = Object.assign(document.createElement(tag), props);
+            if (onEvent) el.addEventListener(tag === 'button' ? 'click' : 'change', () => apply(() => onEvent(el)));
+            return el;
+        };
+
+        // Top layer first, the way it stacks in the output
+        for (const layer of this.composition.layers.slice().reverse()) {
+            const item = document.createElement('li');
+            item.className = 'layer-item';
+
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = `${layer.name} (${layer.cells.width}×${layer.cells.height})`;
+
+            const move = () => this.composition.moveLayer(layer.id, parseInt(x.value, 10) || 0, parseInt(y.value, 10) || 0);
+            const x = control('input', { type: 'number', step: 1, value: layer.x, title: 'Column' }, move);
+            const y = control('input', { type: 'number', step: 1, value: layer.y, title: 'Row' }, move);
+
+            const transparent = control('input', { type: 'checkbox', checked: layer.transparent, title: 'Spaces are transparent' },
+                el => this.composition.updateLayer(layer.id, { transparent: el.checked }));
+            const visible = control('input', { type: 'checkbox', checked: layer.visible, title: 'Visible' },
+                el => this.composition.updateLayer(layer.id, { visible: el.checked }));
+
+            const align = control('select', { title: 'Align with the other layers' }, el => {
+                if (el.value) this.composition.alignLayer(layer.id, el.value);
+            });
+            for (const value of ['', ...Composition.ALIGNMENTS]) {
+                align.appendChild(Object.assign(document.createElement('option'), {
+                    value,
+                    textContent: value ? value.charAt(0).toUpperCase() + value.slice(1) : 'Align…'
+                }));
+            }
+
+            const labelled = (input, text) => {
+                const label = document.createElement('label');
+                label.append(input, ` ${text}`);
+                return label;
+            };
+
+            item.append(
+                name,
+                'x', x, 'y', y,
+                labelled(transparent, 'Transparent'),
+                labelled(visible, 'Visible'),
+                align,
+                control('button', { textContent: '▲', title: 'Bring forward' }, () => this.composition.raiseLayer(layer.id)),
+                control('button', { textContent: '▼', title: 'Send backward' }, () => this.composition.lowerLayer(layer.id)),
+                control('button', { textContent: '✕', title: 'Remove layer' }, () => this.composition.removeLayer(layer.id))
+            );
+            this.layerList.appendChild(item);
+        }
+    }
+
+    /**
+     * Show the composition or the selected frame again after a layer or frame
+     * changes. Those edits aren't new results: they update the current entry in
+     * place when it's the newest output of this mode, and otherwise start one entry
+     */
+    refreshWorkspace() {
+        const compose = this.currentMode === 'compose';
+        if (compose ? !this.composition.layers.length : this.currentMode !== 'flipbook' || !this.flipbook.frames.length) return;
+
+        this.outputEditor?.close();
+        try {
+            const result = compose ? this.generateComposition() : this.generateFlipbook();
+            const current = this.history.current;
+            if (current?.mode === result.mode && !current.edited && !this.history.canRedo()) {
+                Object.assign(current, ResultHistory.snapshot(result));
+            } else {
+                this.history.push(result);
+                this.updateHistoryButtons();
+            }
+            this.displayOutput(this.history.current);
+        } catch (error) {
+            this.showNotification(`⚠️ ${error.message}`, 'warning');
+        }
+    }
+
+    generateComposition() {
+        const { ascii, cells } = this.asciiRenderer.renderComposition(this.composition);
+        if (!ascii.trim()) {
+            throw new Error('All layers are hidden or empty');
+        }
+
+        return {
+            ascii: ascii,
+            cells: cells,
+            layers: this.composition.layers.length,
+            color: 'none',
+            mode: 'compose',
+            timestamp: Date.now(),
+            success: true
+        };
+    }
+
+    setupFlipbook() {
+        if (typeof FlipbookPlayer !== 'undefined' && this.output) {
+            this.flipbookPlayer = new FlipbookPlayer(this.output, {
+                // The playing frame is the selected one, so pausing leaves it ready to edit
+                onFrame: (index) => {
+                    this.selectedFrameId = this.flipbook.frames[index]?.id ?? null;
+                    this.highlightFrame(index);
+                },
+                onEnd: () => this.updatePlayButton()
+            });
+        }
+
+        this.addFrameBtn?.addEventListener('click', () => this.addOutputAsFrame());
+        this.flipbookPlayBtn?.addEventListener('click', () => this.toggleFlipbook());
+        this.flipbookLoop?.addEventListener('change', () => {
+            this.flipbook.loop = this.flipbookLoop.checked;
+        });
+        this.flipbookOnion?.addEventListener('change', () => {
+            this.refreshWorkspace();
+        });
+        this.flipbookImportBtn?.addEventListener('click', () => this.flipbookFileInput?.click());
+        this.flipbookFileInput?.addEventListener('change', async () => {
+            const file = this.flipbookFileInput.files[0];
+            this.flipbookFileInput.value = '';
+            if (file) await this.importFlipbook(file);
+        });
+        this.flipbookExportBtn?.addEventListener('click', () => this.exportFlipbook());
+        this.renderFrameList();
+    }
+
+    addOutputAsFrame() {
+        const current = this.history.current;
+        if (!current) {
+            this.showNotification('⚠️ Generate something first', 'warning');
+            return;
+        }
+
+        // New frames go after the selected one, so a sequence builds up in order
+        const selected = this.flipbook.frames.findIndex(f => f.id === this.selectedFrameId);
+        const frame = this.flipbook.addFrame(current, {
+            color: current.color,
+            index: selected < 0 ? undefined : selected + 1
+        });
+        this.selectedFrameId = frame.id;
+        console.log(`🎞️ Added frame "${frame.name}"`);
+        this.renderFrameList();
+        this.refreshWorkspace();
+    }
+
+    async importFlipbook(file) {
+        try {
+            const flipbook = Flipbook.fromJSON(await file.text());
+            this.flipbookPlayer?.stop();
+            this.flipbook = flipbook;
+            this.selectedFrameId = flipbook.frames[0]?.id ?? null;
+            if (this.flipbookLoop) this.flipbookLoop.checked = flipbook.loop;
+            console.log(`🎞️ Imported ${flipbook.frames.length} frames from ${file.name}`);
+            this.renderFrameList();
+            this.refreshWorkspace();
+        } catch (error) {
+            console.error('❌ Flipbook import failed:', error);
+            this.showError(`Flipbook import failed: ${error.message}`);
+        }
+    }
+
+    exportFlipbook() {
+        if (!this.flipbook.frames.length) {
+            this.showNotification('⚠️ Add a frame first', 'warning');
+            return;
+        }
+        const json = JSON.stringify(this.flipbook.toJSON(), null, 2);
+        ExportDialog.save(new Blob([json], { type: 'application/json' }), `flipbook-${Date.now()}.json`);
+        console.log(`💾 Saved ${this.flipbook.frames.length} frames`);
+    }
+
+    toggleFlipbook() {
+        if (!this.flipbookPlayer) return;
+        if (this.flipbookPlayer.playing) {
+            this.flipbookPlayer.pause();
+            this.updatePlayButton();
+            return;
+        }
+        if (!this.flipbook.frames.length) {
+            this.showNotification('⚠️ Add a frame first: generate something and click 🎞️ Add frame', 'warning');
+            return;
+        }
+
+        this.outputEditor?.close();
+        this.textAnimator?.stop();
+        // Play from the selected frame; a finished non-looping run starts over
+        let from = Math.max(0, this.flipbook.frames.findIndex(f => f.id === this.selectedFrameId));
+        if (!this.flipbook.loop && from === this.flipbook.frames.length - 1) from = 0;
+        this.flipbookPlayer.play(this.flipbook, from);
+        this.updatePlayButton();
+    }
+
+    updatePlayButton() {
+        if (!this.flipbookPlayBtn) return;
+        this.flipbookPlayBtn.textContent = this.flipbookPlayer?.playing ? '⏸ Pause' : '▶ Play';
+    }
+
+    highlightFrame(index) {
+        if (!this.frameList) return;
+        Array.from(this.frameList.children).forEach((item, i) => item.classList.toggle('active', i === index));
+    }
+
+    renderFrameList() {
+        if (!this.frameList) return;
+
+        this.frameList.innerHTML = '';
+        if (this.frameEmpty) this.frameEmpty.hidden = this.flipbook.frames.length > 0;
+        this.updatePlayButton();
+
+        const apply = (change) => {
+            this.flipbookPlayer?.stop();
+            try {
+                change();
+            } catch (error) {
+                this.showNotification(`⚠️ ${error.message}`, 'warning');
+            }
+            this.renderFrameList();
+            this.refreshWorkspace();
+        };
+        const control = (tag, props, onEvent) => {
+            const el = Object.assign(document.createElement(tag), props);
+            if (onEvent) el.addEventListener(tag === 'button' ? 'click' : 'change', () => apply(() => onEvent(el)));
+            return el;
+        };
+
+        const { min, max } = Flipbook.DURATION_RANGE;
+        this.flipbook.frames.forEach((frame, index) => {
+            const item = document.createElement('li');
+            item.className = 'layer-item frame-item';
+            item.classList.toggle('active', frame.id === this.selectedFrameId);
+
+            const name = control('button', {
+                className: 'frame-name',
+                textContent: `${index + 1}. ${frame.name} (${frame.cells.width}×${frame.cells.height})`,
+                title: 'Show this frame'
+            }, () => {
+                this.selectedFrameId = frame.id;
+            });
+
+            const duration = control('input', { type: 'number', min, max, step: 10, value: frame.duration, title: 'Time shown' },
+                el => this.flipbook.updateFrame(frame.id, { duration: el.value }));
+            const label = document.createElement('label');
+            label.append(duration, ' ms');
+
+            item.append(
+                name,
+                label,
+                control('button', { textContent: '◀', title: 'Move earlier' }, () => this.flipbook.shiftFrame(frame.id, -1)),
+                control('button', { textContent: '▶', title: 'Move later' }, () => this.flipbook.shiftFrame(frame.id, 1)),
+                control('button', { textContent: '⧉', title: 'Duplicate frame' }, () => {
+                    this.selectedFrameId = this.flipbook.duplicateFrame(frame.id).id;
+                }),
+                control('button', { textContent: '✕', title: 'Remove frame' }, () => {
+                    this.flipbook.removeFrame(frame.id);
+                    if (frame.id === this.selectedFrameId) {
+                        this.selectedFrameId = this.flipbook.frames[Math.min(index, this.flipbook.frames.length - 1)]?.id ?? null;
+                    }
+                })
+            );
+            this.frameList.appendChild(item);
+        });
+    }
+
+    generateFlipbook() {
+        let frame = this.flipbook.frames.find(f => f.id === this.selectedFrameId);
+        if (!frame) {
+            frame = this.flipbook.frames[0];
+            this.selectedFrameId = frame.id;
+            this.highlightFrame(0);
+        }
+        // An empty frame is still a frame; it shows as blank output
+        return {
+            ascii: frame.cells.toText(),
+            cells: frame.cells.clone(),
+            frameId: frame.id,
+            frame: this.flipbook.indexOf(frame.id) + 1,
+            frames: this.flipbook.frames.length,
+            color: 'none',
+            mode: 'flipbook',
+            timestamp: Date.now(),
+            success: true
+        };
+    }
+
+    drawOnionSkin(result) {
+        // Earlier and later frames show faintly in the frame's empty cells; the result itself stays unchanged
+        const index = this.flipbook.frames.findIndex(f => f.id === result.frameId);
+        if (index < 0) return;
+        this.output.innerHTML = this.flipbook.onion(index, { previous: true, next: true }).toHTML();
+    }
+
+    setupOutputEditor() {
+        if (typeof OutputEditor === 'undefined') return;
+        this.outputEditor = new OutputEditor({
+            output: this.output,
+            notify: (message, type) => this.showNotification(message, type),
+            // Edits go into the current result, so everything that reads it sees them.
+            // The first edit starts a new history entry; undo goes back to the unedited output
+            onChange: (cells) => {
+                if (!this.history.current) return;
+                if (!this.editedEntry) {
+                    this.editedEntry = this.history.push(this.history.current);
+                    this.updateHistoryButtons();
+                }
+                this.editedEntry.ascii = cells.toText();
+                this.editedEntry.cells = cells;
+                this.editedEntry.edited = true;
+                // Editing a flipbook frame edits the frame itself
+                const { frameId } = this.editedEntry;
+                if (this.editedEntry.mode === 'flipbook' && this.flipbook.frames.some(f => f.id === frameId)) {
+                    this.flipbook.updateFrame(frameId, { cells });
+                }
+            },
+            onClose: () => {
+                this.editedEntry = null;
+                if (this.history.current) this.displayOutput(this.history.current);
+                if (this.currentMode === 'flipbook') this.renderFrameList();
+            }
+        });
+
+        if (this.editOutputBtn) {
+            this.editOutputBtn.addEventListener('click', () => {
+                if (this.outputEditor.isOpen) {
+                    this.outputEditor.close();
+                } else if (this.history.current) {
+                    const current = this.history.current;
+                    this.textAnimator?.stop();
+                    this.flipbookPlayer?.stop();
+                    this.outputEditor.open(current.cells || CellGrid.fromText(current.ascii));
+                } else {
+                    this.showNotification('⚠️ Generate something first', 'warning');
+                }
+            });
+        }
+    }
+
+    setupHistory() {
+        this.historyUndoBtn?.addEventListener('click', () => this.undoOutput());
+        this.historyRedoBtn?.addEventListener('click', () => this.redoOutput());
+
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            // Text fields keep their own undo
+            const target = event.target;
+            if (target && (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable)) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undoOutput();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.redoOutput();
+            }
+        });
+        this.updateHistoryButtons();
+    }
+
+    undoOutput() {
+        if (this.isGenerating) return;
+        const entry = this.history.undo();
+        if (entry) this.restoreEntry(entry);
+    }
+
+    redoOutput() {
+        if (this.isGenerating) return;
+        const entry = this.history.redo();
+        if (entry) this.restoreEntry(entry);
+    }
+
+    restoreEntry(entry) {
+        this.outputEditor?.close();
+        this.restoreInputs(entry);
+        this.displayOutput(entry);
+        this.updateHistoryButtons();
+        console.log(`↩️ Restored ${entry.mode} output from ${new Date(entry.timestamp).toLocaleTimeString()}`);
+    }
+
+    restoreInputs(entry) {
+        // Put the controls back the way they produced this output, without regenerating
+        const set = (input, value) => {
+            if (input && value !== undefined && value !== null) input.value = value;
+        };
+
+        if (entry.mode && entry.mode !== this.currentMode) this.setMode(entry.mode, false);
+
+        if (entry.mode === 'ai') {
+            set(this.aiPrompt, entry.prompt);
+        } else if (entry.mode === 'flipbook') {
+            if (this.flipbook.frames.some(f => f.id === entry.frameId)) {
+                this.selectedFrameId = entry.frameId;
+                this.renderFrameList();
+            }
+        } else if (entry.mode !== 'compose') {
+            set(this.textInput, entry.text);
+        }
+        set(this.fontSelect, entry.fit?.requestedFont || entry.font);
+
+        if (entry.mode === 'poetry') {
+            set(this.poetryColorSelect, entry.color);
+            set(this.borderSelect, entry.border);
+        } else {
+            set(this.colorSelect, entry.color);
+        }
+
+        if (entry.mode === 'text') {
+            set(this.layoutSelect, entry.layout);
+            set(this.unknownCharsSelect, entry.unknownChars);
+            set(this.maxWidthInput, entry.fit ? entry.fit.width : entry.maxWidth || '');
+            set(this.lineSpacingInput, entry.lineSpacing);
+            if (this.fitFontCheckbox) this.fitFontCheckbox.checked = !!entry.fit;
+            set(this.fillSelect, entry.fill);
+            set(this.fillCharsInput, entry.fillChars);
+            set(this.transformSelect, entry.transform);
+            set(this.effectSelect, entry.effect);
+
+            const effectOptions = entry.effectOptions || {};
+            set(this.effectOffsetXInput, effectOptions.offsetX);
+            set(this.effectOffsetYInput, effectOptions.offsetY);
+            set(this.effectDepthInput, effectOptions.depth);
+            set(this.effectCharInput, effectOptions.char || '');
+            this.updateFillControls();
+            this.updateEffectControls();
+        }
+        this.updateCoverageWarning();
+    }
+
+    updateHistoryButtons() {
+        if (this.historyUndoBtn) this.historyUndoBtn.disabled = !this.history.canUndo();
+        if (this.historyRedoBtn) this.historyRedoBtn.disabled = !this.history.canRedo();
+    }
+
+    setupExport() {
+        if (typeof ExportDialog === 'undefined') return;
+        this.exportDialog = new ExportDialog({
+            notify: (message, type) => this.showNotification(message, type),
+            measure: (text) => this.asciiRenderer.getDimensions(text),
+            getOutput: () => {
+                const current = this.history.current;
+                if (!current || !this.output?.textContent) return null;
+                return {
+                    cells: current.cells || CellGrid.fromText(current.ascii),
+                    color: current.color || 'none',
+                    animation: this.animationSelect?.value || 'none',
+                    animationSpeed: parseFloat(this.animationSpeed?.value) || 1,
+                    // A flipbook frame exports as the whole flipbook in the animated formats
+                    flipbook: current.mode === 'flipbook' && this.flipbook.frames.length ? this.flipbook : null,
+                    fontFamily: window.getComputedStyle(this.output).fontFamily
+                };
+            }
+        });
+        this.exportBtn?.addEventListener('click', () => this.exportDialog.open());
+    }
+
+    setupAnimation() {
+        if (typeof TextAnimator !== 'undefined' && this.output) {
+            this.textAnimator = new TextAnimator(this.output);
+        }
+        // Animation is how the output is shown, so changing it needs no new generation
+        this.animationSelect?.addEventListener('change', () => this.applyAnimation());
+        this.animationSpeed?.addEventListener('input', () => {
+            const speed = parseFloat(this.animationSpeed.value);
+            if (this.animationSpeedValue) this.animationSpeedValue.textContent = `${speed}×`;
+            this.textAnimator?.setSpeed(speed);
+        });
+    }
+
+    applyAnimation(result = this.history.current) {
+        if (!this.output) return;
+        this.textAnimator?.stop();
+        this.output.classList.remove('animation-glow', 'animation-wave', 'animation-fade', 'animation-blink');
+
+        const animation = this.animationSelect?.value || 'none';
+        if (animation === 'none' || !result || !this.output.textContent || this.outputEditor?.isOpen) return;
+
+        if (this.textAnimator && TextAnimator.has(animation)) {
+            // Whole-output colors are classes on the <pre>, so they carry over to every frame
+            const styled = result.cells?.isStyled() && (!result.color || result.color === 'none');
+            const cells = styled ? result.cells : CellGrid.fromText(result.ascii);
+            this.textAnimator.start(animation, cells, { speed: this.animationSpeed?.value });
+        } else {
+            this.output.classList.add(`animation-${animation}`);
+        }
+    }
+
+    setupGallery() {
+        if (!this.historyStore || typeof HistoryGallery === 'undefined') return;
+        this.gallery = new HistoryGallery({
+            store: this.historyStore,
+            notify: (message, type) => this.showNotification(message, type),
+            // A restored entry goes on top of the undo history like a new generation
+            onRestore: (entry) => {
+                this.outputEditor?.close();
+                this.history.push(entry.result);
+                this.restoreEntry(this.history.current);
+            }
+        });
+        this.galleryBtn?.addEventListener('click', () => this.gallery.open());
+    }
+
+    saveToGallery(result) {
+        // Compositions are made from results that are already saved
+        if (!this.historyStore || !['text', 'poetry', 'ai'].includes(result.mode)) return;
+
+        this.historyStore.add(result, {
+            mode: result.mode,
+            text: result.mode === 'ai' ? result.prompt : result.text,
+            font: result.fit?.requestedFont || result.font
+        }).catch(error => console.error('❌ Could not save to history:', error));
+    }
+
+    async loadBundledFonts() {
+        const bundled = await this.fontManager.loadBundledFigletFonts();
+        if (bundled.length === 0) return;
+        console.log(`📚 Bundled FIGlet fonts loaded: ${bundled.join(', ')}`);
+    }
+
     setDefaultFont() {
         if (this.fontSelect) {
             try {
@@ -1396,7 +1809,19 @@ class SimpleASCIIArt {
 
         // Determine input based on mode
         let text;
-        if (this.currentMode === 'ai') {
+        if (this.currentMode === 'compose') {
+            if (!this.composition.layers.length) {
+                this.showNotification('⚠️ Add a layer first: generate something and click 🧩 Add layer', 'warning');
+                return;
+            }
+            text = '';
+        } else if (this.currentMode === 'flipbook') {
+            if (!this.flipbook.frames.length) {
+                this.showNotification('⚠️ Add a frame first: generate something and click 🎞️ Add frame', 'warning');
+                return;
+            }
+            text = '';
+        } else if (this.currentMode === 'ai') {
             text = this.aiPrompt?.value?.trim();
             if (!text) {
                 this.showNotification('⚠️ Please describe the ASCII art you want', 'warning');
@@ -1421,6 +1846,9 @@ class SimpleASCIIArt {
             return;
         }
 
+        // A new result replaces the one being edited
+        this.outputEditor?.close();
+
         try {
             this.isGenerating = true;
             this.updateButtonState();
@@ -1433,10 +1861,16 @@ class SimpleASCIIArt {
                 result = await this.generatePoetry(text);
             } else if (this.currentMode === 'ai') {
                 result = await this.generateAI(text);
+            } else if (this.currentMode === 'compose') {
+                result = this.generateComposition();
+            } else if (this.currentMode === 'flipbook') {
+                result = this.generateFlipbook();
             }
 
-            this.lastValidState = result;
+            this.history.push(result);
+            this.updateHistoryButtons();
             this.displayOutput(result);
+            this.saveToGallery(result);
             console.log('✅ Generation complete');
 
         } catch (error) {
@@ -1450,9 +1884,9 @@ class SimpleASCIIArt {
                 this.showError(`Generation failed: ${error.message}`);
             }
 
-            if (this.lastValidState) {
-                console.log('🔄 Rolling back to last valid state...');
-                this.displayOutput(this.lastValidState);
+            if (this.history.current) {
+                console.log('🔄 Rolling back to the current history entry...');
+                this.displayOutput(this.history.current);
             }
 
         } finally {
@@ -1472,18 +1906,65 @@ class SimpleASCIIArt {
                 throw new Error('Font validation failed');
             }
 
-            const ascii = this.asciiRenderer.renderTextWithFont(text, font);
+            const layout = this.layoutSelect?.value || 'default';
+            const unknownChars = this.unknownCharsSelect?.value || 'placeholder';
+            const { maxWidth, lineSpacing, fitWidth, fitFonts } = this.getWrapOptions();
+
+            // A fill turns smushing into kerning, which is wider, so fonts are fitted filled
+            const fill = this.fillSelect?.value || 'none';
+            const fillChars = this.fillCharsInput?.value.trim() || undefined;
+
+            // Vertical stacking renders one glyph at a time; the rest reshape the rendered banner
+            const transform = this.transformSelect?.value || 'none';
+            const effect = this.effectSelect?.value || 'none';
+            const effectOptions = this.getEffectOptions(effect);
+            const finish = (rendered, bannerFont) => {
+                const transformed = rendered && BannerTransform.apply(rendered, transform, {
+                    text,
+                    render: char => this.asciiRenderer.renderTextWithFont(char, bannerFont, { layout, unknownChars }),
+                    spacing: lineSpacing
+                });
+                return transformed && BannerEffect.apply(transformed, effect, effectOptions);
+            };
+
+            // Fit to N columns: the most legible font whose finished art fits, else wrap the selected one
+            const fit = fitWidth
+                ? this.fitFont(text, fitFonts, fitWidth, { layout, unknownChars, lineSpacing }, { fill, chars: fillChars }, (rendered, candidate) => finish(rendered, candidate.font))
+                : null;
+            const wrapWidth = fitWidth && !fit ? fitWidth : maxWidth;
+
+            const filledFont = GlyphFill.apply(font, fill, { chars: fillChars });
+            const ascii = fit
+                ? fit.ascii
+                : finish(this.asciiRenderer.renderTextWithFont(text, filledFont, { layout, unknownChars, maxWidth: wrapWidth, lineSpacing }), filledFont);
             if (!ascii) {
                 throw new Error('Rendering returned empty');
             }
 
+            if (fit) {
+                this.showNotification(`📐 "${fit.fontName}" fits ${fitWidth} columns`, 'info');
+            } else if (fitWidth) {
+                this.showNotification(`📐 No font fits ${fitWidth} columns; wrapped "${finalFont}" instead`, 'warning');
+            }
+
             const color = this.colorSelect?.value || 'none';
 
             return {
                 ascii: ascii,
-                font: finalFont,
+                cells: CellGrid.fromText(ascii),
+                font: fit ? fit.fontName : finalFont,
                 text: text,
                 color: color,
+                layout: layout,
+                unknownChars: unknownChars,
+                maxWidth: wrapWidth,
+                lineSpacing: lineSpacing,
+                fill: fill,
+                fillChars: fillChars,
+                transform: transform,
+                effect: effect,
+                effectOptions: effectOptions,
+                fit: fitWidth ? { width: fitWidth, fitted: !!fit, requestedFont: finalFont } : null,
                 mode: 'text',
                 timestamp: Date.now(),
                 success: true
@@ -1493,6 +1974,72 @@ class SimpleASCIIArt {
         }
     }
 
+    getWrapOptions() {
+        // Blank or 0 turns wrapping off; anything narrower than 10 columns is too narrow for a glyph
+        const width = parseInt(this.maxWidthInput?.value, 10) || 0;
+        const spacing = parseInt(this.lineSpacingInput?.value, 10) || 0;
+        const maxWidth = width > 0 ? Math.min(Math.max(width, 10), 500) : 0;
+
+        // Fitting uses the same width, 80 columns when none is set
+        const fitting = !!this.fitFontCheckbox?.checked;
+        const fitFonts = (this.fitFontsInput?.value || '')
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(Boolean);
+
+        return {
+            maxWidth,
+            lineSpacing: Math.min(Math.max(spacing, 0), 5),
+            fitWidth: fitting ? maxWidth || 80 : 0,
+            fitFonts
+        };
+    }
+
+    getEffectOptions(effect) {
+        // Blank inputs fall back to the effect's defaults
+        const number = input => (input?.value === '' ? undefined : parseInt(input?.value, 10));
+        const char = this.effectCharInput?.value.trim() || undefined;
+
+        switch (effect) {
+            case 'shadow':
+                return { offsetX: number(this.effectOffsetXInput), offsetY: number(this.effectOffsetYInput), char };
+            case 'extrude':
+                return { depth: number(this.effectDepthInput), char };
+            case 'outline':
+                return { char };
+            default:
+                return {};
+        }
+    }
+
+    updateFillControls() {
+        // Letter fills draw each glyph with its own character, so there is nothing to type
+        const fill = this.fillSelect?.value || 'none';
+        if (!this.fillCharsInput) return;
+        this.fillCharsInput.hidden = fill === 'none' || fill === 'text';
+        this.fillCharsInput.placeholder = `Fill characters (default ${GlyphFill.DEFAULT_CHARS[fill] || ''})`;
+    }
+
+    updateEffectControls() {
+        const effect = this.effectSelect?.value || 'none';
+        if (this.effectSettings) this.effectSettings.hidden = effect === 'none';
+        document.querySelectorAll('.effect-offset').forEach(field => {
+            field.hidden = effect !== 'shadow';
+        });
+        const depthField = document.getElementById('effect-depth-field');
+        if (depthField) depthField.hidden = effect !== 'extrude';
+        if (this.effectCharInput) {
+            this.effectCharInput.placeholder = BannerEffect.DEFAULTS[effect]?.char || 'Font\'s own';
+        }
+    }
+
+    fitFont(text, fontNames, width, options, { fill = 'none', chars } = {}, finish = null) {
+        const available = this.fontManager.getAvailableFonts();
+        const names = fontNames.length ? fontNames.filter(name => available.includes(name)) : available;
+        const candidates = names.map(name => ({ name, font: GlyphFill.apply(this.fontManager.getFont(name), fill, { chars }) }));
+        return FontFitter.fit(text, candidates, width, this.asciiRenderer, options, finish);
+    }
+
     async generatePoetry(text) {
         try {
             const borderStyle = this.borderSelect?.value || 'box';
@@ -1502,7 +2049,7 @@ class SimpleASCIIArt {
             const finalFont = available.includes(fontName) ? fontName : 'standard';
             
             // Format the poem with border
-            let formatted = this.poetryFormatter.formatPoem(text, borderStyle, 1);
+            let cells = this.poetryFormatter.formatPoemCells(text, borderStyle, 1);
 
             // Optionally apply ASCII font rendering to poem text
             // For poetry, we'll use ASCII fonts to render the poem lines
@@ -1512,8 +2059,8 @@ class SimpleASCIIArt {
                     if (this.asciiRenderer.validateFont(font)) {
                         // Apply font to first line of poem for visual effect
                         const firstLine = text.split('\n')[0];
-                        const asciiTitle = this.asciiRenderer.renderTextWithFont(firstLine, font);
-                        formatted = asciiTitle + '\n\n' + formatted;
+                        const asciiTitle = this.asciiRenderer.renderCells(firstLine, font);
+                        cells = new CellGrid([...asciiTitle.rows, [], ...cells.rows]);
                     }
                 } catch (e) {
                     console.warn('Could not apply font to poem:', e.message);
@@ -1522,7 +2069,8 @@ class SimpleASCIIArt {
             }
 
             return {
-                ascii: formatted,
+                ascii: cells.toText(),
+                cells: cells,
                 border: borderStyle,
                 color: color,
                 font: finalFont,
@@ -1644,11 +2192,24 @@ class SimpleASCIIArt {
                 throw new Error('Output element not found');
             }
 
-            if (!result || !result.ascii) {
+            if (!result || typeof result.ascii !== 'string') {
                 throw new Error('Invalid result object');
             }
 
-            this.output.textContent = result.ascii;
+            // The old output's animation must not draw over the new one
+            this.textAnimator?.stop();
+            this.flipbookPlayer?.stop();
+
+            // Styled cells (per-letter colors, highlights) replace the whole-output color
+            const styled = result.cells?.isStyled() && (!result.color || result.color === 'none');
+            if (styled) {
+                this.output.innerHTML = result.cells.toHTML();
+            } else {
+                this.output.textContent = result.ascii;
+            }
+            if (result.mode === 'flipbook' && this.flipbookOnion?.checked) {
+                this.drawOnionSkin(result);
+            }
             this.output.className = 'ascii-output';
 
             // Apply color class - handle rainbow specially
@@ -1676,6 +2237,9 @@ class SimpleASCIIArt {
 
             this.output.setAttribute('data-mode', result.mode);
             this.output.setAttribute('data-timestamp', result.timestamp);
+            // A composition can't be added to itself
+            if (this.addLayerBtn) this.addLayerBtn.disabled = result.mode === 'compose';
+            this.applyAnimation(result);
 
             console.log(`✨ Output displayed (${result.ascii.length} chars, mode: ${result.mode})`);
         } catch (error) {
@@ -1735,16 +2299,30 @@ class SimpleASCIIArt {
             console.log('🔄 Attempting recovery...');
             this.isGenerating = false;
             this.updateButtonState();
-            if (this.lastValidState) {
-                this.displayOutput(this.lastValidState);
-                console.log('✅ Recovered to last valid state');
+            // Walk back through history until an entry displays
+            let entry = this.history.current;
+            while (entry) {
+                try {
+                    this.displayOutput(entry);
+                    this.restoreInputs(entry);
+                    this.updateHistoryButtons();
+                    console.log('✅ Recovered to a history entry');
+                    return;
+                } catch (error) {
+                    console.warn('⚠️ History entry could not be displayed:', error.message);
+                    entry = this.history.undo();
+                }
             }
+            this.updateHistoryButtons();
         } catch (error) {
             console.error('❌ Recovery failed:', error);
         }
     }
 
     clearOutput() {
+        this.outputEditor?.close();
+        this.textAnimator?.stop();
+        this.flipbookPlayer?.stop();
         if (this.output) {
             this.output.textContent = '';
             this.output.className = 'ascii-output';
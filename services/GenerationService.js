@@ -11,6 +11,10 @@ class GenerationService {
         this.eventBus = eventBus;
         this.performanceManager = performanceManager;
         this.isGenerating = false;
+
+        // Layers of earlier results, flattened in compose mode
+        this.composition = new Composition();
+        this.lastResult = null;
         
         // Timeout configuration (in milliseconds)
         this.generationTimeout = 10000; // 10 seconds
@@ -69,6 +73,21 @@ class GenerationService {
             this.generatePoetry(options);
         });
 
+        // Composition: the latest result of any mode can become a layer
+        [
+            EventBus.Events.TEXT_GENERATION_COMPLETE,
+            EventBus.Events.IMAGE_GENERATION_COMPLETE,
+            EventBus.Events.POETRY_GENERATION_COMPLETE
+        ].forEach(event => this.eventBus.on(event, (result) => {
+            if (result?.success) this.lastResult = result;
+        }));
+        this.eventBus.on(EventBus.Events.REQUEST_COMPOSITION_LAYER, (options) => {
+            this.addCompositionLayer(options);
+        });
+        this.eventBus.on(EventBus.Events.REQUEST_COMPOSITION, () => {
+            this.generateComposition();
+        });
+
         console.log('⚙️ GenerationService: Event subscriptions complete');
     }
 
@@ -96,7 +115,18 @@ class GenerationService {
                 text = '',
                 fontName = 'standard',
                 color = 'none',
-                animation = 'none'
+                animation = 'none',
+                layout = 'default',
+                unknownChars = window.AppConfig?.ascii?.unknownChars?.default || 'placeholder',
+                maxWidth = window.AppConfig?.ascii?.wrap?.defaultWidth || 0,
+                lineSpacing = window.AppConfig?.ascii?.wrap?.lineSpacing || 0,
+                fitWidth = 0,
+                fitFonts = [],
+                fill = 'none',
+                fillChars,
+                transform = 'none',
+                effect = 'none',
+                effectOptions = {}
             } = options;
 
             // Validate required fields
@@ -121,8 +151,48 @@ class GenerationService {
                 throw new Error('Invalid input: animation must be a string');
             }
 
+            if (!GlyphResolver.POLICIES.includes(unknownChars)) {
+                throw new Error(`Invalid input: unknownChars must be one of ${GlyphResolver.POLICIES.join(', ')}`);
+            }
+
+            const wrap = window.AppConfig?.ascii?.wrap || { minWidth: 10, maxWidth: 500, maxLineSpacing: 5 };
+            if (!Number.isInteger(maxWidth) || (maxWidth !== 0 && (maxWidth < wrap.minWidth || maxWidth > wrap.maxWidth))) {
+                throw new Error(`Invalid width: must be 0 (no wrapping) or between ${wrap.minWidth} and ${wrap.maxWidth}`);
+            }
+
+            if (!Number.isInteger(lineSpacing) || lineSpacing < 0 || lineSpacing > wrap.maxLineSpacing) {
+                throw new Error(`Invalid line spacing: must be between 0 and ${wrap.maxLineSpacing}`);
+            }
+
+            if (!Number.isInteger(fitWidth) || (fitWidth !== 0 && (fitWidth < wrap.minWidth || fitWidth > wrap.maxWidth))) {
+                throw new Error(`Invalid fit width: must be 0 (off) or between ${wrap.minWidth} and ${wrap.maxWidth}`);
+            }
+
+            if (!Array.isArray(fitFonts) || fitFonts.some(name => typeof name !== 'string')) {
+                throw new Error('Invalid input: fitFonts must be an array of font names');
+            }
+
+            if (!GlyphFill.FILLS.includes(fill)) {
+                throw new Error(`Invalid input: fill must be one of ${GlyphFill.FILLS.join(', ')}`);
+            }
+
+            if (fillChars !== undefined && typeof fillChars !== 'string') {
+                throw new Error('Invalid input: fillChars must be a string');
+            }
+
+            if (!BannerTransform.TRANSFORMS.includes(transform)) {
+                throw new Error(`Invalid input: transform must be one of ${BannerTransform.TRANSFORMS.join(', ')}`);
+            }
+
+            if (!BannerEffect.EFFECTS.includes(effect)) {
+                throw new Error(`Invalid input: effect must be one of ${BannerEffect.EFFECTS.join(', ')}`);
+            }
+
+            // Options beyond text/font/color/animation that change the rendered output
+            const renderOptions = { layout, unknownChars, maxWidth, lineSpacing, fitWidth, fitFonts, fill, fillChars, transform, effect, effectOptions };
+
             // Check cache first
-            const cachedResult = this.performanceManager?.getCachedResult(text, fontName, color, animation);
+            const cachedResult = this.performanceManager?.getCachedResult(text, fontName, color, animation, renderOptions);
             if (cachedResult) {
                 console.log('⚙️ GenerationService: Using cached result');
                 this.isGenerating = false;  // ✅ FIX: Reset flag before returning
@@ -130,16 +200,51 @@ class GenerationService {
                 return;
             }
 
+            // Transforms and effects reshape the rendered banner; vertical stacking renders one glyph at a time
+            const finish = (rendered, filledFont, glyphOptions) => {
+                const transformed = BannerTransform.apply(rendered, transform, {
+                    text,
+                    render: char => this.renderer.renderTextWithFont(char, filledFont, glyphOptions),
+                    spacing: lineSpacing
+                });
+                return BannerEffect.apply(transformed, effect, effectOptions);
+            };
+
+            // Fit to a column budget: the most legible font whose finished art fits without wrapping.
+            // Fonts are measured filled, since a fill turns smushing into wider kerning
+            const fit = fitWidth > 0
+                ? this.fitFont(text, fitFonts, fitWidth, layout, { unknownChars, lineSpacing }, { fill, chars: fillChars || undefined },
+                    (rendered, candidate) => finish(rendered, candidate.font, { layout: candidate.options.layout, unknownChars }))
+                : null;
+            const renderedFont = fit ? fit.fontName : fontName;
+
             // Get font
-            const font = this.fontManager.getFont(fontName);
+            const font = this.fontManager.getFont(renderedFont);
             if (!font) {
-                throw new Error(`Font "${fontName}" not found`);
+                throw new Error(`Font "${renderedFont}" not found`);
+            }
+
+            // Warn before rendering about characters drawn with substitute glyphs
+            const substituted = this.fontManager.getSubstitutedChars?.(renderedFont, text) || [];
+            if (substituted.length) {
+                this.eventBus.emit(EventBus.Events.NOTIFICATION_SHOW, {
+                    message: `⚠️ "${renderedFont}" has no glyph for ${substituted.join(' ')} (substitutes will be used)`,
+                    type: 'warning'
+                });
             }
 
+            // When nothing fits, the chosen font is wrapped to the budget instead
+            const wrapWidth = fitWidth > 0 && !fit ? fitWidth : maxWidth;
+
+            const filledFont = GlyphFill.apply(font, fill, { chars: fillChars || undefined });
+
             // Generate ASCII with timeout protection
-            const asciiPromise = Promise.resolve(
-                this.renderer.renderTextWithFont(text.toUpperCase(), font)
-            );
+            const glyphOptions = { layout: this.resolveLayout(renderedFont, layout, filledFont), unknownChars };
+            const asciiPromise = Promise.resolve(fit ? fit.ascii : this.renderer.renderTextWithFont(text, filledFont, {
+                ...glyphOptions,
+                maxWidth: wrapWidth,
+                lineSpacing
+            })).then(rendered => (fit ? rendered : finish(rendered, filledFont, glyphOptions)));
             const ascii = await this.raceWithTimeout(
                 asciiPromise, 
                 this.generationTimeout, 
@@ -149,17 +254,29 @@ class GenerationService {
             const result = {
                 success: true,
                 ascii,
+                cells: CellGrid.fromText(ascii),
                 metadata: {
                     text,
-                    fontName,
+                    fontName: renderedFont,
                     color,
                     animation,
+                    layout,
+                    unknownChars,
+                    maxWidth: wrapWidth,
+                    lineSpacing,
+                    fill,
+                    fillChars,
+                    transform,
+                    effect,
+                    effectOptions,
+                    fit: fitWidth > 0 ? { width: fitWidth, fitted: !!fit, requestedFont: fontName } : null,
+                    substituted,
                     timestamp: Date.now()
                 }
             };
 
             // Cache the result
-            this.performanceManager?.cacheResult(text, fontName, color, animation, result);
+            this.performanceManager?.cacheResult(text, fontName, color, animation, result, renderOptions);
 
             console.log('⚙️ GenerationService: Text generation complete');
             // Emit with the correct event name from EventBus.Events
@@ -194,6 +311,47 @@ class GenerationService {
         }
     }
 
+    /**
+     * Font layout (FIGlet smushing/kerning) with the per-request override applied
+     * @param {string} fontName - Font name
+     * @param {string} layout - Layout override ('default', 'full', 'kerning', 'smush')
+     * @param {Object} [font] - Font to take the layout from instead of the registered one (e.g. a filled copy)
+     * @returns {Object|undefined} Resolved layout
+     */
+    resolveLayout(fontName, layout, font = null) {
+        if (typeof GlyphLayout === 'undefined') return undefined;
+
+        const fontLayout = font
+            ? font.layout && { ...font.layout, hardblank: font.hardblank }
+            : this.fontManager.getFontLayout?.(fontName);
+        return GlyphLayout.resolve(fontLayout, layout);
+    }
+
+    /**
+     * Pick the most legible font that renders a text within a column budget
+     * @param {string} text - Text to render
+     * @param {string[]} fontNames - Shortlist (empty = every available font)
+     * @param {number} width - Column budget
+     * @param {string} layout - Layout override
+     * @param {Object} options - Other render options (unknownChars, lineSpacing)
+     * @param {Object} [filling] - Fill every candidate is measured with ({ fill, chars }, see GlyphFill)
+     * @param {Function} [finish] - (ascii, candidate) => the art as shown (see FontFitter.fit)
+     * @returns {{fontName: string, ascii: string, width: number, height: number}|null}
+     *   ascii is drawn with the fill and finished
+     */
+    fitFont(text, fontNames, width, layout, options, { fill = 'none', chars } = {}, finish = null) {
+        const available = this.fontManager.getAvailableFonts();
+        const names = fontNames.length
+            ? fontNames.map(name => name.trim().toLowerCase()).filter(name => available.includes(name))
+            : available;
+
+        const candidates = names.map(name => {
+            const font = GlyphFill.apply(this.fontManager.getFont(name), fill, { chars });
+            return { name, font, options: { layout: this.resolveLayout(name, layout, font) } };
+        });
+        return FontFitter.fit(text, candidates, width, this.renderer, options, finish);
+    }
+
     async generateImage(options) {
         if (this.isGenerating) {
             this.eventBus.emit('ui:notification', { 
@@ -209,26 +367,46 @@ class GenerationService {
             
             this.eventBus.emit(EventBus.Events.IMAGE_GENERATION_START);
 
-            const { file, width = 80, charSet = 'standard' } = options;
+            const {
+                file,
+                width = 80,
+                charSet = 'standard',
+                colored = false,
+                fps = window.AppConfig?.image?.frames?.defaultFps || 10
+            } = options;
 
             // Validate input
             if (!file) {
                 throw new Error('Image file is required');
             }
 
-            // Convert image to ASCII
-            const ascii = await this.convertImageToASCII(file, width, charSet);
+            // GIFs and videos become a flipbook that the output panel plays; the first frame is the output
+            const flipbook = this.isAnimationFile(file)
+                ? await this.convertAnimationToFrames(file, width, charSet, { colored, fps })
+                : null;
+            const cells = flipbook
+                ? flipbook.frames[0].cells.clone()
+                : await this.convertImageToCells(file, width, charSet, { colored });
+            const ascii = `${cells.toText()}\n`;
 
             const result = {
                 success: true,
                 ascii,
+                cells,
                 metadata: {
                     fileName: file.name,
                     width,
                     charSet,
+                    colored,
                     timestamp: Date.now()
                 }
             };
+            if (flipbook) {
+                result.metadata.frames = flipbook.frames.length;
+                if (file.type.startsWith('video/')) result.metadata.fps = fps;
+                // A single-frame GIF is just a picture
+                if (flipbook.frames.length > 1) result.flipbook = flipbook;
+            }
 
             console.log('⚙️ GenerationService: Image generation complete');
             this.eventBus.emit(EventBus.Events.IMAGE_GENERATION_COMPLETE, result);
@@ -291,9 +469,14 @@ class GenerationService {
             // Generate poetry ASCII
             const ascii = await this.convertPoetryToASCII(poem, font, keywords, layout, decoration);
 
+            // Keywords stand out in the cell grid
+            const cells = CellGrid.fromText(ascii);
+            keywords.forEach(keyword => cells.highlight(keyword, { fg: 'gold', bold: true }));
+
             const result = {
                 success: true,
                 ascii,
+                cells,
                 metadata: {
                     poem,
                     fontName,
@@ -328,7 +511,97 @@ class GenerationService {
         }
     }
 
+    /**
+     * Add a result to the composition as its top layer
+     * @param {Object} [options] - Composition.addLayer options, plus:
+     * @param {Object} [options.result] - Result to add (defaults to the latest one)
+     */
+    addCompositionLayer(options = {}) {
+        const { result = this.lastResult, ...layerOptions } = options || {};
+        if (!result) {
+            this.eventBus.emit('ui:notification', {
+                message: 'Generate something first, then add it as a layer',
+                type: 'warning'
+            });
+            return;
+        }
+
+        this.editComposition(composition => composition.addLayer(result, {
+            color: result.metadata?.color,
+            ...layerOptions
+        }));
+    }
+
+    /**
+     * Change the composition, e.g. move, align or restack layers
+     * @param {Function} edit - (composition) => void
+     */
+    editComposition(edit) {
+        try {
+            edit(this.composition);
+        } catch (error) {
+            this.eventBus.emit('ui:notification', { message: error.message, type: 'warning' });
+        }
+        this.eventBus.emit(EventBus.Events.COMPOSITION_LAYERS_CHANGED, {
+            layers: this.composition.layers.slice()
+        });
+    }
+
+    generateComposition() {
+        try {
+            this.eventBus.emit(EventBus.Events.COMPOSITION_GENERATION_START);
+
+            if (!this.composition.layers.length) {
+                throw new Error('Add a layer first');
+            }
+
+            const { ascii, cells } = this.renderer.renderComposition(this.composition);
+            if (!ascii.trim()) {
+                throw new Error('All layers are hidden or empty');
+            }
+
+            const result = {
+                success: true,
+                ascii,
+                cells,
+                metadata: {
+                    layers: this.composition.layers.map(({ name, x, y }) => ({ name, x, y })),
+                    color: 'none',
+                    animation: 'none',
+                    timestamp: Date.now()
+                }
+            };
+
+            console.log('⚙️ GenerationService: Composition flattened');
+            this.eventBus.emit(EventBus.Events.COMPOSITION_GENERATION_COMPLETE, result);
+        } catch (error) {
+            console.error('⚙️ GenerationService: Composition error:', error);
+            this.eventBus.emit(EventBus.Events.COMPOSITION_GENERATION_ERROR, error.message);
+        }
+    }
+
+    /**
+     * Convert an image file to ASCII text
+     * @param {File} file - Image file
+     * @param {number} width - Columns (20-200)
+     * @param {string} charSet - Character set name
+     * @returns {Promise<string>} One line per row, each ending in a newline
+     */
     async convertImageToASCII(file, width, charSet) {
+        const cells = await this.convertImageToCells(file, width, charSet);
+        return `${cells.toText()}\n`;
+    }
+
+    /**
+     * Convert an image file to a CellGrid
+     * @param {File} file - Image file
+     * @param {number} width - Columns (20-200)
+     * @param {string} charSet - Character set name
+     * @param {Object} [options]
+     * @param {boolean} [options.colored=false] - Color each cell with its pixel's color
+     * @returns {Promise<CellGrid>}
+     */
+    async convertImageToCells(file, width, charSet, options = {}) {
         return new Promise((resolve, reject) => {
             // Validate input
             if (!file || !file.type.startsWith('image/')) {
@@ -347,14 +620,6 @@ class GenerationService {
             }, 5000);
 
             const img = new Image();
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-
-            if (!ctx) {
-                clearTimeout(loadTimeout);
-                reject(new Error('Canvas context not available'));
-                return;
-            }
 
             img.onerror = () => {
                 clearTimeout(loadTimeout);
@@ -374,50 +639,18 @@ class GenerationService {
                         throw new Error('Invalid image dimensions');
                     }
 
-                    // Calculate height maintaining aspect ratio
-                    const aspectRatio = img.height / img.width;
-                    const height = Math.max(1, Math.floor(width * aspectRatio * 0.5)); // 0.5 for character aspect ratio
-
-                    canvas.width = width;
-                    canvas.height = height;
-
-                    // Draw with error handling
-                    ctx.drawImage(img, 0, 0, width, height);
-                    
-                    // Get image data with error handling
-                    let imageData;
-                    try {
-                        imageData = ctx.getImageData(0, 0, width, height);
-                    } catch (error) {
-                        throw new Error('Could not read image data. This might be a cross-origin image.');
-                    }
-
                     const chars = this.getCharacterSet(charSet);
                     if (!chars || chars.length === 0) {
                         throw new Error(`Invalid character set: "${charSet}"`);
                     }
 
-                    let ascii = '';
-
-                    for (let y = 0; y < height; y++) {
-                        for (let x = 0; x < width; x++) {
-                            const pixelIndex = (y * width + x) * 4;
-                            const r = imageData.data[pixelIndex] || 0;
-                            const g = imageData.data[pixelIndex + 1] || 0;
-                            const b = imageData.data[pixelIndex + 2] || 0;
-                            const brightness = (r + g + b) / 3;
-
-                            const charIndex = Math.floor((brightness / 255) * (chars.length - 1));
-                            ascii += chars[charIndex];
-                        }
-                        ascii += '\n';
-                    }
+                    const cells = CanvasSampler.sampleCells(img, img.height / img.width, width, chars, { colored: !!options.colored });
 
-                    if (!ascii || ascii.trim().length === 0) {
+                    if (!cells.toText().trim()) {
                         throw new Error('No ASCII art generated from image');
                     }
 
-                    resolve(ascii);
+                    resolve(cells);
                 } catch (error) {
                     reject(new Error(`Image processing error: ${error.message}`));
                 }
@@ -433,6 +666,57 @@ class GenerationService {
         });
     }
 
+    /**
+     * @param {File} file
+     * @returns {boolean} Whether the file is converted frame by frame (a GIF or a video)
+     */
+    isAnimationFile(file) {
+        return !!file && (file.type === 'image/gif' || file.type.startsWith('video/'));
+    }
+
+    /**
+     * Convert an animated GIF or a video file to a flipbook, one frame at a time
+     * @param {File} file - GIF or video file
+     * @param {number} width - Columns (20-200)
+     * @param {string} charSet - Character set name
+     * @param {Object} [options]
+     * @param {boolean} [options.colored=false] - Color each cell with its pixel's color
+     * @param {number} [options.fps=10] - Video frames taken per second (1-30); GIFs keep their own timing
+     * @returns {Promise<Flipbook>}
+     */
+    async convertAnimationToFrames(file, width, charSet, options = {}) {
+        const { colored = false, fps = 10 } = options;
+        const limits = window.AppConfig?.image?.frames || { minFps: 1, maxFps: 30, maxFrames: 300, maxGifBytes: 20 * 1024 * 1024, maxGifPixels: 2048 * 2048 };
+
+        if (!this.isAnimationFile(file)) {
+            throw new Error('Invalid file: must be a GIF or a video');
+        }
+        if (width < 20 || width > 200) {
+            throw new Error('Invalid width: must be between 20 and 200');
+        }
+        const chars = this.getCharacterSet(charSet);
+        if (!chars || chars.length === 0) {
+            throw new Error(`Invalid character set: "${charSet}"`);
+        }
+
+        if (file.type !== 'image/gif' && !(fps >= limits.minFps && fps <= limits.maxFps)) {
+            throw new Error(`Invalid frame rate: must be between ${limits.minFps} and ${limits.maxFps} fps`);
+        }
+
+        const flipbook = await CanvasSampler.sampleAnimation(file, width, chars, {
+            colored,
+            fps,
+            maxFrames: limits.maxFrames,
+            maxBytes: limits.maxGifBytes,
+            maxPixels: limits.maxGifPixels
+        });
+        if (!flipbook.frames.some(frame => frame.cells.toText().trim())) {
+            throw new Error('No ASCII art generated from the frames');
+        }
+        console.log(`⚙️ GenerationService: Converted ${flipbook.frames.length} frames from ${file.name}`);
+        return flipbook;
+    }
+
     async convertPoetryToASCII(poem, font, keywords, layout, decoration) {
         const lines = poem.split('\n');
         let result = '';
@@ -498,13 +782,7 @@ class GenerationService {
     }
 
     getCharacterSet(setName) {
-        const sets = {
-            standard: '@#%&*+=~-:,.` ',
-            blocks: '█▓▒░ ',
-            dots: '●○◯ ',
-            simple: '#*+. ',
-            detailed: '@#$%&*+=~-:,.` '
-        };
+        const sets = window.AppConfig.image.characterSets;
         return sets[setName] || sets.standard;
     }
 
@@ -157,7 +157,1407 @@ async function runPerformanceManagerTests() {
     await tester.run();
 }
 
+// Sample tests for FigletParser
+async function runFigletParserTests() {
+    const tester = new TestRunner('FigletParser');
+
+    // Two-row font: header, one comment line, the 102 required glyphs, one code-tagged glyph
+    const lines = ['flf2a$ 2 1 4 -1 1', 'tiny test font', '$$@', '$$@@', '|@', '.@@'];
+    for (let i = 2; i < 102; i++) {
+        lines.push('##@', '##@@');
+    }
+    lines.push('0x263A  WHITE SMILING FACE', ':)@', '  @@');
+    const source = lines.join('\n');
+
+    // Test 1: Header parsing
+    tester.test('Should parse header fields', async function() {
+        const parser = new FigletParser();
+        const header = parser.parseHeader(source);
+        tester.assertEqual(header.hardblank, '$', 'Hardblank mismatch');
+        tester.assertEqual(header.height, 2, 'Height mismatch');
+        tester.assertEqual(header.commentLines, 1, 'Comment line count mismatch');
+    });
+
+    // Test 2: Reject non-FIGlet input
+    tester.test('Should reject files without flf2a signature', async function() {
+        const parser = new FigletParser();
+        tester.assertThrows(() => parser.parseHeader('hello world'), 'Invalid header should throw');
+    });
+
+    // Test 3: Endmarks are stripped
+    tester.test('Should strip endmarks from glyph rows', async function() {
+        const parser = new FigletParser();
+        const font = parser.parse(source, 'tiny');
+        tester.assertEqual(font.glyphs['!'][0], '|', 'Single endmark not stripped');
+        tester.assertEqual(font.glyphs['!'][1], '.', 'Double endmark not stripped');
+    });
+
+    // Test 4: Code-tagged glyphs
+    tester.test('Should read code-tagged glyphs', async function() {
+        const parser = new FigletParser();
+        const font = parser.parse(source, 'tiny');
+        tester.assertEqual(font.glyphs['\u263A'][0], ':)', 'Tagged glyph missing');
+    });
+
+    // Test 5: Hardblank resolution
+    tester.test('Should turn hardblanks into spaces', async function() {
+        const parser = new FigletParser();
+        const font = parser.parse(source, 'tiny');
+        const rows = parser.resolveHardblanks(font.glyphs[' '], font.hardblank);
+        tester.assertEqual(rows[0], '  ', 'Hardblank not resolved');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for GlyphLayout
+async function runGlyphLayoutTests() {
+    const tester = new TestRunner('GlyphLayout');
+
+    const left = ['|\\ ', '| \\'];
+    const right = [' /|', '/ |'];
+
+    // Test 1: Header layout decoding
+    tester.test('Should decode FIGlet layout parameters', async function() {
+        tester.assertEqual(GlyphLayout.fromFiglet(-1).mode, 'full', 'Old layout -1 should be full width');
+        tester.assertEqual(GlyphLayout.fromFiglet(0).mode, 'kerning', 'Old layout 0 should be kerning');
+        const smush = GlyphLayout.fromFiglet(15, 24463);
+        tester.assertEqual(smush.mode, 'smush', 'Full layout bit 128 should smush');
+        tester.assertEqual(smush.rules, 15, 'Smushing rules mismatch');
+    });
+
+    // Test 2: Full width keeps the gap
+    tester.test('Should place glyphs side by side in full mode', async function() {
+        const rows = GlyphLayout.layout([left, right], { mode: 'full', rules: 0 }, { gap: 1 });
+        tester.assertEqual(rows[0], '|\\   /|', 'Full width row mismatch');
+    });
+
+    // Test 3: Kerning slides glyphs until they touch
+    tester.test('Should kern glyphs until they touch', async function() {
+        const rows = GlyphLayout.layout([left, right], { mode: 'kerning', rules: 0 });
+        tester.assertEqual(rows[0], '|\\  /|', 'Kerned row mismatch');
+        tester.assertEqual(rows[1], '| \\/ |', 'Kerned row mismatch');
+    });
+
+    // Test 4: Big X rule smushes \/ into Y
+    tester.test('Should smush with the big X rule', async function() {
+        const rows = GlyphLayout.layout([left, right], { mode: 'smush', rules: GlyphLayout.RULES.BIG_X });
+        tester.assertEqual(rows[1], '| Y |', 'Smushed row mismatch');
+    });
+
+    // Test 5: Hardblanks resolve to spaces but never smush away
+    tester.test('Should keep hardblanks when kerning', async function() {
+        const rows = GlyphLayout.layout([['A$'], ['B']], { mode: 'kerning', rules: 0 }, { hardblank: '$' });
+        tester.assertEqual(rows[0], 'A B', 'Hardblank should hold its column');
+    });
+
+    // Test 6: Word wrap by measured width
+    tester.test('Should wrap words by their measured width', async function() {
+        const measure = text => text.length * 3; // Every glyph three columns wide
+        tester.assertEqual(GlyphLayout.wrap('ab cd ef', 12, measure).join('|'), 'ab|cd|ef', 'Wrapped lines mismatch');
+        tester.assertEqual(GlyphLayout.wrap('abcdefgh', 9, measure).join('|'), 'abc|def|gh', 'Long word should break');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for ASCIIRenderer: script.js's on index.html, modules/ASCIIRenderer.js
+// in the modular app. Their default gap between glyphs differs, so the tests compare
+// a rendering with the renderer's own single-line banners rather than fixed text.
+async function runASCIIRendererTests() {
+    const tester = new TestRunner('ASCIIRenderer');
+    const font = FontModel.create({
+        name: 'tiny',
+        height: 2,
+        glyphs: { A: ['/\\', '||'], B: ['|)', '|)'], ' ': ['  ', '  '] }
+    });
+    const renderer = new ASCIIRenderer();
+    const render = (text, options) => renderer.renderTextWithFont(text, font, options);
+
+    // Test 1: Each input line is its own banner
+    tester.test('Should stack input lines as separate banners', async function() {
+        tester.assertEqual(render('AB\nA'), `${render('AB')}\n${render('A')}`, 'Banners should be stacked');
+        tester.assertEqual(render('AB\nA').split('\n').length, 4, 'Two banners of two rows expected');
+    });
+
+    // Test 2: Line spacing adds blank rows between banners
+    tester.test('Should add blank rows between banners', async function() {
+        tester.assertEqual(render('AB\nA', { lineSpacing: 2 }), `${render('AB')}\n\n\n${render('A')}`, 'Expected two blank rows');
+        tester.assertEqual(render('AB', { lineSpacing: 2 }), render('AB'), 'A single banner gets no spacing');
+    });
+
+    // Test 3: Wrapping measures the rendered glyphs, not the characters
+    tester.test('Should wrap on rendered width', async function() {
+        const one = render('AB');
+        const two = render('AB AB');
+        const width = renderer.getDimensions(two).width;
+        tester.assertTrue(width > 'AB AB'.length, 'Rendered banner should be wider than its text');
+
+        tester.assertEqual(render('AB AB AB', { maxWidth: width }), `${two}\n${one}`, 'Two words should fit the width');
+        const narrow = render('AB AB AB', { maxWidth: width - 1 });
+        tester.assertEqual(narrow, [one, one, one].join('\n'), 'One word per banner expected');
+        tester.assertTrue(narrow.split('\n').every(row => row.length <= width - 1), 'No row may pass the width');
+        tester.assertEqual(render('AB AB AB', { maxWidth: 0 }).split('\n').length, 2, 'Zero should not wrap');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for GlyphResolver
+async function runGlyphResolverTests() {
+    const tester = new TestRunner('GlyphResolver');
+
+    const font = {
+        height: 2,
+        baseline: 2,
+        glyphs: { E: ['EEE', 'EEE'], a: ['aa', 'aa'], A: ['AA', 'AA'], S: ['S', 'S'], '?': ['?', '?'] }
+    };
+
+    // Test 1: Lowercase glyphs are used when the font has them
+    tester.test('Should prefer lowercase glyphs and fall back to uppercase', async function() {
+        tester.assertEqual(GlyphResolver.resolve(font, 'a')[0].rows[0], 'aa', 'Lowercase glyph not used');
+        tester.assertEqual(GlyphResolver.resolve(font, 'e')[0].rows[0], 'EEE', 'Uppercase fallback not used');
+    });
+
+    // Test 2: Accents decompose into a mark row
+    tester.test('Should draw accented letters with a mark row', async function() {
+        const [glyph] = GlyphResolver.glyphsFor(font, 'é');
+        tester.assertEqual(glyph.length, 3, 'Accent row missing');
+        tester.assertEqual(glyph[0], ' / ', 'Accent row mismatch');
+    });
+
+    // Test 3: Mark rows keep every glyph of a line the same height
+    tester.test('Should pad unaccented glyphs to the line height', async function() {
+        const glyphs = GlyphResolver.glyphsFor(font, 'aé');
+        tester.assertEqual(glyphs[0].length, glyphs[1].length, 'Glyph heights differ');
+    });
+
+    // Test 4: Expansions
+    tester.test('Should expand characters without a decomposition', async function() {
+        tester.assertEqual(GlyphResolver.glyphsFor(font, 'ß').length, 2, 'ß should expand to two glyphs');
+    });
+
+    // Test 5: Unknown-character policies
+    tester.test('Should apply the unknown-character policy', async function() {
+        tester.assertEqual(GlyphResolver.glyphsFor(font, '中')[0][0], '?', 'Placeholder mismatch');
+        tester.assertEqual(GlyphResolver.glyphsFor(font, '中', { unknownChars: 'skip' }).length, 0, 'Skip should drop the character');
+        tester.assertEqual(GlyphResolver.glyphsFor(font, '中', { unknownChars: 'raw' })[0][1], '中', 'Raw character should sit on the baseline');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for FontFitter
+async function runFontFitterTests() {
+    const tester = new TestRunner('FontFitter');
+
+    // Fake renderer: every character is `width` columns wide and `height` rows tall
+    const renderer = {
+        renderTextWithFont: (text, font) => Array.from({ length: font.height }, () => 'x'.repeat(text.length * font.width)).join('\n'),
+        getDimensions: (ascii) => ({ width: ascii.split('\n')[0].length, height: ascii.split('\n').length })
+    };
+    const candidate = (name, height, width) => ({ name, font: { name, height, width, glyphs: {} } });
+    const candidates = [candidate('small', 3, 4), candidate('big', 6, 8), candidate('medium', 5, 6)];
+
+    // Test 1: The tallest font that fits wins
+    tester.test('Should pick the tallest font that fits', async function() {
+        tester.assertEqual(FontFitter.fit('abcde', candidates, 30, renderer).fontName, 'medium', 'Wrong font chosen');
+        tester.assertEqual(FontFitter.fit('abcde', candidates, 80, renderer).fontName, 'big', 'Wrong font chosen');
+    });
+
+    // Test 2: Nothing fits
+    tester.test('Should return null when no font fits', async function() {
+        tester.assertEqual(FontFitter.fit('abcde', candidates, 10, renderer), null, 'Nothing should fit');
+    });
+
+    // Test 3: Ties keep candidate order
+    tester.test('Should keep candidate order on ties', async function() {
+        const tied = [candidate('first', 5, 6), candidate('second', 5, 4)];
+        tester.assertEqual(FontFitter.fit('ab', tied, 80, renderer).fontName, 'first', 'Tie should keep order');
+    });
+
+    // Test 4: Reshaped art is measured as shown
+    tester.test('Should measure the finished art', async function() {
+        const rotate = ascii => BannerTransform.rotate(ascii, true);
+        tester.assertEqual(FontFitter.fit('abcde', candidates, 10, renderer), null, 'Nothing fits unrotated');
+        const fit = FontFitter.fit('abcde', candidates, 10, renderer, {}, rotate);
+        tester.assertEqual(fit.fontName, 'big', 'Rotated banners are as wide as the font is tall');
+        tester.assertEqual(fit.width, 6, 'Width should be the rotated width');
+        tester.assertEqual(fit.height, 40, 'Height should be the rotated height');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for FontModel and FontRegistry
+async function runFontModelTests() {
+    const tester = new TestRunner('FontModel');
+
+    const legacy = {
+        A: [' # ', '# #', '###'],
+        B: ['## ', '###', '## '],
+        ' ': ['   ', '   ', '   ']
+    };
+
+    // Test 1: Legacy conversion
+    tester.test('Should convert legacy glyph maps', async function() {
+        const font = FontModel.fromLegacy(legacy, 'Tiny');
+        tester.assertEqual(font.name, 'tiny', 'Name should be lowercased');
+        tester.assertEqual(font.height, 3, 'Height should come from glyph rows');
+        tester.assertEqual(font.baseline, 3, 'Baseline should default to height');
+        tester.assertEqual(font.widths.A, 3, 'Glyph width mismatch');
+        tester.assertEqual(font.metadata.charset, ' AB', 'Charset mismatch');
+    });
+
+    // Test 2: Normalize leaves schema fonts alone
+    tester.test('Should return schema fonts unchanged', async function() {
+        const font = FontModel.fromLegacy(legacy, 'tiny');
+        tester.assertTrue(FontModel.normalize(font) === font, 'Schema font should not be copied');
+        tester.assertFalse(FontModel.isLegacy(font), 'Schema font is not legacy');
+        tester.assertTrue(FontModel.isLegacy(legacy), 'Glyph map is legacy');
+    });
+
+    // Test 3: Validation
+    tester.test('Should report glyphs with the wrong height', async function() {
+        const font = FontModel.create({ name: 'broken', height: 3, glyphs: { A: ['#', '#'] } });
+        const result = FontModel.validate(font);
+        tester.assertFalse(result.valid, 'Short glyph should fail validation');
+        tester.assertEqual(result.errors.length, 1, 'Expected one error');
+    });
+
+    // Test 4: Registry loads lazily and normalizes
+    tester.test('Should load registered fonts lazily', async function() {
+        const registry = new FontRegistry();
+        let loads = 0;
+        registry.register('Tiny', () => { loads++; return legacy; });
+        tester.assertEqual(loads, 0, 'Loader should not run on register');
+        tester.assertEqual(registry.get('tiny').height, 3, 'Loaded font should be normalized');
+        registry.get('tiny');
+        tester.assertEqual(loads, 1, 'Loaded font should be cached');
+    });
+
+    // Test 5: Registry notifies listeners
+    tester.test('Should notify listeners about new fonts', async function() {
+        const registry = new FontRegistry();
+        const names = [];
+        registry.subscribe(change => names.push(change.name));
+        registry.register('tiny', legacy, { source: 'custom' });
+        tester.assertEqual(names.join(','), 'tiny', 'Listener not called');
+        tester.assertEqual(registry.list({ source: 'custom' }).length, 1, 'Source filter mismatch');
+    });
+
+    // Test 6: Both apps' designs stay registered
+    tester.test('Should keep the modular app designs under their own names', async function() {
+        const classic = FontRegistry.shared.get('3d-classic');
+        tester.assertEqual(classic.height, 6, '3d-classic should be the six-row banner');
+        tester.assertEqual(classic.glyphs.A[0].trim(), '___', '3d-classic A mismatch');
+        tester.assertEqual(FontRegistry.shared.get('3d').height, 5, '3d should stay the script.js design');
+        ['standard', 'block', 'mini', 'small', 'bubble', 'gothic'].forEach(name => {
+            const modular = FontRegistry.shared.get(`${name}-modular`);
+            tester.assertTrue(modular && modular.glyphs.A.join() !== FontRegistry.shared.get(name).glyphs.A.join(), `${name}-modular missing or not distinct`);
+        });
+    });
+
+    await tester.run();
+}
+
+// Sample tests for FontCoverage
+async function runFontCoverageTests() {
+    const tester = new TestRunner('FontCoverage');
+
+    const reference = FontModel.create({
+        name: 'reference',
+        glyphs: {
+            A: [' # ', '# #', '###', '# #'],
+            '!': [' # ', ' # ', '   ', ' # '],
+            ' ': ['   ', '   ', '   ', '   ']
+        }
+    });
+    const target = FontModel.create({ name: 'target', glyphs: { A: ['@@', '@@'], ' ': ['  ', '  '] } });
+
+    // Test 1: Coverage report
+    tester.test('Should report missing characters', async function() {
+        const report = FontCoverage.report(target, 'Aa!');
+        tester.assertEqual(report.missing.join(''), '!', 'Only ! should be missing');
+        tester.assertEqual(report.codepoints.length, 2, 'Codepoint count mismatch');
+    });
+
+    // Test 2: Scaling keeps small marks
+    tester.test('Should keep dots when shrinking glyphs', async function() {
+        const rows = FontCoverage.scaleGlyph(reference.glyphs['!'], 2, '@');
+        tester.assertEqual(rows.length, 2, 'Scaled height mismatch');
+        tester.assertTrue(rows[1].includes('@'), 'Dot lost while scaling');
+    });
+
+    // Test 3: Fallbacks are synthesized in the target's ink
+    tester.test('Should synthesize missing glyphs', async function() {
+        const font = FontCoverage.withFallbacks(target, reference, 'A!');
+        tester.assertEqual(font.glyphs['!'].length, 2, 'Fallback should match target height');
+        tester.assertEqual(font.metadata.synthesized, '!', 'Synthesized list mismatch');
+        tester.assertFalse(font.glyphs['!'].join('').includes('#'), 'Fallback should use the target ink');
+    });
+
+    // Test 4: Substitution warning list
+    tester.test('Should list substituted characters', async function() {
+        const font = FontCoverage.withFallbacks(target, reference, 'A!');
+        const chars = FontCoverage.substitutedChars(font, 'a! a?');
+        tester.assertEqual(chars.join(''), '!?', 'Substituted characters mismatch');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for CustomFontStore
+async function runCustomFontStoreTests() {
+    const tester = new TestRunner('CustomFontStore');
+
+    const memory = () => {
+        const items = {};
+        return {
+            getItem: key => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); }
+        };
+    };
+    const font = { name: 'Mine', height: 1, glyphs: { A: ['A'], ' ': [' '] } };
+
+    // Test 1: Save and load round-trip
+    tester.test('Should save and load fonts', async function() {
+        const store = new CustomFontStore('fonts', memory());
+        store.save(font);
+        const [saved] = store.loadAll();
+        tester.assertEqual(saved.name, 'mine', 'Saved name mismatch');
+        tester.assertTrue(saved.metadata.tags.includes('custom'), 'Custom tag missing');
+    });
+
+    // Test 2: Saving again replaces the font
+    tester.test('Should replace a font with the same name', async function() {
+        const store = new CustomFontStore('fonts', memory());
+        store.save(font);
+        store.save({ ...font, glyphs: { A: ['a'] } });
+        tester.assertEqual(store.loadAll().length, 1, 'Duplicate font saved');
+        tester.assertEqual(store.loadAll()[0].glyphs.A[0], 'a', 'Font not replaced');
+    });
+
+    // Test 3: Removal
+    tester.test('Should remove fonts', async function() {
+        const store = new CustomFontStore('fonts', memory());
+        store.save(font);
+        tester.assertTrue(store.remove('mine'), 'Remove should report success');
+        tester.assertFalse(store.remove('mine'), 'Second remove should report nothing removed');
+    });
+
+    // Test 4: Registration
+    tester.test('Should register saved fonts as custom', async function() {
+        const store = new CustomFontStore('fonts', memory());
+        const registry = new FontRegistry();
+        store.save(font);
+        store.registerAll(registry);
+        tester.assertEqual(registry.getSource('mine'), 'custom', 'Source mismatch');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for GlyphEditor
+async function runGlyphEditorTests() {
+    const tester = new TestRunner('GlyphEditor');
+
+    // Test 1: Only the font's own glyphs are edited and saved, hardblanks kept
+    tester.test('Should edit the raw font', async function() {
+        const registry = new FontRegistry();
+        registry.register('standard', { A: ['#'], B: ['#'], ' ': [' '] });
+        registry.register('fig', FontModel.create({ name: 'fig', height: 1, hardblank: '$', glyphs: { A: ['#$#'], ' ': ['$'] } }), { source: 'figlet' });
+
+        // No markup: the editor works on its state alone
+        const editor = Object.create(GlyphEditor.prototype);
+        Object.assign(editor, { registry, dom: {}, render: null, maxHeight: 32, state: { fillChar: '#' } });
+        editor.fontManager = { getFont: name => registry.getWithFallbacks(name) };
+        editor.loadFont('fig');
+
+        const font = editor.buildFont();
+        tester.assertEqual(Object.keys(font.glyphs).sort().join(''), ' A', 'Substitute glyphs should not be saved');
+        tester.assertEqual(font.glyphs.A[0], '#$#', 'Hardblanks should be kept');
+        tester.assertEqual(font.hardblank, '$', 'Hardblank character should be kept');
+
+        editor.toggleCell(0, 1);
+        tester.assertEqual(editor.state.glyphs.A[0], '###', 'A hardblank should toggle like a blank');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for CanvasSampler and FontRasterizer fills
+async function runCanvasSamplerTests() {
+    const tester = new TestRunner('CanvasSampler');
+
+    // 2x1 image: one black pixel, one white pixel
+    const imageData = {
+        width: 2,
+        height: 1,
+        data: [0, 0, 0, 255, 255, 255, 255, 255]
+    };
+
+    // Test 1: Brightness picks from a dark-to-light ramp
+    tester.test('Should map brightness onto the ramp', async function() {
+        const rows = CanvasSampler.toRows(imageData, '@. ');
+        tester.assertEqual(rows[0], '@ ', 'Ramp mapping mismatch');
+    });
+
+    // Test 2: Threshold mode only uses the ends of the ramp
+    tester.test('Should threshold into two characters', async function() {
+        const grey = { width: 1, height: 1, data: [100, 100, 100, 255] };
+        tester.assertEqual(CanvasSampler.toRows(grey, '█ ', { threshold: 0.5 })[0], '█', 'Dark grey should be inked');
+        tester.assertEqual(CanvasSampler.toRows(grey, '█ ', { threshold: 0.7 })[0], ' ', 'Dark grey should be blank');
+    });
+
+    // Test 3: Custom fills end in a space
+    tester.test('Should build custom fill ramps', async function() {
+        tester.assertEqual(FontRasterizer.rampFor('custom', '#'), '# ', 'Custom ramp mismatch');
+        tester.assertEqual(FontRasterizer.rampFor('shade'), '█▓▒░ ', 'Shade ramp mismatch');
+        tester.assertThrows(() => FontRasterizer.rampFor('custom', ''), 'Empty custom fill should throw');
+    });
+
+    // Test 4: Font names, and families as CSS reads them
+    tester.test('Should name rasterized fonts after the family', async function() {
+        tester.assertEqual(FontRasterizer.fontName('JetBrains Mono', 'shade'), 'jetbrains-mono-shade', 'Name mismatch');
+        tester.assertEqual(FontRasterizer.cssFamily('JetBrains Mono'), '"JetBrains Mono"', 'Named families should be quoted');
+        tester.assertEqual(FontRasterizer.cssFamily('Monospace'), 'monospace', 'Generic families should stay keywords');
+    });
+
+    // Test 5: Colored cells keep the pixel colors
+    tester.test('Should keep pixel colors in cells', async function() {
+        const cells = CanvasSampler.toCells(imageData, '@. ', { colored: true });
+        tester.assertEqual(cells.toText(), '@ ', 'Cell text mismatch');
+        tester.assertEqual(cells.get(1, 0).fg, '#ffffff', 'Cell color mismatch');
+    });
+
+    // Test 6: Pictures are sampled at half their height, as cells are twice as tall as wide
+    tester.test('Should sample pictures at the character aspect ratio', async function() {
+        const sample = CanvasSampler.sample;
+        const sizes = [];
+        CanvasSampler.sample = (source, width, height) => {
+            sizes.push(`${width}x${height}`);
+            return { width, height, data: new Array(width * height * 4).fill(0) };
+        };
+        try {
+            const cells = CanvasSampler.sampleCells(null, 0.5, 8, AppConfig.image.characterSets.simple);
+            tester.assertEqual(sizes.join(), '8x2', 'Sample size mismatch');
+            tester.assertEqual(cells.toText(), '########\n########', 'Black should take the darkest character');
+        } finally {
+            CanvasSampler.sample = sample;
+        }
+    });
+
+    await tester.run();
+}
+
+// Sample tests for BannerTransform
+async function runBannerTransformTests() {
+    const tester = new TestRunner('BannerTransform');
+
+    // Test 1: Mirror reverses rows and swaps slashes
+    tester.test('Should mirror and remap strokes', async function() {
+        tester.assertEqual(BannerTransform.mirror('/_(\n|'), ')_\\\n  |', 'Mirror mismatch');
+    });
+
+    // Test 2: Flip reverses row order and swaps underscores for overlines
+    tester.test('Should flip upside down', async function() {
+        tester.assertEqual(BannerTransform.flip('/\\\n__'), '‾‾\n\\/', 'Flip mismatch');
+    });
+
+    // Test 3: Rotation turns the grid both ways
+    tester.test('Should rotate a quarter turn', async function() {
+        tester.assertEqual(BannerTransform.rotate('ab\ncd', true), 'ca\ndb', 'Clockwise mismatch');
+        tester.assertEqual(BannerTransform.rotate('ab\ncd', false), 'bd\nac', 'Counter-clockwise mismatch');
+    });
+
+    // Test 4: Vertical stacking centers each glyph
+    tester.test('Should stack one glyph per block', async function() {
+        const render = char => (char === 'I' ? 'I' : `${char}${char}${char}`);
+        tester.assertEqual(BannerTransform.stack('HI', render), 'HHH\n I', 'Stack mismatch');
+        tester.assertThrows(() => BannerTransform.apply('x', 'sideways'), 'Unknown transform should throw');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for BannerEffect
+async function runBannerEffectTests() {
+    const tester = new TestRunner('BannerEffect');
+
+    // Test 1: Shadow sits behind the ink
+    tester.test('Should draw a drop shadow', async function() {
+        tester.assertEqual(BannerEffect.apply('##', 'shadow', {}), '##\n ░░', 'Shadow mismatch');
+        tester.assertEqual(BannerEffect.shadow('#', { offsetX: -1, offsetY: 0, char: '.' }), '.#', 'Left shadow mismatch');
+    });
+
+    // Test 2: Outline clears interior cells only
+    tester.test('Should hollow out letters', async function() {
+        tester.assertEqual(BannerEffect.outline('###\n###\n###'), '###\n# #\n###', 'Outline mismatch');
+    });
+
+    // Test 3: Extrusion recedes up and to the right
+    tester.test('Should extrude with depth', async function() {
+        tester.assertEqual(BannerEffect.extrude('#', { depth: 2 }), '  /\n /\n#', 'Extrusion mismatch');
+    });
+
+    // Test 4: Bad settings are rejected
+    tester.test('Should validate effect settings', async function() {
+        tester.assertThrows(() => BannerEffect.apply('#', 'glitter'), 'Unknown effect should throw');
+        tester.assertThrows(() => BannerEffect.shadow('#', { char: 'ab' }), 'Long shadow character should throw');
+        tester.assertThrows(() => BannerEffect.extrude('#', { depth: 0 }), 'Zero depth should throw');
+    });
+
+    // Test 5: Fit to width counts the columns an effect adds
+    tester.test('Should fit banners with their effect drawn', async function() {
+        const renderer = {
+            renderTextWithFont: (text, font) => Array.from({ length: font.height }, () => '#'.repeat(text.length * font.width)).join('\n'),
+            getDimensions: (ascii) => ({ width: Math.max(...ascii.split('\n').map(line => line.length)), height: ascii.split('\n').length })
+        };
+        const candidates = [{ name: 'narrow', font: { height: 2, width: 2, glyphs: {} } }, { name: 'wide', font: { height: 3, width: 3, glyphs: {} } }];
+        tester.assertEqual(FontFitter.fit('abc', candidates, 9, renderer).fontName, 'wide', 'Plain banner should fit exactly');
+
+        const shadow = FontFitter.fit('abc', candidates, 9, renderer, {}, ascii => BannerEffect.apply(ascii, 'shadow', { offsetX: 2 }));
+        tester.assertEqual(shadow.fontName, 'narrow', 'Shadowed wide banner is 11 columns');
+        tester.assertEqual(shadow.width, 8, 'Shadow width should be counted');
+        const extruded = FontFitter.fit('abc', candidates, 9, renderer, {}, ascii => BannerEffect.apply(ascii, 'extrude', { depth: 3 }));
+        tester.assertEqual(extruded.fontName, 'narrow', 'Extruded wide banner is 12 columns');
+        tester.assertEqual(extruded.width, 9, 'Extrusion depth should be counted');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for GlyphFill
+async function runGlyphFillTests() {
+    const tester = new TestRunner('GlyphFill');
+    const font = FontModel.create({
+        name: 'tiny',
+        height: 2,
+        glyphs: { A: ['#$#', '###'], ' ': ['  ', '  '] },
+        hardblank: '$',
+        layout: { mode: 'smush', rules: 0 }
+    });
+
+    // Test 1: Character fills keep blanks and hardblanks
+    tester.test('Should fill ink cells with one character', async function() {
+        const filled = GlyphFill.apply(font, 'char', { chars: '*' });
+        tester.assertEqual(filled.glyphs.A.join('|'), '*$*|***', 'Char fill mismatch');
+        tester.assertEqual(filled.layout.mode, 'kerning', 'Filled smush fonts should kern');
+    });
+
+    // Test 2: Patterns shift by a row, gradients run top to bottom
+    tester.test('Should fill with patterns and gradients', async function() {
+        tester.assertEqual(GlyphFill.apply(font, 'pattern', { chars: 'ab' }).glyphs.A.join('|'), 'a$a|bab', 'Pattern mismatch');
+        tester.assertEqual(GlyphFill.apply(font, 'gradient', { chars: '.:' }).glyphs.A.join('|'), '.$.|:::', 'Gradient mismatch');
+    });
+
+    // Test 3: Letters are drawn out of themselves
+    tester.test('Should fill each glyph with its own letter', async function() {
+        tester.assertEqual(GlyphFill.apply(font, 'text').glyphs.A.join('|'), 'A$A|AAA', 'Text fill mismatch');
+    });
+
+    // Test 4: 'none' is a no-op and bad fills throw
+    tester.test('Should validate fills', async function() {
+        tester.assertEqual(GlyphFill.apply(font, 'none'), font, 'None should return the same font');
+        tester.assertThrows(() => GlyphFill.apply(font, 'char', { chars: 'ab' }), 'Two-character char fill should throw');
+        tester.assertThrows(() => GlyphFill.apply(font, 'sparkle'), 'Unknown fill should throw');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for CellGrid
+async function runCellGridTests() {
+    const tester = new TestRunner('CellGrid');
+
+    // Test 1: Text survives a round trip, ragged rows included
+    tester.test('Should round-trip plain text', async function() {
+        const text = ' #\n###  \n';
+        tester.assertEqual(CellGrid.fromText(text).toText(), text, 'Round trip mismatch');
+        tester.assertEqual(CellGrid.fromText(text).width, 5, 'Width mismatch');
+    });
+
+    // Test 2: HTML groups equal styles and escapes text
+    tester.test('Should serialize to HTML spans', async function() {
+        const grid = CellGrid.fromText('<a>').paint(1, 0, { fg: 'red', bold: true });
+        tester.assertEqual(
+            grid.toHTML(),
+            '&lt;<span style="color: #ff6b6b; font-weight: bold">a</span>&gt;',
+            'HTML mismatch'
+        );
+    });
+
+    // Test 3: ANSI uses basic codes for named colors and 24-bit for the rest
+    tester.test('Should serialize to ANSI escapes', async function() {
+        const grid = CellGrid.fromText('ab').paint(0, 0, { fg: 'red' }).paint(1, 0, { bg: '#0080ff' });
+        tester.assertEqual(grid.toANSI(), '\x1b[31ma\x1b[0m\x1b[48;2;0;128;255mb\x1b[0m', 'ANSI mismatch');
+    });
+
+    // Test 4: Highlighting matches whole words only
+    tester.test('Should highlight whole words', async function() {
+        const grid = CellGrid.fromText('moon moonlight').highlight('Moon', { fg: 'gold' });
+        tester.assertEqual(grid.get(0, 0).fg, 'gold', 'Word should be highlighted');
+        tester.assertEqual(grid.get(5, 0).fg, null, 'Longer word should be skipped');
+    });
+
+    // Test 5: Letters own the columns they add to a banner
+    tester.test('Should paint letters by their columns', async function() {
+        const renderLine = line => [Array.from(line).map(char => char + char).join(' ')];
+        const grid = CellGrid.fromText(renderLine('ab')[0]);
+        grid.paintLetters(['ab'], renderLine, (char, index) => ({ fg: index ? 'blue' : 'red' }));
+        tester.assertEqual(grid.rows[0].map(cell => cell.fg).join(','), 'red,red,blue,blue,blue', 'Letter colors mismatch');
+    });
+
+    // Test 6: Lower color depths use the nearest color the terminal has
+    tester.test('Should serialize ANSI in 256 and 16 colors', async function() {
+        const grid = CellGrid.fromText('ab').paint(0, 0, { fg: '#ff0000' }).paint(1, 0, { bg: '#808080' });
+        tester.assertEqual(grid.toANSI({ depth: '256' }), '\x1b[38;5;196ma\x1b[0m\x1b[48;5;244mb\x1b[0m', '256-color mismatch');
+        tester.assertEqual(grid.toANSI({ depth: '16' }), '\x1b[91ma\x1b[0m\x1b[100mb\x1b[0m', '16-color mismatch');
+        tester.assertEqual(grid.toANSI({ escaped: true }).slice(0, 6), '\\033[3', 'Escaped ESC mismatch');
+        tester.assertThrows(() => grid.toANSI({ depth: '8' }), 'Unknown depth should throw');
+    });
+
+    // Test 7: Escapes read back into the same cells
+    tester.test('Should read ANSI escapes back', async function() {
+        const grid = CellGrid.fromText('ab\nc').paint(0, 0, { fg: 'red', bold: true }).paint(1, 0, { bg: '#0080ff' });
+        for (const depth of CellGrid.ANSI_DEPTHS) {
+            tester.assertEqual(CellGrid.fromANSI(grid.toANSI({ depth })).toText(), 'ab\nc', `Text mismatch (${depth})`);
+        }
+        const read = CellGrid.fromANSI(grid.toANSI());
+        tester.assertEqual(read.get(0, 0).fg, 'red', 'Named color mismatch');
+        tester.assertTrue(read.get(0, 0).bold, 'Bold lost');
+        tester.assertEqual(read.get(1, 0).bg, '#0080ff', 'Truecolor mismatch');
+        tester.assertEqual(CellGrid.fromANSI('\\e[38;5;21mx\\e[2K').get(0, 0).fg, '#0000ff', 'Escaped 256-color mismatch');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for Composition
+async function runCompositionTests() {
+    const tester = new TestRunner('Composition');
+
+    // Test 1: Transparent spaces show the layer below
+    tester.test('Should flatten transparent layers', async function() {
+        const composition = new Composition();
+        composition.addLayer('#####\n#####');
+        composition.addLayer('o o', { x: 1, y: 1 });
+        tester.assertEqual(composition.flatten().toText(), '#####\n#o#o#', 'Flattened text mismatch');
+    });
+
+    // Test 2: Opaque layers blank out their rectangle
+    tester.test('Should cover lower layers when opaque', async function() {
+        const composition = new Composition();
+        composition.addLayer('#####');
+        composition.addLayer('o o', { x: 1, transparent: false });
+        tester.assertEqual(composition.flatten().toText(), '#o o#', 'Opaque layer mismatch');
+    });
+
+    // Test 3: Restacking changes which layer wins
+    tester.test('Should restack layers', async function() {
+        const composition = new Composition();
+        const bottom = composition.addLayer('A');
+        composition.addLayer('B');
+        composition.raiseLayer(bottom.id);
+        tester.assertEqual(composition.flatten().toText(), 'A', 'Raised layer should be on top');
+    });
+
+    // Test 4: Alignment uses the other layers' bounds
+    tester.test('Should align layers', async function() {
+        const composition = new Composition();
+        composition.addLayer('1234567\n.\n.');
+        const layer = composition.addLayer('ab');
+        composition.alignLayer(layer.id, 'center');
+        composition.alignLayer(layer.id, 'bottom');
+        tester.assertEqual(`${layer.x},${layer.y}`, '2,2', 'Aligned position mismatch');
+    });
+
+    // Test 5: Results keep their cell styles and whole-output color
+    tester.test('Should keep layer colors', async function() {
+        const composition = new Composition();
+        composition.addLayer({ ascii: 'ab', cells: CellGrid.fromText('ab').paint(0, 0, { fg: 'gold' }) }, { color: 'red' });
+        const flat = composition.flatten();
+        tester.assertEqual(`${flat.get(0, 0).fg},${flat.get(1, 0).fg}`, 'gold,red', 'Layer colors mismatch');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for PaintBuffer
+async function runPaintBufferTests() {
+    const tester = new TestRunner('PaintBuffer');
+
+    // Test 1: Typing overwrites characters and keeps their colors
+    tester.test('Should overwrite at the cursor', async function() {
+        const buffer = new PaintBuffer(CellGrid.fromText('abc').paint(1, 0, { fg: 'red' }));
+        buffer.setCursor(1, 0);
+        buffer.type('X');
+        buffer.type('Y');
+        tester.assertEqual(buffer.cells.toText(), 'aXY', 'Typed text mismatch');
+        tester.assertEqual(buffer.cells.get(1, 0).fg, 'red', 'Cell color should be kept');
+    });
+
+    // Test 2: Undo and redo step through edits
+    tester.test('Should undo and redo edits', async function() {
+        const buffer = new PaintBuffer(CellGrid.fromText('ab'));
+        buffer.type('1');
+        buffer.type('2');
+        buffer.undo();
+        tester.assertEqual(buffer.cells.toText(), '1b', 'Undo mismatch');
+        buffer.redo();
+        tester.assertEqual(buffer.cells.toText(), '12', 'Redo mismatch');
+    });
+
+    // Test 3: Moving a selection leaves spaces behind
+    tester.test('Should move the selection', async function() {
+        const buffer = new PaintBuffer(CellGrid.fromText('ab..\ncd..'));
+        buffer.select(0, 0, 1, 1);
+        buffer.moveSelection(2, 0);
+        tester.assertEqual(buffer.cells.toText(), '  ab\n  cd', 'Moved text mismatch');
+    });
+
+    // Test 4: Fill, copy and paste work on box selections
+    tester.test('Should fill, copy and paste selections', async function() {
+        const buffer = new PaintBuffer(CellGrid.fromText('....\n....'));
+        buffer.select(0, 0, 1, 0);
+        buffer.fill('#');
+        buffer.copy();
+        buffer.setCursor(2, 1);
+        buffer.paste();
+        tester.assertEqual(buffer.cells.toText(), '##..\n..##', 'Fill/paste mismatch');
+    });
+
+    // Test 5: Rectangles and lines use the border box-drawing sets
+    tester.test('Should draw boxes and lines', async function() {
+        const buffer = new PaintBuffer(CellGrid.fromText(''));
+        buffer.drawRect(3, 2, 0, 0, 'rounded');
+        buffer.drawLine(0, 3, 3, 4, 'double');
+        tester.assertEqual(buffer.cells.toText(), '╭──╮\n│  │\n╰──╯\n════', 'Box drawing mismatch');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for ResultHistory
+async function runResultHistoryTests() {
+    const tester = new TestRunner('ResultHistory');
+    const result = (ascii) => ({ success: true, ascii, cells: CellGrid.fromText(ascii), metadata: { text: ascii } });
+
+    // Test 1: Pushing makes the result current
+    tester.test('Should make the latest result current', async function() {
+        const history = new ResultHistory();
+        tester.assertEqual(history.current, null, 'Empty history should have no entry');
+        history.push(result('A'));
+        history.push(result('B'));
+        tester.assertEqual(history.current.ascii, 'B', 'Latest result should be current');
+        tester.assertTrue(history.canUndo() && !history.canRedo(), 'Only undo should be possible');
+    });
+
+    // Test 2: Undo and redo step through entries
+    tester.test('Should undo and redo', async function() {
+        const history = new ResultHistory();
+        ['A', 'B', 'C'].forEach(ascii => history.push(result(ascii)));
+        tester.assertEqual(history.undo().ascii, 'B', 'Undo should step back');
+        tester.assertEqual(history.undo().ascii, 'A', 'Undo should step back again');
+        tester.assertEqual(history.undo(), null, 'Undo past the oldest should return null');
+        tester.assertEqual(history.redo().ascii, 'B', 'Redo should step forward');
+    });
+
+    // Test 3: A new result drops the redo tail
+    tester.test('Should drop redo entries on push', async function() {
+        const history = new ResultHistory();
+        ['A', 'B', 'C'].forEach(ascii => history.push(result(ascii)));
+        history.undo();
+        history.undo();
+        history.push(result('D'));
+        tester.assertFalse(history.canRedo(), 'Redo should be gone');
+        tester.assertEqual(history.entries.map(e => e.ascii).join(''), 'AD', 'Entries mismatch');
+    });
+
+    // Test 4: Oldest entries go past the limit
+    tester.test('Should keep at most the limit', async function() {
+        const history = new ResultHistory(2);
+        ['A', 'B', 'C'].forEach(ascii => history.push(result(ascii)));
+        tester.assertEqual(history.entries.map(e => e.ascii).join(''), 'BC', 'Oldest entry should go');
+        tester.assertEqual(history.undo().ascii, 'B', 'Undo should reach the kept entry');
+        tester.assertThrows(() => new ResultHistory(0), 'Should reject a zero limit');
+    });
+
+    // Test 5: Snapshots don't share cells or metadata with the result
+    tester.test('Should copy results on push', async function() {
+        const history = new ResultHistory();
+        const original = result('A');
+        history.push(original);
+        original.cells.set(0, 0, 'Z');
+        original.metadata.text = 'Z';
+        tester.assertEqual(history.current.cells.toText(), 'A', 'Cells should be copied');
+        tester.assertEqual(history.current.metadata.text, 'A', 'Metadata should be copied');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for HistoryStore (memory backend)
+async function runHistoryStoreTests() {
+    const tester = new TestRunner('HistoryStore');
+    const result = (ascii) => ({ success: true, ascii, cells: CellGrid.fromText(ascii, { fg: 'red' }) });
+
+    // Test 1: Saved results come back newest first, cells included
+    tester.test('Should save and list results', async function() {
+        const store = new HistoryStore({ indexedDB: null });
+        await store.add(result('one'), { mode: 'text', text: 'one', font: 'standard' });
+        await store.add(result('two'), { mode: 'poetry', text: 'two', font: 'block' });
+        const entries = await store.list();
+        tester.assertEqual(entries.map(e => e.text).join(','), 'two,one', 'Order mismatch');
+        tester.assertTrue(entries[0].result.cells instanceof CellGrid, 'Cells should be a CellGrid');
+        tester.assertEqual(entries[0].result.cells.get(0, 0).fg, 'red', 'Cell colors should be kept');
+    });
+
+    // Test 2: Filters by mode, font, text and date
+    tester.test('Should filter entries', async function() {
+        const entry = { mode: 'text', font: 'Standard', text: 'Hello World', favorite: false, createdAt: 1000 };
+        tester.assertTrue(HistoryStore.matches(entry, { mode: 'text', font: 'standard', query: 'world' }), 'Should match');
+        tester.assertFalse(HistoryStore.matches(entry, { mode: 'poetry' }), 'Mode should filter');
+        tester.assertFalse(HistoryStore.matches(entry, { from: 2000 }), 'Date should filter');
+        tester.assertFalse(HistoryStore.matches(entry, { favorites: true }), 'Favorites should filter');
+    });
+
+    // Test 3: The limit drops the oldest entries but never favorites
+    tester.test('Should keep favorites past the limit', async function() {
+        const store = new HistoryStore({ indexedDB: null, limit: 2 });
+        const first = await store.add(result('a'), { text: 'a' });
+        await store.setFavorite(first.id, true);
+        for (const text of ['b', 'c', 'd']) await store.add(result(text), { text });
+        const texts = (await store.list()).map(e => e.text).sort().join('');
+        tester.assertEqual(texts, 'acd', 'Favorite and newest two should be kept');
+    });
+
+    // Test 4: Duplicates are new, unfavorited entries
+    tester.test('Should duplicate and delete entries', async function() {
+        const store = new HistoryStore({ indexedDB: null });
+        const entry = await store.add(result('x'), { text: 'x' });
+        await store.setFavorite(entry.id, true);
+        const copy = await store.duplicate(entry.id);
+        tester.assertTrue(copy.id !== entry.id && !copy.favorite, 'Copy should be a new plain entry');
+        await store.remove(entry.id);
+        tester.assertEqual((await store.list()).length, 1, 'Deleted entry should be gone');
+    });
+
+    // Test 5: Thumbnails scale wide output down
+    tester.test('Should scale thumbnails', async function() {
+        const thumb = HistoryStore.thumbnail('abcdef\nghijkl\nmnopqr\nstuvwx', { width: 3, height: 10 });
+        tester.assertEqual(thumb, 'ace\nmoq', 'Thumbnail should sample every other cell');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for OutputStyle
+async function runOutputStyleTests() {
+    const tester = new TestRunner('OutputStyle');
+
+    // Test 1: Named colors paint every visible character
+    tester.test('Should apply a named color', async function() {
+        const grid = OutputStyle.apply(CellGrid.fromText('a b'), 'red');
+        tester.assertEqual(grid.get(0, 0).fg, CellGrid.PALETTE.red, 'Letter should be red');
+        tester.assertEqual(grid.get(1, 0).fg, null, 'Spaces should stay unstyled');
+    });
+
+    // Test 2: Rainbow colors the whole output at once and cycles like .color-rainbow
+    tester.test('Should cycle the rainbow over the whole output', async function() {
+        const grid = OutputStyle.apply(CellGrid.fromText('ab\ncd'), 'rainbow');
+        tester.assertEqual(grid.get(1, 0).fg, '#ff0000', 'Rainbow should start red');
+        tester.assertEqual(grid.get(0, 1).fg, '#ff0000', 'Every character should share the color');
+        tester.assertTrue(grid.get(0, 0).bold, 'Rainbow output is bold');
+        tester.assertEqual(OutputStyle.apply(CellGrid.fromText('a'), 'rainbow', 1.5).get(0, 0).fg, '#00ff00', 'Halfway should be green');
+        tester.assertEqual(OutputStyle.rainbowAt(OutputStyle.RAINBOW_PERIOD), '#ff0000', 'Cycle should wrap around');
+    });
+
+    // Test 3: Gradient runs from the first stop to the last across the width
+    tester.test('Should spread the gradient across columns', async function() {
+        const grid = OutputStyle.apply(CellGrid.fromText('abc'), 'gradient');
+        tester.assertEqual(grid.get(0, 0).fg, OutputStyle.GRADIENT[0], 'Left edge mismatch');
+        tester.assertEqual(grid.get(1, 0).fg, OutputStyle.GRADIENT[1], 'Middle mismatch');
+        tester.assertEqual(grid.get(2, 0).fg, OutputStyle.GRADIENT[2], 'Right edge mismatch');
+    });
+
+    // Test 4: No color keeps the cells' own styling, on a copy
+    tester.test('Should keep cell colors without a whole-output color', async function() {
+        const cells = CellGrid.fromText('ab', { fg: 'cyan' });
+        const grid = OutputStyle.apply(cells, 'none');
+        grid.paint(0, 0, { fg: 'red' });
+        tester.assertEqual(cells.get(0, 0).fg, 'cyan', 'Source should be untouched');
+        tester.assertEqual(OutputStyle.theme('unknown').background, OutputStyle.THEMES.dark.background, 'Unknown theme should fall back to dark');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for PNGExporter
+async function runPNGExporterTests() {
+    const tester = new TestRunner('PNGExporter');
+    const ctx = { font: '', measureText: () => ({ width: 8 }) };
+
+    // Test 1: Canvas size covers the cells, padding and scale
+    tester.test('Should size the canvas', async function() {
+        const settings = PNGExporter.settings({ fontSize: 10, lineHeight: 1.5, padding: 4, scale: 2 });
+        const layout = PNGExporter.layout(ctx, CellGrid.fromText('abc\nd'), settings);
+        tester.assertEqual(layout.width, (3 * 8 + 8) * 2, 'Width mismatch');
+        tester.assertEqual(layout.height, (2 * 15 + 8) * 2, 'Height mismatch');
+    });
+
+    // Test 2: Out-of-range sizes are rejected
+    tester.test('Should reject bad options', async function() {
+        tester.assertThrows(() => PNGExporter.settings({ scale: 0 }), 'Zero scale should throw');
+        tester.assertThrows(() => PNGExporter.settings({ padding: -1 }), 'Negative padding should throw');
+    });
+
+    // Test 3: Transparent images skip the background; cells use their colors
+    tester.test('Should draw cells in their colors', async function() {
+        const calls = [];
+        const draw = {
+            setTransform() {}, clearRect() {}, fillRect: () => calls.push(['rect', draw.fillStyle]),
+            fillText: (char) => calls.push(['text', char, draw.fillStyle])
+        };
+        const cells = CellGrid.fromText('a ', { fg: 'red' });
+        const layout = PNGExporter.layout(ctx, cells, PNGExporter.settings({ transparent: true, theme: 'dark' }));
+        PNGExporter.draw(draw, cells, layout);
+        tester.assertEqual(JSON.stringify(calls), JSON.stringify([['text', 'a', CellGrid.PALETTE.red]]), 'Draw calls mismatch');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for SVGExporter
+async function runSVGExporterTests() {
+    const tester = new TestRunner('SVGExporter');
+    const options = { fontSize: 10, lineHeight: 2, padding: 5, theme: 'dark' };
+
+    // Test 1: The viewBox comes from the given dimensions
+    tester.test('Should size the viewBox from dimensions', async function() {
+        const svg = SVGExporter.toSVG(CellGrid.fromText('ab'), { ...options, dimensions: { width: 4, height: 3 } });
+        tester.assertTrue(svg.includes('viewBox="0 0 34 70"'), 'ViewBox mismatch');
+    });
+
+    // Test 2: One text per line, one positioned tspan per color run
+    tester.test('Should write colored runs as tspans', async function() {
+        const svg = SVGExporter.toSVG(OutputStyle.apply(CellGrid.fromText('a<\nb'), 'gradient'), options);
+        tester.assertEqual((svg.match(/<text /g) || []).length, 2, 'Should have one text per line');
+        tester.assertTrue(svg.includes(`<tspan x="11" fill="${OutputStyle.GRADIENT[2]}">&lt;</tspan>`), 'Second character should be its own escaped tspan');
+        tester.assertTrue(svg.includes('xml:space="preserve"'), 'Whitespace should be preserved');
+    });
+
+    // Test 3: Outline mode turns block characters into rectangles
+    tester.test('Should outline block characters', async function() {
+        const svg = SVGExporter.toSVG(CellGrid.fromText('▀x'), { ...options, outline: true, transparent: true });
+        tester.assertTrue(svg.includes('<rect x="5" y="5" width="6" height="10" fill="#ffffff"/>'), 'Upper half block should be a rect');
+        tester.assertFalse(svg.includes('▀'), 'Outlined block should leave the text');
+        tester.assertFalse(svg.includes('height="100%"'), 'Transparent export should have no background');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for HTMLExporter
+async function runHTMLExporterTests() {
+    const tester = new TestRunner('HTMLExporter');
+
+    // Test 1: Pages load nothing from elsewhere
+    tester.test('Should write a self-contained page', async function() {
+        const page = HTMLExporter.toPage(CellGrid.fromText('<hi>'), { theme: 'dark' });
+        tester.assertTrue(page.startsWith('<!DOCTYPE html>'), 'Should be a full document');
+        tester.assertTrue(page.includes('&lt;hi&gt;'), 'Output should be escaped');
+        tester.assertFalse(/\b(src|href)=|@import|url\(/.test(page), 'Page should not reference other files');
+    });
+
+    // Test 2: The chosen animation's class and keyframes are inlined
+    tester.test('Should inline the animation', async function() {
+        const snippet = HTMLExporter.toSnippet(CellGrid.fromText('x'), { animation: 'glow' });
+        tester.assertTrue(snippet.includes('<pre class="ascii-art animation-glow">'), 'Animation class missing');
+        tester.assertTrue(snippet.includes('@keyframes ascii-glow'), 'Keyframes missing');
+        tester.assertFalse(snippet.includes('<html'), 'Snippet should not be a document');
+    });
+
+    // Test 3: Colors are drawn as on the output panel
+    tester.test('Should color like the output panel', async function() {
+        const rainbow = HTMLExporter.toSnippet(CellGrid.fromText('ab'), { color: 'rainbow' });
+        tester.assertTrue(rainbow.includes('<span class="rainbow">ab</span>'), 'Rainbow should wrap the whole output');
+        tester.assertTrue(rainbow.includes('animation: rainbow-text 3s linear infinite; font-weight: bold;'), 'Rainbow should cycle in bold');
+        tester.assertTrue(rainbow.includes('16% { color: #ff7f00; }'), 'Rainbow keyframes missing');
+        const gradient = HTMLExporter.toSnippet(CellGrid.fromText('ab'), { color: 'gradient' });
+        tester.assertTrue(gradient.includes('background-clip: text'), 'Gradient should clip to the text');
+        const red = HTMLExporter.toSnippet(CellGrid.fromText('ab'), { color: 'red' });
+        tester.assertTrue(red.includes(`color: ${CellGrid.PALETTE.red}`), 'Named color missing');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for GIFEncoder
+async function runGIFEncoderTests() {
+    const tester = new TestRunner('GIFEncoder');
+    const solid = (r, g, b) => new Uint8ClampedArray([r, g, b, 255, r, g, b, 255]);
+
+    // Test 1: Header, loop extension and trailer
+    tester.test('Should write an animated GIF89a', async function() {
+        const frames = [{ data: solid(255, 0, 0), delay: 100 }, { data: solid(0, 0, 255), delay: 100 }];
+        const gif = GIFEncoder.encode({ width: 2, height: 1, frames });
+        const text = String.fromCharCode(...gif);
+        tester.assertTrue(text.startsWith('GIF89a'), 'Header missing');
+        tester.assertTrue(text.includes('NETSCAPE2.0'), 'Looping GIF needs the NETSCAPE extension');
+        tester.assertEqual(gif[gif.length - 1], 0x3b, 'Trailer missing');
+        const once = String.fromCharCode(...GIFEncoder.encode({ width: 2, height: 1, frames }, { loop: 1 }));
+        tester.assertFalse(once.includes('NETSCAPE2.0'), 'Playing once needs no loop extension');
+    });
+
+    // Test 2: Few colors are kept exactly
+    tester.test('Should keep every color when there are few', async function() {
+        const palette = GIFEncoder.palette([solid(255, 0, 0), solid(0, 0, 255), solid(255, 0, 0)], 256);
+        tester.assertEqual(palette.map(color => color.join()).sort().join(' '), '0,0,255 255,0,0', 'Palette mismatch');
+    });
+
+    // Test 3: LZW codes grow from minimum size + 1 bits
+    tester.test('Should pack LZW codes', async function() {
+        // Clear, 0, {0,0}, 0, end in 3-bit codes
+        tester.assertEqual(Array.from(GIFEncoder.lzw(new Uint8Array(4), 2)).join(), '132,81', 'LZW bytes mismatch');
+        tester.assertThrows(() => GIFEncoder.encode({ width: 2, height: 2, frames: [{ data: solid(0, 0, 0), delay: 10 }] }), 'Wrong frame size should throw');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for GIFDecoder
+async function runGIFDecoderTests() {
+    const tester = new TestRunner('GIFDecoder');
+    const solid = (r, g, b) => new Uint8ClampedArray([r, g, b, 255, r, g, b, 255]);
+
+    // Test 1: Reads back what GIFEncoder writes
+    tester.test('Should decode an animated GIF', async function() {
+        const frames = [{ data: solid(255, 0, 0), delay: 50 }, { data: solid(0, 0, 255), delay: 0 }];
+        const gif = GIFDecoder.decode(GIFEncoder.encode({ width: 2, height: 1, frames }, { loop: 3 }));
+        tester.assertEqual(`${gif.width}x${gif.height}`, '2x1', 'Size mismatch');
+        tester.assertEqual(gif.loop, 3, 'Loop count mismatch');
+        tester.assertEqual(gif.frames.map(frame => Array.from(frame.data).join()).join(' '),
+            frames.map(frame => Array.from(frame.data).join()).join(' '), 'Pixels mismatch');
+        tester.assertEqual(gif.frames[1].delay, GIFDecoder.DEFAULT_DELAY, 'A 0 delay should play at the browser default');
+    });
+
+    // Test 2: LZW is the inverse of the encoder's
+    tester.test('Should unpack LZW codes', async function() {
+        tester.assertEqual(Array.from(GIFDecoder.lzw(Uint8Array.from([132, 81]), 2, 4)).join(), '0,0,0,0', 'LZW indexes mismatch');
+        tester.assertThrows(() => GIFDecoder.lzw(new Uint8Array(1), 12, 1), 'Invalid code size should throw');
+    });
+
+    // Test 3: Interlaced rows come back in order
+    tester.test('Should deinterlace rows', async function() {
+        // Rows stored 0, 4, 2, 1, 3
+        tester.assertEqual(Array.from(GIFDecoder.deinterlace(Uint8Array.from([0, 4, 2, 1, 3]), 1, 5)).join(), '0,1,2,3,4', 'Row order mismatch');
+        tester.assertThrows(() => GIFDecoder.decode(new TextEncoder().encode('PNG file')), 'Non-GIF input should throw');
+    });
+
+    // Test 4: Frames handed over as they're decoded aren't kept
+    tester.test('Should hand frames over as they are decoded', async function() {
+        const file = GIFEncoder.encode({ width: 2, height: 1, frames: [{ data: solid(255, 0, 0), delay: 50 }, { data: solid(0, 0, 255), delay: 70 }] });
+        const seen = [];
+        const gif = GIFDecoder.decode(file, {
+            onFrame: ({ data, width, height }, index) => {
+                seen.push(`${width}x${height} ${data[0]},${data[2]}`);
+                return index * 10;
+            }
+        });
+        tester.assertEqual(seen.join(' '), '2x1 255,0 2x1 0,255', 'Every picture should be handed over in order');
+        tester.assertEqual(gif.frames.map(frame => `${frame.value}/${frame.delay}/${frame.data}`).join(), '0/50/undefined,10/70/undefined', 'Frames should keep values, not pixels');
+        tester.assertThrows(() => GIFDecoder.decode(file, { maxPixels: 1 }), 'Pictures over the pixel limit should throw');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for APNGEncoder
+async function runAPNGEncoderTests() {
+    const tester = new TestRunner('APNGEncoder');
+    const png = (data) => {
+        const parts = [
+            Uint8Array.from(APNGEncoder.SIGNATURE),
+            APNGEncoder.chunk('IHDR', Uint8Array.from([0, 0, 0, 2, 0, 0, 0, 1, 8, 6, 0, 0, 0])),
+            APNGEncoder.chunk('IDAT', Uint8Array.from(data)),
+            APNGEncoder.chunk('IEND', new Uint8Array(0))
+        ];
+        return Uint8Array.from(parts.flatMap(part => Array.from(part)));
+    };
+
+    // Test 1: Later frames' image data moves to numbered fdAT chunks
+    tester.test('Should join PNG frames into an APNG', async function() {
+        const apng = APNGEncoder.encode([{ png: png([1, 2]), delay: 100 }, { png: png([3, 4]), delay: 250 }], { loop: 2 });
+        const chunks = APNGEncoder.chunks(apng);
+        tester.assertEqual(chunks.map(chunk => chunk.type).join(), 'IHDR,acTL,fcTL,IDAT,fcTL,fdAT,IEND', 'Chunk order mismatch');
+        tester.assertEqual(Array.from(chunks[1].data).join(), '0,0,0,2,0,0,0,2', 'acTL should hold frame and play counts');
+        tester.assertEqual(Array.from(chunks[5].data).join(), '0,0,0,2,3,4', 'fdAT should follow the sequence');
+        tester.assertEqual(chunks[4].data[21], 250, 'Delay mismatch');
+    });
+
+    // Test 2: Chunks carry PNG's CRC
+    tester.test('Should checksum chunks', async function() {
+        tester.assertEqual(Array.from(APNGEncoder.chunk('IEND', new Uint8Array(0)).slice(8)).join(), '174,66,96,130', 'IEND CRC mismatch');
+        tester.assertThrows(() => APNGEncoder.chunks(new Uint8Array(8)), 'Non-PNG should throw');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for TextAnimator
+async function runTextAnimatorTests() {
+    const tester = new TestRunner('TextAnimator');
+
+    // Test 1: Typewriter reveals visible characters in reading order
+    tester.test('Should type characters out', async function() {
+        const cells = CellGrid.fromText('ab\n c');
+        // 40 characters a second: two shown at 0.05s
+        tester.assertEqual(TextAnimator.frame('typewriter', cells, 0.05).toText(), 'ab\n  ', 'Typewriter frame mismatch');
+        tester.assertEqual(TextAnimator.frame('typewriter', cells, 0.05, 0.5).toText(), 'a \n  ', 'Half speed frame mismatch');
+        tester.assertEqual(TextAnimator.duration('typewriter', cells), 3 / 40 + TextAnimator.HOLD, 'Duration mismatch');
+    });
+
+    // Test 2: Marquee and wipe work on columns
+    tester.test('Should scroll and wipe by columns', async function() {
+        const cells = CellGrid.fromText('abc');
+        tester.assertEqual(TextAnimator.frame('scroll', cells, 0.1).toText(), 'bc ', 'Marquee should shift a column');
+        tester.assertEqual(TextAnimator.frame('wipe', cells, 0.05).toText(), 'a  ', 'Wipe should show the first column');
+        tester.assertThrows(() => TextAnimator.frame('glow', cells, 0), 'CSS animations are not drawn here');
+    });
+
+    // Test 3: Floating frames keep one size
+    tester.test('Should float lines within a fixed box', async function() {
+        const cells = CellGrid.fromText('ab\ncd');
+        const sizes = [0, 0.7, 1.4, 2.1].map(t => TextAnimator.frame('floating', cells, t)).map(grid => `${grid.width}x${grid.height}`);
+        tester.assertEqual(new Set(sizes).size, 1, 'Frame size should not change');
+        tester.assertEqual(TextAnimator.clampSpeed(10), TextAnimator.SPEED_RANGE.max, 'Speed should be clamped');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for AnimationExporter
+async function runAnimationExporterTests() {
+    const tester = new TestRunner('AnimationExporter');
+
+    // Test 1: The default duration loops every effect seamlessly
+    tester.test('Should default to one full cycle', async function() {
+        tester.assertEqual(AnimationExporter.period('wave', 'rainbow'), 6, 'Wave and rainbow repeat together after 6s');
+        tester.assertEqual(AnimationExporter.settings({ animation: 'glow', fps: 10 }).duration, 3, 'Glow cycle mismatch');
+        tester.assertThrows(() => AnimationExporter.settings({ fps: 0 }), 'Zero fps should throw');
+    });
+
+    // Test 2: Frames follow the CSS keyframes
+    tester.test('Should sample the animation', async function() {
+        tester.assertEqual(AnimationExporter.frameAt(0.75, { animation: 'blink' }).opacity, 0, 'Blink should be off in its second half');
+        tester.assertEqual(AnimationExporter.frameAt(0.5, { animation: 'wave' }).skew, 3, 'Wave should lean 3deg at 25%');
+        tester.assertTrue(Math.abs(AnimationExporter.frameAt(2, { animation: 'fade' }).opacity - 0.3) < 1e-9, 'Fade should bottom out halfway');
+        tester.assertEqual(AnimationExporter.frameAt(4, { color: 'rainbow' }).rainbow, 1, 'Rainbow should wrap after its period');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for Flipbook
+async function runFlipbookTests() {
+    const tester = new TestRunner('Flipbook');
+
+    // Test 1: Frames can be added, reordered and timed
+    tester.test('Should order and time frames', async function() {
+        const flipbook = new Flipbook();
+        const a = flipbook.addFrame('a', { duration: 100 });
+        const b = flipbook.addFrame('b', { duration: 300 });
+        const copy = flipbook.duplicateFrame(a.id);
+        tester.assertEqual(flipbook.frames.map(f => f.cells.toText()).join(''), 'aab', 'Duplicate should follow the original');
+        flipbook.shiftFrame(b.id, -1);
+        tester.assertEqual(flipbook.indexOf(b.id), 1, 'Frame should move earlier');
+        tester.assertEqual(flipbook.totalDuration, 500, 'Total duration mismatch');
+        tester.assertEqual(flipbook.frameAtTime(150), 1, 'Frame at 150ms mismatch');
+        tester.assertEqual(flipbook.frameAtTime(550), 0, 'Looping flipbook should wrap round');
+        flipbook.removeFrame(copy.id);
+        tester.assertThrows(() => flipbook.getFrame(copy.id), 'Removed frame should be gone');
+        tester.assertEqual(flipbook.updateFrame(a.id, { duration: 1 }).duration, Flipbook.DURATION_RANGE.min, 'Duration should be clamped');
+    });
+
+    // Test 2: Onion skin fills empty cells with the neighbours
+    tester.test('Should draw neighbours behind a frame', async function() {
+        const flipbook = new Flipbook();
+        flipbook.addFrame('x  ');
+        flipbook.addFrame(' y ');
+        flipbook.addFrame('  z');
+        const onion = flipbook.onion(1, { previous: true, next: true });
+        tester.assertEqual(onion.toText(), 'xyz', 'Onion skin text mismatch');
+        tester.assertEqual(onion.get(0, 0).fg, Flipbook.ONION_COLORS.previous, 'Previous frame color mismatch');
+        tester.assertEqual(onion.get(1, 0).fg, null, 'The frame itself keeps its own color');
+    });
+
+    // Test 3: Frames survive a JSON round trip
+    tester.test('Should read back its JSON', async function() {
+        const flipbook = new Flipbook();
+        flipbook.loop = false;
+        flipbook.addFrame('ab', { name: 'Start', duration: 250 });
+        flipbook.addFrame(CellGrid.fromText('cd').map(cell => ({ ...cell, fg: 'red' })));
+        const copy = Flipbook.fromJSON(JSON.stringify(flipbook.toJSON()));
+        tester.assertFalse(copy.loop, 'Loop flag should be kept');
+        tester.assertEqual(copy.frames[0].name, 'Start', 'Name mismatch');
+        tester.assertEqual(copy.frames[0].duration, 250, 'Duration mismatch');
+        tester.assertEqual(copy.frames[1].cells.get(0, 0).fg, 'red', 'Colors should be kept');
+        tester.assertThrows(() => Flipbook.fromJSON({ frames: [] }), 'Other JSON should be rejected');
+    });
+
+    // Test 4: Imported cells hold one character and plain colors
+    tester.test('Should clean up imported cells', async function() {
+        const copy = Flipbook.fromJSON({
+            type: Flipbook.FORMAT,
+            frames: [{ cells: [[
+                { char: 'abc', fg: 'url(https://example.com/beacon)', bg: '#123456' },
+                { char: '\n', fg: 'red', bg: 'rgb(1, 2, 3); background-image: url(x)' },
+                { char: '😀x', fg: 'rgb(1, 2, 3)' }
+            ]] }]
+        });
+        const [first, second, third] = copy.frames[0].cells.rows[0];
+        tester.assertEqual(`${first.char}${second.char}${third.char}`, 'a 😀', 'Cells should keep their first character');
+        tester.assertEqual(first.fg, null, 'CSS other than a color should be dropped');
+        tester.assertEqual(first.bg, '#123456', 'Hex colors should be kept');
+        tester.assertEqual(`${second.fg} ${second.bg}`, 'red null', 'Colors with extra CSS should be dropped');
+        tester.assertEqual(third.fg, 'rgb(1, 2, 3)', 'rgb() colors should be kept');
+    });
+
+    await tester.run();
+}
+
+// Sample tests for GenerationService
+async function runGenerationServiceTests() {
+    const tester = new TestRunner('GenerationService');
+
+    // Test 1: A fill kerns smushing fonts, so fitting measures the filled font
+    tester.test('Should fit smushing fonts by their filled width', async function() {
+        const font = FontModel.create({
+            name: 'slash',
+            height: 2,
+            glyphs: { A: ['/#', '#/'], ' ': ['  ', '  '] },
+            layout: { mode: 'smush', rules: 0 }
+        });
+        const service = Object.create(GenerationService.prototype);
+        service.renderer = new ASCIIRenderer();
+        service.fontManager = { getAvailableFonts: () => ['slash'], getFont: () => font };
+
+        const plain = service.fitFont('AAAA', [], 6, 'default', {});
+        tester.assertEqual(plain.width, 5, 'Smushed banner should fit');
+        const filled = service.fitFont('AAAA', [], 6, 'default', {}, { fill: 'char', chars: '*' });
+        tester.assertEqual(filled, null, 'Kerned fill is 8 columns and should not fit');
+        const roomy = service.fitFont('AAAA', [], 8, 'default', {}, { fill: 'char', chars: '*' });
+        tester.assertEqual(roomy.ascii, '********\n********', 'Fitted banner should be drawn filled');
+    });
+
+    // Test 2: A GIF is decoded, drawn and sampled frame by frame into a flipbook
+    tester.test('Should convert a GIF to flipbook frames', async function() {
+        // 40x20 GIF whose three frames move a black bar across a white picture
+        const frames = [0, 1, 2].map(step => {
+            const data = new Uint8ClampedArray(40 * 20 * 4).fill(255);
+            for (let y = 0; y < 20; y++) {
+                for (let x = step * 10; x < step * 10 + 10; x++) data.fill(0, (y * 40 + x) * 4, (y * 40 + x) * 4 + 3);
+            }
+            return { data, delay: 150 };
+        });
+        const gif = GIFEncoder.encode({ width: 40, height: 20, frames });
+        const file = { name: 'bar.gif', type: 'image/gif', arrayBuffer: async () => gif.buffer };
+
+        // Outside a browser, a canvas that keeps the last picture put on it and samples it nearest-neighbour
+        const stubbed = typeof document === 'undefined';
+        if (stubbed) {
+            globalThis.ImageData = class { constructor(data, width, height) { Object.assign(this, { data, width, height }); } };
+            globalThis.document = {
+                createElement: () => {
+                    const canvas = { width: 0, height: 0 };
+                    canvas.getContext = () => ({
+                        putImageData: (image) => { canvas.image = image; },
+                        drawImage: (source) => { canvas.image = source.image; },
+                        getImageData: (x, y, width, height) => {
+                            const { image } = canvas;
+                            const data = new Uint8ClampedArray(width * height * 4);
+                            for (let row = 0; row < height; row++) {
+                                for (let col = 0; col < width; col++) {
+                                    const from = (Math.floor(row * image.height / height) * image.width + Math.floor(col * image.width / width)) * 4;
+                                    data.set(image.data.subarray(from, from + 4), (row * width + col) * 4);
+                                }
+                            }
+                            return { width, height, data };
+                        }
+                    });
+                    return canvas;
+                }
+            };
+        }
+        try {
+            const service = Object.create(GenerationService.prototype);
+            const flipbook = await service.convertAnimationToFrames(file, 20, 'simple');
+            tester.assertEqual(flipbook.frames.length, 3, 'Every GIF frame should become a flipbook frame');
+            tester.assertEqual(flipbook.frames.map(f => f.duration).join(), '150,150,150', 'Frames should keep the GIF delays');
+            tester.assertTrue(flipbook.loop, 'A looping GIF should make a looping flipbook');
+            flipbook.frames.forEach((frame, step) => {
+                const row = frame.cells.toText().split('\n')[0];
+                tester.assertEqual(row, `${' '.repeat(step * 5)}#####`.padEnd(20), `Frame ${step + 1} should show the bar where the GIF has it`);
+            });
+
+            let error = null;
+            try {
+                await service.convertAnimationToFrames({ name: 'clip.mp4', type: 'video/mp4' }, 20, 'simple', { fps: 99 });
+            } catch (e) {
+                error = e;
+            }
+            tester.assertTrue(error && /frame rate/.test(error.message), 'Video frame rates above the limit should be rejected');
+
+            error = null;
+            try {
+                await service.convertAnimationToFrames({ ...file, size: AppConfig.image.frames.maxGifBytes + 1 }, 20, 'simple');
+            } catch (e) {
+                error = e;
+            }
+            tester.assertTrue(error && /too large/.test(error.message), 'GIFs over the size limit should be rejected before decoding');
+        } finally {
+            if (stubbed) {
+                delete globalThis.document;
+                delete globalThis.ImageData;
+            }
+        }
+    });
+
+    await tester.run();
+}
+
 // Run all tests
 console.log('🧪 Unit Test Samples - Run in browser console:');
 console.log('  await runInputValidatorTests()');
 console.log('  await runPerformanceManagerTests()');
+console.log('  await runFigletParserTests()');
+console.log('  await runGlyphLayoutTests()');
+console.log('  await runASCIIRendererTests()');
+console.log('  await runGlyphResolverTests()');
+console.log('  await runFontFitterTests()');
+console.log('  await runFontModelTests()');
+console.log('  await runFontCoverageTests()');
+console.log('  await runCustomFontStoreTests()');
+console.log('  await runGlyphEditorTests()');
+console.log('  await runCanvasSamplerTests()');
+console.log('  await runBannerTransformTests()');
+console.log('  await runBannerEffectTests()');
+console.log('  await runGlyphFillTests()');
+console.log('  await runCellGridTests()');
+console.log('  await runCompositionTests()');
+console.log('  await runPaintBufferTests()');
+console.log('  await runResultHistoryTests()');
+console.log('  await runHistoryStoreTests()');
+console.log('  await runOutputStyleTests()');
+console.log('  await runPNGExporterTests()');
+console.log('  await runSVGExporterTests()');
+console.log('  await runHTMLExporterTests()');
+console.log('  await runGIFEncoderTests()');
+console.log('  await runGIFDecoderTests()');
+console.log('  await runAPNGEncoderTests()');
+console.log('  await runTextAnimatorTests()');
+console.log('  await runAnimationExporterTests()');
+console.log('  await runFlipbookTests()');
+console.log('  await runGenerationServiceTests()');
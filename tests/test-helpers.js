@@ -49,11 +49,15 @@ class TestRunner {
      * Assert throws
      */
     assertThrows(fn, message) {
+        let threw = false;
         try {
             fn();
-            throw new Error(message || 'Assertion failed: expected function to throw');
         } catch (error) {
-            // Expected
+            threw = true;
+        }
+        // Fail outside the try, so the failure itself isn't taken for the expected error
+        if (!threw) {
+            throw new Error(message || 'Assertion failed: expected function to throw');
         }
     }
 